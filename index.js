@@ -1,9 +1,20 @@
 #!/usr/bin/env node
 const { Command } = require('commander')
+const { Console } = require('console')
 
 const fs = require('fs')
 const chalk = require('chalk')
-const { calculateOptimization } = require('./viewbox-calculator')
+const { ENGINES, calculateOptimization, calculateBatchOptimization, optimizeBuffer } = require('./viewbox-calculator')
+const { resolveInputs, isGlobPattern } = require('./src/lib/input-resolver')
+const { applyOptimization } = require('./src/lib/svg-writer')
+const { createOverlay } = require('./src/lib/overlay-writer')
+const { DEFAULT_FRAMES } = require('./src/lib/render-verifier')
+const { DEFAULT_RASTER_SCALE, DEFAULT_RASTER_FRAMES } = require('./src/lib/raster-engine')
+const { EVENT_ANIMATION_POLICIES } = require('./src/lib/animation-analyzer')
+const { DEFAULT_TIMELINE_SAMPLES } = require('./src/lib/timeline-sampler')
+const { validateVirtualTime, parseVirtualTimeSamples } = require('./src/lib/virtual-time')
+const { SIZE_MODES, parseSize } = require('./src/lib/size-mode')
+const { createFileReport, createReport, createSummary, formatNDJSONLine } = require('./src/lib/json-reporter')
 
 const program = new Command()
 
@@ -11,69 +22,324 @@ program
   .name('svg-optimize')
   .description('Optimize SVG viewBox to minimize whitespace around animated content')
   .version('1.4.2')
-  .argument('<input>', 'input SVG file')
-  .option('-o, --output <file>', 'output file (default: input_optimized.svg)')
+  .argument('<inputs...>', 'input SVG files, directories (searched recursively) or glob patterns; - reads stdin')
+  .option('-o, --output <file>', 'output file, - for stdout (default: input_optimized.svg, stdout for stdin input; single input only)')
   .option('-b, --buffer <pixels>', 'buffer padding around content', '10')
   .option('--dry-run', 'show results without writing file')
   .option('--debug', 'show debug information')
   .option('-s, --script-delay <ms>', 'wait time for script-generated content in milliseconds', '0')
+  .option('--virtual-time <ms>', 'run scripts for this many milliseconds of virtual time instead of --script-delay real time, then measure (needs Chrome)')
+  .option('--virtual-time-samples <ms>', 'comma-separated virtual times in milliseconds at which the content is also measured, within --virtual-time')
   .option('-f, --font-timeout <ms>', 'maximum wait time for web fonts in milliseconds', '5000')
   .option('--no-fail-on-font-timeout', 'continue even if font loading times out')
+  .option('--visual-bounds', 'include painted strokes (width, caps, joins) in the content bounds')
+  .option('--fail-on-unbounded', 'fail instead of warning when animations accumulate over indefinite repeats')
+  .option('--event-animations <policy>', `animations started by user interaction (click, hover, ...) and their syncbase chains: ${EVENT_ANIMATION_POLICIES.join(', ')} (only-initial measures the content before any interaction, exclude also leaves out the content they animate)`, 'include')
+  .option('--interactive-states', 'include the transforms set on :hover, :focus and :active, and the transitions to them')
+  .option('--state-classes <names>', 'comma-separated classes toggled by scripts (e.g. is-open) to include as interactive states; implies --interactive-states')
+  .option('--explain', 'show which element, animation or effect defines each edge of the content bounds')
+  .option('--overlay <file>', 'write a copy of the input with the viewBoxes, element bounds and animation envelopes drawn on top; - for stdout (single input only)')
+  .option('--verify', 'render the original and optimized SVG over the animation and fail if any pixels get clipped (needs Chrome)')
+  .option('--verify-frames <n>', 'number of animation timestamps rendered by --verify', String(DEFAULT_FRAMES))
+  .option('--sample-timeline', 'also pause the animation at sampled instants and add the rendered geometry there to the bounds (needs Chrome)')
+  .option('--timeline-samples <n>', 'number of evenly spaced instants sampled by --sample-timeline, in addition to keyTimes', String(DEFAULT_TIMELINE_SAMPLES))
+  .option('--engine <name>', `bounds engine: ${ENGINES.join(', ')} (geometry runs without Chrome, raster and hybrid measure rendered pixels)`, 'browser')
+  .option('--raster-scale <factor>', 'pixels per user unit rendered by the raster and hybrid engines', String(DEFAULT_RASTER_SCALE))
+  .option('--raster-frames <n>', 'number of animation timestamps rendered by the raster and hybrid engines', String(DEFAULT_RASTER_FRAMES))
+  .option('--no-engine-fallback', 'fail instead of using the browser when the geometry engine cannot analyze an SVG')
+  .option('--size-mode <mode>', `width/height handling: ${SIZE_MODES.join(', ')} (default: scale without a viewBox, otherwise keep)`)
+  .option('--size <WxH>', 'target width/height for --size-mode explicit, e.g. 64x64 or 100mmx50mm')
+  .option('-c, --concurrency <n>', 'number of files optimized in parallel in batch mode', '4')
+  .option('--json', 'print a JSON report to stdout (human-readable logs go to stderr)')
+  .option('--ndjson', 'print one JSON line per file as it finishes, then a summary line')
   .parse()
 
 const options = program.opts()
-const inputFile = program.args[0]
+const inputs = program.args
+const jsonMode = options.json || options.ndjson
+const readsStdin = inputs.includes('-')
 
-if (!fs.existsSync(inputFile)) {
-  console.error(chalk.red(`Error: File ${inputFile} not found`))
+if (options.json && options.ndjson) {
+  console.error(chalk.red('Error: --json and --ndjson cannot be used together'))
   process.exit(1)
 }
 
-async function optimizeSVG () {
+if (!ENGINES.includes(options.engine)) {
+  console.error(chalk.red(`Error: --engine must be one of: ${ENGINES.join(', ')}`))
+  process.exit(1)
+}
+
+if (!EVENT_ANIMATION_POLICIES.includes(options.eventAnimations)) {
+  console.error(chalk.red(`Error: --event-animations must be one of: ${EVENT_ANIMATION_POLICIES.join(', ')}`))
+  process.exit(1)
+}
+
+if (!/^[1-9]\d*$/.test(options.verifyFrames)) {
+  console.error(chalk.red('Error: --verify-frames must be a positive integer'))
+  process.exit(1)
+}
+
+if (!/^[1-9]\d*$/.test(options.timelineSamples)) {
+  console.error(chalk.red('Error: --timeline-samples must be a positive integer'))
+  process.exit(1)
+}
+
+if (options.virtualTime !== undefined || options.virtualTimeSamples !== undefined) {
+  try {
+    validateVirtualTime(options.virtualTime === undefined ? undefined : Number(options.virtualTime), parseVirtualTimeSamples(options.virtualTimeSamples))
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message)
+    process.exit(1)
+  }
+}
+
+if (!/^[1-9]\d*$/.test(options.rasterFrames)) {
+  console.error(chalk.red('Error: --raster-frames must be a positive integer'))
+  process.exit(1)
+}
+
+if (!(parseFloat(options.rasterScale) > 0)) {
+  console.error(chalk.red('Error: --raster-scale must be a positive number'))
+  process.exit(1)
+}
+
+if (options.sizeMode && !SIZE_MODES.includes(options.sizeMode)) {
+  console.error(chalk.red(`Error: --size-mode must be one of: ${SIZE_MODES.join(', ')}`))
+  process.exit(1)
+}
+
+if (options.size) {
+  // --size implies explicit sizing
+  if (options.sizeMode && options.sizeMode !== 'explicit') {
+    console.error(chalk.red('Error: --size can only be used with --size-mode explicit'))
+    process.exit(1)
+  }
+
   try {
-    console.log(chalk.blue('Analyzing SVG...'))
-
-    // Convert CLI options to the format expected by calculateOptimization
-    const calcOptions = {
-      buffer: parseInt(options.buffer),
-      debug: options.debug,
-      scriptDelay: parseInt(options.scriptDelay),
-      fontTimeout: parseInt(options.fontTimeout),
-      failOnFontTimeout: options.failOnFontTimeout
+    parseSize(options.size)
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message)
+    process.exit(1)
+  }
+} else if (options.sizeMode === 'explicit') {
+  console.error(chalk.red('Error: --size-mode explicit requires --size <WxH>'))
+  process.exit(1)
+}
+
+if (readsStdin && inputs.length > 1) {
+  console.error(chalk.red('Error: - (stdin) cannot be combined with other inputs'))
+  process.exit(1)
+}
+
+if (jsonMode && options.output === '-') {
+  console.error(chalk.red('Error: --output - cannot be used with --json or --ndjson, the report is written to stdout'))
+  process.exit(1)
+}
+
+// The optimized SVG goes to stdout for `-o -`, and by default when reading stdin
+const writesStdout = !options.dryRun && (options.output === '-' || (readsStdin && !options.output && !jsonMode))
+const overlayToStdout = options.overlay === '-'
+
+if (overlayToStdout && (jsonMode || writesStdout)) {
+  console.error(chalk.red('Error: --overlay - needs stdout to itself; use --dry-run or write the optimized SVG to a file'))
+  process.exit(1)
+}
+
+// The JSON report or SVG owns stdout, so human-readable and debug output goes to stderr
+const logger = jsonMode || writesStdout || overlayToStdout ? new Console(process.stderr) : console
+
+// Convert CLI options to the format expected by calculateOptimization
+const calcOptions = {
+  buffer: parseInt(options.buffer),
+  debug: options.debug,
+  logger,
+  scriptDelay: parseInt(options.scriptDelay),
+  virtualTime: options.virtualTime ? Number(options.virtualTime) : 0,
+  virtualTimeSamples: parseVirtualTimeSamples(options.virtualTimeSamples),
+  fontTimeout: parseInt(options.fontTimeout),
+  failOnFontTimeout: options.failOnFontTimeout,
+  visualBounds: options.visualBounds === true,
+  failOnUnbounded: options.failOnUnbounded === true,
+  eventAnimations: options.eventAnimations,
+  interactiveStates: options.interactiveStates === true,
+  stateClasses: options.stateClasses ? options.stateClasses.split(',').map(name => name.trim().replace(/^\./, '')).filter(Boolean) : [],
+  engine: options.engine,
+  engineFallback: options.engineFallback,
+  verify: options.verify === true,
+  verifyFrames: parseInt(options.verifyFrames),
+  sampleTimeline: options.sampleTimeline === true,
+  timelineSamples: parseInt(options.timelineSamples),
+  rasterScale: parseFloat(options.rasterScale),
+  rasterFrames: parseInt(options.rasterFrames),
+  sizeMode: options.size ? 'explicit' : options.sizeMode,
+  size: options.size
+}
+
+function getOutputFile (inputFile) {
+  return inputFile.replace(/(\.svg)?$/i, '_optimized.svg')
+}
+
+function writeOutput (outputFile, content) {
+  if (outputFile === '-') {
+    process.stdout.write(content)
+  } else {
+    fs.writeFileSync(outputFile, content)
+  }
+}
+
+function writeOptimizedSVG (inputFile, result, outputFile) {
+  // Update the root <svg> attributes only. Reading and writing latin1 maps
+  // bytes 1:1 to characters, so everything else is kept byte-for-byte in any encoding.
+  const svgContent = fs.readFileSync(inputFile, 'latin1')
+  writeOutput(outputFile, Buffer.from(applyOptimization(svgContent, result), 'latin1'))
+}
+
+function writeOverlay (svgContent, result) {
+  // svgContent is latin1-decoded, see writeOptimizedSVG
+  writeOutput(options.overlay, Buffer.from(createOverlay(svgContent, result), 'latin1'))
+}
+
+function readStdin () {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    process.stdin.on('data', chunk => chunks.push(chunk))
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks)))
+    process.stdin.on('error', reject)
+  })
+}
+
+function describeOutput (outputFile) {
+  return outputFile === '-' ? 'stdout' : outputFile
+}
+
+const EDGE_LABELS = { minX: 'left', minY: 'top', maxX: 'right', maxY: 'bottom' }
+
+function printExtremes (result, indent = '') {
+  Object.keys(EDGE_LABELS).forEach(edge => {
+    const extreme = result.extremes && result.extremes[edge]
+    const label = EDGE_LABELS[edge].padEnd(6)
+
+    if (!extreme) {
+      logger.log(`${indent}${label} (no content)`)
+    } else {
+      const element = extreme.element ? `${chalk.cyan(extreme.element)}: ` : ''
+      logger.log(`${indent}${label} ${extreme.value.toFixed(2).padStart(9)}  ${element}${extreme.reason}`)
     }
+  })
+}
 
-    const result = await calculateOptimization(inputFile, calcOptions)
+function printVerification (result, indent = '') {
+  const { verification } = result
+  const frames = `${verification.times.length} timestamp${verification.times.length === 1 ? '' : 's'}`
+
+  if (verification.passed) {
+    logger.log(`${indent}${chalk.green('Verified:')} no clipped pixels at ${frames}`)
+    return
+  }
 
-    // Display results using the structured data
-    console.log(`Original viewBox: ${result.original.viewBox}`)
-    console.log(`Original area: ${result.original.width}x${result.original.height} = ${result.original.area.toLocaleString()} units²`)
-    console.log(`Found ${result.elements.count} elements, ${result.elements.animationCount} animations`)
+  logger.log(`${indent}${chalk.red('Clipped:')} pixels outside the new viewBox at ${verification.clipped.length} of ${frames}`)
+  verification.clipped.forEach(({ time, pixels, region }) => {
+    logger.log(`${indent}  t=${time.toFixed(3)}s: ${pixels} px in ${region.x.toFixed(2)} ${region.y.toFixed(2)} ${region.width.toFixed(2)} ${region.height.toFixed(2)} (x y width height)`)
+  })
+}
 
-    if (options.debug && result.elements.details) {
-      console.log('\nElements found:')
-      result.elements.details.forEach(el => {
-        console.log(`  - ${el.id} (${el.animations} animations)`)
+function printWarnings (result, indent = '') {
+  result.warnings.forEach(warning => {
+    logger.log(`${indent}${chalk.yellow('Warning:')} ${warning}`)
+  })
+}
+
+function isClipped (result) {
+  return Boolean(result && result.verification && !result.verification.passed)
+}
+
+function printResult (result) {
+  logger.log(`Original viewBox: ${result.original.viewBox}${result.original.synthesized ? ' (derived from width/height)' : ''}`)
+  logger.log(`Original area: ${result.original.width}x${result.original.height} = ${result.original.area.toLocaleString()} units²`)
+  logger.log(`Found ${result.elements.count} elements, ${result.elements.animationCount} animations`)
+
+  if (options.debug && result.elements.details) {
+    logger.log('\nElements found:')
+    result.elements.details.forEach(el => {
+      logger.log(`  - ${el.id} (${el.animations} animations)`)
+    })
+  }
+
+  logger.log(chalk.green('\nOptimization Results:'))
+  logger.log(`New viewBox: ${result.optimized.viewBox}`)
+  logger.log(`Content dimensions: ${result.content.width.toFixed(1)}x${result.content.height.toFixed(1)} (without buffer)`)
+  logger.log(`ViewBox dimensions: ${result.optimized.width.toFixed(1)}x${result.optimized.height.toFixed(1)} (with ${result.buffer}px buffer)`)
+  logger.log(`New area: ${result.optimized.area.toLocaleString()} units²`)
+  if (result.dimensions.optimized.width !== result.dimensions.original.width ||
+      result.dimensions.optimized.height !== result.dimensions.original.height) {
+    const { width, height } = result.dimensions.optimized
+    const describe = (name, value) => value === null ? `no ${name}` : `${name}="${value}"`
+    logger.log(`New size: ${describe('width', width)}, ${describe('height', height)} (size mode: ${result.dimensions.mode})`)
+  }
+  logger.log(`Space savings: ${chalk.bold.green(result.savings.percentage.toFixed(1) + '%')}`)
+
+  if (result.raster) {
+    const frames = `${result.raster.frames} timestamp${result.raster.frames === 1 ? '' : 's'}`
+    if (!result.raster.elements) {
+      logger.log(`Rendered bounds: ${Number(result.raster.scale.toFixed(3))} px per unit over ${frames}`)
+    } else if (result.raster.elements.length === 0) {
+      logger.log('Rendered bounds: no elements with hard-to-model effects')
+    } else {
+      logger.log(`Rendered bounds (${Number(result.raster.scale.toFixed(3))} px per unit over ${frames}):`)
+      result.raster.elements.forEach(({ element, reasons, bounds }) => {
+        const box = bounds
+          ? `${bounds.x.toFixed(2)} ${bounds.y.toFixed(2)} ${bounds.width.toFixed(2)} ${bounds.height.toFixed(2)}`
+          : 'nothing painted'
+        logger.log(`  ${chalk.cyan(element)} (${reasons.join(', ')}): ${box}`)
       })
     }
+  }
+
+  if (result.timeline) {
+    logger.log(`Timeline: sampled ${result.timeline.samples} instant${result.timeline.samples === 1 ? '' : 's'} over ${Number(result.timeline.end.toFixed(3))}s`)
+  }
+
+  if (result.virtualTime) {
+    const samples = result.virtualTime.samples > 0 ? `, measured at ${result.virtualTime.samples} sample${result.virtualTime.samples === 1 ? '' : 's'}` : ''
+    logger.log(`Virtual time: ran scripts for ${result.virtualTime.budget}ms${samples}`)
+  }
+
+  if (options.explain) {
+    logger.log(chalk.green('\nContent edges:'))
+    printExtremes(result, '  ')
+  }
 
-    console.log(chalk.green('\nOptimization Results:'))
-    console.log(`New viewBox: ${result.optimized.viewBox}`)
-    console.log(`Content dimensions: ${result.content.width.toFixed(1)}x${result.content.height.toFixed(1)} (without buffer)`)
-    console.log(`ViewBox dimensions: ${result.optimized.width.toFixed(1)}x${result.optimized.height.toFixed(1)} (with ${result.buffer}px buffer)`)
-    console.log(`New area: ${result.optimized.area.toLocaleString()} units²`)
-    console.log(`Space savings: ${chalk.bold.green(result.savings.percentage.toFixed(1) + '%')}`)
+  if (result.verification) {
+    logger.log('')
+    printVerification(result)
+  }
+
+  if (result.warnings.length > 0) {
+    logger.log('')
+    printWarnings(result)
+  }
+}
+
+async function optimizeSVG (inputFile) {
+  try {
+    logger.log(chalk.blue('Analyzing SVG...'))
+
+    const result = await calculateOptimization(inputFile, calcOptions)
+    printResult(result)
 
     if (!options.dryRun) {
-      // Update the SVG with new viewBox
-      const svgContent = fs.readFileSync(inputFile, 'utf8')
-      const updatedSvg = svgContent.replace(
-        /viewBox="[^"]*"/,
-        `viewBox="${result.optimized.viewBox}"`
-      )
-
-      const outputFile = options.output || inputFile.replace('.svg', '_optimized.svg')
-      fs.writeFileSync(outputFile, updatedSvg)
-      console.log(chalk.green(`\nOptimized SVG saved to: ${outputFile}`))
+      const outputFile = options.output || getOutputFile(inputFile)
+      writeOptimizedSVG(inputFile, result, outputFile)
+      logger.log(chalk.green(`\nOptimized SVG saved to: ${describeOutput(outputFile)}`))
+    }
+
+    if (options.overlay) {
+      writeOverlay(fs.readFileSync(inputFile, 'latin1'), result)
+      logger.log(chalk.green(`Overlay saved to: ${describeOutput(options.overlay)}`))
+    }
+
+    if (isClipped(result)) {
+      process.exitCode = 1
     }
   } catch (error) {
     console.error(chalk.red('Error:'), error.message)
@@ -81,4 +347,247 @@ async function optimizeSVG () {
   }
 }
 
-optimizeSVG()
+async function optimizeStdin () {
+  const started = Date.now()
+  let input
+
+  try {
+    input = await readStdin()
+  } catch (error) {
+    console.error(chalk.red('Error:'), `could not read stdin: ${error.message}`)
+    process.exit(1)
+  }
+
+  // Relative stylesheets and resources resolve against the working directory
+  const stdinOptions = { ...calcOptions, baseDir: process.cwd() }
+  const outputFile = options.dryRun ? null : (options.output || (jsonMode ? null : '-'))
+  let optimization = null
+  let error = null
+
+  try {
+    logger.log(chalk.blue('Analyzing SVG from stdin...'))
+    optimization = await optimizeBuffer(input, stdinOptions)
+
+    if (outputFile) {
+      writeOutput(outputFile, optimization.svg)
+    }
+
+    if (options.overlay) {
+      writeOverlay(input.toString('latin1'), optimization.result)
+    }
+  } catch (caught) {
+    error = caught
+  }
+
+  if (jsonMode) {
+    const report = createFileReport({
+      file: '-',
+      output: error ? null : outputFile,
+      result: optimization && optimization.result,
+      error,
+      duration: Date.now() - started
+    })
+
+    if (options.ndjson) {
+      process.stdout.write(formatNDJSONLine(report) + '\n')
+      process.stdout.write(formatNDJSONLine(createSummary([report], Date.now() - started)) + '\n')
+    } else {
+      process.stdout.write(JSON.stringify(createReport([report], Date.now() - started), null, 2) + '\n')
+    }
+
+    if (error || isClipped(optimization && optimization.result)) {
+      process.exitCode = 1
+    }
+    return
+  }
+
+  if (error) {
+    console.error(chalk.red('Error:'), error.message)
+    process.exit(1)
+  }
+
+  printResult(optimization.result)
+  if (outputFile) {
+    logger.log(chalk.green(`\nOptimized SVG saved to: ${describeOutput(outputFile)}`))
+  }
+  if (options.overlay) {
+    logger.log(chalk.green(`Overlay saved to: ${describeOutput(options.overlay)}`))
+  }
+  if (isClipped(optimization.result)) {
+    process.exitCode = 1
+  }
+}
+
+async function optimizeBatch (files, missing) {
+  logger.log(chalk.blue(`Analyzing ${files.length} SVG file${files.length === 1 ? '' : 's'} (concurrency ${parseInt(options.concurrency) || 4})...`))
+
+  missing.forEach(input => {
+    console.error(chalk.red('✗'), `${input}: no SVG files found`)
+  })
+
+  let written = 0
+  let clipped = 0
+  const results = await calculateBatchOptimization(files, {
+    ...calcOptions,
+    concurrency: options.concurrency,
+    onResult: (entry) => {
+      if (entry.error) {
+        console.error(chalk.red('✗'), `${entry.file}: ${entry.error.message}`)
+        return
+      }
+
+      const { result } = entry
+      let line = `${chalk.green('✓')} ${entry.file}: ${result.original.viewBox} → ${result.optimized.viewBox} ` +
+        `(${result.savings.percentage.toFixed(1)}% saved, ${entry.duration}ms)`
+
+      if (!options.dryRun) {
+        try {
+          const outputFile = getOutputFile(entry.file)
+          writeOptimizedSVG(entry.file, result, outputFile)
+          written++
+          line += ` → ${outputFile}`
+        } catch (error) {
+          entry.error = error
+          console.error(chalk.red('✗'), `${entry.file}: could not write output: ${error.message}`)
+          return
+        }
+      }
+
+      logger.log(line)
+      printWarnings(result, '    ')
+      if (options.explain) {
+        printExtremes(result, '    ')
+      }
+      if (result.verification) {
+        printVerification(result, '    ')
+        if (isClipped(result)) clipped++
+      }
+    }
+  })
+
+  const failed = results.filter(entry => entry.error).length + missing.length
+  const succeeded = results.length - results.filter(entry => entry.error).length
+
+  logger.log(chalk.bold('\nBatch summary:'))
+  logger.log(`  Optimized: ${succeeded}/${results.length} files`)
+  if (!options.dryRun) {
+    logger.log(`  Written: ${written} files`)
+  }
+  if (options.verify) {
+    logger.log(`  Verified: ${succeeded - clipped}/${succeeded} files`)
+  }
+  if (clipped > 0) {
+    logger.log(chalk.red(`  Clipped: ${clipped}`))
+  }
+  if (failed > 0) {
+    logger.log(chalk.red(`  Failed: ${failed}`))
+    process.exit(1)
+  }
+  if (clipped > 0) {
+    process.exitCode = 1
+  }
+}
+
+async function optimizeJSON (files, missing) {
+  const started = Date.now()
+  const missingReports = missing.map(input => createFileReport({
+    file: input,
+    error: new Error('No SVG files found')
+  }))
+  const fileReports = new Array(files.length)
+
+  function emit (record) {
+    process.stdout.write(formatNDJSONLine(record) + '\n')
+  }
+
+  if (options.ndjson) {
+    missingReports.forEach(emit)
+  }
+
+  await calculateBatchOptimization(files, {
+    ...calcOptions,
+    concurrency: options.concurrency,
+    onResult: (entry, index) => {
+      let error = entry.error
+      let output = null
+
+      if (!error && !options.dryRun) {
+        try {
+          output = options.output || getOutputFile(entry.file)
+          writeOptimizedSVG(entry.file, entry.result, output)
+        } catch (writeError) {
+          error = new Error(`Could not write output: ${writeError.message}`)
+          output = null
+        }
+      }
+
+      if (!error && options.overlay) {
+        try {
+          writeOverlay(fs.readFileSync(entry.file, 'latin1'), entry.result)
+        } catch (writeError) {
+          error = new Error(`Could not write overlay: ${writeError.message}`)
+        }
+      }
+
+      fileReports[index] = createFileReport({ ...entry, error, output })
+
+      // NDJSON lines are written in completion order, each naming its file
+      if (options.ndjson) {
+        emit(fileReports[index])
+      }
+    }
+  })
+
+  const allReports = [...missingReports, ...fileReports]
+  const duration = Date.now() - started
+
+  if (options.ndjson) {
+    emit(createSummary(allReports, duration))
+  } else {
+    process.stdout.write(JSON.stringify(createReport(allReports, duration), null, 2) + '\n')
+  }
+
+  if (allReports.some(report => report.status === 'error' || isClipped(report.result))) {
+    process.exitCode = 1
+  }
+}
+
+async function main () {
+  if (readsStdin) {
+    await optimizeStdin()
+    return
+  }
+
+  const { files, missing } = await resolveInputs(inputs)
+
+  // A single plain file keeps the detailed single-file report
+  const isSingleFile = inputs.length === 1 && files.length === 1 && !isGlobPattern(inputs[0]) &&
+    fs.statSync(inputs[0]).isFile()
+
+  if (inputs.length === 1 && files.length === 0) {
+    // JSON reports list the missing input as a failed file instead
+    if (!jsonMode) {
+      console.error(chalk.red(`Error: File ${inputs[0]} not found`))
+      process.exit(1)
+    }
+  } else if (options.output && !isSingleFile) {
+    console.error(chalk.red('Error: --output can only be used with a single input file'))
+    process.exit(1)
+  } else if (options.overlay && !isSingleFile) {
+    console.error(chalk.red('Error: --overlay can only be used with a single input file'))
+    process.exit(1)
+  }
+
+  if (jsonMode) {
+    await optimizeJSON(files, missing)
+  } else if (isSingleFile) {
+    await optimizeSVG(files[0])
+  } else {
+    await optimizeBatch(files, missing)
+  }
+}
+
+main().catch(error => {
+  console.error(chalk.red('Error:'), error.message)
+  process.exit(1)
+})
@@ -1,5 +1,6 @@
 const fs = require('fs').promises
 const path = require('path')
+const { pathToFileURL } = require('url')
 
 /**
  * Browser Bundle Builder
@@ -14,15 +15,21 @@ class BrowserBundle {
 
   /**
    * Build complete browser bundle with all modules
+   * @param {string} svgContent - SVG markup to embed
+   * @param {Object} options - { baseDir } directory that relative resource URLs resolve against
    * @returns {Promise<string>} Complete HTML with all browser modules
    */
-  async buildHTML (svgContent) {
+  async buildHTML (svgContent, options = {}) {
     const modules = await this.loadAllModules()
+    const base = options.baseDir
+      ? `<base href="${pathToFileURL(path.resolve(options.baseDir)).href}/">`
+      : ''
 
     return `
       <!DOCTYPE html>
       <html>
       <head>
+        ${base}
         <script>
           ${modules.join('\n\n')}
         </script>
@@ -49,7 +56,11 @@ class BrowserBundle {
       // Legacy Node.js modules (need processing)
       this.loadAndProcessNodeModule('animation-analyzer.js'),
       this.loadAndProcessNodeModule('svg-path-parser.js'),
+      this.loadAndProcessNodeModule('easing.js'),
+      this.loadAndProcessNodeModule('stroke-analyzer.js'),
+      this.loadAndProcessNodeModule('svg-units.js'),
       this.loadAndProcessNodeModule('animation-combiner.js'),
+      this.loadAndProcessNodeModule('bounds-explainer.js'),
       this.loadAndProcessNodeModule('effects-analyzer.js'),
       this.loadAndProcessNodeModule('transform-parser.js'),
       this.loadAndProcessNodeModule('pattern-analyzer.js'),
@@ -113,9 +124,8 @@ class BrowserBundle {
   processNodeModuleForBrowser (code, filename) {
     let processedCode = code
 
-    // Remove Node.js require statements
-    processedCode = processedCode.replace(/const \{ Matrix2D \} = require\('.*'\)/g, '')
-    processedCode = processedCode.replace(/const \{ calculatePathBounds, calculateMotionValuesBounds \} = require\('.*'\)/g, '')
+    // Remove Node.js require statements for sibling modules (they share the browser global scope)
+    processedCode = processedCode.replace(/const \{[^}]+\} = require\('\.\/[^']+'\)/g, '')
 
     // Replace module.exports with window assignments for browser compatibility
     // Handle both direct exports and conditional exports
@@ -116,6 +116,164 @@ window.BoundsCalculator = (function () {
     }
   }
 
+  /**
+   * Read the computed stroke style of an element
+   * Non-scaling strokes are converted from screen units to the element's user units
+   * @param {Element} element - The SVG element
+   * @returns {Object|null} Stroke style {width, widthScale, linecap, linejoin, miterlimit} or null if unstroked
+   */
+  function getStrokeStyle (element) {
+    const style = window.getComputedStyle(element)
+
+    if (!style.stroke || style.stroke === 'none') {
+      return null
+    }
+
+    let width = parseFloat(style.strokeWidth)
+    if (style.strokeWidth.trim().endsWith('%')) {
+      // Percentages refer to the normalized diagonal of the nearest viewport
+      const viewport = element.ownerSVGElement || element
+      const viewBox = viewport.viewBox && viewport.viewBox.baseVal
+      const rect = viewBox && viewBox.width > 0 ? viewBox : viewport.getBoundingClientRect()
+      width = width / 100 * Math.sqrt((rect.width * rect.width + rect.height * rect.height) / 2)
+    }
+
+    if (!(width > 0)) {
+      return null
+    }
+
+    // User units per unit of the stroke-width property
+    let widthScale = 1
+    if (style.vectorEffect === 'non-scaling-stroke' && element.getScreenCTM) {
+      const ctm = element.getScreenCTM()
+      const scale = ctm ? Math.sqrt(Math.abs(ctm.a * ctm.d - ctm.b * ctm.c)) : 1
+      if (scale > 0) {
+        widthScale = 1 / scale
+        width = width * widthScale
+      }
+    }
+
+    return {
+      width,
+      widthScale,
+      linecap: style.strokeLinecap || 'butt',
+      linejoin: style.strokeLinejoin || 'miter',
+      miterlimit: parseFloat(style.strokeMiterlimit) || 4
+    }
+  }
+
+  /**
+   * Calculate how far an element's stroke paints outside its geometry
+   * The outset is returned both for the current stroke width and per unit of
+   * stroke width, so animated stroke widths can reuse the cap and join analysis.
+   * @param {Element} element - The SVG element
+   * @param {boolean} debug - Enable debug logging
+   * @returns {Object|null} Stroke info {width, widthScale, style, outset, unitOutset} or null if unstroked
+   */
+  function getStrokeOutset (element, debug = false) {
+    const tagName = element.tagName.toLowerCase()
+    if (!['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'].includes(tagName)) {
+      return null
+    }
+
+    const strokeStyle = getStrokeStyle(element)
+    if (!strokeStyle) {
+      return null
+    }
+
+    // Shapes without joins or caps only need half the stroke width on every side
+    let geometryBounds = { x: 0, y: 0, width: 0, height: 0 }
+    let features = { joins: [], caps: [] }
+
+    if (tagName === 'path') {
+      const d = element.getAttribute('d') || ''
+      const pathBounds = window.calculatePathBounds(d)
+      geometryBounds = {
+        x: pathBounds.minX,
+        y: pathBounds.minY,
+        width: pathBounds.maxX - pathBounds.minX,
+        height: pathBounds.maxY - pathBounds.minY
+      }
+      features = window.getPathStrokeFeatures(d)
+    } else if (tagName === 'line' || tagName === 'polyline' || tagName === 'polygon') {
+      const points = getElementPoints(element, tagName).map(point => [point.x, point.y])
+      if (points.length > 0) {
+        const xs = points.map(point => point[0])
+        const ys = points.map(point => point[1])
+        geometryBounds = {
+          x: Math.min(...xs),
+          y: Math.min(...ys),
+          width: Math.max(...xs) - Math.min(...xs),
+          height: Math.max(...ys) - Math.min(...ys)
+        }
+      }
+      features = window.getPolylineStrokeFeatures(points, tagName === 'polygon')
+    }
+
+    const unitOutset = window.calculateStrokeOutset(geometryBounds, { ...strokeStyle, width: 1 }, features)
+    const outset = {
+      left: unitOutset.left * strokeStyle.width,
+      top: unitOutset.top * strokeStyle.width,
+      right: unitOutset.right * strokeStyle.width,
+      bottom: unitOutset.bottom * strokeStyle.width
+    }
+
+    if (debug) {
+      console.log(`  ${tagName} stroke: width=${strokeStyle.width}, cap=${strokeStyle.linecap}, join=${strokeStyle.linejoin}, outset=(${outset.left.toFixed(2)}, ${outset.top.toFixed(2)}, ${outset.right.toFixed(2)}, ${outset.bottom.toFixed(2)})`)
+    }
+
+    return { width: strokeStyle.width, widthScale: strokeStyle.widthScale, style: strokeStyle, outset, unitOutset }
+  }
+
+  /**
+   * Get visual bounds for an element: its bounds plus the area painted by its stroke
+   * @param {Element} element - The element to get bounds for
+   * @param {boolean} debug - Enable debug logging
+   * @returns {Object} Bounds object with x, y, width, height
+   */
+  function getVisualBounds (element, debug = false) {
+    const bounds = getElementBounds(element, debug)
+    return applyStrokeToBounds(element, bounds, getStrokeOutset(element, debug), debug)
+  }
+
+  /**
+   * Expand element bounds by the area painted by its stroke
+   * @param {Element} element - The SVG element
+   * @param {Object} bounds - Element bounds from getElementBounds
+   * @param {Object|null} stroke - Stroke info from getStrokeOutset
+   * @param {boolean} debug - Enable debug logging
+   * @returns {Object} Bounds object with x, y, width, height
+   */
+  function applyStrokeToBounds (element, bounds, stroke, debug = false) {
+    if (!stroke) {
+      return bounds
+    }
+
+    // Basic shapes have no markers, and animated ones report base geometry from attributes
+    let geometryBounds = bounds
+    if (!['rect', 'circle', 'ellipse'].includes(element.tagName.toLowerCase())) {
+      try {
+        const bbox = element.getBBox()
+        geometryBounds = { x: bbox.x, y: bbox.y, width: bbox.width, height: bbox.height }
+      } catch (e) {
+        // Keep the element bounds as geometry
+      }
+    }
+
+    // Markers and patterns may already reach beyond the stroke, so take the union
+    const strokeBounds = window.expandBoundsByStrokeOutset(geometryBounds, stroke.outset)
+    const minX = Math.min(bounds.x, strokeBounds.x)
+    const minY = Math.min(bounds.y, strokeBounds.y)
+    const maxX = Math.max(bounds.x + bounds.width, strokeBounds.x + strokeBounds.width)
+    const maxY = Math.max(bounds.y + bounds.height, strokeBounds.y + strokeBounds.height)
+
+    if (debug) {
+      console.log(`  Visual bounds with stroke: x=${minX}, y=${minY}, w=${maxX - minX}, h=${maxY - minY}`)
+    }
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+  }
+
   /**
    * Calculate coordinate transformation for nested SVG elements
    * @param {Element} svgElement - The nested SVG element
@@ -794,6 +952,9 @@ window.BoundsCalculator = (function () {
   // Public API
   return {
     getElementBounds,
+    getVisualBounds,
+    getStrokeOutset,
+    applyStrokeToBounds,
     calculateNestedSVGTransform,
     applyNestedSVGTransform
   }
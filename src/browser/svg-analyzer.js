@@ -11,27 +11,63 @@ window.SVGAnalyzer = (function () {
   /**
    * Analyze SVG and calculate optimization bounds
    * @param {boolean} debug - Enable debug logging
+   * @param {Object} options - Analysis options
+   * @param {boolean} options.visualBounds - Include painted strokes (width, caps, joins) in bounds
+   * @param {boolean} options.failOnUnbounded - Return an error instead of a warning for content that grows without bound
+   * @param {string} options.eventAnimations - Animations that start on user interaction: 'include' (default), 'exclude' or 'only-initial'
+   * @param {boolean} options.interactiveStates - Include transforms set by :hover, :focus and :active rules
+   * @param {string[]} options.stateClasses - Class names toggled by scripts to include as interactive states
    * @returns {Object} Analysis result with bounds and element information
    */
-  function analyzeSVG (debug = false) {
+  function analyzeSVG (debug = false, options = {}) {
+    const visualBounds = options.visualBounds === true
+
     const svg = document.querySelector('svg')
 
     if (!svg) {
       throw new Error('No SVG found')
     }
 
-    // Get original viewBox
-    const originalViewBox = svg.getAttribute('viewBox')
+    // Get original viewBox, or derive the implicit one from width/height
+    let originalViewBox = svg.getAttribute('viewBox')
+    const viewBoxSynthesized = !originalViewBox
+
+    if (viewBoxSynthesized) {
+      originalViewBox = getImplicitViewBox(svg, debug)
 
-    if (!originalViewBox) {
-      return { error: 'No viewBox attribute found. Please add a viewBox to your SVG.' }
+      if (!originalViewBox) {
+        return { error: 'No viewBox attribute found and no usable width/height to derive one from. Please add a viewBox to your SVG.' }
+      }
     }
 
-    const [, , origWidth, origHeight] = originalViewBox.split(' ').map(Number)
+    const [, , origWidth, origHeight] = originalViewBox.trim().split(/[\s,]+/).map(Number)
 
     if (debug) {
       console.log('=== SVG ViewBox Optimization (Modular Architecture) ===')
-      console.log(`Original viewBox: ${originalViewBox}`)
+      console.log(`Original viewBox: ${originalViewBox}${viewBoxSynthesized ? ' (derived from width/height)' : ''}`)
+    }
+
+    // Style rules that transform elements in interactive states, matched per element
+    const stateRules = options.interactiveStates === true && typeof window.CSSAnimationAnalyzer === 'function'
+      ? new window.CSSAnimationAnalyzer(document).findStateRules(options.stateClasses || [])
+      : []
+
+    if (debug && stateRules.length > 0) {
+      console.log(`Interactive state rules: ${stateRules.map(rule => rule.selector).join(', ')}`)
+    }
+
+    // Animations that accumulate over indefinite repeats move content further with every repeat
+    const warnings = []
+    if (typeof window.findUnboundedAnimations === 'function') {
+      const unbounded = window.findUnboundedAnimations(svg, options).map(describeElement)
+
+      if (unbounded.length > 0) {
+        const description = window.describeUnboundedAnimations(unbounded)
+        if (options.failOnUnbounded === true) {
+          return { error: `Unbounded content: ${description}` }
+        }
+        warnings.push(`${description}; the viewBox covers the first repeat only`)
+      }
     }
 
     // Initialize bounds tracking
@@ -44,6 +80,9 @@ window.SVGAnalyzer = (function () {
     let effectsCount = 0
     const elements = []
 
+    // Which element, animation or effect produced each edge (result.extremes, --explain)
+    const extremesTracker = window.createExtremesTracker ? window.createExtremesTracker(svg) : null
+
     // Process use elements first
     const useElements = svg.querySelectorAll('use')
     if (debug) {
@@ -51,7 +90,7 @@ window.SVGAnalyzer = (function () {
     }
 
     useElements.forEach(useEl => {
-      if (!window.VisibilityChecker.shouldIncludeElement(useEl, svg, debug)) return
+      if (!window.VisibilityChecker.shouldIncludeElement(useEl, svg, debug, options)) return
 
       const href = useEl.getAttribute('xlink:href') || useEl.getAttribute('href')
       if (!href || !href.startsWith('#')) return
@@ -75,7 +114,9 @@ window.SVGAnalyzer = (function () {
         const resolvedElements = resolveSymbolChain(referencedSymbol, svg, containerMatrix, new Set(), debug)
 
         resolvedElements.forEach(resolved => {
-          const bounds = window.BoundsCalculator.getElementBounds(resolved.element, debug)
+          const bounds = visualBounds
+            ? window.BoundsCalculator.getVisualBounds(resolved.element, debug)
+            : window.BoundsCalculator.getElementBounds(resolved.element, debug)
           if (bounds.width === 0 && bounds.height === 0) return
 
           // Apply accumulated transform from symbol chain
@@ -92,21 +133,23 @@ window.SVGAnalyzer = (function () {
             }
           }
 
-          updateGlobalBounds(finalBounds)
+          updateGlobalBounds(finalBounds, useEl, `use of ${describeElement(resolved.element)}`)
           elementCount++
 
           // Analyze animations on the original use element
           const animations = analyzeElementAnimations(useEl, svg, debug)
           if (animations.length > 0) {
             animationCount += animations.length
-            expandBoundsForAnimations(animations, finalBounds, debug)
+            expandBoundsForAnimations(animations, finalBounds, debug, useEl)
           }
 
           elements.push({
             type: 'use',
+            path: describeElement(useEl),
             href,
             bounds: finalBounds,
             animations,
+            animationEnvelopes: getAnimationEnvelopes(animations, finalBounds, null, bounds => bounds),
             hasEffects: false,
             resolvedFrom: resolved.element.tagName.toLowerCase()
           })
@@ -117,7 +160,7 @@ window.SVGAnalyzer = (function () {
         const bounds = window.BoundsCalculator.getElementBounds(useEl, debug)
         if (bounds.width === 0 && bounds.height === 0) return
 
-        updateGlobalBounds(bounds)
+        updateGlobalBounds(bounds, useEl, 'geometry')
         elementCount++
 
         // Analyze animations
@@ -126,14 +169,16 @@ window.SVGAnalyzer = (function () {
           animationCount += animations.length
 
           // Expand bounds to include animation extremes
-          expandBoundsForAnimations(animations, bounds, debug)
+          expandBoundsForAnimations(animations, bounds, debug, useEl)
         }
 
         elements.push({
           type: 'use',
+          path: describeElement(useEl),
           href,
           bounds,
           animations,
+          animationEnvelopes: getAnimationEnvelopes(animations, bounds, null, bounds => bounds),
           hasEffects: false
         })
       }
@@ -158,7 +203,7 @@ window.SVGAnalyzer = (function () {
     // Add regular visual elements (with conditional filtering)
     visualElements.forEach(element => {
       // Check visibility
-      if (!window.VisibilityChecker.shouldIncludeElement(element, svg, debug)) return
+      if (!window.VisibilityChecker.shouldIncludeElement(element, svg, debug, options)) return
 
       // Check conditional attributes (requiredFeatures, etc.) and switch membership
       if (window.SwitchEvaluator && !window.SwitchEvaluator.shouldIncludeElement(element, debug)) return
@@ -169,7 +214,7 @@ window.SVGAnalyzer = (function () {
     // Add active elements from switch evaluation
     activeElementsFromSwitches.forEach(element => {
       // These are already conditionally selected, but still check visibility
-      if (window.VisibilityChecker.shouldIncludeElement(element, svg, debug)) {
+      if (window.VisibilityChecker.shouldIncludeElement(element, svg, debug, options)) {
         allElementsToProcess.push(element)
       }
     })
@@ -194,7 +239,9 @@ window.SVGAnalyzer = (function () {
         return
       }
 
-      const bounds = window.BoundsCalculator.getElementBounds(element, debug)
+      const geometryBounds = window.BoundsCalculator.getElementBounds(element, debug)
+      const stroke = getStrokeOutset(element)
+      const bounds = window.BoundsCalculator.applyStrokeToBounds(element, geometryBounds, stroke, debug)
 
       // Skip elements with zero dimensions unless they have animations
       const hasAnimations = element.querySelector('animateTransform, animate, animateMotion') !== null
@@ -218,8 +265,9 @@ window.SVGAnalyzer = (function () {
       const hasMotionAnimation = animations.some(anim => anim.type === 'animateMotion')
 
       // For elements with motion animation, don't include static bounds
+      const staticReason = stroke ? 'geometry with stroke' : 'geometry'
       if (!hasMotionAnimation) {
-        updateGlobalBounds(transformedBounds)
+        updateGlobalBounds(transformedBounds, element, staticReason)
       }
       elementCount++
 
@@ -234,47 +282,94 @@ window.SVGAnalyzer = (function () {
 
         // Combine overlapping animations (handles additive animations properly)
         if (typeof window.combineOverlappingAnimations === 'function') {
-          const animatedBounds = window.combineOverlappingAnimations(animations, bounds, debug)
+          const reasons = {}
+          const animatedBounds = window.combineOverlappingAnimations(animations, geometryBounds, debug, { stroke, reasons })
           // Apply transform to the animated bounds if needed
           const finalAnimatedBounds = transformMatrix ? transformMatrix.transformBounds(animatedBounds) : animatedBounds
+          const animatedReasons = window.transformEdgeReasons ? window.transformEdgeReasons(reasons, transformMatrix) : reasons
 
           // If element has effects, apply them to the animated bounds
           if (effects.hasAnyEffects) {
             const effectsBounds = expandBoundsForEffects(effects, finalAnimatedBounds, debug)
-            updateGlobalBounds(effectsBounds)
+            updateGlobalBounds(effectsBounds, element, getEffectsReason(effects, animatedReasons))
           } else {
-            updateGlobalBounds(finalAnimatedBounds)
+            updateGlobalBounds(finalAnimatedBounds, element, animatedReasons)
           }
         } else {
           // Fallback to basic expansion
-          expandBoundsForAnimations(animations, bounds, debug)
+          expandBoundsForAnimations(animations, bounds, debug, element)
 
           // Apply effects to animated bounds if present
           if (effects.hasAnyEffects) {
             const effectsBounds = expandBoundsForEffects(effects, transformedBounds, debug)
-            updateGlobalBounds(effectsBounds)
+            updateGlobalBounds(effectsBounds, element, getEffectsReason(effects, staticReason))
           }
         }
       } else if (effects.hasAnyEffects) {
         // No animations, just apply effects to transformed bounds
         const effectsBounds = expandBoundsForEffects(effects, transformedBounds, debug)
-        updateGlobalBounds(effectsBounds)
+        updateGlobalBounds(effectsBounds, element, getEffectsReason(effects, staticReason))
       }
 
       elements.push({
         type: tagName,
+        path: describeElement(element),
         bounds: transformedBounds,
         animations,
+        animationEnvelopes: getAnimationEnvelopes(animations, geometryBounds, stroke,
+          bounds => transformMatrix ? transformMatrix.transformBounds(bounds) : bounds),
         hasEffects: effects.hasAnyEffects
       })
     })
 
     // Helper functions
-    function updateGlobalBounds (bounds) {
+    function getStrokeOutset (element) {
+      return visualBounds ? window.BoundsCalculator.getStrokeOutset(element, debug) : null
+    }
+
+    /**
+     * Add bounds in root user space to the global bounds
+     * @param {Object} bounds - Bounds {x, y, width, height}
+     * @param {Element} element - Element that produced the bounds
+     * @param {string|Object} reason - What about the element produced them, or per-edge reasons
+     */
+    function updateGlobalBounds (bounds, element, reason) {
       globalMinX = Math.min(globalMinX, bounds.x)
       globalMinY = Math.min(globalMinY, bounds.y)
       globalMaxX = Math.max(globalMaxX, bounds.x + bounds.width)
       globalMaxY = Math.max(globalMaxY, bounds.y + bounds.height)
+
+      if (extremesTracker && element) {
+        extremesTracker.update(bounds, element, reason)
+      }
+    }
+
+    function describeElement (element) {
+      return window.describeElementPath ? window.describeElementPath(element, svg) : element.tagName
+    }
+
+    /**
+     * Bounds swept by each animation of an element, in root user space
+     * @param {Array} animations - Analyzed animations
+     * @param {Object} localBounds - Element bounds in its own user space
+     * @param {Object} stroke - Stroke outset info, or null
+     * @param {Function} toRoot - Maps bounds from the element's user space to root user space
+     * @returns {Array} [{animation, bounds}]
+     */
+    function getAnimationEnvelopes (animations, localBounds, stroke, toRoot) {
+      if (animations.length === 0 || typeof window.calculateAnimationEnvelopes !== 'function') {
+        return []
+      }
+
+      return window.calculateAnimationEnvelopes(animations, localBounds, { stroke })
+        .map(envelope => ({ animation: envelope.animation, bounds: toRoot(envelope.bounds) }))
+    }
+
+    function getEffectsReason (effects, baseReason) {
+      if (!effects.filter || !effects.filter.hasFilter || !window.describeEffectEdges) {
+        return baseReason
+      }
+      return window.describeEffectEdges(effects.filter.expansion, baseReason)
     }
 
     function expandBoundsForEffects (effects, baseBounds, debug) {
@@ -322,7 +417,7 @@ window.SVGAnalyzer = (function () {
       return expandedBounds
     }
 
-    function expandBoundsForAnimations (animations, baseBounds, debug) {
+    function expandBoundsForAnimations (animations, baseBounds, debug, element) {
       if (debug) {
         console.log(`  Expanding bounds for ${animations.length} animations`)
       }
@@ -330,7 +425,7 @@ window.SVGAnalyzer = (function () {
       animations.forEach(animation => {
         if (animation.type === 'animateTransform' && animation.transforms) {
           // Process each transform in the animation
-          animation.transforms.forEach(transform => {
+          animation.transforms.forEach((transform, index) => {
             const matrix = transform.matrix
             if (matrix && typeof matrix.transformBounds === 'function') {
               const animatedBounds = matrix.transformBounds(baseBounds)
@@ -339,12 +434,12 @@ window.SVGAnalyzer = (function () {
                 console.log(`    Transform animated bounds: x=${animatedBounds.x.toFixed(2)}, y=${animatedBounds.y.toFixed(2)}, w=${animatedBounds.width.toFixed(2)}, h=${animatedBounds.height.toFixed(2)}`)
               }
 
-              updateGlobalBounds(animatedBounds)
+              updateGlobalBounds(animatedBounds, element, `animateTransform ${animation.transformType} keyframe ${index + 1}`)
             }
           })
         } else if (animation.type === 'animate' && animation.values) {
           // Process attribute animations
-          animation.values.forEach(valueFrame => {
+          animation.values.forEach((valueFrame, index) => {
             let adjustedBounds = { ...baseBounds }
 
             // Handle different attribute types
@@ -419,11 +514,11 @@ window.SVGAnalyzer = (function () {
               console.log(`    Attribute animated bounds: x=${adjustedBounds.x.toFixed(2)}, y=${adjustedBounds.y.toFixed(2)}, w=${adjustedBounds.width.toFixed(2)}, h=${adjustedBounds.height.toFixed(2)}`)
             }
 
-            updateGlobalBounds(adjustedBounds)
+            updateGlobalBounds(adjustedBounds, element, `animate ${animation.attributeName} keyframe ${index + 1}`)
           })
         } else if (animation.type === 'animateMotion' && animation.motionBounds) {
           // Process motion path animations
-          const motionBounds = animation.expandedBounds || animation.motionBounds
+          const motionBounds = animation.motionBounds
 
           // For animateMotion, the element moves along the path
           // The motion bounds represent where the element's reference point travels
@@ -444,7 +539,7 @@ window.SVGAnalyzer = (function () {
             console.log(`    Motion animated bounds: x=${expandedBounds.x.toFixed(2)}, y=${expandedBounds.y.toFixed(2)}, w=${expandedBounds.width.toFixed(2)}, h=${expandedBounds.height.toFixed(2)}`)
           }
 
-          updateGlobalBounds(expandedBounds)
+          updateGlobalBounds(expandedBounds, element, window.describeAnimationBounds ? window.describeAnimationBounds(animation) : 'animateMotion')
         } else if (animation.type === 'set') {
           // Process set animations - they set a single value at a specific time
           const adjustedBounds = { ...baseBounds }
@@ -513,7 +608,7 @@ window.SVGAnalyzer = (function () {
             console.log(`    Set ${animation.attributeName}=${animation.to} bounds: x=${adjustedBounds.x.toFixed(2)}, y=${adjustedBounds.y.toFixed(2)}, w=${adjustedBounds.width.toFixed(2)}, h=${adjustedBounds.height.toFixed(2)}`)
           }
 
-          updateGlobalBounds(adjustedBounds)
+          updateGlobalBounds(adjustedBounds, element, `set ${animation.attributeName}`)
         } else if (animation.isCSSAnimation && animation.expansion) {
           // Process CSS animation bounds expansion
           const cssExpandedBounds = {
@@ -528,7 +623,10 @@ window.SVGAnalyzer = (function () {
             console.log(`    CSS animated bounds: x=${cssExpandedBounds.x.toFixed(2)}, y=${cssExpandedBounds.y.toFixed(2)}, w=${cssExpandedBounds.width.toFixed(2)}, h=${cssExpandedBounds.height.toFixed(2)}`)
           }
 
-          updateGlobalBounds(cssExpandedBounds)
+          const cssReason = animation.type === 'css-state'
+            ? `CSS ${animation.state} state`
+            : animation.type === 'web-animation' ? `Web animation ${animation.animationName}` : `CSS animation ${animation.animationName}`
+          updateGlobalBounds(cssExpandedBounds, element, cssReason)
         }
       })
     }
@@ -751,7 +849,7 @@ window.SVGAnalyzer = (function () {
 
       // Use the sophisticated SVG animation analyzer that was injected
       if (typeof window.findElementAnimations === 'function') {
-        animations = window.findElementAnimations(element, svg, debug)
+        animations = window.findElementAnimations(element, svg, debug, options)
       } else {
         // Fallback to simple SVG animation detection
         const animationElements = element.querySelectorAll('animateTransform, animate, animateMotion')
@@ -784,6 +882,36 @@ window.SVGAnalyzer = (function () {
             expansion: cssAnimationResult.expansion,
             isCSSAnimation: true
           })
+
+          // Keyframes of geometry properties are bounded like <animate> of the same attribute
+          cssAnimationResult.geometry.forEach(animation => animations.push(animation))
+        }
+
+        // Animations scripts started with element.animate(), found once the script delay has passed
+        cssAnimationAnalyzer.analyzeScriptedAnimations(element, baseBounds, debug).forEach(result => {
+          animations.push({
+            type: 'web-animation',
+            animationName: result.animationName,
+            keyframes: result.keyframes,
+            expansion: result.expansion,
+            isCSSAnimation: true
+          })
+
+          result.geometry.forEach(animation => animations.push(animation))
+        })
+
+        // Transforms reached on :hover, :focus and the like
+        if (stateRules.length > 0) {
+          cssAnimationAnalyzer.analyzeInteractiveStates(element, baseBounds, stateRules, debug).forEach(state => {
+            animations.push({
+              type: 'css-state',
+              state: state.state,
+              selector: state.selector,
+              transform: state.transform,
+              expansion: state.expansion,
+              isCSSAnimation: true
+            })
+          })
         }
       }
 
@@ -810,7 +938,7 @@ window.SVGAnalyzer = (function () {
       const childElements = nestedSvg.querySelectorAll('rect, circle, ellipse, line, polyline, polygon, path, text, image, g, foreignObject, svg')
 
       childElements.forEach(childElement => {
-        if (!window.VisibilityChecker.shouldIncludeElement(childElement, nestedSvg, debug)) return
+        if (!window.VisibilityChecker.shouldIncludeElement(childElement, nestedSvg, debug, options)) return
 
         const tagName = childElement.tagName.toLowerCase()
 
@@ -824,14 +952,17 @@ window.SVGAnalyzer = (function () {
         }
 
         // Get bounds of the child element in its local coordinate system
-        const localBounds = window.BoundsCalculator.getElementBounds(childElement, debug)
+        const geometryBounds = window.BoundsCalculator.getElementBounds(childElement, debug)
+        const stroke = getStrokeOutset(childElement)
+        const localBounds = window.BoundsCalculator.applyStrokeToBounds(childElement, geometryBounds, stroke, debug)
 
         if (localBounds.width === 0 && localBounds.height === 0) return
 
         // Apply accumulated nested SVG coordinate transformation
         const transformedBounds = window.BoundsCalculator.applyNestedSVGTransform(localBounds, combinedTransform, debug)
 
-        updateGlobalBounds(transformedBounds)
+        const staticReason = stroke ? 'geometry with stroke' : 'geometry'
+        updateGlobalBounds(transformedBounds, childElement, staticReason)
         elementCount++
 
         // Analyze animations (calculate in local space, then transform)
@@ -841,13 +972,14 @@ window.SVGAnalyzer = (function () {
 
           // Calculate animated bounds in local coordinate space first
           if (typeof window.combineOverlappingAnimations === 'function') {
-            const localAnimatedBounds = window.combineOverlappingAnimations(animations, localBounds, debug)
+            const reasons = {}
+            const localAnimatedBounds = window.combineOverlappingAnimations(animations, geometryBounds, debug, { stroke, reasons })
             // Then apply the combined transform to the animated bounds
             const finalAnimatedBounds = window.BoundsCalculator.applyNestedSVGTransform(localAnimatedBounds, combinedTransform, debug)
-            updateGlobalBounds(finalAnimatedBounds)
+            updateGlobalBounds(finalAnimatedBounds, childElement, reasons)
           } else {
             // Fallback: apply transform to animated bounds
-            expandBoundsForAnimations(animations, transformedBounds, debug)
+            expandBoundsForAnimations(animations, transformedBounds, debug, childElement)
           }
         }
 
@@ -857,13 +989,16 @@ window.SVGAnalyzer = (function () {
           effectsCount++
 
           const effectsBounds = expandBoundsForEffects(effects, transformedBounds, debug)
-          updateGlobalBounds(effectsBounds)
+          updateGlobalBounds(effectsBounds, childElement, getEffectsReason(effects, staticReason))
         }
 
         elements.push({
           type: tagName,
+          path: describeElement(childElement),
           bounds: transformedBounds,
           animations,
+          animationEnvelopes: getAnimationEnvelopes(animations, geometryBounds, stroke,
+            bounds => window.BoundsCalculator.applyNestedSVGTransform(bounds, combinedTransform, false)),
           hasEffects: effects.hasAnyEffects,
           nested: true,
           deeplyNested: true
@@ -883,7 +1018,7 @@ window.SVGAnalyzer = (function () {
       const childElements = nestedSvg.querySelectorAll('rect, circle, ellipse, line, polyline, polygon, path, text, image, g, foreignObject, svg')
 
       childElements.forEach(childElement => {
-        if (!window.VisibilityChecker.shouldIncludeElement(childElement, nestedSvg, debug)) return
+        if (!window.VisibilityChecker.shouldIncludeElement(childElement, nestedSvg, debug, options)) return
 
         const tagName = childElement.tagName.toLowerCase()
 
@@ -898,14 +1033,17 @@ window.SVGAnalyzer = (function () {
         }
 
         // Get bounds of the child element in its local coordinate system
-        const localBounds = window.BoundsCalculator.getElementBounds(childElement, debug)
+        const geometryBounds = window.BoundsCalculator.getElementBounds(childElement, debug)
+        const stroke = getStrokeOutset(childElement)
+        const localBounds = window.BoundsCalculator.applyStrokeToBounds(childElement, geometryBounds, stroke, debug)
 
         if (localBounds.width === 0 && localBounds.height === 0) return
 
         // Apply nested SVG coordinate transformation
         const transformedBounds = window.BoundsCalculator.applyNestedSVGTransform(localBounds, transform, debug)
 
-        updateGlobalBounds(transformedBounds)
+        const staticReason = stroke ? 'geometry with stroke' : 'geometry'
+        updateGlobalBounds(transformedBounds, childElement, staticReason)
         elementCount++
 
         // Analyze animations (calculate in local space, then transform)
@@ -915,13 +1053,14 @@ window.SVGAnalyzer = (function () {
 
           // Calculate animated bounds in local coordinate space first
           if (typeof window.combineOverlappingAnimations === 'function') {
-            const localAnimatedBounds = window.combineOverlappingAnimations(animations, localBounds, debug)
+            const reasons = {}
+            const localAnimatedBounds = window.combineOverlappingAnimations(animations, geometryBounds, debug, { stroke, reasons })
             // Then apply the nested SVG transform to the animated bounds
             const finalAnimatedBounds = window.BoundsCalculator.applyNestedSVGTransform(localAnimatedBounds, transform, debug)
-            updateGlobalBounds(finalAnimatedBounds)
+            updateGlobalBounds(finalAnimatedBounds, childElement, reasons)
           } else {
             // Fallback: expand bounds using transformed bounds as base
-            expandBoundsForAnimations(animations, transformedBounds, debug)
+            expandBoundsForAnimations(animations, transformedBounds, debug, childElement)
           }
         }
 
@@ -933,8 +1072,11 @@ window.SVGAnalyzer = (function () {
 
         elements.push({
           type: tagName,
+          path: describeElement(childElement),
           bounds: transformedBounds,
           animations,
+          animationEnvelopes: getAnimationEnvelopes(animations, geometryBounds, stroke,
+            bounds => window.BoundsCalculator.applyNestedSVGTransform(bounds, transform, false)),
           hasEffects: effects.hasAnyEffects,
           nested: true
         })
@@ -956,6 +1098,7 @@ window.SVGAnalyzer = (function () {
 
     return {
       originalViewBox,
+      viewBoxSynthesized,
       origWidth,
       origHeight,
       globalMinX: globalBounds.x,
@@ -965,8 +1108,48 @@ window.SVGAnalyzer = (function () {
       elementCount,
       animationCount,
       effectsCount,
-      elements
+      elements,
+      extremes: extremesTracker ? extremesTracker.getExtremes() : null,
+      warnings
+    }
+  }
+
+  /**
+   * Derive the implicit viewBox of a root SVG that only has width/height
+   * Without a viewBox one user unit is one CSS px, so the viewport size in px
+   * is the visible area. Absolute units are converted; percentages, relative
+   * and missing sizes use the rendered size.
+   * @param {Element} svg - Root SVG element
+   * @param {boolean} debug - Enable debug logging
+   * @returns {string|null} ViewBox string or null if the size cannot be determined
+   */
+  function getImplicitViewBox (svg, debug = false) {
+    const rect = svg.getBoundingClientRect()
+    const fontSize = parseFloat(window.getComputedStyle(svg).fontSize) || 16
+
+    function resolveSize (attribute, renderedSize) {
+      const length = window.parseLength(svg.getAttribute(attribute))
+      if (length && length.unit !== '%') {
+        const userUnits = window.lengthToUserUnits(length, { fontSize })
+        if (userUnits !== null) {
+          return userUnits
+        }
+      }
+      return renderedSize
     }
+
+    const width = resolveSize('width', rect.width)
+    const height = resolveSize('height', rect.height)
+
+    if (debug) {
+      console.log(`No viewBox: width="${svg.getAttribute('width')}" height="${svg.getAttribute('height')}" -> ${width}x${height} user units`)
+    }
+
+    if (!(width > 0) || !(height > 0)) {
+      return null
+    }
+
+    return `0 0 ${window.formatNumber(width, 4)} ${window.formatNumber(height, 4)}`
   }
 
   // Public API
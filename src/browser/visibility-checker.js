@@ -15,9 +15,10 @@ window.VisibilityChecker = (function () {
    * @param {Element} element - The element to check
    * @param {Element} rootSvg - The root SVG element for context
    * @param {boolean} debug - Enable debug logging
+   * @param {Object} options - { eventAnimations } 'include' (default), 'exclude' or 'only-initial'
    * @returns {boolean} True if element should be included
    */
-  function shouldIncludeElement (element, rootSvg, debug = false) {
+  function shouldIncludeElement (element, rootSvg, debug = false, options = {}) {
     // Skip elements inside defs, symbol definitions, or nested SVG elements
     let parent = element.parentElement
     while (parent && parent !== rootSvg) {
@@ -28,8 +29,20 @@ window.VisibilityChecker = (function () {
       parent = parent.parentElement
     }
 
+    // Skip content animated on user interaction when event animations are excluded
+    if (options.eventAnimations === 'exclude' && typeof window.hasEventAnimation === 'function') {
+      for (let node = element; node && node !== rootSvg; node = node.parentElement) {
+        if (window.hasEventAnimation(node, rootSvg)) {
+          if (debug) {
+            console.log('Element excluded as it is animated on user interaction:', element)
+          }
+          return false
+        }
+      }
+    }
+
     // Check if element is visible
-    if (!isElementVisible(element, rootSvg, debug)) {
+    if (!isElementVisible(element, rootSvg, debug, options)) {
       return false
     }
 
@@ -38,33 +51,36 @@ window.VisibilityChecker = (function () {
 
   /**
    * Evaluate animated visibility states for an element
+   * Animations that only start on user interaction count with the 'include'
+   * event animation policy only; otherwise the element keeps its static visibility.
    * @param {Element} element - The element to check
    * @param {Element} rootSvg - The root SVG element for context
    * @param {boolean} debug - Enable debug logging
+   * @param {Object} options - { eventAnimations } as for shouldIncludeElement
    * @returns {Object} Visibility state information
    */
-  function evaluateAnimatedVisibility (element, rootSvg, debug = false) {
+  function evaluateAnimatedVisibility (element, rootSvg, debug = false, options = {}) {
     // Find all visibility-related animations for this element
     const animations = []
-
-    // Check direct child animations
-    const childAnimations = element.querySelectorAll('set, animate')
-    childAnimations.forEach(anim => {
+    const addAnimation = anim => {
       const attributeName = anim.getAttribute('attributeName')
-      if (['opacity', 'display', 'visibility'].includes(attributeName)) {
-        animations.push(parseVisibilityAnimation(anim))
+      if (!['opacity', 'display', 'visibility'].includes(attributeName)) return
+
+      if (typeof window.isAnimationIncluded === 'function' && !window.isAnimationIncluded(anim, rootSvg, options.eventAnimations)) {
+        if (debug) {
+          console.log(`Ignoring ${attributeName} animation that starts on user interaction`)
+        }
+        return
       }
-    })
+      animations.push(parseVisibilityAnimation(anim))
+    }
+
+    // Check direct child animations
+    element.querySelectorAll('set, animate').forEach(addAnimation)
 
     // Check animations targeting this element by id
     if (element.id) {
-      const targetedAnimations = rootSvg.querySelectorAll(`set[href="#${element.id}"], animate[href="#${element.id}"]`)
-      targetedAnimations.forEach(anim => {
-        const attributeName = anim.getAttribute('attributeName')
-        if (['opacity', 'display', 'visibility'].includes(attributeName)) {
-          animations.push(parseVisibilityAnimation(anim))
-        }
-      })
+      rootSvg.querySelectorAll(`set[href="#${element.id}"], animate[href="#${element.id}"]`).forEach(addAnimation)
     }
 
     // Filter out null animations (unsupported timing, etc.)
@@ -190,11 +206,12 @@ window.VisibilityChecker = (function () {
    * @param {Element} element - The element to check
    * @param {Element} rootSvg - The root SVG element for parent context
    * @param {boolean} debug - Enable debug logging
+   * @param {Object} options - { eventAnimations } as for shouldIncludeElement
    * @returns {boolean} True if element is visible
    */
-  function isElementVisible (element, rootSvg, debug = false) {
+  function isElementVisible (element, rootSvg, debug = false, options = {}) {
     // Check for animated visibility first
-    const animatedVisibility = evaluateAnimatedVisibility(element, rootSvg, debug)
+    const animatedVisibility = evaluateAnimatedVisibility(element, rootSvg, debug, options)
     if (animatedVisibility.hasAnimations) {
       // If element has visibility animations, use the animated visibility result
       if (debug && !animatedVisibility.isVisible) {
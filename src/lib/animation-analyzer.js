@@ -4,7 +4,21 @@
  */
 
 const { Matrix2D } = require('./transform-parser')
-const { calculatePathBounds, calculateMotionValuesBounds } = require('./svg-path-parser')
+const { calculatePathBounds, calculateMotionValuesBounds, parseMotionValues, samplePath, clipMotionSamples, interpolatePathData } = require('./svg-path-parser')
+const { parseKeySpline, getEasingOvershoots } = require('./easing')
+
+// Iterations of an accumulate="sum" animation expanded into keyframes; longer
+// runs keep evenly spaced iterations, including the first and last
+const MAX_ACCUMULATED_ITERATIONS = 100
+
+// Value types whose accumulated values grow without bound (rotations and skews wrap around)
+const GROWING_VALUE_TYPES = ['translate', 'scale', 'attribute']
+
+// How animations that only start on user interaction count: 'include' as if
+// they could start at any time, 'only-initial' not at all, so content stays in
+// its state before any interaction, and 'exclude' also leaves out the content
+// they animate
+const EVENT_ANIMATION_POLICIES = ['include', 'exclude', 'only-initial']
 
 /**
  * Parse and normalize transform values into structured objects
@@ -124,19 +138,28 @@ function parseAnimationTiming (element) {
   const fill = element.getAttribute('fill') || 'remove'
   const repeatDur = element.getAttribute('repeatDur')
 
-  // Check if begin is event-based (click, mouseover, etc.) or time-based
-  const isEventBased = begin && !/^-?\d*\.?\d+(s|ms)?$/.test(begin)
+  // Begin lists made only of offsets are time-based; anything else waits for an event
+  const begins = parseOffsetList(begin)
+  const ends = end ? parseOffsetList(end) : null
+  const isEventBased = begins === null
 
   // Check for syncbase timing (elementId.begin or elementId.end)
   const syncbaseMatch = begin && begin.match(/^([a-zA-Z][\w-]*)\.(begin|end)(?:\+(.*))?$/)
   const isSyncbase = !!syncbaseMatch
 
+  // Clock values in milliseconds; a dur that cannot be parsed is indefinite, as in SMIL
+  const milliseconds = value => {
+    const seconds = parseClockValue(value)
+    return seconds === null ? null : seconds * 1000
+  }
+  const duration = dur === 'indefinite' ? null : milliseconds(dur)
+
   return {
-    duration: dur === 'indefinite' ? Infinity : parseFloat(dur.replace(/s$/, '')) * 1000,
+    duration: duration === null ? Infinity : duration,
     repeatCount: repeatCount === 'indefinite' ? Infinity : parseFloat(repeatCount),
-    repeatDur: repeatDur ? parseFloat(repeatDur.replace(/s$/, '')) * 1000 : null,
-    begin: isEventBased || isSyncbase ? 0 : parseFloat(begin.replace(/s$/, '')) * 1000, // Treat event-based and syncbase as if it could start immediately
-    end: end ? parseFloat(end.replace(/s$/, '')) * 1000 : null,
+    repeatDur: !repeatDur ? null : repeatDur.trim() === 'indefinite' ? Infinity : milliseconds(repeatDur),
+    begin: isEventBased || isSyncbase ? 0 : begins[0] * 1000, // Treat event-based and syncbase as if it could start immediately
+    end: ends ? ends[0] * 1000 : null,
     fill, // 'remove' or 'freeze'
     isEventBased, // Track for documentation purposes
     isSyncbase,
@@ -146,6 +169,384 @@ function parseAnimationTiming (element) {
   }
 }
 
+/**
+ * Parse a SMIL clock value such as "2s", "500ms", "1.5min" or "01:30"
+ * @param {string} value - Clock value
+ * @returns {number|null} Seconds, or null if the value cannot be parsed
+ */
+function parseClockValue (value) {
+  const text = (value || '').trim()
+  const clock = /^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/.exec(text)
+  if (clock) {
+    return (parseInt(clock[1] || '0') * 3600) + (parseInt(clock[2]) * 60) + parseFloat(clock[3])
+  }
+
+  const timecount = /^(\d*\.?\d+)(h|min|s|ms)?$/.exec(text)
+  if (!timecount) return null
+  const factors = { h: 3600, min: 60, s: 1, ms: 0.001 }
+  return parseFloat(timecount[1]) * factors[timecount[2] || 's']
+}
+
+/**
+ * Parse a begin or end attribute made of signed offset values only, such as "-1s; 2.5s"
+ * @param {string} value - Attribute value
+ * @returns {number[]|null} Offsets in seconds, or null for events, syncbases, indefinite, ...
+ */
+function parseOffsetList (value) {
+  const offsets = value.split(';').map(item => item.trim()).filter(Boolean).map(item => {
+    const offset = /^([+-])?\s*(.+)$/.exec(item)
+    const seconds = parseClockValue(offset[2])
+    return seconds === null ? null : (offset[1] === '-' ? -seconds : seconds)
+  })
+  return offsets.length === 0 || offsets.includes(null) ? null : offsets.sort((a, b) => a - b)
+}
+
+/**
+ * Number of simple durations an animation runs for
+ * The active duration is the shorter of repeatCount and repeatDur, or one
+ * simple duration without either.
+ * @param {Element} animElement - Animation element
+ * @param {Object} timing - Result of parseAnimationTiming
+ * @returns {number} Iterations, possibly fractional; Infinity for indefinite repeats
+ */
+function countIterations (animElement, timing) {
+  if (!isFinite(timing.duration) || !(timing.duration > 0)) {
+    return 1
+  }
+
+  const repeatCount = animElement.getAttribute('repeatCount')
+  const repeatDur = animElement.getAttribute('repeatDur')
+  const limits = []
+
+  if (repeatCount) {
+    limits.push(repeatCount.trim() === 'indefinite' ? Infinity : parseFloat(repeatCount))
+  }
+  if (repeatDur) {
+    limits.push(repeatDur.trim() === 'indefinite' ? Infinity : parseClockValue(repeatDur) * 1000 / timing.duration)
+  }
+
+  const valid = limits.filter(limit => limit > 0)
+  return valid.length > 0 ? Math.min(...valid) : 1
+}
+
+/**
+ * Intervals in which an animation is active, from its begin, end, min, max and restart attributes
+ * Each begin offset starts an interval that ends at the first end offset after
+ * it, or when its repeats run out. Without a later end offset no interval is
+ * created. min extends a cut-short interval up to the repeat duration (beyond
+ * it the value is only frozen) and max shortens it. A begin inside an active
+ * interval restarts the animation with restart="always", is ignored with
+ * "whenNotActive", and only the first interval is created with "never".
+ * begin and end values that are not offsets (events, syncbases, indefinite)
+ * can happen at any time: such a begin starts one interval at 0 and such an
+ * end never cuts it short.
+ * @param {Element} animElement - Animation element
+ * @param {Object} timing - Result of parseAnimationTiming
+ * @returns {Object[]} [{ begin, duration }] in seconds; duration may be Infinity
+ */
+function getActiveIntervals (animElement, timing) {
+  const hasDuration = isFinite(timing.duration) && timing.duration > 0
+  const repeating = hasDuration ? countIterations(animElement, timing) * timing.duration / 1000 : Infinity
+  const begins = parseOffsetList(animElement.getAttribute('begin') || '0s')
+  const ends = begins && animElement.getAttribute('end') ? parseOffsetList(animElement.getAttribute('end')) : null
+  const restart = animElement.getAttribute('restart') || 'always'
+
+  const min = parseClockValue(animElement.getAttribute('min')) || 0
+  const max = parseClockValue(animElement.getAttribute('max'))
+  const constrain = duration => max !== null && min > max
+    ? duration // SMIL ignores both when min is greater than max
+    : Math.min(Math.max(duration, Math.min(min, repeating)), max > 0 ? max : Infinity)
+
+  const intervals = []
+  for (const begin of begins || [0]) {
+    const previous = intervals[intervals.length - 1]
+    if (previous && restart === 'never') break
+    if (previous && begin < previous.begin + previous.duration) {
+      if (restart !== 'always') continue
+      previous.duration = begin - previous.begin
+    }
+
+    const end = ends ? Math.min(...ends.filter(offset => offset > begin)) : Infinity
+    if (ends && !isFinite(end)) continue
+
+    intervals.push({ begin, duration: constrain(Math.min(repeating, end - begin)) })
+  }
+
+  return intervals
+}
+
+/**
+ * Part of an animation's simple duration that can be seen, in simple durations from its begin
+ * This is the union of the active intervals after document time 0; a negative
+ * begin starts the document part-way into the animation. An interval that
+ * ended before time 0 only shows its value frozen at the end with
+ * fill="freeze". Animations without a simple duration (a set, or an
+ * indefinite dur) span one simple duration.
+ * @param {Element} animElement - Animation element
+ * @param {Object} timing - Result of parseAnimationTiming
+ * @returns {Object|null} { start, end } - end is Infinity for indefinite repeats; null if never seen
+ */
+function getActiveSpan (animElement, timing) {
+  const spans = getActiveIntervals(animElement, timing).map(({ begin, duration }) => {
+    const start = Math.max(0, -begin)
+    if (start < duration) return { start, end: duration }
+    return timing.fill === 'freeze' ? { start: duration, end: duration } : null
+  }).filter(Boolean)
+
+  if (spans.length === 0) return null
+  if (!isFinite(timing.duration) || !(timing.duration > 0)) return { start: 0, end: 1 }
+
+  const simple = timing.duration / 1000
+  return {
+    start: Math.min(...spans.map(span => span.start)) / simple,
+    end: Math.max(...spans.map(span => span.end)) / simple
+  }
+}
+
+/**
+ * Whether an animation is ever seen, i.e. it has an active interval after time 0 or freezes
+ * @param {Element} animElement - Animation element
+ * @returns {boolean}
+ */
+function isEverActive (animElement) {
+  return getActiveSpan(animElement, parseAnimationTiming(animElement)) !== null
+}
+
+/**
+ * Whether an animation only starts on user interaction
+ * Every begin value has to wait for an event (click, mouseover, accessKey(...),
+ * indefinite for beginElement() calls, ...) or for the begin, end or repeat of
+ * another animation that only starts on interaction, possibly through a chain
+ * of such syncbases. Offsets and wallclock values start without interaction,
+ * and syncbases on missing elements or on a cycle never start.
+ * @param {Element} animElement - Animation element
+ * @param {Element} svg - Root SVG element, to resolve syncbase ids
+ * @param {Element[]} chain - Animations whose begin led to this one
+ * @returns {boolean}
+ */
+function isEventTriggered (animElement, svg, chain = []) {
+  const begins = (animElement.getAttribute('begin') || '0s').split(';').map(item => item.trim()).filter(Boolean)
+
+  return begins.length > 0 && begins.every(begin => {
+    if (parseOffsetList(begin) !== null || begin.startsWith('wallclock(')) {
+      return false
+    }
+
+    const syncbase = /^([a-zA-Z_][\w-]*)\.(begin|end|repeat\(\d+\))(\s*[+-].*)?$/.exec(begin)
+    if (!syncbase) {
+      return true
+    }
+
+    const base = svg.querySelector(`[id="${syncbase[1]}"]`)
+    return !base || base === animElement || chain.includes(base) || isEventTriggered(base, svg, [...chain, animElement])
+  })
+}
+
+/**
+ * Whether an animation counts under an event animation policy
+ * @param {Element} animElement - Animation element
+ * @param {Element} svg - Root SVG element
+ * @param {string} eventAnimations - One of EVENT_ANIMATION_POLICIES (default 'include')
+ * @returns {boolean}
+ */
+function isAnimationIncluded (animElement, svg, eventAnimations = 'include') {
+  return eventAnimations === 'include' || !isEventTriggered(animElement, svg)
+}
+
+/**
+ * Whether an element is animated by an animation that only starts on user interaction
+ * Animations are its child animation elements and those targeting its id.
+ * @param {Element} element - Element to check
+ * @param {Element} svg - Root SVG element
+ * @returns {boolean}
+ */
+function hasEventAnimation (element, svg) {
+  const tags = ['animateTransform', 'animate', 'animateMotion', 'set']
+  const own = Array.from(element.children).filter(child => child.matches(tags.join(', ')))
+  const targeted = element.id
+    ? Array.from(svg.querySelectorAll(tags.map(tag => `${tag}[href="#${element.id}"]`).join(', ')))
+    : []
+
+  return [...own, ...targeted].some(anim => isEventTriggered(anim, svg))
+}
+
+/**
+ * Add the value at the end of the simple duration to every numeric field, once per iteration
+ */
+function accumulateValue (value, lastValue, iteration) {
+  const accumulated = { ...value }
+  Object.keys(value).forEach(key => {
+    if (typeof value[key] === 'number' && typeof lastValue[key] === 'number') {
+      accumulated[key] = value[key] + iteration * lastValue[key]
+    }
+  })
+  return accumulated
+}
+
+/**
+ * Whether accumulating a value moves content further with every iteration
+ */
+function isGrowingValue (value) {
+  return GROWING_VALUE_TYPES.includes(value.type) &&
+    Object.keys(value).some(key => typeof value[key] === 'number' && value[key] !== 0)
+}
+
+/**
+ * Keyframes of the iterations an active span covers
+ * Iteration i is recorded in each keyframe's `iteration`, and with
+ * accumulate="sum" adds i times the last keyframe value. Times count simple
+ * durations, so iteration i spans i to i + 1. Repeats without accumulation
+ * only differ from the first one when the span is shorter than one simple
+ * duration; spans of indefinite length keep the first iteration.
+ * @param {Array} keyframes - Keyframes of one simple duration
+ * @param {Object} span - Result of getActiveSpan
+ * @param {boolean} accumulate - Whether the animation has accumulate="sum"
+ * @returns {Array} Keyframes over the covered iterations
+ */
+function expandIterations (keyframes, span, accumulate) {
+  if (keyframes.length === 0 || !isFinite(span.end) || (!accumulate && span.end - span.start >= 1)) {
+    return keyframes
+  }
+
+  const last = Math.max(0, Math.ceil(span.end) - 1)
+  const first = Math.min(Math.floor(span.start), last)
+  const count = last - first + 1
+  const indices = count <= MAX_ACCUMULATED_ITERATIONS
+    ? Array.from({ length: count }, (_, index) => first + index)
+    : Array.from(new Set(Array.from({ length: MAX_ACCUMULATED_ITERATIONS }, (_, index) =>
+      first + Math.round(index * (count - 1) / (MAX_ACCUMULATED_ITERATIONS - 1)))))
+  const lastValue = keyframes[keyframes.length - 1].value
+
+  return indices.flatMap(iteration => keyframes.map(keyframe => ({
+    ...keyframe,
+    iteration,
+    time: iteration + keyframe.time,
+    value: iteration === 0 || !accumulate ? keyframe.value : accumulateValue(keyframe.value, lastValue, iteration)
+  })))
+}
+
+/**
+ * Linear interpolation of two values with the same numeric fields, or of two
+ * compatible paths, or null if they cannot be interpolated
+ */
+function interpolateValue (from, to, fraction) {
+  if (from.type !== to.type) return null
+  if (from.type === 'pathData') {
+    const pathData = interpolatePathData(from.pathData, to.pathData, fraction)
+    return pathData === null ? null : { ...from, pathData, bounds: calculatePathBounds(pathData) }
+  }
+
+  const value = { ...from }
+  for (const key of Object.keys(from)) {
+    if (typeof from[key] === 'number' && typeof to[key] === 'number') {
+      value[key] = from[key] + (to[key] - from[key]) * fraction
+    } else if (from[key] !== to[key]) {
+      return null
+    }
+  }
+  return value
+}
+
+/**
+ * Keyframes reached between two times, with the values at both cut-off times
+ * A value at a cut-off inside a segment is interpolated for linear and paced
+ * calcModes and held for discrete ones (and for values that cannot be
+ * interpolated, such as strings or paths with different commands). Spline
+ * segments reach an unknown part of the segment, so its far keyframe is kept
+ * instead.
+ * @param {Array} keyframes - Keyframes ordered by time
+ * @param {number} start - First time reached
+ * @param {number} end - Last time reached
+ * @returns {Array} Keyframes; values at the cut-offs are marked with `cut: 'start'` or `cut: 'end'`
+ */
+function clipKeyframes (keyframes, start, end) {
+  if (keyframes.length === 0 || (start <= keyframes[0].time && end >= keyframes[keyframes.length - 1].time)) {
+    return keyframes
+  }
+
+  const valueAt = (limit, cut) => {
+    const index = keyframes.findIndex(keyframe => keyframe.time > limit)
+    if (index <= 0 || keyframes.some(keyframe => keyframe.time === limit)) return null
+
+    const from = keyframes[index - 1]
+    const to = keyframes[index]
+    const { keyframe, overshoot, ...cutFrame } = from
+    if (from.calcMode === 'spline') {
+      return { ...cutFrame, time: limit, value: cut === 'end' ? to.value : from.value, cut }
+    }
+
+    const fraction = (limit - from.time) / (to.time - from.time)
+    const value = from.calcMode === 'discrete' ? null : interpolateValue(from.value, to.value, fraction)
+    return { ...cutFrame, time: limit, value: value || from.value, cut }
+  }
+
+  return [
+    valueAt(start, 'start'),
+    ...keyframes.filter(keyframe => keyframe.time >= start && keyframe.time <= end),
+    end > start ? valueAt(end, 'end') : null
+  ].filter(Boolean)
+}
+
+/**
+ * Keyframes an animation reaches while it is active, and whether they grow without bound
+ * Keyframes are numbered in `keyframe` within their simple duration. Discrete
+ * animations without keyTimes show value i of n from time i / n.
+ * @param {Element} animElement - animate or animateTransform element
+ * @param {Object} timing - Result of parseAnimationTiming
+ * @returns {Object} { keyframes, accumulate, unbounded }
+ */
+function parseActiveKeyframes (animElement, timing) {
+  const discrete = animElement.getAttribute('calcMode') === 'discrete' && !animElement.getAttribute('keyTimes')
+  const keyframes = addSplineOvershoots(parseKeyframes(animElement).map((keyframe, index, all) => ({
+    ...keyframe,
+    time: discrete ? index / all.length : keyframe.time,
+    keyframe: index + 1
+  })))
+  const accumulate = animElement.getAttribute('accumulate') === 'sum'
+  const span = getActiveSpan(animElement, timing)
+
+  if (!span || keyframes.length === 0) {
+    return { keyframes: [], accumulate, unbounded: false }
+  }
+
+  return {
+    keyframes: clipKeyframes(expandIterations(keyframes, span, accumulate), span.start, span.end),
+    accumulate,
+    unbounded: accumulate && !isFinite(span.end) && isGrowingValue(keyframes[keyframes.length - 1].value)
+  }
+}
+
+/**
+ * Keyframes with the values that spline segments overshoot to
+ * A keySpline with y values outside [0, 1] carries the value past the
+ * keyframes around its segment. SMIL only allows splines within [0, 1], which
+ * stay between the keyframes, so this only widens the bounds of splines
+ * browsers may reject. Overshoots are marked with `overshoot` and numbered
+ * after the keyframe they pass.
+ * @param {Array} keyframes - Numbered keyframes ordered by time
+ * @returns {Array} Keyframes, still ordered by time
+ */
+function addSplineOvershoots (keyframes) {
+  return keyframes.flatMap((keyframe, index) => {
+    const next = keyframes[index + 1]
+    if (!next || keyframe.calcMode !== 'spline') return [keyframe]
+
+    const overshoots = getEasingOvershoots(parseKeySpline(keyframe.spline))
+      .sort((a, b) => a.at - b.at)
+      .map(({ progress, at }) => {
+        const value = interpolateValue(keyframe.value, next.value, progress)
+        return value && {
+          ...keyframe,
+          time: keyframe.time + (next.time - keyframe.time) * at,
+          keyframe: progress < 0 ? keyframe.keyframe : next.keyframe,
+          value,
+          overshoot: true
+        }
+      })
+    return [keyframe, ...overshoots.filter(Boolean)]
+  })
+}
+
 /**
  * Enhanced keyframes parser with normalized values and calcMode support
  */
@@ -333,12 +734,11 @@ function generateDefaultKeyTimes (numValues, calcMode) {
 function analyzeAnimateTransform (animElement, debug = false) {
   const type = animElement.getAttribute('type') || 'translate'
   const additive = animElement.getAttribute('additive') === 'sum'
-  const accumulate = animElement.getAttribute('accumulate') === 'sum'
-  const keyframes = parseKeyframes(animElement)
   const timing = parseAnimationTiming(animElement)
+  const { keyframes, accumulate, unbounded } = parseActiveKeyframes(animElement, timing)
 
   if (debug) {
-    console.log(`    AnimateTransform: type=${type}, additive=${additive}, ${keyframes.length} keyframes`)
+    console.log(`    AnimateTransform: type=${type}, additive=${additive}, accumulate=${accumulate}, ${keyframes.length} keyframes`)
   }
 
   const transforms = []
@@ -374,6 +774,10 @@ function analyzeAnimateTransform (animElement, debug = false) {
 
     transforms.push({
       time: keyframe.time,
+      iteration: keyframe.iteration || 0,
+      keyframe: keyframe.keyframe,
+      cut: keyframe.cut,
+      overshoot: keyframe.overshoot,
       matrix,
       normalizedValue: value,
       calcMode: keyframe.calcMode
@@ -385,6 +789,7 @@ function analyzeAnimateTransform (animElement, debug = false) {
     transformType: type,
     additive,
     accumulate,
+    unbounded,
     timing,
     transforms
   }
@@ -494,16 +899,19 @@ function analyzeSet (animElement, debug = false) {
 function analyzeAnimate (animElement, debug = false) {
   const attributeName = animElement.getAttribute('attributeName')
   const additive = animElement.getAttribute('additive') === 'sum'
-  const accumulate = animElement.getAttribute('accumulate') === 'sum'
-  const keyframes = parseKeyframes(animElement)
   const timing = parseAnimationTiming(animElement)
+  const { keyframes, accumulate, unbounded } = parseActiveKeyframes(animElement, timing)
 
   if (debug) {
-    console.log(`    Animate: attribute=${attributeName}, ${keyframes.length} keyframes`)
+    console.log(`    Animate: attribute=${attributeName}, accumulate=${accumulate}, ${keyframes.length} keyframes`)
   }
 
   const values = keyframes.map(keyframe => ({
     time: keyframe.time,
+    iteration: keyframe.iteration || 0,
+    keyframe: keyframe.keyframe,
+    cut: keyframe.cut,
+    overshoot: keyframe.overshoot,
     normalizedValue: keyframe.value,
     value: keyframe.value.value, // Extract the parsed numeric/string value
     calcMode: keyframe.calcMode
@@ -514,6 +922,7 @@ function analyzeAnimate (animElement, debug = false) {
     attributeName,
     additive,
     accumulate,
+    unbounded,
     timing,
     values
   }
@@ -521,105 +930,182 @@ function analyzeAnimate (animElement, debug = false) {
 
 /**
  * Analyze animateMotion elements (path-based animation)
+ * The motion path is taken from an <mpath> child, the path attribute or the
+ * values attribute, in that order. keyPoints (with matching keyTimes) limit
+ * the path to the distances between their lowest and highest point. With
+ * rotate="auto" or "auto-reverse" the element turns with the path direction,
+ * so the path is returned as samples the combiner places the element at;
+ * a fixed rotate angle is returned as `angle`. The origin attribute only
+ * allows "default", the element's user space origin, which is what the
+ * motion moves along the path.
  */
 function analyzeAnimateMotion (animElement, svg, debug = false) {
-  const path = animElement.getAttribute('path')
-  const values = animElement.getAttribute('values')
   const timing = parseAnimationTiming(animElement)
-  const rotate = animElement.getAttribute('rotate') || '0'
+  const rotate = (animElement.getAttribute('rotate') || '0').trim()
+  const followsPath = rotate === 'auto' || rotate === 'auto-reverse'
+  const motionPath = getMotionPath(animElement, svg, debug)
+  const range = getKeyPointRange(animElement)
 
   if (debug) {
-    console.log(`    AnimateMotion: path=${path ? 'defined' : 'none'}, values=${values ? 'defined' : 'none'}, rotate=${rotate}`)
+    console.log(`    AnimateMotion: ${motionPath ? motionPath.source : 'no path'}, rotate=${rotate}${range ? `, keyPoints ${range.start}-${range.end}` : ''}`)
   }
 
   let motionBounds = { minX: 0, maxX: 0, minY: 0, maxY: 0 }
+  let samples = []
 
-  if (path) {
-    // Direct path attribute
-    motionBounds = calculatePathBounds(path, debug)
-  } else if (values) {
-    // Values attribute with coordinate pairs
-    motionBounds = calculateMotionValuesBounds(values, debug)
-  } else {
-    // Check for mpath element
-    const mpath = animElement.querySelector('mpath')
-    if (mpath) {
-      const href = mpath.getAttribute('href') || mpath.getAttribute('xlink:href')
-      if (href && href.startsWith('#')) {
-        const referencedPath = svg.querySelector(href)
-        if (referencedPath && referencedPath.tagName.toLowerCase() === 'path') {
-          const pathData = referencedPath.getAttribute('d')
-          if (pathData) {
-            motionBounds = calculatePathBounds(pathData, debug)
-            if (debug) {
-              console.log(`      Using mpath reference: ${href}`)
-            }
-          }
-        }
-      }
+  if (motionPath) {
+    samples = samplePath(motionPath.pathData)
+    if (range) {
+      samples = clipMotionSamples(samples, range.start, range.end)
     }
-  }
 
-  // Handle rotation effects on bounds
-  let rotationExpansion = 0
-  if (rotate === 'auto' || rotate === 'auto-reverse') {
-    // Auto rotation can expand bounds depending on element size
-    // For now, add a conservative buffer
-    rotationExpansion = 0
-  } else if (rotate !== '0') {
-    // Fixed rotation angle
-    const angle = parseFloat(rotate)
-    if (!isNaN(angle)) {
-      rotationExpansion = Math.abs(Math.sin(angle * Math.PI / 180)) * 5 + Math.abs(Math.cos(angle * Math.PI / 180)) * 5
+    if (range && samples.length > 0) {
+      motionBounds = {
+        minX: Math.min(...samples.map(sample => sample.x)),
+        maxX: Math.max(...samples.map(sample => sample.x)),
+        minY: Math.min(...samples.map(sample => sample.y)),
+        maxY: Math.max(...samples.map(sample => sample.y))
+      }
+    } else if (motionPath.source === 'values') {
+      motionBounds = calculateMotionValuesBounds(motionPath.values, debug)
+    } else {
+      motionBounds = calculatePathBounds(motionPath.pathData, debug)
     }
   }
 
-  const expandedBounds = {
-    minX: motionBounds.minX - rotationExpansion,
-    maxX: motionBounds.maxX + rotationExpansion,
-    minY: motionBounds.minY - rotationExpansion,
-    maxY: motionBounds.maxY + rotationExpansion
-  }
-
   if (debug) {
     console.log(`      Motion bounds: (${motionBounds.minX.toFixed(2)}, ${motionBounds.minY.toFixed(2)}) to (${motionBounds.maxX.toFixed(2)}, ${motionBounds.maxY.toFixed(2)})`)
-    console.log(`      With rotation expansion: (${expandedBounds.minX.toFixed(2)}, ${expandedBounds.minY.toFixed(2)}) to (${expandedBounds.maxX.toFixed(2)}, ${expandedBounds.maxY.toFixed(2)})`)
   }
 
   return {
     type: 'animateMotion',
-    path,
-    values,
+    path: motionPath && motionPath.source === 'path' ? motionPath.pathData : null,
+    values: motionPath && motionPath.source === 'values' ? motionPath.values : null,
     rotate,
+    angle: followsPath ? 0 : parseFloat(rotate) || 0,
+    samples: followsPath
+      ? samples.map(sample => ({ x: sample.x, y: sample.y, angle: sample.angle + (rotate === 'auto-reverse' ? 180 : 0) }))
+      : null,
     timing,
-    motionBounds,
-    expandedBounds
+    motionBounds
+  }
+}
+
+/**
+ * The motion path of an animateMotion element
+ * @param {Element} animElement - animateMotion element
+ * @param {Element} svg - Root SVG element, to resolve <mpath> references
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Object|null} { source: 'mpath'|'path'|'values', pathData, values }, or null without a path
+ */
+function getMotionPath (animElement, svg, debug = false) {
+  const mpath = Array.from(animElement.children).find(child => child.tagName.toLowerCase() === 'mpath')
+  if (mpath) {
+    const href = mpath.getAttribute('href') || mpath.getAttribute('xlink:href')
+    const referencedPath = href && href.startsWith('#') ? svg.querySelector(href) : null
+    if (referencedPath && referencedPath.tagName.toLowerCase() === 'path' && referencedPath.getAttribute('d')) {
+      if (debug) {
+        console.log(`      Using mpath reference: ${href}`)
+      }
+      return { source: 'mpath', pathData: referencedPath.getAttribute('d') }
+    }
+  }
+
+  const path = animElement.getAttribute('path')
+  if (path) {
+    return { source: 'path', pathData: path }
   }
+
+  const values = animElement.getAttribute('values')
+  const points = parseMotionValues(values)
+  if (points.length > 0) {
+    // The values are visited along straight lines
+    const pathData = points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ')
+    return { source: 'values', pathData, values }
+  }
+
+  return null
+}
+
+/**
+ * Range of the motion path that keyPoints visit
+ * keyPoints are ignored unless keyTimes lists as many values, as the
+ * animation is in error otherwise.
+ * @param {Element} animElement - animateMotion element
+ * @returns {Object|null} { start, end } fractions of the path length, or null for the whole path
+ */
+function getKeyPointRange (animElement) {
+  const keyPoints = animElement.getAttribute('keyPoints')
+  const keyTimes = animElement.getAttribute('keyTimes')
+  if (!keyPoints || !keyTimes) return null
+
+  const points = keyPoints.split(';').map(point => point.trim()).filter(point => point !== '').map(Number)
+  const times = keyTimes.split(';').map(time => time.trim()).filter(time => time !== '')
+  if (points.length === 0 || points.length !== times.length || points.some(point => !(point >= 0 && point <= 1))) {
+    return null
+  }
+
+  return { start: Math.min(...points), end: Math.max(...points) }
 }
 
 /**
  * Find all animations affecting an element
+ * Animations that are never seen (an end before their begin, or an interval
+ * over before time 0 without fill="freeze") are left out, and so are
+ * animations that only start on user interaction unless
+ * `options.eventAnimations` is 'include' (the default).
+ * @param {Element} element - Animated element
+ * @param {Element} svg - Root SVG element
+ * @param {boolean} debug - Enable debug logging
+ * @param {Object} options - { eventAnimations } one of EVENT_ANIMATION_POLICIES
+ * @returns {Object[]} Analyzed animations
  */
-function findElementAnimations (element, svg, debug = false) {
+function findElementAnimations (element, svg, debug = false, options = {}) {
   const animations = []
+  const addAnimation = anim => {
+    if (!isEverActive(anim)) {
+      if (debug) console.log(`    Skipping ${anim.tagName}: never active`)
+    } else if (!isAnimationIncluded(anim, svg, options.eventAnimations)) {
+      if (debug) console.log(`    Skipping ${anim.tagName}: starts on user interaction`)
+    } else {
+      animations.push(analyzeAnimation(anim, svg, debug))
+    }
+  }
 
   // Find direct child animations
-  const childAnimations = element.querySelectorAll('animateTransform, animate, animateMotion, set')
-  childAnimations.forEach(anim => {
-    animations.push(analyzeAnimation(anim, svg, debug))
-  })
+  element.querySelectorAll('animateTransform, animate, animateMotion, set').forEach(addAnimation)
 
   // Find animations targeting this element by id
   if (element.id) {
-    const targetedAnimations = svg.querySelectorAll(`animateTransform[href="#${element.id}"], animate[href="#${element.id}"], animateMotion[href="#${element.id}"], set[href="#${element.id}"]`)
-    targetedAnimations.forEach(anim => {
-      animations.push(analyzeAnimation(anim, svg, debug))
-    })
+    svg.querySelectorAll(`animateTransform[href="#${element.id}"], animate[href="#${element.id}"], animateMotion[href="#${element.id}"], set[href="#${element.id}"]`).forEach(addAnimation)
   }
 
   return animations
 }
 
+/**
+ * Find animations whose content grows without bound: accumulate="sum" over indefinite repeats
+ * @param {Element} svg - Root SVG element
+ * @param {Object} options - { eventAnimations } as for findElementAnimations
+ * @returns {Element[]} animate and animateTransform elements
+ */
+function findUnboundedAnimations (svg, options = {}) {
+  return Array.from(svg.querySelectorAll('animateTransform, animate')).filter(animElement => {
+    if (!isAnimationIncluded(animElement, svg, options.eventAnimations)) return false
+    const analysis = analyzeAnimation(animElement, svg)
+    return analysis !== null && analysis.unbounded === true
+  })
+}
+
+/**
+ * Describe unbounded animations for warnings and errors
+ * @param {string[]} paths - Selector paths of the animation elements
+ * @returns {string} Description
+ */
+function describeUnboundedAnimations (paths) {
+  return `${paths.join(', ')} accumulate${paths.length === 1 ? 's' : ''} over indefinite repeats, so the content grows without bound`
+}
+
 /**
  * Analyze any animation element
  */
@@ -765,7 +1251,13 @@ function calculateAnimatedBounds (element, baseMatrix, baseBounds, animations, d
 }
 
 module.exports = {
+  EVENT_ANIMATION_POLICIES,
+  isAnimationIncluded,
+  hasEventAnimation,
   findElementAnimations,
+  findUnboundedAnimations,
+  describeUnboundedAnimations,
   calculateAnimatedBounds,
-  analyzeAnimation
+  analyzeAnimation,
+  parseClockValue
 }
@@ -4,11 +4,20 @@
  */
 
 const { Matrix2D } = require('./transform-parser')
+const { expandBoundsByStrokeOutset } = require('./stroke-analyzer')
+const { parseMotionValues, calculatePathMorphBounds } = require('./svg-path-parser')
 
 /**
  * Combine multiple overlapping animations into a single bounds calculation
+ * Pass options.stroke (from BoundsCalculator.getStrokeOutset) to include the
+ * element's stroke, with its caps and joins, in the combined bounds.
+ * Pass an object as options.reasons to have it filled with what produced each
+ * edge of the combined bounds, e.g. { minX: 'animateMotion keyframe 3', ... }.
  */
-function combineOverlappingAnimations (animations, baseBounds, debug = false) {
+function combineOverlappingAnimations (animations, baseBounds, debug = false, options = {}) {
+  const stroke = options.stroke || null
+  const edgeReasons = {}
+
   if (animations.length === 0) {
     return baseBounds
   }
@@ -32,7 +41,7 @@ function combineOverlappingAnimations (animations, baseBounds, debug = false) {
   )
 
   const cssAnimations = animations.filter(anim =>
-    anim.type === 'css-animation' && anim.isCSSAnimation
+    ['css-animation', 'css-state', 'web-animation'].includes(anim.type) && anim.isCSSAnimation
   )
 
   const otherAnimations = animations.filter(anim =>
@@ -53,10 +62,11 @@ function combineOverlappingAnimations (animations, baseBounds, debug = false) {
   )
 
   // Check if we have circle/ellipse animations that need special envelope handling
-  const hasCircleAnimations = nonAdditiveGeometricAnimations.some(anim =>
+  const circleAnimations = nonAdditiveGeometricAnimations.filter(anim =>
     (anim.type === 'animate' || anim.type === 'set') &&
     ['cx', 'cy', 'r', 'rx', 'ry'].includes(anim.attributeName)
   )
+  const hasCircleAnimations = circleAnimations.length > 0
 
   if (hasCircleAnimations) {
     // For circle/ellipse animations, use envelope calculation to handle combinations properly
@@ -116,7 +126,13 @@ function combineOverlappingAnimations (animations, baseBounds, debug = false) {
       console.log(`    Circle envelope bounds: (${envelopeBounds.x}, ${envelopeBounds.y}) ${envelopeBounds.width}x${envelopeBounds.height}`)
     }
 
-    updateGlobalBounds(envelopeBounds)
+    // CSS keyframes of these properties are named after their @keyframes rule, scripted ones after their id
+    const envelopeSource = circleAnimations.every(anim => anim.cssAnimation)
+      ? `CSS animation ${[...new Set(circleAnimations.map(anim => anim.cssAnimation))].join('/')}`
+      : circleAnimations.every(anim => anim.webAnimation)
+        ? `Web animation ${[...new Set(circleAnimations.map(anim => anim.webAnimation))].join('/')}`
+        : 'animate'
+    updateGlobalBounds(envelopeBounds, `${envelopeSource} ${Object.keys(geometricState).filter(attr => geometricState[attr].length > 1).join('/')} envelope`)
 
     // Handle non-circle animations normally
     nonAdditiveGeometricAnimations.forEach(anim => {
@@ -127,7 +143,7 @@ function combineOverlappingAnimations (animations, baseBounds, debug = false) {
         if (debug) {
           console.log(`    Non-circle animation ${anim.type}(${anim.attributeName || anim.transformType || 'motion'}) bounds:`, animBounds)
         }
-        updateGlobalBounds(animBounds)
+        updateGlobalBounds(animBounds, describeAnimationBounds(anim))
       }
     })
   } else {
@@ -137,14 +153,14 @@ function combineOverlappingAnimations (animations, baseBounds, debug = false) {
       if (debug) {
         console.log(`    Geometric animation ${anim.type}(${anim.attributeName || anim.transformType || 'motion'}) bounds:`, animBounds)
       }
-      updateGlobalBounds(animBounds)
+      updateGlobalBounds(animBounds, describeAnimationBounds(anim))
     })
   }
 
   // Handle additive animations by combining their transforms
   if (additiveAnimations.length > 0) {
     const combinedBounds = calculateAdditiveAnimationBounds(additiveAnimations, baseBounds, debug)
-    updateGlobalBounds(combinedBounds)
+    updateGlobalBounds(combinedBounds, index => `additive animateTransform keyframe ${index + 1}`)
   }
 
   // Calculate intermediate geometric bounds
@@ -162,26 +178,49 @@ function combineOverlappingAnimations (animations, baseBounds, debug = false) {
     }
   }
 
+  // The static stroke paints around every geometric state
+  if (stroke) {
+    const staticStrokeBounds = expandBoundsByStrokeOutset(geometricBounds, stroke.unitOutset, stroke.width)
+
+    if (debug) {
+      console.log(`    Static stroke width=${stroke.width}, expanded geometric bounds: (${staticStrokeBounds.x}, ${staticStrokeBounds.y}) ${staticStrokeBounds.width}x${staticStrokeBounds.height}`)
+    }
+
+    const geometricReason = edge => `${edgeReasons[edge] || 'geometry'} with stroke`
+    updateGlobalBounds(staticStrokeBounds, {
+      minX: geometricReason('minX'),
+      minY: geometricReason('minY'),
+      maxX: geometricReason('maxX'),
+      maxY: geometricReason('maxY')
+    })
+  }
+
   // Now apply stroke-width animations to the geometric bounds
   strokeAnimations.forEach(anim => {
     const strokeValue = anim.type === 'set'
       ? parseFloat(anim.to)
       : Math.max(...anim.values.map(v => v.value))
+    const strokeReason = anim.type === 'set'
+      ? 'set stroke-width'
+      : `animate stroke-width keyframe ${anim.values.findIndex(v => v.value === strokeValue) + 1}`
     const halfStroke = strokeValue / 2
 
-    // Apply stroke expansion to the geometric bounds
-    const strokeExpandedBounds = {
-      x: geometricBounds.x - halfStroke,
-      y: geometricBounds.y - halfStroke,
-      width: geometricBounds.width + strokeValue,
-      height: geometricBounds.height + strokeValue
-    }
+    // Apply stroke expansion to the geometric bounds, using the cap and join
+    // analysis of the element's stroke when it is known
+    const strokeExpandedBounds = stroke
+      ? expandBoundsByStrokeOutset(geometricBounds, stroke.unitOutset, strokeValue * (stroke.widthScale || 1))
+      : {
+          x: geometricBounds.x - halfStroke,
+          y: geometricBounds.y - halfStroke,
+          width: geometricBounds.width + strokeValue,
+          height: geometricBounds.height + strokeValue
+        }
 
     if (debug) {
       console.log(`    Stroke animation ${anim.type}(${anim.attributeName}) value=${strokeValue}, expanded geometric bounds: (${strokeExpandedBounds.x}, ${strokeExpandedBounds.y}) ${strokeExpandedBounds.width}x${strokeExpandedBounds.height}`)
     }
 
-    updateGlobalBounds(strokeExpandedBounds)
+    updateGlobalBounds(strokeExpandedBounds, strokeReason)
   })
 
   // Handle CSS animations
@@ -195,11 +234,11 @@ function combineOverlappingAnimations (animations, baseBounds, debug = false) {
       }
 
       if (debug) {
-        console.log(`    CSS animation '${anim.animationName}' bounds expansion: dx=${anim.expansion.x.toFixed(2)}, dy=${anim.expansion.y.toFixed(2)}, dw=${anim.expansion.width.toFixed(2)}, dh=${anim.expansion.height.toFixed(2)}`)
+        console.log(`    ${describeAnimation(anim)} bounds expansion: dx=${anim.expansion.x.toFixed(2)}, dy=${anim.expansion.y.toFixed(2)}, dw=${anim.expansion.width.toFixed(2)}, dh=${anim.expansion.height.toFixed(2)}`)
         console.log(`    CSS animation bounds: (${cssExpandedBounds.x}, ${cssExpandedBounds.y}) ${cssExpandedBounds.width}x${cssExpandedBounds.height}`)
       }
 
-      updateGlobalBounds(cssExpandedBounds)
+      updateGlobalBounds(cssExpandedBounds, describeAnimation(anim))
     }
   })
 
@@ -209,29 +248,41 @@ function combineOverlappingAnimations (animations, baseBounds, debug = false) {
     if (debug) {
       console.log(`    Other animation ${anim.type}(${anim.attributeName || anim.transformType || 'motion'}) bounds:`, animBounds)
     }
-    updateGlobalBounds(animBounds)
+    updateGlobalBounds(animBounds, describeAnimationBounds(anim))
   })
 
-  function updateGlobalBounds (bounds) {
-    if (Array.isArray(bounds)) {
-      bounds.forEach(b => {
-        globalMinX = Math.min(globalMinX, b.x)
-        globalMinY = Math.min(globalMinY, b.y)
-        globalMaxX = Math.max(globalMaxX, b.x + b.width)
-        globalMaxY = Math.max(globalMaxY, b.y + b.height)
-      })
-    } else {
-      globalMinX = Math.min(globalMinX, bounds.x)
-      globalMinY = Math.min(globalMinY, bounds.y)
-      globalMaxX = Math.max(globalMaxX, bounds.x + bounds.width)
-      globalMaxY = Math.max(globalMaxY, bounds.y + bounds.height)
-    }
+  /**
+   * Add bounds (or an array of keyframe bounds) to the combined bounds
+   * @param {Object|Object[]} bounds - Bounds to add
+   * @param {string|Object|Function} reason - Reason string, per-edge reasons, or (index) => reason for arrays
+   */
+  function updateGlobalBounds (bounds, reason) {
+    const list = Array.isArray(bounds) ? bounds : [bounds]
+
+    list.forEach((b, index) => {
+      const entryReason = typeof reason === 'function' ? reason(index) : reason
+      const edgeReason = edge => typeof entryReason === 'object' && entryReason !== null ? entryReason[edge] : entryReason
+
+      if (b.x < globalMinX) edgeReasons.minX = edgeReason('minX')
+      if (b.y < globalMinY) edgeReasons.minY = edgeReason('minY')
+      if (b.x + b.width > globalMaxX) edgeReasons.maxX = edgeReason('maxX')
+      if (b.y + b.height > globalMaxY) edgeReasons.maxY = edgeReason('maxY')
+
+      globalMinX = Math.min(globalMinX, b.x)
+      globalMinY = Math.min(globalMinY, b.y)
+      globalMaxX = Math.max(globalMaxX, b.x + b.width)
+      globalMaxY = Math.max(globalMaxY, b.y + b.height)
+    })
   }
 
   if (globalMinX === Infinity) {
     return baseBounds
   }
 
+  if (options.reasons) {
+    Object.assign(options.reasons, edgeReasons)
+  }
+
   return {
     x: globalMinX,
     y: globalMinY,
@@ -240,6 +291,95 @@ function combineOverlappingAnimations (animations, baseBounds, debug = false) {
   }
 }
 
+/**
+ * Short label for an animation, e.g. "animateTransform rotate" or "animate x"
+ * @param {Object} anim - Analyzed animation
+ * @returns {string} Label
+ */
+function describeAnimation (anim) {
+  switch (anim.type) {
+    case 'animateTransform':
+      return `animateTransform ${anim.transformType || 'translate'}`
+    case 'animate':
+    case 'set':
+      if (anim.cssAnimation) return `CSS animation ${anim.cssAnimation} ${anim.attributeName}`
+      if (anim.webAnimation) return `Web animation ${anim.webAnimation} ${anim.attributeName}`
+      return `${anim.type} ${anim.attributeName}`
+    case 'css-animation':
+      return `CSS animation ${anim.animationName}`
+    case 'web-animation':
+      return `Web animation ${anim.animationName}`
+    case 'css-state':
+      return `CSS ${anim.state} state`
+    default:
+      return anim.type
+  }
+}
+
+/**
+ * Bounds swept by each animation on its own, for overlays
+ * @param {Object[]} animations - Analyzed animations of one element
+ * @param {Object} baseBounds - Element bounds in its own user space
+ * @param {Object} options - {stroke} as for combineOverlappingAnimations
+ * @returns {Object[]} [{ animation, bounds }] in the element's user space
+ */
+function calculateAnimationEnvelopes (animations, baseBounds, options = {}) {
+  return animations.map(anim => ({
+    animation: describeAnimation(anim),
+    bounds: combineOverlappingAnimations([anim], baseBounds, false, { stroke: options.stroke || null })
+  }))
+}
+
+/**
+ * Describe the bounds returned by calculateSingleAnimationBounds for an animation
+ * @param {Object} anim - Analyzed animation
+ * @returns {string|Object|Function} Reason, per-edge reasons, or (index) => reason for keyframe arrays
+ */
+function describeAnimationBounds (anim) {
+  if (anim.type === 'animateTransform' || anim.type === 'animate') {
+    // Keyframes may repeat once per iteration, and be cut off where the animation stops being active
+    const frames = anim.transforms || anim.values || []
+    const morphs = anim.type === 'animate' ? getPathMorphs(anim) : []
+    const positionOf = frame => frame.cut
+      ? `the ${frame.cut} of its active duration`
+      : frame.percentage !== undefined ? `${frame.percentage}%` : `keyframe ${frame.keyframe || frames.indexOf(frame) + 1}`
+    return index => {
+      // Path morphs follow the keyframes, see calculateSingleAnimationBounds
+      const morph = morphs[index - frames.length]
+      const frame = morph ? morph.from : frames[index] || {}
+      const position = morph
+        ? `between ${positionOf(morph.from)} and ${positionOf(morph.to)}`
+        : frame.overshoot ? `overshooting ${positionOf(frame)}` : frame.cut || frame.percentage !== undefined ? `at ${positionOf(frame)}` : positionOf(frame)
+      return frame.iteration
+        ? `${describeAnimation(anim)} ${position} of repeat ${frame.iteration + 1}`
+        : `${describeAnimation(anim)} ${position}`
+    }
+  } else if (anim.type === 'set') {
+    return describeAnimation(anim)
+  } else if (anim.type === 'animateMotion') {
+    if (!anim.values) {
+      return anim.path ? 'animateMotion path' : 'animateMotion mpath'
+    }
+
+    // Each edge of the motion bounds is reached at one of the values
+    const points = parseMotionValues(anim.values)
+    const keyframeOf = (axis, pick) => {
+      const coordinates = points.map(point => point[axis])
+      return `animateMotion keyframe ${coordinates.indexOf(pick(...coordinates)) + 1}`
+    }
+    return points.length === 0
+      ? 'animateMotion'
+      : {
+          minX: keyframeOf('x', Math.min),
+          minY: keyframeOf('y', Math.min),
+          maxX: keyframeOf('x', Math.max),
+          maxY: keyframeOf('y', Math.max)
+        }
+  }
+
+  return anim.type
+}
+
 /**
  * Calculate bounds for a single animation
  */
@@ -249,6 +389,12 @@ function calculateSingleAnimationBounds (anim, baseBounds, debug = false) {
       transform.matrix.transformBounds(baseBounds)
     )
   } else if (anim.type === 'animate') {
+    const morphBounds = getPathMorphs(anim).map(morph => ({
+      x: morph.bounds.minX,
+      y: morph.bounds.minY,
+      width: morph.bounds.maxX - morph.bounds.minX,
+      height: morph.bounds.maxY - morph.bounds.minY
+    }))
     return anim.values.map(valueFrame => {
       if (valueFrame.normalizedValue && valueFrame.normalizedValue.type === 'pathData') {
         const pathBounds = valueFrame.normalizedValue.bounds
@@ -301,15 +447,9 @@ function calculateSingleAnimationBounds (anim, baseBounds, debug = false) {
         }
         return adjustedBounds
       }
-    })
+    }).concat(morphBounds)
   } else if (anim.type === 'animateMotion') {
-    const motionBounds = anim.expandedBounds || anim.motionBounds
-    return {
-      x: baseBounds.x + motionBounds.minX,
-      y: baseBounds.y + motionBounds.minY,
-      width: baseBounds.width + (motionBounds.maxX - motionBounds.minX),
-      height: baseBounds.height + (motionBounds.maxY - motionBounds.minY)
-    }
+    return calculateMotionBounds(anim, baseBounds)
   } else if (anim.type === 'set') {
     // Handle set animations - they set a single value at a specific time
     const adjustedBounds = { ...baseBounds }
@@ -361,6 +501,63 @@ function calculateSingleAnimationBounds (anim, baseBounds, debug = false) {
   return baseBounds
 }
 
+/**
+ * Bounds of an element moving along an animateMotion path
+ * The motion translates the element's user space to each point of the path
+ * and turns it around that point by the rotate angle. With rotate="auto" or
+ * "auto-reverse" the angle follows the path, so the element's box is placed
+ * at every sample of the path; otherwise the turned box sweeps the path bounds.
+ * @param {Object} anim - Analyzed animateMotion
+ * @param {Object} baseBounds - Element bounds in its user space
+ * @returns {Object} Bounds { x, y, width, height }
+ */
+function calculateMotionBounds (anim, baseBounds) {
+  if (anim.samples && anim.samples.length > 0) {
+    const placed = anim.samples.map(sample =>
+      Matrix2D.translate(sample.x, sample.y).multiply(Matrix2D.rotate(sample.angle)).transformBounds(baseBounds))
+    const minX = Math.min(...placed.map(bounds => bounds.x))
+    const minY = Math.min(...placed.map(bounds => bounds.y))
+
+    return {
+      x: minX,
+      y: minY,
+      width: Math.max(...placed.map(bounds => bounds.x + bounds.width)) - minX,
+      height: Math.max(...placed.map(bounds => bounds.y + bounds.height)) - minY
+    }
+  }
+
+  const motionBounds = anim.motionBounds
+  const turned = Matrix2D.rotate(anim.angle || 0).transformBounds(baseBounds)
+  return {
+    x: turned.x + motionBounds.minX,
+    y: turned.y + motionBounds.minY,
+    width: turned.width + (motionBounds.maxX - motionBounds.minX),
+    height: turned.height + (motionBounds.maxY - motionBounds.minY)
+  }
+}
+
+/**
+ * Shapes an animated `d` passes through between consecutive keyframes
+ * Only keyframes of the same repeat with compatible paths interpolate;
+ * discrete animations and incompatible paths jump from one keyframe to the
+ * next, so their keyframes bound them.
+ * @param {Object} anim - Analyzed animate
+ * @returns {Array} [{ from, to, bounds }] with the keyframes around each morph
+ */
+function getPathMorphs (anim) {
+  const isPath = frame => frame.normalizedValue && frame.normalizedValue.type === 'pathData'
+
+  return anim.values.slice(1).map((to, index) => {
+    const from = anim.values[index]
+    if (!isPath(from) || !isPath(to) || from.calcMode === 'discrete' || (from.iteration || 0) !== (to.iteration || 0)) {
+      return null
+    }
+
+    const bounds = calculatePathMorphBounds(from.normalizedValue.pathData, to.normalizedValue.pathData)
+    return bounds && { from, to, bounds }
+  }).filter(Boolean)
+}
+
 /**
  * Calculate bounds for additive animations by combining their transforms
  */
@@ -443,6 +640,9 @@ function findTransformAtTime (transforms, targetTime) {
 
 module.exports = {
   combineOverlappingAnimations,
+  describeAnimation,
+  describeAnimationBounds,
+  calculateAnimationEnvelopes,
   calculateSingleAnimationBounds,
   calculateAdditiveAnimationBounds
 }
@@ -0,0 +1,172 @@
+/**
+ * Bounds Explainer
+ * Records which element, and which part of it, produced each edge of the content bounds
+ *
+ * Reasons are short strings such as "geometry", "animateMotion keyframe 3" or
+ * "feGaussianBlur expansion". Where different edges of one bounds contribution
+ * have different causes (animations, one-sided filter offsets), the reason is
+ * an object with one string per edge: { minX, minY, maxX, maxY }.
+ */
+
+const EXTREME_EDGES = ['minX', 'minY', 'maxX', 'maxY']
+
+/**
+ * Describe an element for reports: its id, or a selector path from the nearest
+ * ancestor with an id (or the root svg), e.g. "#icon > g > rect:nth-of-type(2)"
+ * @param {Element} element - Element to describe
+ * @param {Element} root - Root SVG element
+ * @returns {string} Element path
+ */
+function describeElementPath (element, root) {
+  const parts = []
+  let current = element
+
+  while (current) {
+    const id = current.getAttribute('id')
+    if (id) {
+      parts.unshift(`#${id}`)
+      break
+    }
+
+    const tagName = current.tagName
+    const parent = current.parentElement
+    if (current === root || !parent) {
+      parts.unshift(tagName.toLowerCase() === 'svg' ? 'svg' : tagName)
+      break
+    }
+
+    const siblings = Array.from(parent.children).filter(child => child.tagName === tagName)
+    parts.unshift(siblings.length > 1 ? `${tagName}:nth-of-type(${siblings.indexOf(current) + 1})` : tagName)
+    current = parent
+  }
+
+  return parts.join(' > ')
+}
+
+/**
+ * Map the per-edge reasons of bounds through a transform
+ * A transformed edge comes from the original edges picked by the signs of the
+ * matrix coefficients, so flips and 90 degree rotations swap reasons exactly;
+ * other rotations and skews combine the two contributing reasons.
+ * @param {string|Object} reasons - Reason string or per-edge reasons
+ * @param {Object} matrix - Matrix2D (or any transform without a-d, treated as a positive scale)
+ * @returns {string|Object} Reasons of the transformed bounds
+ */
+function transformEdgeReasons (reasons, matrix) {
+  if (!reasons || typeof reasons === 'string' || !matrix || typeof matrix.a !== 'number') {
+    return reasons
+  }
+
+  // Edges of the original bounds that produce the minimum of x * cx + y * cy
+  const minimumOf = (cx, cy) => {
+    const sources = []
+    if (cx !== 0) sources.push(reasons[cx > 0 ? 'minX' : 'maxX'])
+    if (cy !== 0) sources.push(reasons[cy > 0 ? 'minY' : 'maxY'])
+    return sources
+  }
+  const join = sources => Array.from(new Set(sources.filter(Boolean))).join(' / ')
+
+  return {
+    minX: join(minimumOf(matrix.a, matrix.c)),
+    minY: join(minimumOf(matrix.b, matrix.d)),
+    maxX: join(minimumOf(-matrix.a, -matrix.c)),
+    maxY: join(minimumOf(-matrix.b, -matrix.d))
+  }
+}
+
+/**
+ * Per-edge reasons for bounds expanded by a filter
+ * Edges the filter does not move keep the reason of the unfiltered bounds.
+ * @param {Object} expansion - Filter expansion from the effects analyzer (with `sources`)
+ * @param {string|Object} baseReason - Reason of the bounds before the filter
+ * @returns {Object} Per-edge reasons
+ */
+function describeEffectEdges (expansion, baseReason) {
+  const effect = `${(expansion.sources || ['filter']).join(' + ')} expansion`
+  const moved = {
+    minX: expansion.x > 0,
+    minY: expansion.y > 0,
+    maxX: expansion.width - expansion.x > 0,
+    maxY: expansion.height - expansion.y > 0
+  }
+
+  const reasons = {}
+  EXTREME_EDGES.forEach(edge => {
+    const base = typeof baseReason === 'string' ? baseReason : (baseReason && baseReason[edge])
+    if (!moved[edge]) {
+      reasons[edge] = base || 'geometry'
+    } else {
+      reasons[edge] = base && base !== 'geometry' ? `${effect} of ${base}` : effect
+    }
+  })
+
+  return reasons
+}
+
+/**
+ * Create a tracker for the elements that define the edges of the content bounds
+ * Ties go to the first contributor, except that a descendant replaces its
+ * container (a group's bounds are the union of its children's).
+ * @param {Element} root - Root SVG element, used for element paths
+ * @returns {Object} Tracker with update(bounds, element, reason) and getExtremes()
+ */
+function createExtremesTracker (root) {
+  const edges = {}
+
+  function isBetter (edge, value, element) {
+    const current = edges[edge]
+    if (!current) return true
+
+    const difference = edge.startsWith('min') ? current.value - value : value - current.value
+    const tolerance = 1e-9 * Math.max(1, Math.abs(value))
+    if (difference > tolerance) return true
+
+    return Math.abs(difference) <= tolerance && current.element !== element &&
+      typeof current.element.contains === 'function' && current.element.contains(element)
+  }
+
+  return {
+    /**
+     * Record a bounds contribution
+     * @param {Object} bounds - Bounds {x, y, width, height} in root user space
+     * @param {Element} element - Element the bounds belong to
+     * @param {string|Object} reason - Reason string or per-edge reasons
+     */
+    update (bounds, element, reason) {
+      const values = {
+        minX: bounds.x,
+        minY: bounds.y,
+        maxX: bounds.x + bounds.width,
+        maxY: bounds.y + bounds.height
+      }
+
+      EXTREME_EDGES.forEach(edge => {
+        if (!isFinite(values[edge]) || !isBetter(edge, values[edge], element)) return
+
+        const edgeReason = typeof reason === 'string' ? reason : reason && reason[edge]
+        edges[edge] = { value: values[edge], element, reason: edgeReason || 'geometry' }
+      })
+    },
+
+    /**
+     * @returns {Object} { minX, minY, maxX, maxY } with {value, element, reason} each (null without content)
+     */
+    getExtremes () {
+      const extremes = {}
+      EXTREME_EDGES.forEach(edge => {
+        const entry = edges[edge]
+        extremes[edge] = entry
+          ? { value: entry.value, element: describeElementPath(entry.element, root), reason: entry.reason }
+          : null
+      })
+      return extremes
+    }
+  }
+}
+
+module.exports = {
+  describeElementPath,
+  transformEdgeReasons,
+  describeEffectEdges,
+  createExtremesTracker
+}
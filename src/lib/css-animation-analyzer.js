@@ -5,11 +5,33 @@
 
 /* global CSSRule, getComputedStyle */
 
+const { calculatePathBounds, samplePath, clipMotionSamples, interpolatePathData } = require('./svg-path-parser')
+const { parseEasing, getEasingOvershoots } = require('./easing')
+
+// Individual transform and motion path properties read from keyframes, besides `transform`
+const KEYFRAME_GEOMETRY_PROPERTIES = ['translate', 'rotate', 'scale', 'offsetPath', 'offsetDistance', 'offsetRotate', 'offsetAnchor']
+
+// SVG geometry properties @keyframes can animate, analyzed like <animate> of the same attribute
+const CSS_GEOMETRY_PROPERTIES = ['x', 'y', 'width', 'height', 'cx', 'cy', 'r', 'rx', 'ry', 'd']
+
+// Angle units in degrees
+const ANGLE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 }
+
+// Pseudo-classes of states reached through user interaction
+const INTERACTIVE_PSEUDO_CLASSES = ['hover', 'focus', 'focus-within', 'focus-visible', 'active']
+
+// Largest rotation or skew between interpolated frames of a transition, in degrees
+const MAX_TRANSITION_STEP = 15
+
+// Numbers in CSS values, with their sign and exponent
+const CSS_NUMBER = /-?(?:\d*\.)?\d+(?:e[+-]?\d+)?/gi
+
 class CSSAnimationAnalyzer {
   constructor (document) {
     this.document = document
     this.keyframesCache = new Map()
     this.parseAllKeyframes()
+    this.scriptedAnimations = this.findScriptedAnimations()
   }
 
   /**
@@ -148,6 +170,22 @@ class CSSAnimationAnalyzer {
     return {
       transform: style.transform || style.webkitTransform,
       transformOrigin: style.transformOrigin || style.webkitTransformOrigin,
+      translate: style.translate,
+      rotate: style.rotate,
+      scale: style.scale,
+      offsetPath: style.offsetPath,
+      offsetDistance: style.offsetDistance,
+      offsetRotate: style.offsetRotate,
+      offsetAnchor: style.offsetAnchor,
+      animationTimingFunction: style.animationTimingFunction,
+      x: style.x,
+      y: style.y,
+      cx: style.cx,
+      cy: style.cy,
+      r: style.r,
+      rx: style.rx,
+      ry: style.ry,
+      d: style.d,
       left: style.left,
       top: style.top,
       width: style.width,
@@ -176,12 +214,30 @@ class CSSAnimationAnalyzer {
           case '-webkit-transform-origin':
             styles.transformOrigin = value
             break
+          case 'translate':
+          case 'rotate':
+          case 'scale':
+          case 'x':
+          case 'y':
+          case 'cx':
+          case 'cy':
+          case 'r':
+          case 'rx':
+          case 'ry':
+          case 'd':
           case 'left':
           case 'top':
           case 'width':
           case 'height':
             styles[property] = value
             break
+          case 'offset-path':
+          case 'offset-distance':
+          case 'offset-rotate':
+          case 'offset-anchor':
+          case 'animation-timing-function':
+            styles[property.replace(/-(\w)/g, (_, letter) => letter.toUpperCase())] = value
+            break
         }
       }
     }
@@ -215,13 +271,495 @@ class CSSAnimationAnalyzer {
 
     const keyframes = this.keyframesCache.get(animationName)
     const expansion = this.calculateAnimationBounds(element, baseBounds, keyframes, animationDirection, debug)
+    const timingFunction = this.getTimingFunction(computedStyle)
 
     return {
       hasAnimations: true,
       animationName,
       keyframes: keyframes.length,
-      expansion
+      expansion,
+      geometry: this.analyzeGeometryKeyframes(element, animationName, keyframes, timingFunction, debug)
+    }
+  }
+
+  /**
+   * Find animations started by scripts with element.animate(), or by libraries built on it
+   * document.getAnimations() lists animations that are running, paused or
+   * filling forwards, so finished ones that do not fill are not found. CSS
+   * animations and transitions are left out; they are analyzed from their rules.
+   * @returns {Animation[]} Animations whose KeyframeEffect targets an element
+   */
+  findScriptedAnimations () {
+    if (typeof this.document.getAnimations !== 'function') return []
+
+    return this.document.getAnimations().filter(animation =>
+      animation.animationName === undefined && animation.transitionProperty === undefined &&
+      animation.effect && typeof animation.effect.getKeyframes === 'function' &&
+      animation.effect.target && !animation.effect.pseudoElement)
+  }
+
+  /**
+   * Analyze the animations scripts started on an element
+   * Keyframes are bounded like @keyframes: each one's easing applies to the
+   * segment it starts, and the effect's easing to the whole iteration, where
+   * an overshoot extends the first or last segment. Transforms compose with
+   * the element's own transform whatever the composite mode; geometry
+   * properties that `add` or `accumulate` are added to the element's attribute.
+   * @param {Element} element - The element to analyze
+   * @param {Object} baseBounds - Element's base bounds
+   * @param {boolean} debug - Enable debug logging
+   * @returns {Object[]} [{ animationName, keyframes, expansion, geometry }] per animation, named by its id
+   */
+  analyzeScriptedAnimations (element, baseBounds, debug = false) {
+    return this.scriptedAnimations.flatMap((animation, index) => {
+      if (animation.effect.target !== element) return []
+
+      const animationName = animation.id || `#${index + 1}`
+      const timing = animation.effect.getTiming()
+      const composite = animation.effect.composite || 'replace'
+      const keyframes = this.extrapolateEffectEasing(this.convertEffectKeyframes(animation.effect.getKeyframes(), composite), timing.easing)
+
+      if (debug) {
+        console.log(`    Web animation: ${animationName}, duration: ${timing.duration}, iterations: ${timing.iterations}, direction: ${timing.direction}, easing: ${timing.easing}, composite: ${composite}`)
+      }
+
+      const geometry = this.analyzeGeometryKeyframes(element, animationName, keyframes, 'linear', debug)
+        .map(({ cssAnimation, ...animate }) => {
+          const underlying = this.parseGeometryValue(element, animate.attributeName, element.getAttribute(animate.attributeName) || '0')
+          const values = animate.values.map(frame => {
+            const adds = ['add', 'accumulate'].includes(keyframes[frame.keyframe - 1].composite)
+            if (!adds || !underlying || frame.normalizedValue.type !== 'attribute') return frame
+
+            const normalizedValue = { ...frame.normalizedValue, value: frame.normalizedValue.value + underlying.value }
+            return { ...frame, normalizedValue, value: normalizedValue.value }
+          })
+          return { ...animate, webAnimation: animationName, values }
+        })
+
+      return [{
+        animationName,
+        keyframes: keyframes.length,
+        expansion: this.calculateAnimationBounds(element, baseBounds, keyframes, timing.direction, debug),
+        geometry
+      }]
+    })
+  }
+
+  /**
+   * Convert the keyframes of a KeyframeEffect to parsed keyframes
+   * @param {Array} effectKeyframes - Result of KeyframeEffect.getKeyframes()
+   * @param {string} composite - The effect's composite mode
+   * @returns {Array} Keyframes { percentage, transform, composite, styles }, with each keyframe's easing as its animationTimingFunction
+   */
+  convertEffectKeyframes (effectKeyframes, composite) {
+    return effectKeyframes.map(keyframe => ({
+      percentage: keyframe.computedOffset * 100,
+      transform: keyframe.transform || 'none',
+      composite: keyframe.composite && keyframe.composite !== 'auto' ? keyframe.composite : composite,
+      styles: { ...this.extractRelevantStyles(keyframe), animationTimingFunction: keyframe.easing || 'linear' }
+    }))
+  }
+
+  /**
+   * Add the keyframes an overshooting effect easing reaches before the first and after the last
+   * @param {Array} keyframes - Keyframes ordered by offset
+   * @param {string} easing - The effect's easing
+   * @returns {Array} Keyframes, with linear segments to the extrapolated ones
+   */
+  extrapolateEffectEasing (keyframes, easing) {
+    const frames = [...keyframes]
+
+    getEasingOvershoots(parseEasing(easing)).forEach(({ progress }) => {
+      const [from, to] = progress < 0 ? keyframes.slice(0, 2) : keyframes.slice(-2)
+      if (!to || to.percentage === from.percentage) return
+
+      const linear = frame => ({ ...frame, styles: { ...frame.styles, animationTimingFunction: 'linear' } })
+      const frame = linear(this.interpolateKeyframe(from, to, (progress * 100 - from.percentage) / (to.percentage - from.percentage)))
+      if (progress < 0) {
+        frames.unshift({ ...frame, composite: from.composite })
+      } else {
+        frames.push({ ...frame, composite: to.composite })
+        // The last keyframe's easing is unused until a segment starts at it
+        frames[frames.length - 2] = linear(to)
+      }
+    })
+
+    return frames
+  }
+
+  /**
+   * Convert keyframes of geometry properties (x, cx, r, width, d, ...) to animations
+   * The result has the shape of analyzed SMIL <animate> elements, so the
+   * animation combiner bounds them the same way. Lengths are user units;
+   * percentages resolve against the nearest viewBox. Values in other units
+   * are skipped.
+   * Easing that overshoots adds the values it reaches past the keyframes.
+   * @param {Element} element - The animated element
+   * @param {string} animationName - Name of the @keyframes rule
+   * @param {Array} keyframes - Parsed keyframes
+   * @param {string} timingFunction - The element's animation-timing-function
+   * @param {boolean} debug - Enable debug logging
+   * @returns {Object[]} [{ type: 'animate', attributeName, cssAnimation, values }] per animated property
+   */
+  analyzeGeometryKeyframes (element, animationName, keyframes, timingFunction, debug = false) {
+    return CSS_GEOMETRY_PROPERTIES.map(property => {
+      const frames = []
+
+      keyframes.forEach((keyframe, index) => {
+        const value = keyframe.styles && keyframe.styles[property]
+        const normalizedValue = value ? this.parseGeometryValue(element, property, value) : null
+        if (normalizedValue) {
+          frames.push({ keyframe: index + 1, percentage: keyframe.percentage, normalizedValue, value: normalizedValue.value })
+        } else if (value && debug) {
+          console.log(`      ${property}: ${value} at ${keyframe.percentage}% is not supported, skipped`)
+        }
+      })
+
+      // A property's segments run between the keyframes that set it, with the easing of the first one
+      const values = frames.flatMap((from, index) => {
+        const to = frames[index + 1]
+        const overshoots = to ? this.findOvershoots([keyframes[from.keyframe - 1], keyframes[to.keyframe - 1]], timingFunction) : []
+        return [from, ...overshoots.map(({ progress }) => {
+          const normalizedValue = this.extrapolateGeometryValue(from.normalizedValue, to.normalizedValue, progress)
+          const passed = progress < 0 ? from : to
+          return normalizedValue && { keyframe: passed.keyframe, percentage: passed.percentage, normalizedValue, value: normalizedValue.value, overshoot: true }
+        }).filter(Boolean)]
+      })
+
+      if (values.length === 0) return null
+
+      if (debug) {
+        console.log(`    CSS animation ${animationName}: ${property} in ${values.length} keyframes`)
+      }
+
+      return { type: 'animate', attributeName: property, cssAnimation: animationName, values }
+    }).filter(Boolean)
+  }
+
+  /**
+   * Parse a geometry property value from a keyframe
+   * @param {Element} element - The animated element
+   * @param {string} property - Property name (x, cx, r, d, ...)
+   * @param {string} value - CSS value
+   * @returns {Object|null} Normalized value as parsed for <animate>, or null when unsupported
+   */
+  parseGeometryValue (element, property, value) {
+    if (property === 'd') {
+      const pathData = this.parsePathFunction(value)
+      return pathData === null
+        ? null
+        : { type: 'pathData', attribute: property, pathData, bounds: calculatePathBounds(pathData) }
+    }
+
+    const length = /^(-?(?:\d*\.)?\d+(?:e-?\d+)?)(px|%)?$/i.exec(value.trim())
+    if (!length) return null
+
+    let number = parseFloat(length[1])
+    if (length[2] === '%') {
+      const viewBox = this.getViewBox(element)
+      const reference = ['x', 'cx', 'width', 'rx'].includes(property)
+        ? viewBox.width
+        : ['y', 'cy', 'height', 'ry'].includes(property) ? viewBox.height : Math.hypot(viewBox.width, viewBox.height) / Math.SQRT2
+      number = number / 100 * reference
+    }
+
+    return { type: 'attribute', attribute: property, value: number }
+  }
+
+  /**
+   * Geometry value at a progress between two keyframe values, past them outside [0, 1]
+   * @param {Object} from - Normalized value at progress 0
+   * @param {Object} to - Normalized value at progress 1
+   * @param {number} progress - Progress between the values
+   * @returns {Object|null} Normalized value, or null for paths that cannot be interpolated
+   */
+  extrapolateGeometryValue (from, to, progress) {
+    if (from.type === 'pathData') {
+      const pathData = interpolatePathData(from.pathData, to.pathData, progress)
+      return pathData === null ? null : { ...from, pathData, bounds: calculatePathBounds(pathData) }
     }
+
+    return { ...from, value: from.value + (to.value - from.value) * progress }
+  }
+
+  /**
+   * The element's easing for its animation
+   * Only the first animation of a list is analyzed, so only its easing is used.
+   * @param {CSSStyleDeclaration} computedStyle - Computed style of the element
+   * @returns {string} CSS easing function
+   */
+  getTimingFunction (computedStyle) {
+    // Commas inside cubic-bezier() and friends do not separate animations
+    return (computedStyle.animationTimingFunction || 'ease').split(/,(?![^(]*\))/)[0].trim()
+  }
+
+  /**
+   * Progress values past the keyframes reached by overshooting easing
+   * Each segment eases with the animation-timing-function of the keyframe
+   * that starts it, or the element's own. Back and elastic cubic-bezier()
+   * curves and linear() with outputs outside [0, 1] overshoot; steps() never do.
+   * @param {Array} keyframes - Keyframes ordered by offset
+   * @param {string} timingFunction - The element's animation-timing-function
+   * @returns {Array} [{ from, to, progress }] per overshoot
+   */
+  findOvershoots (keyframes, timingFunction) {
+    return keyframes.slice(0, -1).flatMap((from, index) => {
+      const easing = parseEasing((from.styles && from.styles.animationTimingFunction) || timingFunction)
+      return getEasingOvershoots(easing).map(({ progress }) => ({ from, to: keyframes[index + 1], progress }))
+    })
+  }
+
+  /**
+   * Keyframe at a progress between two keyframes, past them outside [0, 1]
+   * Transforms, the translate, rotate and scale properties and geometry
+   * properties interpolate number by number when both keyframes use the same
+   * functions and units;
+   * `transform: none` stands for the identity of the other keyframe's
+   * functions. Values that cannot be interpolated keep the first keyframe's.
+   * @param {Object} from - Keyframe at progress 0
+   * @param {Object} to - Keyframe at progress 1
+   * @param {number} progress - Progress between the keyframes
+   * @returns {Object} Keyframe { percentage, transform, styles }
+   */
+  interpolateKeyframe (from, to, progress) {
+    const styles = { ...from.styles }
+    for (const property of ['translate', 'rotate', 'scale', ...CSS_GEOMETRY_PROPERTIES]) {
+      const value = this.interpolateNumbers(from.styles && from.styles[property], to.styles && to.styles[property], progress)
+      if (value) styles[property] = value
+    }
+
+    const canonical = transform => transform === 'none'
+      ? null
+      : this.parseTransform(transform).map(({ name, args }) => `${name}(${args.join(', ')})`).join(' ')
+    const fromTransform = canonical(from.transform) || (to.transform !== 'none' ? this.identityTransform(to.transform) : 'none')
+    const toTransform = canonical(to.transform) || (from.transform !== 'none' ? this.identityTransform(from.transform) : 'none')
+
+    return {
+      percentage: from.percentage + (to.percentage - from.percentage) * progress,
+      transform: this.interpolateNumbers(fromTransform, toTransform, progress) || from.transform,
+      styles
+    }
+  }
+
+  /**
+   * Interpolate the numbers of two CSS values that only differ in their numbers
+   * @param {string} from - Value at progress 0
+   * @param {string} to - Value at progress 1
+   * @param {number} progress - Progress between the values
+   * @returns {string|null} Interpolated value, or null when the values differ otherwise
+   */
+  interpolateNumbers (from, to, progress) {
+    const skeleton = value => value.replace(CSS_NUMBER, '#').replace(/\s+/g, '')
+    if (!from || !to || skeleton(from) !== skeleton(to)) return null
+
+    const targets = to.match(CSS_NUMBER) || []
+    let index = 0
+    return from.replace(CSS_NUMBER, number => {
+      const start = parseFloat(number)
+      return String(start + (parseFloat(targets[index++]) - start) * progress)
+    })
+  }
+
+  /**
+   * The identity transform with the functions of a transform
+   * As when CSS interpolates with `none`, lengths and angles become 0 and scales 1.
+   * @param {string} transform - CSS transform
+   * @returns {string} Identity transform
+   */
+  identityTransform (transform) {
+    const identity = { scale: 1, scaleX: 1, scaleY: 1 }
+    return this.parseTransform(transform).map(({ name, args }) => {
+      const values = args.map((arg, index) => arg.replace(/^-?(\d*\.)?\d+(e-?\d+)?/i, () =>
+        name === 'matrix' ? [1, 0, 0, 1, 0, 0][index] : (identity[name] || 0)))
+      return `${name}(${values.join(', ')})`
+    }).join(' ')
+  }
+
+  /**
+   * Find style rules that set a transform in an interactive state
+   * States are dynamic pseudo-classes (:hover, :focus, :active, ...) and
+   * classes toggled by scripts, such as `is-open`. Each selector in a rule's
+   * list that contains a state yields one entry, whose `baseSelector` has the
+   * state replaced by `:where(*)` and matches the elements the rule applies to
+   * once the state is reached. Rules inside @media and @supports are included.
+   * @param {string[]} stateClasses - Class names that mark interactive states
+   * @returns {Object[]} [{ selector, baseSelector, state, transform }]
+   */
+  findStateRules (stateClasses = []) {
+    const escape = name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const tokens = [
+      ...INTERACTIVE_PSEUDO_CLASSES.map(name => `:${escape(name)}(?![\\w-])`),
+      ...stateClasses.map(name => `\\.${escape(name)}(?![\\w-])`)
+    ]
+    const statePattern = new RegExp(tokens.join('|'), 'g')
+    const stateRules = []
+
+    this.forEachStyleRule(rule => {
+      const transform = rule.style.transform || rule.style.webkitTransform
+      if (!transform) return
+
+      rule.selectorText.split(',').map(selector => selector.trim()).forEach(selector => {
+        const states = selector.match(statePattern)
+        if (!states) return
+
+        stateRules.push({
+          selector,
+          baseSelector: selector.replace(statePattern, ':where(*)'),
+          state: Array.from(new Set(states)).join(''),
+          transform
+        })
+      })
+    })
+
+    return stateRules
+  }
+
+  /**
+   * Call a function with each style rule of the document's stylesheets
+   * Rules inside @media, @supports and other grouping rules are included.
+   * @param {Function} callback - Called with each CSSStyleRule
+   */
+  forEachStyleRule (callback) {
+    const visit = rules => {
+      for (const rule of rules) {
+        if (rule.type === CSSRule.STYLE_RULE || rule.type === 1) {
+          callback(rule)
+        } else if (rule.cssRules) {
+          visit(Array.from(rule.cssRules))
+        }
+      }
+    }
+
+    for (const stylesheet of Array.from(this.document.styleSheets)) {
+      try {
+        visit(Array.from(stylesheet.cssRules || stylesheet.rules || []))
+      } catch (e) {
+        // Skip stylesheets that can't be accessed (CORS issues, etc.)
+        console.warn('Cannot access stylesheet rules:', e.message)
+      }
+    }
+  }
+
+  /**
+   * The transform an element rests at, written with its transform functions
+   * getComputedStyle() serializes transforms as a matrix, which does not
+   * interpolate function by function, so the specified value it comes from is
+   * looked up instead: the inline style, or the last matching style rule whose
+   * transform gives the same matrix.
+   * @param {Element} element - The element
+   * @param {string} computed - Computed transform of the element
+   * @returns {string|null} Transform; 'none' without one; null if no specified value gives the computed one
+   */
+  findRestingTransform (element, computed) {
+    if (!computed || computed === 'none') return 'none'
+
+    const candidates = []
+    this.forEachStyleRule(rule => {
+      const transform = rule.style.transform || rule.style.webkitTransform
+      if (!transform || transform === 'none') return
+      try {
+        if (element.matches(rule.selectorText)) candidates.push(transform)
+      } catch (e) {
+        // Selectors the browser cannot match
+      }
+    })
+    if (element.style && element.style.transform) {
+      candidates.push(element.style.transform)
+    }
+
+    const target = this.transformMatrix(computed)
+    return candidates.reverse().find(candidate => {
+      const matrix = this.transformMatrix(candidate)
+      return matrix.every((value, index) => Math.abs(value - target[index]) < 1e-3)
+    }) || null
+  }
+
+  /**
+   * The matrix of a CSS transform
+   * @param {string} transform - CSS transform
+   * @returns {number[]} [a, b, c, d, e, f]
+   */
+  transformMatrix (transform) {
+    // The last function applies to a point first
+    const functions = this.parseTransform(transform).reverse()
+    const origin = { x: 0, y: 0 }
+    const [o, x, y] = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }]
+      .map(point => this.applyTransforms(point, functions, origin))
+    return [x.x - o.x, x.y - o.y, y.x - o.x, y.y - o.y, o.x, o.y]
+  }
+
+  /**
+   * Analyze the transforms an element reaches in interactive states
+   * With a transition on transform, the frames in between are included as
+   * well: rotations can reach further half-way than at either end.
+   * @param {Element} element - The element to analyze
+   * @param {Object} baseBounds - Element's base bounds
+   * @param {Object[]} stateRules - Result of findStateRules
+   * @param {boolean} debug - Enable debug logging
+   * @returns {Object[]} [{ state, selector, transform, expansion }] per matching rule
+   */
+  analyzeInteractiveStates (element, baseBounds, stateRules, debug = false) {
+    const computedStyle = getComputedStyle(element)
+    const transitions = (computedStyle.transitionProperty || '').split(',').map(property => property.trim())
+    const durations = (computedStyle.transitionDuration || '').split(',').map(duration => parseFloat(duration) || 0)
+    const transitioned = transitions.some((property, index) =>
+      (property === 'transform' || property === 'all') && durations[index % durations.length] > 0)
+    const resting = transitioned ? this.findRestingTransform(element, computedStyle.transform) : null
+
+    return stateRules.filter(rule => {
+      try {
+        return element.matches(rule.baseSelector)
+      } catch (e) {
+        return false
+      }
+    }).map(rule => {
+      const keyframes = resting
+        ? this.interpolateTransition(resting, rule.transform)
+        : [{ percentage: 100, transform: rule.transform }]
+
+      if (debug) {
+        console.log(`    CSS state ${rule.selector}: transform="${rule.transform}", ${keyframes.length} frames`)
+      }
+
+      return {
+        state: rule.state,
+        selector: rule.selector,
+        transform: rule.transform,
+        expansion: this.calculateAnimationBounds(element, baseBounds, keyframes, 'normal', debug)
+      }
+    })
+  }
+
+  /**
+   * Frames of a transition between two transforms
+   * As in CSS, `none` interpolates with identity functions of the same kind:
+   * lengths and angles grow from 0 and scales from 1. Frames are close enough
+   * that rotations and skews advance at most MAX_TRANSITION_STEP degrees.
+   * Transforms whose functions differ interpolate as matrices, which only the
+   * end of the transition is measured for.
+   * @param {string} from - CSS transform at the start of the transition, or 'none'
+   * @param {string} to - CSS transform at the end of the transition
+   * @returns {Array} Keyframes { percentage, transform }
+   */
+  interpolateTransition (from, to) {
+    const canonical = transform => this.parseTransform(transform).map(({ name, args }) => `${name}(${args.join(', ')})`).join(' ')
+    const start = { percentage: 0, transform: from === 'none' ? this.identityTransform(to) : canonical(from) }
+    const end = { percentage: 100, transform: canonical(to) }
+    if (this.interpolateNumbers(start.transform, end.transform, 0) === null) {
+      return [{ percentage: 100, transform: to }]
+    }
+
+    const startFunctions = this.parseTransform(start.transform)
+    const angles = this.parseTransform(end.transform)
+      .flatMap(({ name, args }, index) => /^(rotate|skew)/.test(name)
+        ? args.map((arg, argIndex) => Math.abs((parseFloat(arg) || 0) - (parseFloat(startFunctions[index].args[argIndex]) || 0)))
+        : [])
+    const steps = Math.max(4, Math.ceil(Math.max(0, ...angles) / MAX_TRANSITION_STEP))
+
+    return Array.from({ length: steps }, (_, index) => {
+      const { percentage, transform } = this.interpolateKeyframe(start, end, (index + 1) / steps)
+      return { percentage, transform }
+    })
   }
 
   /**
@@ -311,16 +849,23 @@ class CSSAnimationAnalyzer {
 
     // Process keyframes based on animation direction
     const processedKeyframes = this.processKeyframesByDirection(keyframes, direction)
+    const resting = this.extractRelevantStyles(computedStyle)
 
-    for (const keyframe of processedKeyframes) {
-      if (keyframe.transform && keyframe.transform !== 'none') {
-        const bounds = this.calculateTransformedBounds(
-          baseBounds,
-          keyframe.transform,
-          transformOrigin,
-          debug
-        )
+    // Easing that overshoots carries the element past the keyframes around it
+    const overshoots = this.findOvershoots(keyframes, this.getTimingFunction(computedStyle))
+      .map(({ from, to, progress }) => this.interpolateKeyframe(from, to, progress))
+
+    // Distances along the offset path the keyframes reach; without a 0% or
+    // 100% keyframe the element's own distance is reached as well
+    const offsetDistances = processedKeyframes.map(keyframe => (keyframe.styles && keyframe.styles.offsetDistance) || resting.offsetDistance || '0%')
+    if (!processedKeyframes.some(keyframe => keyframe.percentage === 0) || !processedKeyframes.some(keyframe => keyframe.percentage === 100)) {
+      offsetDistances.push(resting.offsetDistance || '0%')
+    }
 
+    for (const keyframe of [...processedKeyframes, ...overshoots]) {
+      const bounds = this.calculateKeyframeBounds(element, baseBounds, keyframe, resting, transformOrigin, offsetDistances, debug)
+
+      if (bounds) {
         // Update the envelope to include this keyframe's bounds
         envelopeMinX = Math.min(envelopeMinX, bounds.x)
         envelopeMinY = Math.min(envelopeMinY, bounds.y)
@@ -406,33 +951,272 @@ class CSSAnimationAnalyzer {
   }
 
   /**
-   * Calculate bounds after applying transform
-   * @param {Object} baseBounds - Original bounds
-   * @param {string} transform - CSS transform value
+   * Calculate the bounds of an element at a keyframe
+   * Transforms compose in the order of CSS Transforms 2: `transform` first,
+   * then the motion path offset, then the `scale`, `rotate` and `translate`
+   * properties, all around the transform origin. Properties the keyframe does
+   * not set keep the element's own value.
+   * @param {Element} element - The animated element
+   * @param {Object} baseBounds - Element's base bounds
+   * @param {Object} keyframe - Keyframe { transform, styles }
+   * @param {Object} resting - Element's own styles, from extractRelevantStyles
    * @param {Object} transformOrigin - Transform origin point
+   * @param {string[]} offsetDistances - offset-distance values the animation reaches
    * @param {boolean} debug - Enable debug logging
-   * @returns {Object} Transformed bounds
+   * @returns {Object|null} Transformed bounds, or null when the keyframe moves nothing
    */
-  calculateTransformedBounds (baseBounds, transform, transformOrigin, debug = false) {
-    // Parse transform functions
-    const transforms = this.parseTransform(transform)
+  calculateKeyframeBounds (element, baseBounds, keyframe, resting, transformOrigin, offsetDistances, debug = false) {
+    const styles = {}
+    KEYFRAME_GEOMETRY_PROPERTIES.forEach(property => {
+      const value = (keyframe.styles && keyframe.styles[property]) || resting[property]
+      styles[property] = value && value !== 'none' ? value : null
+    })
 
-    // Calculate corners of the original rectangle
-    const corners = [
-      { x: baseBounds.x, y: baseBounds.y },
-      { x: baseBounds.x + baseBounds.width, y: baseBounds.y },
-      { x: baseBounds.x + baseBounds.width, y: baseBounds.y + baseBounds.height },
-      { x: baseBounds.x, y: baseBounds.y + baseBounds.height }
-    ]
+    const hasTransform = keyframe.transform && keyframe.transform !== 'none'
+    if (!hasTransform && !styles.translate && !styles.rotate && !styles.scale && !styles.offsetPath) {
+      return null
+    }
 
-    // Apply transforms to each corner
-    const transformedCorners = corners.map(corner => {
-      return this.applyTransforms(corner, transforms, transformOrigin)
+    let points = this.getCorners(baseBounds)
+
+    if (hasTransform) {
+      const transforms = this.parseTransform(keyframe.transform)
+      points = points.map(point => this.applyTransforms(point, transforms, transformOrigin))
+    }
+
+    if (styles.offsetPath) {
+      const swept = this.calculateOffsetPathBounds(element, baseBounds, points, styles, offsetDistances, debug)
+      if (swept) {
+        points = this.getCorners(swept)
+      }
+    }
+
+    const individual = this.parseIndividualTransforms(styles, baseBounds)
+    points = points.map(point => this.applyTransforms(point, individual, transformOrigin))
+
+    return this.getBoundingBox(points)
+  }
+
+  /**
+   * Convert the translate, rotate and scale properties to transform functions
+   * The functions are listed in the order they apply to a point. Rotations
+   * about the x or y axis only flatten the element, so they are left out.
+   * @param {Object} styles - { translate, rotate, scale } CSS values or null
+   * @param {Object} baseBounds - Element bounds, for percentage translations
+   * @returns {Array} Transform functions for applyTransforms
+   */
+  parseIndividualTransforms (styles, baseBounds) {
+    const transforms = []
+
+    if (styles.scale) {
+      const factors = styles.scale.trim().split(/\s+/).map(value =>
+        value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value))
+      transforms.push({ name: 'scale', args: [String(factors[0]), String(factors.length > 1 ? factors[1] : factors[0])] })
+    }
+
+    if (styles.rotate) {
+      const parts = styles.rotate.trim().split(/\s+/)
+      const angle = this.parseAngle(parts[parts.length - 1])
+      if (parts.length === 1 || parts[0] === 'z') {
+        transforms.push({ name: 'rotate', args: [String(angle)] })
+      } else if (parts.length === 4 && parseFloat(parts[0]) === 0 && parseFloat(parts[1]) === 0) {
+        // A rotation vector along the z axis turns clockwise when it points towards the viewer
+        transforms.push({ name: 'rotate', args: [String(parseFloat(parts[2]) < 0 ? -angle : angle)] })
+      }
+    }
+
+    if (styles.translate) {
+      const [x, y = '0'] = styles.translate.trim().split(/\s+/)
+      const length = (value, size) => value.endsWith('%') ? parseFloat(value) / 100 * size : parseFloat(value) || 0
+      transforms.push({ name: 'translate', args: [String(length(x, baseBounds.width)), String(length(y, baseBounds.height))] })
+    }
+
+    return transforms
+  }
+
+  /**
+   * Calculate the bounds swept by an element moving along its offset-path
+   * The element is placed with its offset anchor on the path and turned by
+   * offset-rotate around it. The part of the path between the lowest and
+   * highest offset-distance is bounded, as keyPoints limit animateMotion, with
+   * the element's extent around the anchor added; `auto` and `reverse`
+   * rotations follow the path direction, so the extent is the circle the
+   * element covers turning around the anchor. `path()` and `url()` references
+   * to a <path> are supported; other paths (ray(), basic shapes) are skipped.
+   * @param {Element} element - The animated element
+   * @param {Object} baseBounds - Element's base bounds
+   * @param {Array} points - Element corners after its `transform`
+   * @param {Object} styles - { offsetPath, offsetRotate, offsetAnchor } CSS values
+   * @param {string[]} offsetDistances - offset-distance values the animation reaches
+   * @param {boolean} debug - Enable debug logging
+   * @returns {Object|null} Swept bounds, or null for unsupported paths
+   */
+  calculateOffsetPathBounds (element, baseBounds, points, styles, offsetDistances = [], debug = false) {
+    const pathData = this.resolveOffsetPath(styles.offsetPath)
+    if (!pathData) {
+      if (debug) {
+        console.log(`      offset-path "${styles.offsetPath}" is not supported, skipped`)
+      }
+      return null
+    }
+
+    const path = this.calculateOffsetRangeBounds(pathData, offsetDistances)
+    const anchor = this.resolveOffsetAnchor(element, styles.offsetAnchor, baseBounds)
+    const offsets = points.map(point => ({ x: point.x - anchor.x, y: point.y - anchor.y }))
+    const rotateParts = (styles.offsetRotate || 'auto').trim().split(/\s+/)
+    const followsPath = rotateParts.includes('auto') || rotateParts.includes('reverse')
+
+    let extent
+    if (followsPath) {
+      const radius = Math.max(...offsets.map(offset => Math.hypot(offset.x, offset.y)))
+      extent = { x: -radius, y: -radius, width: 2 * radius, height: 2 * radius }
+    } else {
+      const rotation = { name: 'rotate', args: [String(this.parseAngle(rotateParts[0]))] }
+      extent = this.getBoundingBox(offsets.map(offset => this.applyTransform(offset, rotation)))
+    }
+
+    if (debug) {
+      console.log(`      offset-path bounds: (${path.minX}, ${path.minY}) to (${path.maxX}, ${path.maxY}), anchor (${anchor.x}, ${anchor.y}), rotate ${styles.offsetRotate || 'auto'}`)
+    }
+
+    return {
+      x: path.minX + extent.x,
+      y: path.minY + extent.y,
+      width: path.maxX - path.minX + extent.width,
+      height: path.maxY - path.minY + extent.height
+    }
+  }
+
+  /**
+   * Bounds of the part of a path between offset distances
+   * Percentages are of the path length. Distances outside the path, which
+   * wrap around closed paths, bound the whole path.
+   * @param {string} pathData - SVG path data
+   * @param {string[]} offsetDistances - offset-distance values
+   * @returns {Object} { minX, minY, maxX, maxY }
+   */
+  calculateOffsetRangeBounds (pathData, offsetDistances) {
+    const samples = samplePath(pathData)
+    const total = samples.length > 0 ? samples[samples.length - 1].distance : 0
+    const fractions = offsetDistances.map(value => {
+      const distance = parseFloat(value)
+      if (isNaN(distance)) return null
+      return String(value).trim().endsWith('%') ? distance / 100 : total > 0 ? distance / total : 0
     })
+    if (samples.length === 0 || fractions.length === 0 || fractions.some(fraction => !(fraction >= 0 && fraction <= 1))) {
+      return calculatePathBounds(pathData)
+    }
 
-    // Find bounding box of transformed corners
-    const xs = transformedCorners.map(c => c.x)
-    const ys = transformedCorners.map(c => c.y)
+    const start = Math.min(...fractions)
+    const end = Math.max(...fractions)
+    if (start === 0 && end === 1) {
+      return calculatePathBounds(pathData)
+    }
+
+    const clipped = clipMotionSamples(samples, start, end)
+    return {
+      minX: Math.min(...clipped.map(sample => sample.x)),
+      minY: Math.min(...clipped.map(sample => sample.y)),
+      maxX: Math.max(...clipped.map(sample => sample.x)),
+      maxY: Math.max(...clipped.map(sample => sample.y))
+    }
+  }
+
+  /**
+   * Path data of an offset-path value
+   * @param {string} offsetPath - `path("...")` or `url(#id)` referencing a <path>
+   * @returns {string|null} Path data, or null for other values
+   */
+  resolveOffsetPath (offsetPath) {
+    const inline = this.parsePathFunction(offsetPath)
+    if (inline !== null) {
+      return inline
+    }
+
+    const reference = /^url\(\s*["']?#([^"')]+)["']?\s*\)$/.exec(offsetPath.trim())
+    const target = reference && this.document.getElementById(reference[1])
+    if (target && target.tagName.toLowerCase() === 'path') {
+      return target.getAttribute('d')
+    }
+
+    return null
+  }
+
+  /**
+   * Path data of a CSS path() function
+   * @param {string} value - CSS value such as path("M 0 0 L 10 10")
+   * @returns {string|null} Path data, or null for other values
+   */
+  parsePathFunction (value) {
+    const match = /^path\(\s*(["'])(.*)\1\s*\)$/.exec(value.trim())
+    return match ? match[2] : null
+  }
+
+  /**
+   * The viewBox of the element's nearest <svg>
+   * @param {Element} element - SVG element
+   * @returns {Object} { x, y, width, height }, all 0 without a viewBox
+   */
+  getViewBox (element) {
+    const svg = element.ownerSVGElement
+    const viewBox = svg && svg.viewBox && svg.viewBox.baseVal
+
+    return viewBox
+      ? { x: viewBox.x, y: viewBox.y, width: viewBox.width, height: viewBox.height }
+      : { x: 0, y: 0, width: 0, height: 0 }
+  }
+
+  /**
+   * Point of the element placed on the offset path
+   * With `offset-anchor: auto` this is the transform origin. Positions are
+   * resolved against the transform box: the element's bounds for fill-box,
+   * the nearest viewBox for view-box (the SVG default).
+   * @param {Element} element - The animated element
+   * @param {string} offsetAnchor - CSS offset-anchor value or null
+   * @param {Object} baseBounds - Element's base bounds
+   * @returns {Object} Anchor point { x, y }
+   */
+  resolveOffsetAnchor (element, offsetAnchor, baseBounds) {
+    const computedStyle = getComputedStyle(element)
+    const position = offsetAnchor && offsetAnchor !== 'auto' ? offsetAnchor : (computedStyle.transformOrigin || '0px 0px')
+    const box = (computedStyle.transformBox || 'view-box') === 'view-box' ? this.getViewBox(element) : baseBounds
+
+    return this.parseTransformOrigin(position, box)
+  }
+
+  /**
+   * Parse a CSS angle into degrees
+   * @param {string} value - Angle such as 45deg, 0.5turn or 1rad
+   * @returns {number} Degrees
+   */
+  parseAngle (value) {
+    const match = /^(-?[\d.]+(?:e-?\d+)?)([a-z]*)$/i.exec((value || '').trim())
+    if (!match) return 0
+    return parseFloat(match[1]) * (ANGLE_UNITS[match[2].toLowerCase()] || 1)
+  }
+
+  /**
+   * Corners of a rectangle
+   * @param {Object} bounds - { x, y, width, height }
+   * @returns {Array} Corner points
+   */
+  getCorners (bounds) {
+    return [
+      { x: bounds.x, y: bounds.y },
+      { x: bounds.x + bounds.width, y: bounds.y },
+      { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+      { x: bounds.x, y: bounds.y + bounds.height }
+    ]
+  }
+
+  /**
+   * Bounding box of points
+   * @param {Array} points - Points { x, y }
+   * @returns {Object} Bounds { x, y, width, height }
+   */
+  getBoundingBox (points) {
+    const xs = points.map(point => point.x)
+    const ys = points.map(point => point.y)
 
     return {
       x: Math.min(...xs),
@@ -442,6 +1226,26 @@ class CSSAnimationAnalyzer {
     }
   }
 
+  /**
+   * Calculate bounds after applying transform
+   * @param {Object} baseBounds - Original bounds
+   * @param {string} transform - CSS transform value
+   * @param {Object} transformOrigin - Transform origin point
+   * @param {boolean} debug - Enable debug logging
+   * @returns {Object} Transformed bounds
+   */
+  calculateTransformedBounds (baseBounds, transform, transformOrigin, debug = false) {
+    // Parse transform functions
+    const transforms = this.parseTransform(transform)
+
+    // Apply transforms to each corner and find their bounding box
+    const transformedCorners = this.getCorners(baseBounds).map(corner => {
+      return this.applyTransforms(corner, transforms, transformOrigin)
+    })
+
+    return this.getBoundingBox(transformedCorners)
+  }
+
   /**
    * Parse CSS transform string into transform functions
    * @param {string} transform - CSS transform value
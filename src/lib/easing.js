@@ -0,0 +1,142 @@
+/**
+ * Easing
+ * Parses SMIL keySplines and CSS easing functions and finds the progress they
+ * reach, so values can be bounded where an easing overshoots its keyframes
+ */
+
+// CSS easing keywords as the functions they stand for
+const CSS_EASING_KEYWORDS = {
+  linear: 'linear(0, 1)',
+  ease: 'cubic-bezier(0.25, 0.1, 0.25, 1)',
+  'ease-in': 'cubic-bezier(0.42, 0, 1, 1)',
+  'ease-out': 'cubic-bezier(0, 0, 0.58, 1)',
+  'ease-in-out': 'cubic-bezier(0.42, 0, 0.58, 1)',
+  'step-start': 'steps(1, jump-start)',
+  'step-end': 'steps(1, jump-end)'
+}
+
+/**
+ * Parse a CSS easing function such as "ease-out", "cubic-bezier(.3, -.6, .6, 1.5)", "steps(4)" or "linear(0, 1.2 60%, 1)"
+ * @param {string} value - CSS easing function
+ * @returns {Object|null} { type: 'cubic-bezier', x1, y1, x2, y2 }, { type: 'steps', count } or
+ *   { type: 'linear', points: [{ input, output }] }, or null if not an easing function
+ */
+function parseEasing (value) {
+  const text = String(value || '').trim().toLowerCase()
+  const keyword = CSS_EASING_KEYWORDS[text]
+  if (keyword) return parseEasing(keyword)
+
+  const match = /^([a-z-]+)\((.*)\)$/.exec(text)
+  if (!match) return null
+  const args = match[2].split(',').map(arg => arg.trim())
+
+  switch (match[1]) {
+    case 'cubic-bezier': {
+      const [x1, y1, x2, y2] = args.map(Number)
+      if (args.length !== 4 || [x1, y1, x2, y2].some(isNaN) || x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) return null
+      return { type: 'cubic-bezier', x1, y1, x2, y2 }
+    }
+    case 'steps': {
+      const count = parseInt(args[0])
+      return count > 0 ? { type: 'steps', count } : null
+    }
+    case 'linear':
+      return parseLinearPoints(args)
+    default:
+      return null
+  }
+}
+
+/**
+ * Parse a SMIL keySplines entry, "x1 y1 x2 y2" with commas or spaces
+ * @param {string} value - One entry of the keySplines list
+ * @returns {Object|null} { type: 'cubic-bezier', x1, y1, x2, y2 }, or null if malformed
+ */
+function parseKeySpline (value) {
+  const numbers = String(value || '').trim().split(/[\s,]+/).map(Number)
+  return numbers.length === 4 && !numbers.some(isNaN)
+    ? parseEasing(`cubic-bezier(${numbers.join(', ')})`)
+    : null
+}
+
+/**
+ * Control points of linear(), with inputs spread evenly where they are left out
+ */
+function parseLinearPoints (args) {
+  const points = []
+  for (const arg of args) {
+    const [output, ...inputs] = arg.split(/\s+/)
+    if (isNaN(Number(output))) return null
+    // An output with two inputs holds it between them
+    const positions = inputs.length > 0 ? inputs.map(input => parseFloat(input) / 100) : [null]
+    positions.forEach(input => points.push({ input, output: Number(output) }))
+  }
+  if (points.length < 2) return null
+
+  if (points[0].input === null) points[0].input = 0
+  if (points[points.length - 1].input === null) points[points.length - 1].input = 1
+  points.forEach((point, index) => {
+    if (point.input !== null) return
+    const next = points.findIndex((candidate, later) => later > index && candidate.input !== null)
+    const previous = points[index - 1]
+    point.input = previous.input + (points[next].input - previous.input) / (next - index + 1)
+  })
+
+  return { type: 'linear', points }
+}
+
+/**
+ * Lowest and highest progress an easing function reaches over its input
+ * Cubic Béziers reach past [0, 1] where y1 or y2 lie outside it; linear()
+ * reaches the outputs of its points; steps() stay within [0, 1].
+ * @param {Object} easing - Result of parseEasing or parseKeySpline
+ * @returns {Object} { min, max, minAt, maxAt } with the input progress at each extreme
+ */
+function getProgressRange (easing) {
+  const range = { min: 0, max: 1, minAt: 0, maxAt: 1 }
+  const reach = (progress, at) => {
+    if (progress < range.min) Object.assign(range, { min: progress, minAt: at })
+    if (progress > range.max) Object.assign(range, { max: progress, maxAt: at })
+  }
+
+  if (easing && easing.type === 'cubic-bezier') {
+    const bezier = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t
+    // y'(t) / 3 = at² + bt + c
+    const a = 3 * easing.y1 - 3 * easing.y2 + 1
+    const b = 2 * (easing.y2 - 2 * easing.y1)
+    const c = easing.y1
+    const roots = Math.abs(a) < 1e-12
+      ? (Math.abs(b) < 1e-12 ? [] : [-c / b])
+      : (b * b - 4 * a * c >= 0 ? [1, -1].map(sign => (-b + sign * Math.sqrt(b * b - 4 * a * c)) / (2 * a)) : [])
+
+    roots
+      .filter(t => t > 0 && t < 1)
+      .forEach(t => reach(bezier(t, easing.y1, easing.y2), bezier(t, easing.x1, easing.x2)))
+  } else if (easing && easing.type === 'linear') {
+    easing.points.forEach(point => reach(point.output, point.input))
+  }
+
+  return range
+}
+
+/**
+ * Progress values an easing function reaches outside [0, 1]
+ * @param {Object|null} easing - Result of parseEasing or parseKeySpline
+ * @returns {Array} [{ progress, at }] for the undershoot and the overshoot, if any
+ */
+function getEasingOvershoots (easing) {
+  if (!easing) return []
+
+  const range = getProgressRange(easing)
+  return [
+    range.min < 0 ? { progress: range.min, at: range.minAt } : null,
+    range.max > 1 ? { progress: range.max, at: range.maxAt } : null
+  ].filter(Boolean)
+}
+
+module.exports = {
+  parseEasing,
+  parseKeySpline,
+  getProgressRange,
+  getEasingOvershoots
+}
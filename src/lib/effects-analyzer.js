@@ -71,6 +71,7 @@ function analyzeFilterDefinition (filterElement, debug = false) {
   let offsetX = 0
   let offsetY = 0
   let dilate = 0
+  const sources = [] // Primitives that expand the bounds, for --explain
 
   primitives.forEach(primitive => {
     const tagName = primitive.tagName.toLowerCase()
@@ -78,6 +79,7 @@ function analyzeFilterDefinition (filterElement, debug = false) {
     if (tagName === 'fegaussianblur') {
       const stdDeviation = parseFloat(primitive.getAttribute('stdDeviation') || '0')
       maxBlur = Math.max(maxBlur, stdDeviation * 3) // 3 standard deviations
+      if (stdDeviation > 0) sources.push('feGaussianBlur')
     } else if (tagName === 'fedropshadow') {
       const dx = parseFloat(primitive.getAttribute('dx') || '0')
       const dy = parseFloat(primitive.getAttribute('dy') || '0')
@@ -85,16 +87,19 @@ function analyzeFilterDefinition (filterElement, debug = false) {
       offsetX += dx
       offsetY += dy
       maxBlur = Math.max(maxBlur, stdDev * 3)
+      if (dx !== 0 || dy !== 0 || stdDev > 0) sources.push('feDropShadow')
     } else if (tagName === 'feoffset') {
       const dx = parseFloat(primitive.getAttribute('dx') || '0')
       const dy = parseFloat(primitive.getAttribute('dy') || '0')
       offsetX += dx
       offsetY += dy
+      if (dx !== 0 || dy !== 0) sources.push('feOffset')
     } else if (tagName === 'femorphology') {
       const operator = primitive.getAttribute('operator')
       const radius = parseFloat(primitive.getAttribute('radius') || '0')
       if (operator === 'dilate') {
         dilate = Math.max(dilate, radius)
+        if (radius > 0) sources.push('feMorphology dilate')
       }
     }
   })
@@ -113,7 +118,8 @@ function analyzeFilterDefinition (filterElement, debug = false) {
     y: pixelExpansionY || yExpansion,
     width: pixelExpansionX * 2 || widthExpansion, // Expand on both sides
     height: pixelExpansionY * 2 || heightExpansion,
-    isPixelBased: pixelExpansionX > 0 || pixelExpansionY > 0
+    isPixelBased: pixelExpansionX > 0 || pixelExpansionY > 0,
+    sources: pixelExpansionX > 0 || pixelExpansionY > 0 ? Array.from(new Set(sources)) : ['filter region']
   }
 }
 
@@ -163,7 +169,7 @@ function extractNumericValues (str) {
  * Analyze CSS filter functions (blur, drop-shadow, etc.)
  */
 function analyzeCSSFilters (filterString, debug = false) {
-  const expansion = { x: 0, y: 0, width: 0, height: 0 }
+  const expansion = { x: 0, y: 0, width: 0, height: 0, sources: [] }
 
   // Parse blur() function
   const blurParams = parseCSSFunction(filterString, 'blur')
@@ -174,6 +180,7 @@ function analyzeCSSFilters (filterString, debug = false) {
     expansion.y = Math.max(expansion.y, blurExpansion)
     expansion.width = Math.max(expansion.width, blurExpansion * 2)
     expansion.height = Math.max(expansion.height, blurExpansion * 2)
+    expansion.sources.push('blur()')
 
     if (debug) {
       console.log(`      CSS blur: ${blurRadius}px -> expansion ${blurExpansion}px`)
@@ -221,6 +228,7 @@ function analyzeCSSFilters (filterString, debug = false) {
     expansion.y = Math.max(expansion.y, topExpansion)
     expansion.width = Math.max(expansion.width, leftExpansion + rightExpansion)
     expansion.height = Math.max(expansion.height, topExpansion + bottomExpansion)
+    expansion.sources.push('drop-shadow()')
 
     if (debug) {
       console.log(`      CSS drop-shadow: offset=(${offsetX},${offsetY}), blur=${blurRadius} -> expansion left=${leftExpansion}, right=${rightExpansion}, top=${topExpansion}, bottom=${bottomExpansion}`)
@@ -366,6 +374,8 @@ function analyzeElementEffects (element, rootSvg, debug = false) {
 
 module.exports = {
   analyzeFilterEffects,
+  analyzeFilterDefinition,
+  analyzeCSSFilters,
   analyzeMaskEffects,
   analyzeClipPathEffects,
   applyFilterExpansion,
@@ -0,0 +1,734 @@
+/**
+ * Geometry Engine
+ *
+ * Computes content bounds in pure Node from the SVG markup, without a
+ * headless browser. Element geometry comes from attributes and path data,
+ * and transforms, animations, strokes and filters reuse the same modules the
+ * browser engine runs. Features that need a layout or script engine are
+ * reported by findUnsupportedFeatures so callers can use the browser engine
+ * for those files instead.
+ */
+
+const { DOMParser } = require('linkedom')
+const { Matrix2D, parseTransform, parsePreserveAspectRatio, calculateAspectRatioTransform } = require('./transform-parser')
+const { calculatePathBounds } = require('./svg-path-parser')
+const { findElementAnimations, findUnboundedAnimations, describeUnboundedAnimations, isAnimationIncluded, hasEventAnimation } = require('./animation-analyzer')
+const { combineOverlappingAnimations, calculateAnimationEnvelopes } = require('./animation-combiner')
+const { createExtremesTracker, transformEdgeReasons, describeEffectEdges, describeElementPath } = require('./bounds-explainer')
+const { analyzeFilterDefinition, analyzeCSSFilters } = require('./effects-analyzer')
+const { getPathStrokeFeatures, getPolylineStrokeFeatures, calculateStrokeOutset, expandBoundsByStrokeOutset } = require('./stroke-analyzer')
+const { parseLength, lengthToUserUnits, formatNumber } = require('./svg-units')
+
+// Elements that render nothing themselves and are only drawn through references
+const NON_RENDERED_ELEMENTS = new Set([
+  'defs', 'symbol', 'clippath', 'mask', 'marker', 'pattern', 'lineargradient', 'radialgradient',
+  'filter', 'style', 'script', 'title', 'desc', 'metadata', 'view', 'cursor',
+  'animate', 'animatetransform', 'animatemotion', 'set', 'mpath'
+])
+
+const SHAPE_ELEMENTS = new Set(['rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path', 'image'])
+const CONTAINER_ELEMENTS = new Set(['g', 'a', 'svg'])
+const STROKED_SHAPES = new Set(['rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path'])
+
+// Inherited properties the engine reads; everything else is taken from the element itself
+const INHERITED_PROPERTIES = ['stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'visibility']
+
+// CSS properties that can move content outside its attribute geometry when set from a stylesheet.
+// Stylesheets that hide content (display, visibility, opacity) only make the bounds larger, so they are ignored.
+const STYLESHEET_GEOMETRY_PROPERTIES = [
+  'transform', 'transform-origin', 'transform-box', 'translate', 'rotate', 'scale', 'animation', 'animation-name',
+  'offset-path', 'offset', 'x', 'y', 'cx', 'cy', 'r', 'rx', 'ry', 'd', 'width', 'height',
+  'filter', 'marker', 'marker-start', 'marker-mid', 'marker-end'
+]
+const STYLESHEET_STROKE_PROPERTIES = ['stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'vector-effect']
+
+// Inline style properties the engine cannot evaluate (the rest are read like presentation attributes)
+const UNSUPPORTED_INLINE_PROPERTIES = [
+  'animation', 'animation-name', 'offset-path', 'offset', 'transform-origin', 'transform-box', 'translate', 'rotate', 'scale',
+  'x', 'y', 'cx', 'cy', 'r', 'rx', 'ry', 'd', 'width', 'height'
+]
+
+/**
+ * Parse an element's style attribute into a map of lower-case property names to values
+ */
+function parseStyleAttribute (element) {
+  const declarations = new Map()
+  const style = element.getAttribute('style')
+  if (!style) {
+    return declarations
+  }
+
+  style.split(';').forEach(declaration => {
+    const colon = declaration.indexOf(':')
+    if (colon === -1) return
+    const name = declaration.slice(0, colon).trim().toLowerCase()
+    const value = declaration.slice(colon + 1).replace(/!important\s*$/i, '').trim()
+    if (name && value) {
+      declarations.set(name, value)
+    }
+  })
+
+  return declarations
+}
+
+/**
+ * Read a property from the inline style or, failing that, the presentation attribute
+ */
+function getProperty (element, name) {
+  const inline = parseStyleAttribute(element).get(name)
+  if (inline !== undefined) {
+    return inline
+  }
+
+  const attribute = element.getAttribute(name)
+  return attribute === null ? null : attribute.trim()
+}
+
+function getTagName (element) {
+  return element.tagName.replace(/^.*:/, '').toLowerCase()
+}
+
+function getHref (element) {
+  return element.getAttribute('href') || element.getAttribute('xlink:href')
+}
+
+function parseNumber (value, fallback = 0) {
+  const number = parseFloat(value)
+  return isNaN(number) ? fallback : number
+}
+
+function parsePoints (value) {
+  const numbers = (value || '').trim().split(/[\s,]+/).map(Number).filter(number => !isNaN(number))
+  const points = []
+  for (let i = 0; i + 1 < numbers.length; i += 2) {
+    points.push([numbers[i], numbers[i + 1]])
+  }
+  return points
+}
+
+function boundsOfPoints (points) {
+  if (points.length === 0) {
+    return { x: 0, y: 0, width: 0, height: 0 }
+  }
+
+  const xs = points.map(point => point[0])
+  const ys = points.map(point => point[1])
+  const minX = Math.min(...xs)
+  const minY = Math.min(...ys)
+  return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY }
+}
+
+function unionBounds (a, b) {
+  if (!a) return b
+  if (!b) return a
+
+  const minX = Math.min(a.x, b.x)
+  const minY = Math.min(a.y, b.y)
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(a.x + a.width, b.x + b.width) - minX,
+    height: Math.max(a.y + a.height, b.y + b.height) - minY
+  }
+}
+
+/**
+ * Geometry of a basic shape in its own user space, from its attributes
+ * @param {Element} element - Shape element
+ * @returns {Object} Bounds {x, y, width, height}
+ */
+function getShapeGeometry (element) {
+  const tagName = getTagName(element)
+  const number = name => parseNumber(element.getAttribute(name))
+
+  switch (tagName) {
+    case 'rect':
+    case 'image':
+      return { x: number('x'), y: number('y'), width: number('width'), height: number('height') }
+
+    case 'circle': {
+      const r = number('r')
+      return { x: number('cx') - r, y: number('cy') - r, width: r * 2, height: r * 2 }
+    }
+
+    case 'ellipse': {
+      const rx = number('rx')
+      const ry = number('ry')
+      return { x: number('cx') - rx, y: number('cy') - ry, width: rx * 2, height: ry * 2 }
+    }
+
+    case 'line':
+      return boundsOfPoints([[number('x1'), number('y1')], [number('x2'), number('y2')]])
+
+    case 'polyline':
+    case 'polygon':
+      return boundsOfPoints(parsePoints(element.getAttribute('points')))
+
+    case 'path': {
+      const pathBounds = calculatePathBounds(element.getAttribute('d') || '')
+      return { x: pathBounds.minX, y: pathBounds.minY, width: pathBounds.maxX - pathBounds.minX, height: pathBounds.maxY - pathBounds.minY }
+    }
+
+    default:
+      return { x: 0, y: 0, width: 0, height: 0 }
+  }
+}
+
+/**
+ * Transform that maps a viewBox into a viewport at (x, y) of the given size
+ * Without a usable viewBox or size the content is only offset by (x, y).
+ * @returns {Matrix2D} Transform from viewBox coordinates to the viewport's parent coordinates
+ */
+function getViewBoxTransform (x, y, width, height, viewBoxValue, preserveAspectRatio) {
+  const viewBox = (viewBoxValue || '').trim().split(/[\s,]+/).map(Number)
+
+  if (viewBox.length !== 4 || viewBox.some(isNaN) || !(viewBox[2] > 0) || !(viewBox[3] > 0) || !(width > 0) || !(height > 0)) {
+    return Matrix2D.translate(x, y)
+  }
+
+  const [vbX, vbY, vbWidth, vbHeight] = viewBox
+  const transform = calculateAspectRatioTransform(width, height, vbWidth, vbHeight, parsePreserveAspectRatio(preserveAspectRatio))
+
+  return Matrix2D.translate(x + transform.offsetX - vbX * transform.scaleX, y + transform.offsetY - vbY * transform.scaleY)
+    .multiply(Matrix2D.scale(transform.scaleX, transform.scaleY))
+}
+
+/**
+ * Transform from a nested <svg> element's user space to its parent's user space
+ */
+function getViewportTransform (svgElement) {
+  const number = name => parseNumber(svgElement.getAttribute(name))
+  return getViewBoxTransform(number('x'), number('y'), number('width'), number('height'),
+    svgElement.getAttribute('viewBox'), svgElement.getAttribute('preserveAspectRatio'))
+}
+
+/**
+ * Transform from the referenced content's user space to a <use> element's user space
+ * Symbols with a viewBox are scaled into the use element's width/height.
+ */
+function getUseTransform (useElement, referenced) {
+  const number = name => parseNumber(useElement.getAttribute(name) || referenced.getAttribute(name))
+  const x = parseNumber(useElement.getAttribute('x'))
+  const y = parseNumber(useElement.getAttribute('y'))
+
+  if (getTagName(referenced) !== 'symbol') {
+    return Matrix2D.translate(x, y)
+  }
+
+  return getViewBoxTransform(x, y, number('width'), number('height'),
+    referenced.getAttribute('viewBox'), referenced.getAttribute('preserveAspectRatio'))
+}
+
+/**
+ * Get an element's own transform from its style or transform attribute
+ */
+function getOwnTransform (element) {
+  const transform = getProperty(element, 'transform')
+  return transform && transform !== 'none' ? parseTransform(transform) : Matrix2D.identity()
+}
+
+/**
+ * Check whether an element animates its display, visibility or opacity
+ * Animations that only start on user interaction count under the 'include' event animation policy only.
+ */
+function hasVisibilityAnimation (element, svg, eventAnimations) {
+  const selector = ['set', 'animate'].map(tag => `${tag}[attributeName="display"], ${tag}[attributeName="visibility"], ${tag}[attributeName="opacity"]`).join(', ')
+  const id = element.getAttribute('id')
+  return Array.from(element.children).filter(child => child.matches(selector))
+    .concat(id ? Array.from(svg.querySelectorAll(selector)).filter(anim => getHref(anim) === `#${id}`) : [])
+    .some(anim => isAnimationIncluded(anim, svg, eventAnimations))
+}
+
+/**
+ * Check whether an element and its subtree are hidden
+ * Elements with animated visibility count as visible, as they are shown at some point.
+ * With the 'exclude' event animation policy, elements animated on user interaction count as hidden.
+ */
+function isHidden (element, svg, eventAnimations) {
+  if (eventAnimations === 'exclude' && hasEventAnimation(element, svg)) {
+    return true
+  }
+
+  if (hasVisibilityAnimation(element, svg, eventAnimations)) {
+    return false
+  }
+
+  const opacity = getProperty(element, 'opacity')
+  return getProperty(element, 'display') === 'none' || (opacity !== null && parseFloat(opacity) === 0)
+}
+
+/**
+ * Resolve the inherited properties of an element from its parent's
+ */
+function inheritStyle (element, parentStyle) {
+  const style = { ...parentStyle }
+  INHERITED_PROPERTIES.forEach(name => {
+    const value = getProperty(element, name)
+    if (value !== null && value !== 'inherit') {
+      style[name] = value
+    }
+  })
+  return style
+}
+
+/**
+ * List the features of an SVG the geometry engine cannot evaluate
+ * @param {Element} svg - Root SVG element
+ * @param {Object} options - Analysis options {visualBounds}
+ * @returns {string[]} Descriptions of unsupported features, empty when the engine can handle the SVG
+ */
+function findUnsupportedFeatures (svg, options = {}) {
+  const unsupported = new Set()
+  const elements = [svg, ...svg.querySelectorAll('*')]
+
+  elements.forEach(element => {
+    const tagName = getTagName(element)
+
+    if (tagName === 'text') {
+      unsupported.add('text (needs font metrics)')
+    } else if (tagName === 'foreignobject') {
+      unsupported.add('foreignObject (needs HTML layout)')
+    } else if (tagName === 'script' || Array.from(element.attributes).some(attr => /^on/i.test(attr.name))) {
+      unsupported.add('scripts (content can change at runtime)')
+    } else if (tagName === 'switch' || element.hasAttribute('systemLanguage') ||
+        element.hasAttribute('requiredFeatures') || element.hasAttribute('requiredExtensions')) {
+      unsupported.add('switch and conditional processing attributes')
+    } else if (tagName === 'style') {
+      const css = element.textContent || ''
+      const properties = options.visualBounds ? [...STYLESHEET_GEOMETRY_PROPERTIES, ...STYLESHEET_STROKE_PROPERTIES] : STYLESHEET_GEOMETRY_PROPERTIES
+      if (properties.some(name => new RegExp(`(^|[{;\\s])${name}\\s*:`, 'i').test(css)) || /@(keyframes|import)/i.test(css)) {
+        unsupported.add(options.visualBounds ? 'stylesheets that set geometry, strokes or animations' : 'stylesheets that set geometry or animations')
+      }
+    } else if (tagName === 'use') {
+      const href = getHref(element)
+      if (href && !href.startsWith('#')) {
+        unsupported.add('<use> references to external files')
+      }
+    }
+
+    const style = parseStyleAttribute(element)
+    if (UNSUPPORTED_INLINE_PROPERTIES.some(name => style.has(name))) {
+      unsupported.add('CSS animations and geometry properties in style attributes')
+    }
+
+    if (['marker', 'marker-start', 'marker-mid', 'marker-end'].some(name => getProperty(element, name) && getProperty(element, name) !== 'none')) {
+      unsupported.add('markers')
+    }
+
+    if (options.visualBounds) {
+      const strokeWidth = getProperty(element, 'stroke-width')
+      if (strokeWidth && strokeWidth.endsWith('%')) {
+        unsupported.add('percentage stroke widths')
+      }
+      if (getProperty(element, 'vector-effect') === 'non-scaling-stroke' && !getRootScreenTransform(svg)) {
+        unsupported.add('non-scaling strokes without an absolute root size')
+      }
+    }
+  })
+
+  if (!svg.getAttribute('viewBox') && !getAbsoluteRootSize(svg)) {
+    unsupported.add('root width/height in relative units without a viewBox (needs the rendered size)')
+  }
+
+  return Array.from(unsupported)
+}
+
+/**
+ * Root width/height in user units, when both are absolute lengths
+ */
+function getAbsoluteRootSize (svg) {
+  const width = parseLength(svg.getAttribute('width'))
+  const height = parseLength(svg.getAttribute('height'))
+  if (!width || !height || width.unit === '%' || height.unit === '%') {
+    return null
+  }
+
+  const size = { width: lengthToUserUnits(width), height: lengthToUserUnits(height) }
+  return size.width > 0 && size.height > 0 ? size : null
+}
+
+/**
+ * Transform from root user space to screen pixels, when the root size is known
+ */
+function getRootScreenTransform (svg) {
+  if (!svg.getAttribute('viewBox')) {
+    return Matrix2D.identity()
+  }
+
+  const size = getAbsoluteRootSize(svg)
+  if (!size) {
+    return null
+  }
+
+  return getViewBoxTransform(0, 0, size.width, size.height, svg.getAttribute('viewBox'), svg.getAttribute('preserveAspectRatio'))
+}
+
+/**
+ * Analyze an SVG document in pure Node
+ * @param {string} svgContent - SVG markup
+ * @param {Object} options - {debug, logger, visualBounds, failOnUnbounded, eventAnimations}; logger defaults to console
+ * @returns {Object} { unsupported, bounds } where bounds has the same layout as the browser engine's analysis
+ *   (null when unsupported features were found)
+ */
+function analyzeGeometry (svgContent, options = {}) {
+  const debug = options.debug === true
+  const logger = options.logger || console
+  const visualBounds = options.visualBounds === true
+  const eventAnimations = options.eventAnimations || 'include'
+  const document = new DOMParser().parseFromString(svgContent, 'image/svg+xml')
+  const svg = document.querySelector('svg')
+
+  if (!svg) {
+    throw new Error('No SVG found')
+  }
+
+  const unsupported = findUnsupportedFeatures(svg, { visualBounds })
+  if (unsupported.length > 0) {
+    if (debug) {
+      logger.log(`Geometry engine: unsupported features: ${unsupported.join(', ')}`)
+    }
+    return { unsupported, bounds: null }
+  }
+
+  // Get original viewBox, or derive the implicit one from width/height
+  let originalViewBox = svg.getAttribute('viewBox')
+  const viewBoxSynthesized = !originalViewBox
+  if (viewBoxSynthesized) {
+    const size = getAbsoluteRootSize(svg)
+    originalViewBox = `0 0 ${formatNumber(size.width, 4)} ${formatNumber(size.height, 4)}`
+  }
+
+  const [, , origWidth, origHeight] = originalViewBox.trim().split(/[\s,]+/).map(Number)
+  const screenTransform = getRootScreenTransform(svg)
+
+  // Animations that accumulate over indefinite repeats move content further with every repeat
+  const warnings = []
+  const unbounded = findUnboundedAnimations(svg, { eventAnimations }).map(animation => describeElementPath(animation, svg))
+  if (unbounded.length > 0) {
+    if (options.failOnUnbounded === true) {
+      throw new Error(`Unbounded content: ${describeUnboundedAnimations(unbounded)}`)
+    }
+    warnings.push(`${describeUnboundedAnimations(unbounded)}; the viewBox covers the first repeat only`)
+  }
+
+  if (debug) {
+    logger.log('=== SVG ViewBox Optimization (Geometry Engine) ===')
+    logger.log(`Original viewBox: ${originalViewBox}${viewBoxSynthesized ? ' (derived from width/height)' : ''}`)
+  }
+
+  let globalBounds = null
+  let elementCount = 0
+  let animationCount = 0
+  let effectsCount = 0
+  const elements = []
+  const extremesTracker = createExtremesTracker(svg)
+
+  /**
+   * Stroke info in the layout used by the browser engine's getStrokeOutset
+   */
+  function getStrokeOutset (element, style, geometryBounds, ctm) {
+    const tagName = getTagName(element)
+    if (!visualBounds || !STROKED_SHAPES.has(tagName) || !style.stroke || style.stroke === 'none') {
+      return null
+    }
+
+    let width = parseNumber(style['stroke-width'], 1)
+    if (!(width > 0)) {
+      return null
+    }
+
+    // User units per unit of the stroke-width property
+    let widthScale = 1
+    if (getProperty(element, 'vector-effect') === 'non-scaling-stroke') {
+      const screen = screenTransform.multiply(ctm)
+      const scale = Math.sqrt(Math.abs(screen.a * screen.d - screen.b * screen.c))
+      if (scale > 0) {
+        widthScale = 1 / scale
+        width = width * widthScale
+      }
+    }
+
+    const strokeStyle = {
+      width,
+      widthScale,
+      linecap: style['stroke-linecap'] || 'butt',
+      linejoin: style['stroke-linejoin'] || 'miter',
+      miterlimit: parseNumber(style['stroke-miterlimit'], 4) || 4
+    }
+
+    let features = { joins: [], caps: [] }
+    if (tagName === 'path') {
+      features = getPathStrokeFeatures(element.getAttribute('d') || '')
+    } else if (tagName === 'line') {
+      const number = name => parseNumber(element.getAttribute(name))
+      features = getPolylineStrokeFeatures([[number('x1'), number('y1')], [number('x2'), number('y2')]], false)
+    } else if (tagName === 'polyline' || tagName === 'polygon') {
+      features = getPolylineStrokeFeatures(parsePoints(element.getAttribute('points')), tagName === 'polygon')
+    }
+
+    const unitOutset = calculateStrokeOutset(geometryBounds, { ...strokeStyle, width: 1 }, features)
+    const outset = {
+      left: unitOutset.left * width,
+      top: unitOutset.top * width,
+      right: unitOutset.right * width,
+      bottom: unitOutset.bottom * width
+    }
+
+    return { width, widthScale, style: strokeStyle, outset, unitOutset }
+  }
+
+  /**
+   * Bounds of an element's rendered content in its own user space
+   * (after its own transform is applied by the caller)
+   * @returns {Object|null} Bounds, or null if nothing is rendered
+   */
+  function getContentBounds (element, style, ctm, visited) {
+    const tagName = getTagName(element)
+
+    if (SHAPE_ELEMENTS.has(tagName)) {
+      const geometry = getShapeGeometry(element)
+      const stroke = getStrokeOutset(element, style, geometry, ctm)
+      return stroke ? expandBoundsByStrokeOutset(geometry, stroke.outset) : geometry
+    }
+
+    if (tagName === 'use') {
+      const referenced = resolveUse(element, visited)
+      if (!referenced) return null
+
+      const useMatrix = getUseTransform(element, referenced)
+      const referencedStyle = inheritStyle(referenced, style)
+      const referencedMatrix = getTagName(referenced) === 'symbol' ? useMatrix : useMatrix.multiply(getOwnTransform(referenced))
+      const bounds = getTagName(referenced) === 'symbol'
+        ? getChildrenBounds(referenced, referencedStyle, ctm.multiply(referencedMatrix), new Set([...visited, referenced]))
+        : getContentBounds(referenced, referencedStyle, ctm.multiply(referencedMatrix), new Set([...visited, referenced]))
+
+      return bounds ? referencedMatrix.transformBounds(bounds) : null
+    }
+
+    if (CONTAINER_ELEMENTS.has(tagName)) {
+      if (tagName === 'svg' && element !== svg) {
+        const viewportMatrix = getViewportTransform(element)
+        const bounds = getChildrenBounds(element, style, ctm.multiply(viewportMatrix), visited)
+        return bounds ? viewportMatrix.transformBounds(bounds) : null
+      }
+      return getChildrenBounds(element, style, ctm, visited)
+    }
+
+    return null
+  }
+
+  function getChildrenBounds (container, style, ctm, visited) {
+    let bounds = null
+
+    Array.from(container.children).forEach(child => {
+      if (NON_RENDERED_ELEMENTS.has(getTagName(child)) || isHidden(child, svg, eventAnimations)) return
+
+      const childStyle = inheritStyle(child, style)
+      const childMatrix = getOwnTransform(child)
+      const childBounds = getContentBounds(child, childStyle, ctm.multiply(childMatrix), visited)
+
+      // Hidden shapes paint nothing, but containers can still have visible children
+      const painted = childStyle.visibility !== 'hidden' || !SHAPE_ELEMENTS.has(getTagName(child))
+      if (childBounds && painted) {
+        bounds = unionBounds(bounds, childMatrix.transformBounds(childBounds))
+      }
+    })
+
+    return bounds
+  }
+
+  function resolveUse (useElement, visited) {
+    const href = getHref(useElement)
+    if (!href || !href.startsWith('#')) return null
+
+    const referenced = svg.querySelector(`[id="${href.slice(1).replace(/"/g, '\\"')}"]`)
+    if (!referenced || visited.has(referenced) || referenced === useElement) {
+      if (debug && referenced) {
+        logger.log(`  Skipping circular <use> reference ${href}`)
+      }
+      return null
+    }
+
+    return referenced
+  }
+
+  function updateGlobalBounds (bounds, element, reason) {
+    globalBounds = unionBounds(globalBounds, bounds)
+    extremesTracker.update(bounds, element, reason)
+  }
+
+  function getEffectsReason (expansion, baseReason) {
+    return expansion ? describeEffectEdges(expansion, baseReason) : baseReason
+  }
+
+  function getEffects (element) {
+    const filter = getProperty(element, 'filter')
+    const mask = getProperty(element, 'mask')
+    const clipPath = getProperty(element, 'clip-path')
+    let expansion = null
+
+    if (filter && filter !== 'none') {
+      const urlMatch = filter.match(/url\(\s*["']?#([^)"']+)["']?\s*\)/)
+      if (urlMatch) {
+        const filterElement = svg.querySelector(`[id="${urlMatch[1]}"]`)
+        expansion = filterElement ? analyzeFilterDefinition(filterElement, debug) : null
+      } else {
+        expansion = analyzeCSSFilters(filter, debug)
+      }
+    }
+
+    return {
+      expansion,
+      hasAnyEffects: !!(expansion || (mask && mask !== 'none') || (clipPath && clipPath !== 'none'))
+    }
+  }
+
+  function expandBoundsForEffects (expansion, bounds) {
+    if (!expansion) {
+      return bounds
+    }
+
+    if (expansion.isPixelBased) {
+      return {
+        x: bounds.x - expansion.x,
+        y: bounds.y - expansion.y,
+        width: bounds.width + expansion.width,
+        height: bounds.height + expansion.height
+      }
+    }
+
+    return {
+      x: bounds.x - bounds.width * expansion.x,
+      y: bounds.y - bounds.height * expansion.y,
+      width: bounds.width + bounds.width * expansion.width,
+      height: bounds.height + bounds.height * expansion.height
+    }
+  }
+
+  /**
+   * Add one rendered element (shape, use or container) to the global bounds
+   * @param {Element} element - Element to add
+   * @param {Object} style - Inherited style of the element
+   * @param {Matrix2D} ctm - Transform to root user space, including the element's own transform
+   */
+  function processElement (element, style, ctm) {
+    const tagName = getTagName(element)
+    let geometryBounds
+    let stroke = null
+
+    if (SHAPE_ELEMENTS.has(tagName)) {
+      geometryBounds = getShapeGeometry(element)
+      stroke = getStrokeOutset(element, style, geometryBounds, ctm)
+    } else {
+      geometryBounds = getContentBounds(element, style, ctm, new Set([element]))
+      if (!geometryBounds) return
+    }
+
+    const bounds = stroke ? expandBoundsByStrokeOutset(geometryBounds, stroke.outset) : geometryBounds
+    const animations = findElementAnimations(element, svg, debug, { eventAnimations }).filter(Boolean)
+
+    // Skip elements with zero dimensions unless they have animations
+    if ((bounds.width === 0 || bounds.height === 0) && animations.length === 0) {
+      if (debug) {
+        logger.log(`  Skipping ${tagName} with zero dimensions and no animations`)
+      }
+      return
+    }
+
+    const transformedBounds = ctm.transformBounds(bounds)
+    const hasMotionAnimation = animations.some(anim => anim.type === 'animateMotion')
+
+    // For elements with motion animation, don't include static bounds
+    const staticReason = stroke ? 'geometry with stroke' : 'geometry'
+    if (!hasMotionAnimation) {
+      updateGlobalBounds(transformedBounds, element, staticReason)
+    }
+    elementCount++
+
+    const effects = getEffects(element)
+    if (effects.hasAnyEffects) {
+      effectsCount++
+    }
+
+    if (animations.length > 0) {
+      animationCount += animations.length
+      const reasons = {}
+      const animatedBounds = ctm.transformBounds(combineOverlappingAnimations(animations, geometryBounds, debug, { stroke, reasons }))
+      const animatedReasons = getEffectsReason(effects.expansion, transformEdgeReasons(reasons, ctm))
+      updateGlobalBounds(expandBoundsForEffects(effects.expansion, animatedBounds), element, animatedReasons)
+    } else if (effects.hasAnyEffects) {
+      updateGlobalBounds(expandBoundsForEffects(effects.expansion, transformedBounds), element, getEffectsReason(effects.expansion, staticReason))
+    }
+
+    if (debug) {
+      logger.log(`  ${tagName}: (${transformedBounds.x.toFixed(2)}, ${transformedBounds.y.toFixed(2)}) ${transformedBounds.width.toFixed(2)}x${transformedBounds.height.toFixed(2)}, ${animations.length} animations`)
+    }
+
+    elements.push({
+      type: tagName,
+      path: describeElementPath(element, svg),
+      bounds: transformedBounds,
+      animations,
+      animationEnvelopes: calculateAnimationEnvelopes(animations, geometryBounds, { stroke })
+        .map(envelope => ({ animation: envelope.animation, bounds: ctm.transformBounds(envelope.bounds) })),
+      hasEffects: effects.hasAnyEffects
+    })
+  }
+
+  /**
+   * Walk the rendering tree, adding every visible shape, use and group
+   */
+  function walk (container, style, ctm) {
+    Array.from(container.children).forEach(element => {
+      const tagName = getTagName(element)
+      if (NON_RENDERED_ELEMENTS.has(tagName) || isHidden(element, svg, eventAnimations)) return
+
+      const elementStyle = inheritStyle(element, style)
+      const elementMatrix = ctm.multiply(getOwnTransform(element))
+      const visible = elementStyle.visibility !== 'hidden' || hasVisibilityAnimation(element, svg, eventAnimations)
+
+      if (tagName === 'svg') {
+        // Nested viewports are walked in their own coordinate system
+        walk(element, elementStyle, elementMatrix.multiply(getViewportTransform(element)))
+        return
+      }
+
+      if (visible && (SHAPE_ELEMENTS.has(tagName) || tagName === 'use' || tagName === 'g' || tagName === 'a')) {
+        processElement(element, elementStyle, elementMatrix)
+      }
+
+      if (tagName === 'g' || tagName === 'a') {
+        walk(element, elementStyle, elementMatrix)
+      }
+    })
+  }
+
+  walk(svg, inheritStyle(svg, {}), Matrix2D.identity())
+
+  const finalBounds = globalBounds || { x: 0, y: 0, width: 0, height: 0 }
+
+  return {
+    unsupported,
+    bounds: {
+      originalViewBox,
+      viewBoxSynthesized,
+      origWidth,
+      origHeight,
+      globalMinX: finalBounds.x,
+      globalMinY: finalBounds.y,
+      globalMaxX: finalBounds.x + finalBounds.width,
+      globalMaxY: finalBounds.y + finalBounds.height,
+      elementCount,
+      animationCount,
+      effectsCount,
+      elements,
+      extremes: extremesTracker.getExtremes(),
+      warnings
+    }
+  }
+}
+
+module.exports = {
+  findUnsupportedFeatures,
+  analyzeGeometry
+}
@@ -0,0 +1,215 @@
+const fs = require('fs').promises
+const path = require('path')
+
+/**
+ * Input Resolver
+ *
+ * Expands CLI input arguments (files, directories and glob patterns)
+ * into a de-duplicated list of SVG files for batch processing.
+ */
+
+const GLOB_CHARS = /[*?[\]{}]/
+
+/**
+ * Check if an input argument contains glob syntax
+ * @param {string} input - Input argument
+ * @returns {boolean} True if the input is a glob pattern
+ */
+function isGlobPattern (input) {
+  return GLOB_CHARS.test(input)
+}
+
+/**
+ * Convert a glob pattern into a regular expression
+ * Supports *, **, ?, [...] character classes and {a,b} alternation
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp (pattern) {
+  let regex = ''
+  let inGroup = false
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+
+    switch (char) {
+      case '*':
+        if (pattern[i + 1] === '*') {
+          // "**/" matches zero or more directories, a trailing "**" matches everything
+          if (pattern[i + 2] === '/') {
+            regex += '(?:[^/]*/)*'
+            i += 2
+          } else {
+            regex += '.*'
+            i += 1
+          }
+        } else {
+          regex += '[^/]*'
+        }
+        break
+      case '?':
+        regex += '[^/]'
+        break
+      case '[': {
+        const close = pattern.indexOf(']', i + 1)
+        if (close === -1) {
+          regex += '\\['
+        } else {
+          const body = pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')
+          regex += `[${body}]`
+          i = close
+        }
+        break
+      }
+      case '{':
+        inGroup = true
+        regex += '(?:'
+        break
+      case '}':
+        if (inGroup) {
+          inGroup = false
+          regex += ')'
+        } else {
+          regex += '\\}'
+        }
+        break
+      case ',':
+        regex += inGroup ? '|' : ','
+        break
+      default:
+        regex += char.replace(/[.+^$()|\\]/g, '\\$&')
+    }
+  }
+
+  return new RegExp(`^${regex}$`)
+}
+
+/**
+ * Split a glob pattern into the static directory prefix and the pattern remainder
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {Object} Base directory and relative pattern
+ */
+function splitGlobBase (pattern) {
+  const segments = pattern.split('/')
+  const baseSegments = []
+
+  for (const segment of segments) {
+    if (isGlobPattern(segment)) break
+    baseSegments.push(segment)
+  }
+
+  const rest = segments.slice(baseSegments.length).join('/')
+  let base = baseSegments.join('/')
+  if (base === '' && pattern.startsWith('/')) {
+    base = '/'
+  }
+
+  return { base: base || '.', pattern: rest }
+}
+
+/**
+ * Recursively list all files below a directory
+ * @param {string} dir - Directory to walk
+ * @returns {Promise<string[]>} File paths in a stable, sorted order
+ */
+async function walkDirectory (dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true })
+  entries.sort((a, b) => a.name.localeCompare(b.name))
+
+  const files = []
+  for (const entry of entries) {
+    // Skip dependency and VCS directories, which never contain inputs
+    if (entry.isDirectory() && (entry.name === 'node_modules' || entry.name.startsWith('.'))) {
+      continue
+    }
+
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...await walkDirectory(fullPath))
+    } else if (entry.isFile()) {
+      files.push(fullPath)
+    }
+  }
+
+  return files
+}
+
+/**
+ * Check if a file looks like an SVG input (and not a previous optimizer output)
+ * @param {string} file - File path
+ * @returns {boolean} True if the file should be optimized
+ */
+function isSVGInput (file) {
+  const lower = file.toLowerCase()
+  return lower.endsWith('.svg') && !lower.endsWith('_optimized.svg')
+}
+
+/**
+ * Resolve CLI inputs into a list of SVG files
+ * @param {string[]} inputs - Files, directories or glob patterns
+ * @returns {Promise<Object>} Resolved files and inputs that matched nothing
+ */
+async function resolveInputs (inputs) {
+  const files = []
+  const missing = []
+  const seen = new Set()
+
+  function addFile (file) {
+    const resolved = path.resolve(file)
+    if (!seen.has(resolved)) {
+      seen.add(resolved)
+      files.push(file)
+    }
+  }
+
+  for (const input of inputs) {
+    let stats = null
+    try {
+      stats = await fs.stat(input)
+    } catch (error) {
+      // Not an existing path - may still be a glob pattern
+    }
+
+    if (stats && stats.isFile()) {
+      // Explicit files are always included, whatever their extension
+      addFile(input)
+    } else if (stats && stats.isDirectory()) {
+      const directoryFiles = (await walkDirectory(input)).filter(isSVGInput)
+      if (directoryFiles.length === 0) {
+        missing.push(input)
+      }
+      directoryFiles.forEach(addFile)
+    } else if (isGlobPattern(input)) {
+      const normalized = input.replace(/\\/g, '/')
+      const { base, pattern } = splitGlobBase(normalized)
+      const matcher = globToRegExp(pattern)
+
+      let candidates = []
+      try {
+        candidates = await walkDirectory(base)
+      } catch (error) {
+        // Base directory does not exist - no matches
+      }
+
+      const matches = candidates.filter(file => {
+        const relative = path.relative(base, file).split(path.sep).join('/')
+        return matcher.test(relative) && !file.toLowerCase().endsWith('_optimized.svg')
+      })
+
+      if (matches.length === 0) {
+        missing.push(input)
+      }
+      matches.forEach(addFile)
+    } else {
+      missing.push(input)
+    }
+  }
+
+  return { files, missing }
+}
+
+module.exports = {
+  resolveInputs,
+  globToRegExp,
+  isGlobPattern
+}
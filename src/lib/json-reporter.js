@@ -0,0 +1,107 @@
+const { name, version } = require('../../package.json')
+
+/**
+ * JSON Reporter
+ *
+ * Builds the machine-readable reports printed by the CLI with `--json` and
+ * `--ndjson`. The layout is documented in README.md ("JSON output"). Bump
+ * SCHEMA_VERSION whenever a field is removed, renamed or changes meaning;
+ * adding fields is backwards compatible and keeps the version.
+ */
+
+const SCHEMA_VERSION = 1
+
+/**
+ * Select the documented fields of an optimization result
+ * @param {Object} result - Result from calculateOptimization
+ * @returns {Object} Result fields included in reports
+ */
+function serializeResult (result) {
+  return {
+    original: result.original,
+    optimized: result.optimized,
+    buffer: result.buffer,
+    newViewBox: result.newViewBox,
+    dimensions: result.dimensions,
+    contentBounds: result.contentBounds,
+    savings: result.savings,
+    elements: result.elements,
+    extremes: result.extremes,
+    engine: result.engine,
+    raster: result.raster,
+    timeline: result.timeline,
+    virtualTime: result.virtualTime,
+    verification: result.verification
+  }
+}
+
+/**
+ * Create the report for one input file
+ * @param {Object} entry - { file, output, result, error, duration, warnings }
+ * @returns {Object} File report
+ */
+function createFileReport (entry) {
+  const { file, output = null, result = null, error = null, duration = null, warnings = [] } = entry
+
+  return {
+    type: 'file',
+    file,
+    output,
+    status: error ? 'error' : 'ok',
+    duration,
+    warnings: [...(result && result.warnings ? result.warnings : []), ...warnings],
+    error: error ? { message: error.message } : null,
+    result: result && !error ? serializeResult(result) : null
+  }
+}
+
+/**
+ * Create the summary of a run
+ * @param {Object[]} fileReports - Reports from createFileReport
+ * @param {number} duration - Total run time in milliseconds
+ * @returns {Object} Summary
+ */
+function createSummary (fileReports, duration) {
+  const failed = fileReports.filter(report => report.status === 'error').length
+
+  return {
+    type: 'summary',
+    total: fileReports.length,
+    optimized: fileReports.length - failed,
+    failed,
+    written: fileReports.filter(report => report.output !== null).length,
+    duration
+  }
+}
+
+/**
+ * Create the complete `--json` report
+ * @param {Object[]} fileReports - Reports from createFileReport, in input order
+ * @param {number} duration - Total run time in milliseconds
+ * @returns {Object} Report document
+ */
+function createReport (fileReports, duration) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generator: { name, version },
+    files: fileReports,
+    summary: createSummary(fileReports, duration)
+  }
+}
+
+/**
+ * Format a file report or summary as one `--ndjson` line
+ * @param {Object} record - File report or summary
+ * @returns {string} Single-line JSON with the schema version
+ */
+function formatNDJSONLine (record) {
+  return JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...record })
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  createFileReport,
+  createSummary,
+  createReport,
+  formatNDJSONLine
+}
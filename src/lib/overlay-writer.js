@@ -0,0 +1,111 @@
+/**
+ * Overlay Writer
+ *
+ * Draws the boxes behind an optimization result on top of a copy of the SVG:
+ * the original viewBox, the content bounds, the optimized viewBox, one outline
+ * per analyzed element and one dashed outline per animation envelope. All
+ * boxes are in root user space, so they go into a single group appended to
+ * the root element. Strokes do not scale, so thin outlines stay readable at
+ * any zoom. The root viewBox is widened to show every box.
+ */
+
+const { setRootAttribute, appendToRoot } = require('./svg-writer')
+const { parseViewBox, formatNumber } = require('./svg-units')
+
+const OVERLAY_ID = 'svg-viewbox-optimizer-overlay'
+
+// Padding around the overlay viewBox, relative to the larger side of all boxes
+const OVERLAY_PADDING = 0.02
+
+const OVERLAY_STYLES = {
+  original: { stroke: '#888888', 'stroke-width': 1, 'stroke-dasharray': '2 2' },
+  content: { stroke: '#1e6fd9', 'stroke-width': 1.5 },
+  optimized: { stroke: '#1a9e3f', 'stroke-width': 1.5 },
+  element: { stroke: '#f28c28', 'stroke-width': 0.75 },
+  animation: { stroke: '#d6249f', 'stroke-width': 0.75, 'stroke-dasharray': '4 2' }
+}
+
+function escapeText (text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+function isDrawable (box) {
+  return box && [box.x, box.y, box.width, box.height].every(isFinite)
+}
+
+/**
+ * Collect the boxes of an optimization result
+ * @param {Object} result - Result from calculateOptimization
+ * @returns {Object[]} [{ kind, label, box }] in root user space, drawn in order
+ */
+function collectOverlayBoxes (result) {
+  const boxes = []
+  const details = (result.elements && result.elements.details) || []
+
+  details.forEach(element => {
+    const name = element.path || element.id
+    if (isDrawable(element.bounds)) {
+      boxes.push({ kind: 'element', label: name, box: element.bounds })
+    }
+    (element.animationEnvelopes || []).forEach(envelope => {
+      if (isDrawable(envelope.bounds)) {
+        boxes.push({ kind: 'animation', label: `${name}: ${envelope.animation}`, box: envelope.bounds })
+      }
+    })
+  })
+
+  const original = parseViewBox(result.original.viewBox)
+  if (original) {
+    boxes.push({ kind: 'original', label: `original viewBox ${result.original.viewBox}`, box: original })
+  }
+
+  boxes.push({
+    kind: 'content',
+    label: 'content bounds',
+    box: { x: result.content.minX, y: result.content.minY, width: result.content.width, height: result.content.height }
+  })
+  boxes.push({ kind: 'optimized', label: `optimized viewBox ${result.optimized.viewBox}`, box: result.newViewBox })
+
+  return boxes.filter(entry => isDrawable(entry.box))
+}
+
+function renderBox ({ kind, label, box }) {
+  const attributes = Object.entries(OVERLAY_STYLES[kind])
+    .map(([name, value]) => `${name}="${value}"`)
+    .join(' ')
+
+  return `<rect class="overlay-${kind}" x="${formatNumber(box.x)}" y="${formatNumber(box.y)}" ` +
+    `width="${formatNumber(box.width)}" height="${formatNumber(box.height)}" ${attributes} vector-effect="non-scaling-stroke">` +
+    `<title>${escapeText(label)}</title></rect>`
+}
+
+/**
+ * Create a debug overlay of an optimization result
+ * @param {string} content - Original SVG document content
+ * @param {Object} result - Result from calculateOptimization for that content
+ * @returns {string} SVG content with the overlay group appended to the root
+ */
+function createOverlay (content, result) {
+  const boxes = collectOverlayBoxes(result)
+
+  const group = `\n<g id="${OVERLAY_ID}" fill="none" pointer-events="none">\n` +
+    boxes.map(entry => `  ${renderBox(entry)}\n`).join('') +
+    '</g>\n'
+
+  const minX = Math.min(...boxes.map(entry => entry.box.x))
+  const minY = Math.min(...boxes.map(entry => entry.box.y))
+  const maxX = Math.max(...boxes.map(entry => entry.box.x + entry.box.width))
+  const maxY = Math.max(...boxes.map(entry => entry.box.y + entry.box.height))
+  const padding = Math.max(maxX - minX, maxY - minY, 1) * OVERLAY_PADDING
+  const viewBox = [minX - padding, minY - padding, maxX - minX + 2 * padding, maxY - minY + 2 * padding]
+    .map(formatNumber)
+    .join(' ')
+
+  return setRootAttribute(appendToRoot(content, group), 'viewBox', viewBox)
+}
+
+module.exports = {
+  OVERLAY_ID,
+  collectOverlayBoxes,
+  createOverlay
+}
@@ -0,0 +1,195 @@
+/**
+ * Page Renderer
+ *
+ * Renders regions of the root <svg> on a Puppeteer page for pixel checks:
+ * animations are paused at chosen timestamps, the root element is resized to
+ * show a viewBox on a fixed pixel grid, and screenshots with a transparent
+ * background are decoded back into ImageData inside the page. Node only - the
+ * page functions below run through page.evaluate().
+ */
+
+/**
+ * Timestamps to render, spread over the longest animation (runs in the page)
+ * Animations that have not started (event-based begin) are not sampled.
+ * @param {number} frames - Number of timestamps
+ * @returns {number[]} Times in seconds
+ */
+function getTimestamps (frames) {
+  let end = 0
+
+  document.querySelectorAll('animate, animateTransform, animateMotion, animateColor, set').forEach(animation => {
+    try {
+      end = Math.max(end, animation.getStartTime() + animation.getSimpleDuration())
+    } catch (error) {
+      // No current interval or an indefinite duration
+    }
+  })
+
+  if (document.getAnimations) {
+    document.getAnimations().forEach(animation => {
+      const timing = animation.effect.getComputedTiming()
+      const active = isFinite(timing.activeDuration) ? timing.activeDuration : timing.duration
+      end = Math.max(end, (timing.delay + active) / 1000)
+    })
+  }
+
+  if (!(end > 0) || frames === 1) {
+    return [0]
+  }
+
+  // The last sample stays just before the end, where non-frozen animations revert
+  return Array.from({ length: frames }, (_, index) => Math.min(index * end / (frames - 1), end - 0.001))
+}
+
+/**
+ * Pause all animations at a time (runs in the page)
+ * SMIL animations use pauseAnimations()/setCurrentTime(); CSS animations and
+ * transitions are paused and seeked to the same time.
+ * @param {number} time - Time in seconds
+ */
+function seekAnimations (time) {
+  const svg = document.querySelector('svg')
+  if (typeof svg.pauseAnimations === 'function') {
+    svg.pauseAnimations()
+    svg.setCurrentTime(time)
+  }
+
+  if (document.getAnimations) {
+    document.getAnimations().forEach(animation => {
+      animation.pause()
+      animation.currentTime = time * 1000
+    })
+  }
+}
+
+/**
+ * Show a viewBox of the root element at a position and size in CSS pixels (runs in the page)
+ * @param {Object} viewBox - Box {x, y, width, height} in user units
+ * @param {Object} placement - Box {x, y, width, height} in CSS pixels
+ * @param {string} overflow - 'hidden', or 'visible' to also paint content outside the viewBox
+ * @returns {Promise} Resolves once the change has been painted
+ */
+function placeRoot (viewBox, placement, overflow) {
+  const svg = document.querySelector('svg')
+  svg.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`)
+  svg.setAttribute('preserveAspectRatio', 'none')
+
+  const style = {
+    position: 'absolute',
+    left: `${placement.x}px`,
+    top: `${placement.y}px`,
+    width: `${placement.width}px`,
+    height: `${placement.height}px`,
+    margin: '0',
+    overflow,
+    'max-width': 'none',
+    'max-height': 'none'
+  }
+  Object.entries(style).forEach(([name, value]) => svg.style.setProperty(name, value, 'important'))
+
+  return new Promise(resolve => window.requestAnimationFrame(() => window.requestAnimationFrame(resolve)))
+}
+
+/**
+ * Decode screenshots into window.decodedScreenshots (runs in the page)
+ * @param {string[]} pngs - Base64 PNG screenshots
+ * @returns {Promise} Resolves once all are decoded to ImageData
+ */
+async function decodeScreenshots (pngs) {
+  window.decodedScreenshots = await Promise.all(pngs.map(async png => {
+    const image = new window.Image()
+    image.src = `data:image/png;base64,${png}`
+    await image.decode()
+
+    const canvas = document.createElement('canvas')
+    canvas.width = image.naturalWidth
+    canvas.height = image.naturalHeight
+    const context = canvas.getContext('2d')
+    context.drawImage(image, 0, 0)
+    return context.getImageData(0, 0, canvas.width, canvas.height)
+  }))
+}
+
+/**
+ * Pixel box of the painted pixels of the first decoded screenshot (runs in the page)
+ * @param {number} threshold - Alpha (0-255) above which a pixel is painted
+ * @returns {Object|null} {left, top, right, bottom} in pixels, or null if nothing is painted
+ */
+function findAlphaBounds (threshold) {
+  const image = window.decodedScreenshots[0]
+  let left = Infinity
+  let top = Infinity
+  let right = -Infinity
+  let bottom = -Infinity
+
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      if (image.data[(y * image.width + x) * 4 + 3] > threshold) {
+        left = Math.min(left, x)
+        top = Math.min(top, y)
+        right = Math.max(right, x + 1)
+        bottom = Math.max(bottom, y + 1)
+      }
+    }
+  }
+
+  return right > left ? { left, top, right, bottom } : null
+}
+
+/**
+ * Screenshot the root element through a viewBox
+ * The viewBox is drawn at `scale` pixels per user unit, offset so that `frame`
+ * starts at the top left pixel; the screenshot covers `size` pixels. Keep the
+ * document's own viewBox and pass `overflow: 'visible'` to render content
+ * around it: percentage lengths resolve against the viewBox size.
+ * @param {Object} page - Puppeteer page with the SVG loaded
+ * @param {Object} viewBox - Box {x, y, width, height} to show
+ * @param {Object} frame - Box whose top left corner is pixel 0,0
+ * @param {number} scale - Pixels per user unit
+ * @param {Object} size - Screenshot {width, height} in pixels
+ * @param {Object} options - { overflow } 'hidden' (default) or 'visible'
+ * @returns {Promise<string>} Base64 PNG with a transparent background
+ */
+async function renderViewBox (page, viewBox, frame, scale, size, options = {}) {
+  await page.evaluate(placeRoot, viewBox, {
+    x: (viewBox.x - frame.x) * scale,
+    y: (viewBox.y - frame.y) * scale,
+    width: viewBox.width * scale,
+    height: viewBox.height * scale
+  }, options.overflow || 'hidden')
+
+  return page.screenshot({
+    clip: { x: 0, y: 0, width: size.width, height: size.height },
+    omitBackground: true,
+    encoding: 'base64'
+  })
+}
+
+/**
+ * Run a callback with the page viewport set to a size, restoring it afterwards
+ * @param {Object} page - Puppeteer page
+ * @param {Object} size - Viewport {width, height} in pixels
+ * @param {Function} callback - Called without arguments
+ * @returns {Promise<*>} The callback's result
+ */
+async function withViewport (page, size, callback) {
+  const previousViewport = page.viewport()
+  await page.setViewport({ width: size.width, height: size.height, deviceScaleFactor: 1 })
+
+  try {
+    return await callback()
+  } finally {
+    if (previousViewport) {
+      await page.setViewport(previousViewport)
+    }
+  }
+}
+
+module.exports = {
+  getTimestamps,
+  seekAnimations,
+  decodeScreenshots,
+  findAlphaBounds,
+  renderViewBox,
+  withViewport
+}
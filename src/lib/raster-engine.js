@@ -0,0 +1,326 @@
+/**
+ * Raster Engine
+ *
+ * Measures content bounds from rendered pixels, for content that is hard to
+ * model analytically: feTurbulence, feDisplacementMap, feConvolveMatrix,
+ * feImage, masks and blend modes. The root <svg> is rendered on a transparent
+ * background at `scale` pixels per user unit (the supersampling factor) at
+ * timestamps over the animation, and the rectangle around all painted pixels
+ * is converted back to user units.
+ *
+ * The document keeps its own viewBox, so percentage lengths resolve as usual,
+ * and content around it is painted with `overflow: visible`. The rendered
+ * region starts as the viewBox plus the analytic bounds, padded on every side,
+ * and grows while painted pixels touch its border.
+ *
+ * `rasterizeBounds` replaces the analytic bounds with the rendered ones.
+ * `rasterizeElements` renders only the elements with hard-to-model effects,
+ * one at a time with everything else hidden, and combines their rendered
+ * bounds with the analytic bounds. Node only.
+ */
+
+const { getTimestamps, seekAnimations, decodeScreenshots, findAlphaBounds, renderViewBox, withViewport } = require('./page-renderer')
+const { parseViewBox } = require('./svg-units')
+
+const DEFAULT_RASTER_SCALE = 4
+const DEFAULT_RASTER_FRAMES = 16
+
+// Longest side of a render in pixels; the scale is reduced to stay within it
+const MAX_RASTER_SIZE = 4096
+
+// Padding of the first rendered region, relative to its size
+const REGION_PADDING = 0.25
+
+// Times the region is tripled when painted pixels touch its border
+const MAX_REGION_GROWTH = 3
+
+const EDGES = ['minX', 'minY', 'maxX', 'maxY']
+
+/**
+ * Mark the elements whose effects are rendered instead of modeled (runs in the page)
+ * Elements inside resources (defs, masks, patterns, ...) and descendants of
+ * marked elements are skipped.
+ * @returns {Object[]} [{ index, path, reasons }] for elements marked with data-raster-element
+ */
+function markRasterElements () {
+  const HARD_PRIMITIVES = ['feTurbulence', 'feDisplacementMap', 'feConvolveMatrix', 'feImage']
+  const root = document.querySelector('svg')
+  const marked = []
+
+  root.querySelectorAll('*').forEach(element => {
+    if (!(element instanceof window.SVGGraphicsElement) ||
+        element.closest('defs, symbol, mask, clipPath, pattern, marker, filter') ||
+        element.parentElement.closest('[data-raster-element]')) {
+      return
+    }
+
+    const style = window.getComputedStyle(element)
+    const reasons = []
+
+    const filter = /url\(\s*["']?#([^"')]+)/.exec(style.filter || '')
+    const filterElement = filter && document.getElementById(filter[1])
+    if (filterElement) {
+      HARD_PRIMITIVES.forEach(primitive => {
+        if (filterElement.querySelector(primitive)) reasons.push(primitive)
+      })
+    }
+
+    const maskImage = style.maskImage || style.webkitMaskImage || 'none'
+    if (element.hasAttribute('mask') || maskImage !== 'none') {
+      reasons.push('mask')
+    }
+
+    if (style.mixBlendMode && style.mixBlendMode !== 'normal') {
+      reasons.push(`mix-blend-mode ${style.mixBlendMode}`)
+    }
+
+    if (reasons.length > 0) {
+      const index = marked.length
+      element.setAttribute('data-raster-element', String(index))
+      marked.push({
+        index,
+        path: typeof window.describeElementPath === 'function' ? window.describeElementPath(element, root) : element.tagName,
+        reasons
+      })
+    }
+  })
+
+  return marked
+}
+
+/**
+ * Hide everything but one marked element, or show everything again (runs in the page)
+ * Siblings of the element and of its ancestors are hidden with display: none,
+ * except elements the element references through <use>.
+ * @param {number|null} index - data-raster-element index, or null to restore
+ */
+function isolateRasterElement (index) {
+  (window.rasterIsolation || []).forEach(({ element, display, priority }) => {
+    element.style.setProperty('display', display, priority)
+  })
+  window.rasterIsolation = []
+
+  if (index === null) return
+
+  const root = document.querySelector('svg')
+  const target = document.querySelector(`[data-raster-element="${index}"]`)
+  const referenced = new Set()
+  ;[target, ...target.querySelectorAll('use')].forEach(use => {
+    const href = use.getAttribute('href') || use.getAttribute('xlink:href')
+    if (use.tagName.toLowerCase() === 'use' && href && href.startsWith('#')) {
+      referenced.add(document.getElementById(href.slice(1)))
+    }
+  })
+
+  for (let node = target; node !== root && node.parentElement; node = node.parentElement) {
+    Array.from(node.parentElement.children).forEach(sibling => {
+      if (sibling === node || referenced.has(sibling) || !(sibling instanceof window.SVGGraphicsElement)) return
+
+      window.rasterIsolation.push({
+        element: sibling,
+        display: sibling.style.getPropertyValue('display'),
+        priority: sibling.style.getPropertyPriority('display')
+      })
+      sibling.style.setProperty('display', 'none', 'important')
+    })
+  }
+}
+
+function padBox (box, factor) {
+  const padX = Math.max(box.width * factor, 1)
+  const padY = Math.max(box.height * factor, 1)
+  return { x: box.x - padX, y: box.y - padY, width: box.width + 2 * padX, height: box.height + 2 * padY }
+}
+
+/**
+ * Render the current page content over the animation and measure its painted pixels
+ * @param {Object} page - Puppeteer page with the SVG loaded
+ * @param {Object} viewBox - Document viewBox {x, y, width, height}
+ * @param {Object} startRegion - Box expected to hold the content
+ * @param {Object} options - { scale, frames }
+ * @returns {Promise<Object>} { bounds: {minX, minY, maxX, maxY} or null, times: per-edge time, scale, frames, truncated }
+ */
+async function measureRenderedBounds (page, viewBox, startRegion, options = {}) {
+  const frames = Math.max(1, parseInt(options.frames) || DEFAULT_RASTER_FRAMES)
+  let region = padBox(startRegion, REGION_PADDING)
+
+  for (let growth = 0; ; growth++) {
+    const scale = Math.min(options.scale || DEFAULT_RASTER_SCALE, MAX_RASTER_SIZE / Math.max(region.width, region.height))
+    const size = {
+      width: Math.max(1, Math.ceil(region.width * scale)),
+      height: Math.max(1, Math.ceil(region.height * scale))
+    }
+
+    const measured = await withViewport(page, size, async () => {
+      const times = await page.evaluate(getTimestamps, frames)
+      const edgeTimes = {}
+      let bounds = null
+      let touches = false
+
+      for (const time of times) {
+        await page.evaluate(seekAnimations, time)
+        await page.evaluate(decodeScreenshots, [await renderViewBox(page, viewBox, region, scale, size, { overflow: 'visible' })])
+        const found = await page.evaluate(findAlphaBounds, 0)
+        if (!found) continue
+
+        const frameBounds = {
+          minX: region.x + found.left / scale,
+          minY: region.y + found.top / scale,
+          maxX: region.x + found.right / scale,
+          maxY: region.y + found.bottom / scale
+        }
+        touches = touches || found.left <= 0 || found.top <= 0 ||
+          found.right >= region.width * scale || found.bottom >= region.height * scale
+
+        bounds = bounds || { ...frameBounds }
+        EDGES.forEach(edge => {
+          const grows = edge.startsWith('min') ? frameBounds[edge] < bounds[edge] : frameBounds[edge] > bounds[edge]
+          if (grows || edgeTimes[edge] === undefined) {
+            bounds[edge] = frameBounds[edge]
+            edgeTimes[edge] = time
+          }
+        })
+      }
+
+      return { bounds, times: edgeTimes, scale, frames: times.length, touches }
+    })
+
+    if (!measured.touches || growth === MAX_REGION_GROWTH) {
+      const { touches, ...result } = measured
+      return { ...result, truncated: touches }
+    }
+
+    region = padBox(region, 1)
+  }
+}
+
+/**
+ * Region where content is expected: the viewBox and the analytic bounds
+ */
+function getStartRegion (viewBox, analysis) {
+  const minX = Math.min(viewBox.x, isFinite(analysis.globalMinX) ? analysis.globalMinX : viewBox.x)
+  const minY = Math.min(viewBox.y, isFinite(analysis.globalMinY) ? analysis.globalMinY : viewBox.y)
+  const maxX = Math.max(viewBox.x + viewBox.width, isFinite(analysis.globalMaxX) ? analysis.globalMaxX : -Infinity)
+  const maxY = Math.max(viewBox.y + viewBox.height, isFinite(analysis.globalMaxY) ? analysis.globalMaxY : -Infinity)
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+}
+
+function describeRenderedEdge (time, detail) {
+  return `rendered pixels${detail ? ` (${detail})` : ''} at t=${Number(time.toFixed(3))}s`
+}
+
+/**
+ * Replace analytic bounds with rendered bounds
+ * @param {Object} page - Puppeteer page holding the analyzed SVG
+ * @param {Object} analysis - Bounds analysis from the browser modules
+ * @param {Object} options - { scale, frames }
+ * @returns {Promise<Object>} Analysis with rendered global bounds and extremes
+ */
+async function rasterizeBounds (page, analysis, options = {}) {
+  const viewBox = parseViewBox(analysis.originalViewBox)
+  const measured = await measureRenderedBounds(page, viewBox, getStartRegion(viewBox, analysis), options)
+  const warnings = [...analysis.warnings]
+
+  if (measured.truncated) {
+    warnings.push('Rendered content reaches the edge of the largest raster region; the bounds may be too small')
+  }
+
+  if (!measured.bounds) {
+    warnings.push('No pixels were painted; used the analytic bounds')
+    return { ...analysis, warnings }
+  }
+
+  const extremes = {}
+  EDGES.forEach(edge => {
+    extremes[edge] = { value: measured.bounds[edge], element: null, reason: describeRenderedEdge(measured.times[edge]) }
+  })
+
+  return {
+    ...analysis,
+    globalMinX: measured.bounds.minX,
+    globalMinY: measured.bounds.minY,
+    globalMaxX: measured.bounds.maxX,
+    globalMaxY: measured.bounds.maxY,
+    extremes,
+    raster: { scale: measured.scale, frames: measured.frames, elements: null },
+    warnings
+  }
+}
+
+/**
+ * Combine analytic bounds with the rendered bounds of elements that have hard-to-model effects
+ * @param {Object} page - Puppeteer page holding the analyzed SVG
+ * @param {Object} analysis - Bounds analysis from the browser modules
+ * @param {Object} options - { scale, frames }
+ * @returns {Promise<Object>} Analysis with combined global bounds and extremes
+ */
+async function rasterizeElements (page, analysis, options = {}) {
+  const viewBox = parseViewBox(analysis.originalViewBox)
+  const marked = await page.evaluate(markRasterElements)
+  const combined = {
+    minX: analysis.globalMinX,
+    minY: analysis.globalMinY,
+    maxX: analysis.globalMaxX,
+    maxY: analysis.globalMaxY
+  }
+  const extremes = { ...analysis.extremes }
+  const warnings = [...analysis.warnings]
+  const elements = []
+  let scale = null
+  let frames = 0
+
+  try {
+    for (const element of marked) {
+      await page.evaluate(isolateRasterElement, element.index)
+      const measured = await measureRenderedBounds(page, viewBox, getStartRegion(viewBox, analysis), options)
+      scale = scale === null ? measured.scale : Math.min(scale, measured.scale)
+      frames = measured.frames
+
+      if (measured.truncated) {
+        warnings.push(`Rendered ${element.path} reaches the edge of the largest raster region; the bounds may be too small`)
+      }
+
+      elements.push({
+        element: element.path,
+        reasons: element.reasons,
+        bounds: measured.bounds && {
+          x: measured.bounds.minX,
+          y: measured.bounds.minY,
+          width: measured.bounds.maxX - measured.bounds.minX,
+          height: measured.bounds.maxY - measured.bounds.minY
+        }
+      })
+
+      if (!measured.bounds) continue
+
+      EDGES.forEach(edge => {
+        const value = measured.bounds[edge]
+        const grows = edge.startsWith('min') ? !(value >= combined[edge]) : !(value <= combined[edge])
+        if (grows) {
+          combined[edge] = value
+          extremes[edge] = { value, element: element.path, reason: describeRenderedEdge(measured.times[edge], element.reasons.join(', ')) }
+        }
+      })
+    }
+  } finally {
+    await page.evaluate(isolateRasterElement, null)
+  }
+
+  return {
+    ...analysis,
+    globalMinX: combined.minX,
+    globalMinY: combined.minY,
+    globalMaxX: combined.maxX,
+    globalMaxY: combined.maxY,
+    extremes,
+    raster: { scale, frames, elements },
+    warnings
+  }
+}
+
+module.exports = {
+  DEFAULT_RASTER_SCALE,
+  DEFAULT_RASTER_FRAMES,
+  rasterizeBounds,
+  rasterizeElements
+}
@@ -0,0 +1,125 @@
+/**
+ * Render Verifier
+ *
+ * Checks that an optimized viewBox does not clip anything the original one
+ * shows. On a Puppeteer page that holds the SVG, the root element is rendered
+ * twice per timestamp on the same pixel grid, once through each viewBox,
+ * placed where it sits in a frame covering both. Pixels painted in the
+ * original render but not within one pixel of a painted pixel in the optimized
+ * render (anti-aliasing and pixel snapping) are clipped.
+ *
+ * Rendering and animation seeking come from the page renderer. Node only.
+ */
+
+const { getTimestamps, seekAnimations, decodeScreenshots, renderViewBox, withViewport } = require('./page-renderer')
+
+const DEFAULT_FRAMES = 8
+
+// Longer side of the rendered frame in pixels
+const RENDER_SIZE = 1000
+
+// Alpha (0-255) above which a pixel counts as painted
+const ALPHA_THRESHOLD = 16
+
+/**
+ * Compare the alpha of the decoded original and optimized screenshots (runs in the page)
+ * @param {number} threshold - Alpha above which a pixel is painted
+ * @returns {Object|null} Clipped pixel count and pixel box, or null
+ */
+function findClippedPixels (threshold) {
+  const [original, optimized] = window.decodedScreenshots
+  const alphaAt = (image, x, y) => x < 0 || y < 0 || x >= image.width || y >= image.height
+    ? 0
+    : image.data[(y * image.width + x) * 4 + 3]
+
+  let pixels = 0
+  let left = Infinity
+  let top = Infinity
+  let right = -Infinity
+  let bottom = -Infinity
+
+  for (let y = 0; y < original.height; y++) {
+    for (let x = 0; x < original.width; x++) {
+      if (alphaAt(original, x, y) <= threshold) continue
+
+      let covered = false
+      for (let dy = -1; dy <= 1 && !covered; dy++) {
+        for (let dx = -1; dx <= 1 && !covered; dx++) {
+          covered = alphaAt(optimized, x + dx, y + dy) > threshold
+        }
+      }
+
+      if (!covered) {
+        pixels++
+        left = Math.min(left, x)
+        top = Math.min(top, y)
+        right = Math.max(right, x + 1)
+        bottom = Math.max(bottom, y + 1)
+      }
+    }
+  }
+
+  return pixels > 0 ? { pixels, left, top, right, bottom } : null
+}
+
+/**
+ * Verify that the optimized viewBox shows everything the original one shows
+ * The page must hold the SVG; its root element is modified while rendering.
+ * @param {Object} page - Puppeteer page with the SVG loaded
+ * @param {Object} originalViewBox - Original viewBox {x, y, width, height}
+ * @param {Object} viewBox - Optimized viewBox {x, y, width, height}
+ * @param {Object} options - { frames } number of timestamps (default 8)
+ * @returns {Promise<Object>} { passed, scale, times, clipped: [{ time, pixels, region }] }, regions in user units
+ */
+async function verifyRendering (page, originalViewBox, viewBox, options = {}) {
+  const frames = Math.max(1, parseInt(options.frames) || DEFAULT_FRAMES)
+  const frame = {
+    x: Math.min(originalViewBox.x, viewBox.x),
+    y: Math.min(originalViewBox.y, viewBox.y)
+  }
+  frame.width = Math.max(originalViewBox.x + originalViewBox.width, viewBox.x + viewBox.width) - frame.x
+  frame.height = Math.max(originalViewBox.y + originalViewBox.height, viewBox.y + viewBox.height) - frame.y
+
+  if (!(frame.width > 0 && frame.height > 0 && viewBox.width > 0 && viewBox.height > 0)) {
+    return { passed: true, scale: null, times: [], clipped: [] }
+  }
+
+  const scale = RENDER_SIZE / Math.max(frame.width, frame.height)
+  const size = {
+    width: Math.max(1, Math.ceil(frame.width * scale)),
+    height: Math.max(1, Math.ceil(frame.height * scale))
+  }
+
+  return withViewport(page, size, async () => {
+    const times = await page.evaluate(getTimestamps, frames)
+    const clipped = []
+
+    for (const time of times) {
+      await page.evaluate(seekAnimations, time)
+      const original = await renderViewBox(page, originalViewBox, frame, scale, size)
+      const optimized = await renderViewBox(page, viewBox, frame, scale, size)
+      await page.evaluate(decodeScreenshots, [original, optimized])
+      const found = await page.evaluate(findClippedPixels, ALPHA_THRESHOLD)
+
+      if (found) {
+        clipped.push({
+          time,
+          pixels: found.pixels,
+          region: {
+            x: frame.x + found.left / scale,
+            y: frame.y + found.top / scale,
+            width: (found.right - found.left) / scale,
+            height: (found.bottom - found.top) / scale
+          }
+        })
+      }
+    }
+
+    return { passed: clipped.length === 0, scale, times, clipped }
+  })
+}
+
+module.exports = {
+  DEFAULT_FRAMES,
+  verifyRendering
+}
@@ -0,0 +1,127 @@
+const { parseLength, lengthToUserUnits, scaleLength, formatNumber } = require('./svg-units')
+
+/**
+ * Size Mode
+ *
+ * Decides which width/height attributes the root <svg> gets alongside the
+ * optimized viewBox:
+ * - keep: leave width/height unchanged (the artwork scales up with a smaller viewBox)
+ * - scale: scale width/height with the viewBox so the artwork keeps its rendered size
+ * - remove: remove width/height, leaving the size to the embedding page
+ * - explicit: set a target size given as "WxH", "W" or "xH" (a missing side follows the aspect ratio)
+ */
+
+const SIZE_MODES = ['keep', 'scale', 'remove', 'explicit']
+
+/**
+ * Parse an explicit target size such as "64x64", "100mmx50mm", "64" or "x64"
+ * @param {string} size - Target size
+ * @returns {Object} {width, height} length strings, null for a side that follows the aspect ratio
+ */
+function parseSize (size) {
+  const match = String(size || '').trim().match(/^([^x\s]*)(?:\s*x\s*([^x\s]*))?$/i)
+  const width = match && match[1] ? match[1] : null
+  const height = match && match[2] ? match[2] : null
+
+  if ((!width && !height) || (width && !parseLength(width)) || (height && !parseLength(height))) {
+    throw new Error(`Invalid size "${size}". Use WxH, W or xH, e.g. 64x64 or 100mmx50mm`)
+  }
+
+  return { width, height }
+}
+
+/**
+ * Scale width/height so the artwork keeps its rendered size
+ * With preserveAspectRatio meet/slice the viewBox is drawn at one uniform scale,
+ * so the new size is the new viewBox at that scale rather than a per-axis ratio.
+ */
+function scaleDimensions (attributes, preserveAspectRatio, synthesized, original, optimized) {
+  const width = parseLength(attributes.width)
+  const height = parseLength(attributes.height)
+
+  // Without a viewBox the missing sizes rendered at one px per user unit; keep that explicit
+  if (synthesized) {
+    return {
+      width: scaleLength(attributes.width, optimized.width / original.width) || formatNumber(optimized.width),
+      height: scaleLength(attributes.height, optimized.height / original.height) || formatNumber(optimized.height)
+    }
+  }
+
+  const widthInPx = width ? lengthToUserUnits(width) : null
+  const heightInPx = height ? lengthToUserUnits(height) : null
+  const align = (preserveAspectRatio || 'xMidYMid meet').trim().split(/\s+/)
+
+  if (widthInPx !== null && heightInPx !== null && align[0] !== 'none') {
+    const scaleX = widthInPx / original.width
+    const scaleY = heightInPx / original.height
+    const scale = align[1] === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY)
+
+    return {
+      width: scaleLength(attributes.width, optimized.width * scale / widthInPx),
+      height: scaleLength(attributes.height, optimized.height * scale / heightInPx)
+    }
+  }
+
+  // Relative sizes (or preserveAspectRatio="none"): scale each side on its own
+  return {
+    width: attributes.width === null ? null : scaleLength(attributes.width, optimized.width / original.width) || attributes.width,
+    height: attributes.height === null ? null : scaleLength(attributes.height, optimized.height / original.height) || attributes.height
+  }
+}
+
+/**
+ * Work out the root width/height attributes to write with the new viewBox
+ * @param {Object} attributes - Original root {width, height, preserveAspectRatio} attribute values (null when absent)
+ * @param {Object} options - {mode, size, synthesized}; mode defaults to scale for synthesized viewBoxes and keep otherwise
+ * @param {Object} original - Original viewBox size {width, height}
+ * @param {Object} optimized - Optimized viewBox size {width, height}
+ * @returns {Object} Dimensions {mode, original, optimized} with {width, height} values (null when absent)
+ */
+function calculateDimensions (attributes, options, original, optimized) {
+  const mode = options.mode || (options.synthesized ? 'scale' : 'keep')
+  const originalSize = { width: attributes.width, height: attributes.height }
+  let optimizedSize
+
+  switch (mode) {
+    case 'keep':
+      optimizedSize = { ...originalSize }
+      break
+
+    case 'scale':
+      optimizedSize = scaleDimensions(attributes, attributes.preserveAspectRatio, options.synthesized, original, optimized)
+      break
+
+    case 'remove':
+      optimizedSize = { width: null, height: null }
+      break
+
+    case 'explicit': {
+      if (!options.size) {
+        throw new Error('Size mode "explicit" requires a target size (--size WxH)')
+      }
+
+      const size = parseSize(options.size)
+      const aspectRatio = optimized.width / optimized.height
+      optimizedSize = {
+        width: size.width || scaleLength(size.height, aspectRatio),
+        height: size.height || scaleLength(size.width, 1 / aspectRatio)
+      }
+      break
+    }
+
+    default:
+      throw new Error(`Unknown size mode "${mode}". Use one of: ${SIZE_MODES.join(', ')}`)
+  }
+
+  return {
+    mode,
+    original: originalSize,
+    optimized: optimizedSize
+  }
+}
+
+module.exports = {
+  SIZE_MODES,
+  parseSize,
+  calculateDimensions
+}
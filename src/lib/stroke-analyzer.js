@@ -0,0 +1,263 @@
+/**
+ * Stroke Analyzer
+ * Calculates how far a stroke paints outside the fill geometry, including
+ * line caps and miter joins, so bounds can cover the full painted area
+ */
+
+const { normalizePathCommands, arcToCenterParameterization } = require('./svg-path-parser')
+
+const STROKE_EPSILON = 1e-9
+
+/**
+ * Angle of the direction from one point to another, or null for coincident points
+ */
+function directionAngle (fromX, fromY, toX, toY) {
+  if (Math.abs(toX - fromX) < STROKE_EPSILON && Math.abs(toY - fromY) < STROKE_EPSILON) {
+    return null
+  }
+  return Math.atan2(toY - fromY, toX - fromX)
+}
+
+/**
+ * Tangent angles at both ends of a curve given by its control polygon
+ * Coincident control points are skipped, as the curve leaves towards the next distinct one
+ */
+function controlPolygonTangents (points) {
+  let startAngle = null
+  for (let i = 1; i < points.length && startAngle === null; i++) {
+    startAngle = directionAngle(points[0][0], points[0][1], points[i][0], points[i][1])
+  }
+
+  let endAngle = null
+  const last = points[points.length - 1]
+  for (let i = points.length - 2; i >= 0 && endAngle === null; i--) {
+    endAngle = directionAngle(points[i][0], points[i][1], last[0], last[1])
+  }
+
+  return { startAngle, endAngle }
+}
+
+/**
+ * Tangent angles at both ends of an elliptical arc
+ */
+function arcTangents (x1, y1, args) {
+  const [rx, ry, rotation, largeArc, sweep, x2, y2] = args
+  const arc = arcToCenterParameterization(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2)
+
+  // Degenerate arcs are drawn as straight lines
+  if (!arc) {
+    const angle = directionAngle(x1, y1, x2, y2)
+    return { startAngle: angle, endAngle: angle }
+  }
+
+  const direction = arc.sweepAngle < 0 ? -1 : 1
+  const tangentAt = theta => {
+    const dx = -arc.rx * Math.sin(theta) * Math.cos(arc.phi) - arc.ry * Math.cos(theta) * Math.sin(arc.phi)
+    const dy = -arc.rx * Math.sin(theta) * Math.sin(arc.phi) + arc.ry * Math.cos(theta) * Math.cos(arc.phi)
+    return Math.atan2(direction * dy, direction * dx)
+  }
+
+  return {
+    startAngle: tangentAt(arc.startAngle),
+    endAngle: tangentAt(arc.startAngle + arc.sweepAngle)
+  }
+}
+
+/**
+ * Find the joins and caps of a path, where a stroke can extend further than half its width
+ * @param {string} pathData - SVG path data
+ * @returns {Object} Joins ({x, y, inAngle, outAngle}) and caps ({x, y, angle} pointing outwards)
+ */
+function getPathStrokeFeatures (pathData) {
+  const commands = normalizePathCommands(pathData)
+  const joins = []
+  const caps = []
+
+  let segments = []
+  let currentX = 0
+  let currentY = 0
+  let startX = 0
+  let startY = 0
+
+  function finishSubpath (closed) {
+    if (segments.length > 0) {
+      for (let i = 1; i < segments.length; i++) {
+        joins.push({ x: segments[i].x, y: segments[i].y, inAngle: segments[i - 1].endAngle, outAngle: segments[i].startAngle })
+      }
+
+      const first = segments[0]
+      const last = segments[segments.length - 1]
+      if (closed) {
+        joins.push({ x: first.x, y: first.y, inAngle: last.endAngle, outAngle: first.startAngle })
+      } else {
+        caps.push({ x: first.x, y: first.y, angle: first.startAngle + Math.PI })
+        caps.push({ x: last.endX, y: last.endY, angle: last.endAngle })
+      }
+    }
+    segments = []
+  }
+
+  function addSegment (tangents, endX, endY) {
+    // Zero-length segments have no direction and add no joins
+    if (tangents.startAngle !== null && tangents.endAngle !== null) {
+      segments.push({ x: currentX, y: currentY, endX, endY, ...tangents })
+    }
+    currentX = endX
+    currentY = endY
+  }
+
+  commands.forEach(cmd => {
+    const args = cmd.args
+
+    switch (cmd.type) {
+      case 'M':
+        finishSubpath(false)
+        currentX = startX = args[0]
+        currentY = startY = args[1]
+        break
+
+      case 'L': {
+        const angle = directionAngle(currentX, currentY, args[0], args[1])
+        addSegment({ startAngle: angle, endAngle: angle }, args[0], args[1])
+        break
+      }
+
+      case 'C':
+        addSegment(controlPolygonTangents([[currentX, currentY], [args[0], args[1]], [args[2], args[3]], [args[4], args[5]]]), args[4], args[5])
+        break
+
+      case 'Q':
+        addSegment(controlPolygonTangents([[currentX, currentY], [args[0], args[1]], [args[2], args[3]]]), args[2], args[3])
+        break
+
+      case 'A':
+        addSegment(arcTangents(currentX, currentY, args), args[5], args[6])
+        break
+
+      case 'Z': {
+        const angle = directionAngle(currentX, currentY, startX, startY)
+        addSegment({ startAngle: angle, endAngle: angle }, startX, startY)
+        finishSubpath(true)
+        break
+      }
+    }
+  })
+
+  finishSubpath(false)
+
+  return { joins, caps }
+}
+
+/**
+ * Find the joins and caps of a polyline or polygon
+ * @param {Array} points - Array of [x, y] points
+ * @param {boolean} closed - True for polygons
+ * @returns {Object} Joins and caps, as returned by getPathStrokeFeatures
+ */
+function getPolylineStrokeFeatures (points, closed) {
+  if (points.length === 0) {
+    return { joins: [], caps: [] }
+  }
+
+  const pathData = points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point[0]} ${point[1]}`).join(' ')
+  return getPathStrokeFeatures(closed ? `${pathData} Z` : pathData)
+}
+
+/**
+ * Calculate how far the stroke paints outside the geometry bounds on each side
+ * Every side gets half the stroke width; square caps and miter joins can reach further
+ * @param {Object} bounds - Geometry bounds {x, y, width, height}
+ * @param {Object} strokeStyle - {width, linecap, linejoin, miterlimit}
+ * @param {Object} features - Joins and caps from getPathStrokeFeatures (optional)
+ * @returns {Object} Outsets {left, top, right, bottom}
+ */
+function calculateStrokeOutset (bounds, strokeStyle, features = { joins: [], caps: [] }) {
+  const halfWidth = strokeStyle.width / 2
+  const miterLimit = Math.max(1, strokeStyle.miterlimit || 4)
+  const isMiterJoin = ['miter', 'miter-clip', 'arcs'].includes(strokeStyle.linejoin || 'miter')
+
+  let minX = bounds.x - halfWidth
+  let minY = bounds.y - halfWidth
+  let maxX = bounds.x + bounds.width + halfWidth
+  let maxY = bounds.y + bounds.height + halfWidth
+
+  function includePoint (x, y) {
+    minX = Math.min(minX, x)
+    minY = Math.min(minY, y)
+    maxX = Math.max(maxX, x)
+    maxY = Math.max(maxY, y)
+  }
+
+  if (isMiterJoin) {
+    features.joins.forEach(join => {
+      const inX = Math.cos(join.inAngle)
+      const inY = Math.sin(join.inAngle)
+      const outX = Math.cos(join.outAngle)
+      const outY = Math.sin(join.outAngle)
+
+      // The miter tip lies on the outer bisector, at 1 / sin(θ/2) half widths from the vertex
+      const bisectorX = inX - outX
+      const bisectorY = inY - outY
+      const bisectorLength = Math.hypot(bisectorX, bisectorY)
+      if (bisectorLength < STROKE_EPSILON) return
+
+      const cosTheta = -(inX * outX + inY * outY)
+      const sinHalfTheta = Math.sqrt(Math.max(0, (1 - cosTheta) / 2))
+      const miterRatio = sinHalfTheta > STROKE_EPSILON ? 1 / sinHalfTheta : Infinity
+
+      let tipDistance
+      if (miterRatio <= miterLimit) {
+        tipDistance = miterRatio * halfWidth
+      } else if (strokeStyle.linejoin === 'miter-clip' || strokeStyle.linejoin === 'arcs') {
+        tipDistance = miterLimit * halfWidth
+      } else {
+        // Falls back to a bevel join, which stays within half the stroke width
+        return
+      }
+
+      includePoint(
+        join.x + bisectorX / bisectorLength * tipDistance,
+        join.y + bisectorY / bisectorLength * tipDistance
+      )
+    })
+  }
+
+  if (strokeStyle.linecap === 'square') {
+    features.caps.forEach(cap => {
+      const dx = Math.cos(cap.angle) * halfWidth
+      const dy = Math.sin(cap.angle) * halfWidth
+      includePoint(cap.x + dx - dy, cap.y + dy + dx)
+      includePoint(cap.x + dx + dy, cap.y + dy - dx)
+    })
+  }
+
+  return {
+    left: bounds.x - minX,
+    top: bounds.y - minY,
+    right: maxX - (bounds.x + bounds.width),
+    bottom: maxY - (bounds.y + bounds.height)
+  }
+}
+
+/**
+ * Expand bounds by stroke outsets
+ * @param {Object} bounds - Bounds {x, y, width, height}
+ * @param {Object} outset - Outsets {left, top, right, bottom}
+ * @param {number} scale - Multiplier for the outsets (default 1)
+ * @returns {Object} Expanded bounds
+ */
+function expandBoundsByStrokeOutset (bounds, outset, scale = 1) {
+  return {
+    x: bounds.x - outset.left * scale,
+    y: bounds.y - outset.top * scale,
+    width: bounds.width + (outset.left + outset.right) * scale,
+    height: bounds.height + (outset.top + outset.bottom) * scale
+  }
+}
+
+module.exports = {
+  getPathStrokeFeatures,
+  getPolylineStrokeFeatures,
+  calculateStrokeOutset,
+  expandBoundsByStrokeOutset
+}
@@ -8,8 +8,16 @@ const path = require('path')
  * them with <style> blocks containing the CSS content.
  */
 class StylesheetProcessor {
-  constructor (basePath) {
+  /**
+   * @param {string} basePath - Directory that stylesheet URLs resolve against
+   * @param {Object} options - { debug, logger } to log the inlined stylesheets (default logger: console)
+   */
+  constructor (basePath, options = {}) {
     this.basePath = basePath || process.cwd()
+    this.debug = options.debug === true
+    this.logger = options.logger || console
+    // Stylesheets that could not be inlined, reported with the optimization result
+    this.warnings = []
   }
 
   /**
@@ -51,9 +59,11 @@ class StylesheetProcessor {
         // Replace the link element with the style block
         processedContent = processedContent.replace(link.fullMatch, styleBlock)
 
-        console.log(`Inlined stylesheet: ${link.href}`)
+        if (this.debug) {
+          this.logger.log(`Inlined stylesheet: ${link.href}`)
+        }
       } catch (error) {
-        console.warn(`Warning: Could not load stylesheet ${link.href}:`, error.message)
+        this.warnings.push(`Could not load stylesheet ${link.href}: ${error.message}`)
         // Continue processing other stylesheets
       }
     }
@@ -99,9 +109,15 @@ class StylesheetProcessor {
           `/* Inlined from @import ${imp.href} */\n${cssContent}`
         )
 
-        console.log(`Inlined @import: ${imp.href}`)
+        if (this.debug) {
+          this.logger.log(`Inlined @import: ${imp.href}`)
+        }
       } catch (error) {
-        console.warn(`Warning: Could not load @import ${imp.href}:`, error.message)
+        // Failed imports are retried when other imports were inlined, so report each once
+        const warning = `Could not load @import ${imp.href}: ${error.message}`
+        if (!this.warnings.includes(warning)) {
+          this.warnings.push(warning)
+        }
       }
     }
 
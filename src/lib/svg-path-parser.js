@@ -5,51 +5,62 @@
 
 /**
  * Parse SVG path data into commands
+ * Arc flags are single characters, so compact arcs such as `a2 2 0 012 2`
+ * (as svgo writes them) read as flags 0 and 1 followed by the endpoint 2 2.
  */
 function parsePath (pathData) {
   if (!pathData) return []
 
   const commands = []
-  const regex = /([MmLlHhVvCcSsQqTtAaZz])|(-?[0-9]*\.?[0-9]+(?:[eE][-+]?[0-9]+)?)/g
-  const tokens = pathData.match(regex) || []
-
-  let i = 0
-  while (i < tokens.length) {
-    const command = tokens[i]
-    if (/[MmLlHhVvCcSsQqTtAaZz]/.test(command)) {
-      const cmd = { type: command, args: [] }
-      i++
-
-      // Get expected number of arguments for this command
-      const argCount = getCommandArgCount(command)
-
-      // Handle zero-argument commands (like Z)
-      if (argCount === 0) {
-        commands.push(cmd)
-      } else {
-        // Handle commands that can repeat (like L can be L x1 y1 x2 y2...)
-        let firstCommand = true
-        while (i < tokens.length && !/[MmLlHhVvCcSsQqTtAaZz]/.test(tokens[i])) {
-          const args = []
-          for (let j = 0; j < argCount && i < tokens.length && !/[MmLlHhVvCcSsQqTtAaZz]/.test(tokens[i]); j++) {
-            args.push(parseFloat(tokens[i]))
-            i++
-          }
-          if (args.length === argCount) {
-            if (firstCommand) {
-              cmd.args = args
-              commands.push(cmd)
-              firstCommand = false
-            } else {
-              // Create new command for repeated args (except for M which becomes L)
-              const repeatType = command === 'M' ? 'L' : (command === 'm' ? 'l' : command)
-              commands.push({ type: repeatType, args })
-            }
-          }
-        }
+  const separator = /[\s,]*/y
+  const commandPattern = /[MmLlHhVvCcSsQqTtAaZz]/y
+  const numberPattern = /[-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?/y
+  const flagPattern = /[01]/y
+  let position = 0
+
+  // Read a pattern after any separators, or return null without consuming it
+  const read = pattern => {
+    separator.lastIndex = position
+    separator.test(pathData)
+    pattern.lastIndex = separator.lastIndex
+    const match = pattern.exec(pathData)
+    if (!match) return null
+    position = pattern.lastIndex
+    return match[0]
+  }
+
+  while (position < pathData.length) {
+    const command = read(commandPattern)
+    if (!command) {
+      // Skip characters that start no command, as numbers after Z or a dropped group
+      position++
+      continue
+    }
+
+    // Get expected number of arguments for this command
+    const argCount = getCommandArgCount(command)
+
+    // Handle zero-argument commands (like Z)
+    if (argCount === 0) {
+      commands.push({ type: command, args: [] })
+      continue
+    }
+
+    // Handle commands that can repeat (like L can be L x1 y1 x2 y2...)
+    const isArc = command === 'A' || command === 'a'
+    let type = command
+    while (true) {
+      const args = []
+      for (let j = 0; j < argCount; j++) {
+        const value = read(isArc && (j === 3 || j === 4) ? flagPattern : numberPattern)
+        if (value === null) break
+        args.push(parseFloat(value))
       }
-    } else {
-      i++
+      if (args.length < argCount) break
+
+      commands.push({ type, args })
+      // Create new command for repeated args (except for M which becomes L)
+      type = command === 'M' ? 'L' : (command === 'm' ? 'l' : command)
     }
   }
 
@@ -75,6 +86,112 @@ function getCommandArgCount (command) {
   }
 }
 
+/**
+ * Normalize path data to absolute M, L, C, Q, A and Z commands
+ * H/V become L, S/T become C/Q with their reflected control points
+ * @param {string} pathData - SVG path data
+ * @returns {Array} Commands with absolute coordinates
+ */
+function normalizePathCommands (pathData) {
+  const commands = parsePath(pathData)
+  const normalized = []
+
+  let currentX = 0
+  let currentY = 0
+  let startX = 0
+  let startY = 0
+  let lastControlX = 0
+  let lastControlY = 0
+  let lastType = null
+
+  commands.forEach(cmd => {
+    const isRelative = cmd.type === cmd.type.toLowerCase()
+    const args = cmd.args
+    const offsetX = isRelative ? currentX : 0
+    const offsetY = isRelative ? currentY : 0
+
+    switch (cmd.type.toUpperCase()) {
+      case 'M':
+        currentX = args[0] + offsetX
+        currentY = args[1] + offsetY
+        startX = currentX
+        startY = currentY
+        normalized.push({ type: 'M', args: [currentX, currentY] })
+        break
+
+      case 'L':
+        currentX = args[0] + offsetX
+        currentY = args[1] + offsetY
+        normalized.push({ type: 'L', args: [currentX, currentY] })
+        break
+
+      case 'H':
+        currentX = args[0] + offsetX
+        normalized.push({ type: 'L', args: [currentX, currentY] })
+        break
+
+      case 'V':
+        currentY = args[0] + offsetY
+        normalized.push({ type: 'L', args: [currentX, currentY] })
+        break
+
+      case 'C':
+        lastControlX = args[2] + offsetX
+        lastControlY = args[3] + offsetY
+        normalized.push({ type: 'C', args: [args[0] + offsetX, args[1] + offsetY, lastControlX, lastControlY, args[4] + offsetX, args[5] + offsetY] })
+        currentX = args[4] + offsetX
+        currentY = args[5] + offsetY
+        break
+
+      case 'S': {
+        // Reflect the previous control point only if the previous command was a cubic
+        const c1x = lastType === 'C' ? 2 * currentX - lastControlX : currentX
+        const c1y = lastType === 'C' ? 2 * currentY - lastControlY : currentY
+        lastControlX = args[0] + offsetX
+        lastControlY = args[1] + offsetY
+        normalized.push({ type: 'C', args: [c1x, c1y, lastControlX, lastControlY, args[2] + offsetX, args[3] + offsetY] })
+        currentX = args[2] + offsetX
+        currentY = args[3] + offsetY
+        break
+      }
+
+      case 'Q':
+        lastControlX = args[0] + offsetX
+        lastControlY = args[1] + offsetY
+        normalized.push({ type: 'Q', args: [lastControlX, lastControlY, args[2] + offsetX, args[3] + offsetY] })
+        currentX = args[2] + offsetX
+        currentY = args[3] + offsetY
+        break
+
+      case 'T': {
+        // Reflect the previous control point only if the previous command was a quadratic
+        lastControlX = lastType === 'Q' ? 2 * currentX - lastControlX : currentX
+        lastControlY = lastType === 'Q' ? 2 * currentY - lastControlY : currentY
+        normalized.push({ type: 'Q', args: [lastControlX, lastControlY, args[0] + offsetX, args[1] + offsetY] })
+        currentX = args[0] + offsetX
+        currentY = args[1] + offsetY
+        break
+      }
+
+      case 'A':
+        normalized.push({ type: 'A', args: [args[0], args[1], args[2], args[3], args[4], args[5] + offsetX, args[6] + offsetY] })
+        currentX = args[5] + offsetX
+        currentY = args[6] + offsetY
+        break
+
+      case 'Z':
+        normalized.push({ type: 'Z', args: [] })
+        currentX = startX
+        currentY = startY
+        break
+    }
+
+    lastType = normalized.length > 0 ? normalized[normalized.length - 1].type : null
+  })
+
+  return normalized
+}
+
 /**
  * Calculate bounding box of an SVG path
  */
@@ -117,42 +234,29 @@ function calculatePathBounds (pathData, debug = false) {
     const bx = 6 * (x0 - 2 * x1 + x2)
     const cx = 3 * (x1 - x0)
 
-    const discriminantX = bx * bx - 4 * ax * cx
-    if (discriminantX >= 0 && ax !== 0) {
-      const sqrtDiscX = Math.sqrt(discriminantX)
-      const t1 = (-bx + sqrtDiscX) / (2 * ax)
-      const t2 = (-bx - sqrtDiscX) / (2 * ax)
-
-      if (t1 > 0 && t1 < 1) {
-        const x = cubicBezierPoint(t1, x0, x1, x2, x3)
-        updateBounds(x, cubicBezierPoint(t1, y0, y1, y2, y3))
-      }
-      if (t2 > 0 && t2 < 1) {
-        const x = cubicBezierPoint(t2, x0, x1, x2, x3)
-        updateBounds(x, cubicBezierPoint(t2, y0, y1, y2, y3))
-      }
-    }
+    getQuadraticRoots(ax, bx, cx)
+      .filter(t => t > 0 && t < 1)
+      .forEach(t => updateBounds(cubicBezierPoint(t, x0, x1, x2, x3), cubicBezierPoint(t, y0, y1, y2, y3)))
 
     // Y extrema
     const ay = 3 * (y3 - 3 * y2 + 3 * y1 - y0)
     const by = 6 * (y0 - 2 * y1 + y2)
     const cy = 3 * (y1 - y0)
 
-    const discriminantY = by * by - 4 * ay * cy
-    if (discriminantY >= 0 && ay !== 0) {
-      const sqrtDiscY = Math.sqrt(discriminantY)
-      const t1 = (-by + sqrtDiscY) / (2 * ay)
-      const t2 = (-by - sqrtDiscY) / (2 * ay)
+    getQuadraticRoots(ay, by, cy)
+      .filter(t => t > 0 && t < 1)
+      .forEach(t => updateBounds(cubicBezierPoint(t, x0, x1, x2, x3), cubicBezierPoint(t, y0, y1, y2, y3)))
+  }
 
-      if (t1 > 0 && t1 < 1) {
-        const y = cubicBezierPoint(t1, y0, y1, y2, y3)
-        updateBounds(cubicBezierPoint(t1, x0, x1, x2, x3), y)
-      }
-      if (t2 > 0 && t2 < 1) {
-        const y = cubicBezierPoint(t2, y0, y1, y2, y3)
-        updateBounds(cubicBezierPoint(t2, x0, x1, x2, x3), y)
-      }
+  // Roots of at² + bt + c, which is linear for symmetric curves (a = 0)
+  function getQuadraticRoots (a, b, c) {
+    if (Math.abs(a) < 1e-12) {
+      return Math.abs(b) < 1e-12 ? [] : [-c / b]
     }
+    const discriminant = b * b - 4 * a * c
+    if (discriminant < 0) return []
+    const sqrtDiscriminant = Math.sqrt(discriminant)
+    return [(-b + sqrtDiscriminant) / (2 * a), (-b - sqrtDiscriminant) / (2 * a)]
   }
 
   function updateBoundsForQuadraticBezier (x0, y0, x1, y1, x2, y2) {
@@ -176,6 +280,32 @@ function calculatePathBounds (pathData, debug = false) {
     }
   }
 
+  function updateBoundsForArc (x1, y1, rx, ry, xAxisRotation, largeArcFlag, sweepFlag, x2, y2) {
+    updateBounds(x1, y1)
+    updateBounds(x2, y2)
+
+    const arc = arcToCenterParameterization(x1, y1, rx, ry, xAxisRotation, largeArcFlag, sweepFlag, x2, y2)
+    if (!arc) {
+      // Degenerate arc - rendered as a straight line between the endpoints
+      return
+    }
+
+    const cosPhi = Math.cos(arc.phi)
+    const sinPhi = Math.sin(arc.phi)
+
+    // x(θ) = cx + rx·cosφ·cosθ − ry·sinφ·sinθ is extremal where dx/dθ = 0, likewise for y(θ)
+    const thetaX = Math.atan2(-arc.ry * sinPhi, arc.rx * cosPhi)
+    const thetaY = Math.atan2(arc.ry * cosPhi, arc.rx * sinPhi)
+    const candidates = [thetaX, thetaX + Math.PI, thetaY, thetaY + Math.PI]
+
+    candidates.forEach(theta => {
+      if (isAngleInArcSweep(theta, arc.startAngle, arc.sweepAngle)) {
+        const point = ellipsePoint(arc, theta)
+        updateBounds(point.x, point.y)
+      }
+    })
+  }
+
   if (debug) {
     console.log(`    Parsing path with ${commands.length} commands`)
   }
@@ -277,18 +407,11 @@ function calculatePathBounds (pathData, debug = false) {
         break
       }
 
-      case 'A': { // Arc - simplified bounding box (complex to compute exactly)
-        const rx = Math.abs(args[0])
-        const ry = Math.abs(args[1])
+      case 'A': { // Elliptical arc - exact extrema via center parameterization
         const aendX = isRelative ? currentX + args[5] : args[5]
         const aendY = isRelative ? currentY + args[6] : args[6]
 
-        // Approximate arc bounds (conservative estimate)
-        const centerX = (currentX + aendX) / 2
-        const centerY = (currentY + aendY) / 2
-        updateBounds(centerX - rx, centerY - ry)
-        updateBounds(centerX + rx, centerY + ry)
-        updateBounds(aendX, aendY)
+        updateBoundsForArc(currentX, currentY, args[0], args[1], args[2], args[3], args[4], aendX, aendY)
 
         currentX = aendX
         currentY = aendY
@@ -331,6 +454,293 @@ function quadraticBezierPoint (t, p0, p1, p2) {
   return mt * mt * p0 + 2 * mt * t * p1 + t * t * p2
 }
 
+/**
+ * Convert an SVG arc from endpoint to center parameterization
+ * Implements SVG 1.1 implementation notes F.6.5 and F.6.6 (out-of-range radii correction)
+ * @returns {Object|null} Center, corrected radii, rotation (radians), start and sweep angles,
+ *   or null when the arc degenerates to a straight line
+ */
+function arcToCenterParameterization (x1, y1, rx, ry, xAxisRotation, largeArcFlag, sweepFlag, x2, y2) {
+  rx = Math.abs(rx)
+  ry = Math.abs(ry)
+
+  // Zero radii or identical endpoints: the arc is omitted or rendered as a line
+  if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) {
+    return null
+  }
+
+  const phi = (xAxisRotation % 360) * Math.PI / 180
+  const cosPhi = Math.cos(phi)
+  const sinPhi = Math.sin(phi)
+
+  // Step 1: compute (x1', y1')
+  const dx = (x1 - x2) / 2
+  const dy = (y1 - y2) / 2
+  const x1p = cosPhi * dx + sinPhi * dy
+  const y1p = -sinPhi * dx + cosPhi * dy
+
+  // Correct out-of-range radii by scaling them up uniformly
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry)
+  if (lambda > 1) {
+    const scale = Math.sqrt(lambda)
+    rx *= scale
+    ry *= scale
+  }
+
+  // Step 2: compute (cx', cy')
+  const rx2 = rx * rx
+  const ry2 = ry * ry
+  const numerator = rx2 * ry2 - rx2 * y1p * y1p - ry2 * x1p * x1p
+  const denominator = rx2 * y1p * y1p + ry2 * x1p * x1p
+  const sign = (largeArcFlag ? 1 : 0) === (sweepFlag ? 1 : 0) ? -1 : 1
+  const coefficient = sign * Math.sqrt(Math.max(0, numerator / denominator))
+  const cxp = coefficient * (rx * y1p / ry)
+  const cyp = coefficient * -(ry * x1p / rx)
+
+  // Step 3: compute (cx, cy) from (cx', cy')
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2
+
+  // Step 4: compute start angle and sweep
+  const ux = (x1p - cxp) / rx
+  const uy = (y1p - cyp) / ry
+  const vx = (-x1p - cxp) / rx
+  const vy = (-y1p - cyp) / ry
+
+  const startAngle = vectorAngle(1, 0, ux, uy)
+  let sweepAngle = vectorAngle(ux, uy, vx, vy) % (2 * Math.PI)
+
+  if (!sweepFlag && sweepAngle > 0) {
+    sweepAngle -= 2 * Math.PI
+  } else if (sweepFlag && sweepAngle < 0) {
+    sweepAngle += 2 * Math.PI
+  }
+
+  return { cx, cy, rx, ry, phi, startAngle, sweepAngle }
+}
+
+/**
+ * Signed angle between two vectors in radians
+ */
+function vectorAngle (ux, uy, vx, vy) {
+  return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy)
+}
+
+/**
+ * Calculate point on a center-parameterized ellipse at angle theta
+ */
+function ellipsePoint (arc, theta) {
+  const cosPhi = Math.cos(arc.phi)
+  const sinPhi = Math.sin(arc.phi)
+  const cosTheta = Math.cos(theta)
+  const sinTheta = Math.sin(theta)
+
+  return {
+    x: arc.cx + arc.rx * cosPhi * cosTheta - arc.ry * sinPhi * sinTheta,
+    y: arc.cy + arc.rx * sinPhi * cosTheta + arc.ry * cosPhi * sinTheta
+  }
+}
+
+/**
+ * Check if an angle lies within an arc's sweep (either direction)
+ */
+function isAngleInArcSweep (theta, startAngle, sweepAngle) {
+  const fullTurn = 2 * Math.PI
+  // Distance travelled from the start angle in the sweep direction, normalized to [0, 2π)
+  const travelled = sweepAngle >= 0
+    ? ((theta - startAngle) % fullTurn + fullTurn) % fullTurn
+    : ((startAngle - theta) % fullTurn + fullTurn) % fullTurn
+
+  return travelled <= Math.abs(sweepAngle)
+}
+
+/**
+ * Sample points along a path with the direction of the path at each of them
+ * Lines are sampled at both ends, curves and arcs at `curveSamples` evenly
+ * spaced parameters. Every segment starts with a sample in its own direction,
+ * so at a corner there is one sample for the incoming and one for the
+ * outgoing direction. Zero-length segments are skipped; moves start a new
+ * subpath without adding to the distance.
+ * @param {string} pathData - SVG path data
+ * @param {number} curveSamples - Samples per curve or arc
+ * @returns {Array} [{ x, y, angle: direction in degrees, distance: along the path }]
+ */
+function samplePath (pathData, curveSamples = 24) {
+  const samples = []
+  let currentX = 0
+  let currentY = 0
+  let startX = 0
+  let startY = 0
+  let distance = 0
+
+  const addSegment = pointAt => {
+    const count = pointAt.isLine ? 1 : curveSamples
+    const step = 1e-4
+    const segmentSamples = []
+
+    for (let i = 0; i <= count; i++) {
+      const t = i / count
+      const point = pointAt(t)
+      // Direction from a central difference, clamped to the segment
+      const before = pointAt(Math.max(0, t - step))
+      const after = pointAt(Math.min(1, t + step))
+      if (Math.hypot(after.x - before.x, after.y - before.y) < 1e-12) continue
+      segmentSamples.push({ x: point.x, y: point.y, angle: Math.atan2(after.y - before.y, after.x - before.x) * 180 / Math.PI })
+    }
+
+    segmentSamples.forEach((sample, index) => {
+      if (index > 0) {
+        const previous = segmentSamples[index - 1]
+        distance += Math.hypot(sample.x - previous.x, sample.y - previous.y)
+      }
+      samples.push({ ...sample, distance })
+    })
+  }
+
+  const line = (x1, y1, x2, y2) => Object.assign(t => ({ x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t }), { isLine: true })
+
+  normalizePathCommands(pathData).forEach(cmd => {
+    const args = cmd.args
+
+    switch (cmd.type) {
+      case 'M':
+        currentX = startX = args[0]
+        currentY = startY = args[1]
+        return
+      case 'L':
+        addSegment(line(currentX, currentY, args[0], args[1]))
+        currentX = args[0]
+        currentY = args[1]
+        return
+      case 'Z':
+        addSegment(line(currentX, currentY, startX, startY))
+        currentX = startX
+        currentY = startY
+        return
+      case 'C': {
+        const [x0, y0] = [currentX, currentY]
+        addSegment(t => ({
+          x: cubicBezierPoint(t, x0, args[0], args[2], args[4]),
+          y: cubicBezierPoint(t, y0, args[1], args[3], args[5])
+        }))
+        currentX = args[4]
+        currentY = args[5]
+        return
+      }
+      case 'Q': {
+        const [x0, y0] = [currentX, currentY]
+        addSegment(t => ({
+          x: quadraticBezierPoint(t, x0, args[0], args[2]),
+          y: quadraticBezierPoint(t, y0, args[1], args[3])
+        }))
+        currentX = args[2]
+        currentY = args[3]
+        return
+      }
+      case 'A': {
+        const arc = arcToCenterParameterization(currentX, currentY, args[0], args[1], args[2], args[3], args[4], args[5], args[6])
+        addSegment(arc
+          ? t => ellipsePoint(arc, arc.startAngle + arc.sweepAngle * t)
+          : line(currentX, currentY, args[5], args[6]))
+        currentX = args[5]
+        currentY = args[6]
+      }
+    }
+  })
+
+  return samples
+}
+
+/**
+ * Keep the path samples between two fractions of the path length
+ * Samples are added at both ends of the range, interpolated between the
+ * samples around them.
+ * @param {Array} samples - Path samples from samplePath
+ * @param {number} start - Start of the range as a fraction of the length
+ * @param {number} end - End of the range as a fraction of the length
+ * @returns {Array} Samples within the range
+ */
+function clipMotionSamples (samples, start, end) {
+  if (samples.length === 0) return samples
+
+  const total = samples[samples.length - 1].distance
+  const sampleAt = distance => {
+    const index = samples.findIndex(sample => sample.distance >= distance)
+    const next = samples[index === -1 ? samples.length - 1 : index]
+    const previous = samples[index - 1]
+    if (!previous || next.distance === previous.distance) return next
+
+    const fraction = (distance - previous.distance) / (next.distance - previous.distance)
+    return {
+      x: previous.x + (next.x - previous.x) * fraction,
+      y: previous.y + (next.y - previous.y) * fraction,
+      angle: next.angle,
+      distance
+    }
+  }
+
+  return [
+    sampleAt(start * total),
+    ...samples.filter(sample => sample.distance > start * total && sample.distance < end * total),
+    sampleAt(end * total)
+  ]
+}
+
+/**
+ * Interpolate between two paths, as for animated `d`
+ * Paths interpolate when they have the same commands in the same order, in
+ * absolute or relative form. Coordinates move linearly; arc flags switch
+ * half-way.
+ * @param {string} fromPath - Path data at fraction 0
+ * @param {string} toPath - Path data at fraction 1
+ * @param {number} fraction - Progress between the paths
+ * @returns {string|null} Absolute path data, or null if the paths cannot be interpolated
+ */
+function interpolatePathData (fromPath, toPath, fraction) {
+  const fromTypes = parsePath(fromPath).map(cmd => cmd.type.toUpperCase())
+  const toTypes = parsePath(toPath).map(cmd => cmd.type.toUpperCase())
+  if (fromTypes.length === 0 || fromTypes.join() !== toTypes.join()) return null
+
+  // Both normalize the same way, so their commands pair up
+  const to = normalizePathCommands(toPath)
+  return normalizePathCommands(fromPath).map((cmd, index) => {
+    const args = cmd.args.map((value, arg) => cmd.type === 'A' && (arg === 3 || arg === 4)
+      ? (fraction < 0.5 ? value : to[index].args[arg])
+      : value + (to[index].args[arg] - value) * fraction)
+    return [cmd.type, ...args].join(' ')
+  }).join(' ')
+}
+
+/**
+ * Bounds of every shape a path passes through while morphing into another
+ * Points on lines and Bézier curves are weighted sums of their control
+ * points, so every intermediate shape stays within the bounds of the two
+ * ends. Arcs are not: their centre and sweep move as the endpoints and radii
+ * interpolate, and the arc can bulge past both ends. Paths with arcs are
+ * bounded at `steps` evenly spaced fractions. Easing such as keySplines only
+ * changes when a fraction is reached, not which fractions are, so the steps
+ * cover it too.
+ * @param {string} fromPath - Path data at fraction 0
+ * @param {string} toPath - Path data at fraction 1
+ * @param {number} steps - Intervals between paths with arcs
+ * @returns {Object|null} { minX, maxX, minY, maxY }, or null if the paths cannot be interpolated
+ */
+function calculatePathMorphBounds (fromPath, toPath, steps = 32) {
+  if (interpolatePathData(fromPath, toPath, 0) === null) return null
+
+  const intervals = normalizePathCommands(fromPath).some(cmd => cmd.type === 'A') ? steps : 1
+  const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }
+  for (let i = 0; i <= intervals; i++) {
+    const shape = calculatePathBounds(interpolatePathData(fromPath, toPath, i / intervals))
+    bounds.minX = Math.min(bounds.minX, shape.minX)
+    bounds.maxX = Math.max(bounds.maxX, shape.maxX)
+    bounds.minY = Math.min(bounds.minY, shape.minY)
+    bounds.maxY = Math.max(bounds.maxY, shape.maxY)
+  }
+
+  return bounds
+}
+
 /**
  * Parse animateMotion values attribute (coordinate pairs)
  */
@@ -382,6 +792,12 @@ function calculateMotionValuesBounds (valuesString, debug = false) {
 module.exports = {
   parsePath,
   calculatePathBounds,
+  normalizePathCommands,
+  arcToCenterParameterization,
   calculateMotionValuesBounds,
-  parseMotionValues
+  parseMotionValues,
+  samplePath,
+  clipMotionSamples,
+  interpolatePathData,
+  calculatePathMorphBounds
 }
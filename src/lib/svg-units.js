@@ -0,0 +1,111 @@
+/**
+ * SVG Units
+ * Parses SVG/CSS lengths and converts absolute units to user units (CSS px)
+ */
+
+// CSS absolute units in px (96 px per inch)
+const ABSOLUTE_UNITS_IN_PX = {
+  '': 1,
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  pt: 96 / 72,
+  pc: 16
+}
+
+/**
+ * Parse a length such as "200", "210mm" or "100%"
+ * @param {string} value - Length attribute value
+ * @returns {Object|null} {value, unit} with a lower-case unit ('' for unitless), or null if not a length
+ */
+function parseLength (value) {
+  if (value === null || value === undefined) {
+    return null
+  }
+
+  const match = String(value).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*([a-z%]*)$/i)
+  if (!match) {
+    return null
+  }
+
+  return { value: parseFloat(match[1]), unit: match[2].toLowerCase() }
+}
+
+/**
+ * Convert a length to user units
+ * Relative units need their reference size from the context.
+ * @param {Object|string} length - Parsed length or length string
+ * @param {Object} context - {percentBase, fontSize} for '%' and em/ex/rem (font size defaults to 16px)
+ * @returns {number|null} Length in user units, or null if it cannot be resolved
+ */
+function lengthToUserUnits (length, context = {}) {
+  const parsed = typeof length === 'string' ? parseLength(length) : length
+  if (!parsed) {
+    return null
+  }
+
+  if (parsed.unit in ABSOLUTE_UNITS_IN_PX) {
+    return parsed.value * ABSOLUTE_UNITS_IN_PX[parsed.unit]
+  }
+
+  const fontSize = context.fontSize || 16
+  switch (parsed.unit) {
+    case '%':
+      return typeof context.percentBase === 'number' ? parsed.value / 100 * context.percentBase : null
+    case 'em':
+    case 'rem':
+      return parsed.value * fontSize
+    case 'ex':
+      return parsed.value * fontSize / 2
+    default:
+      return null
+  }
+}
+
+/**
+ * Parse a viewBox attribute value
+ * @param {string} viewBox - "x y width height", separated by whitespace and/or commas
+ * @returns {Object|null} Box {x, y, width, height}, or null if malformed
+ */
+function parseViewBox (viewBox) {
+  const values = String(viewBox || '').trim().split(/[\s,]+/).map(parseFloat)
+  if (values.length !== 4 || !values.every(isFinite)) {
+    return null
+  }
+  return { x: values[0], y: values[1], width: values[2], height: values[3] }
+}
+
+/**
+ * Format a number for an attribute value, dropping insignificant zeros
+ * @param {number} value - Number to format
+ * @param {number} precision - Maximum number of decimals
+ * @returns {string} Formatted number
+ */
+function formatNumber (value, precision = 3) {
+  return String(parseFloat(value.toFixed(precision)))
+}
+
+/**
+ * Scale a length while keeping its unit, e.g. "210mm" × 0.5 → "105mm"
+ * @param {string} value - Length attribute value
+ * @param {number} factor - Scale factor
+ * @returns {string|null} Scaled length, or null if the value is not a length
+ */
+function scaleLength (value, factor) {
+  const parsed = parseLength(value)
+  if (!parsed) {
+    return null
+  }
+
+  return `${formatNumber(parsed.value * factor)}${parsed.unit}`
+}
+
+module.exports = {
+  parseLength,
+  lengthToUserUnits,
+  parseViewBox,
+  scaleLength,
+  formatNumber
+}
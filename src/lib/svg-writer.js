@@ -0,0 +1,308 @@
+/**
+ * SVG Writer
+ *
+ * Edits attributes of the outermost <svg> element without parsing and
+ * re-serializing the document. A small XML scanner skips the prolog
+ * (XML declaration, processing instructions, comments, doctype with its
+ * internal subset) and CDATA sections to find the root start tag; only the
+ * edited attribute changes, every other character is preserved.
+ */
+
+/**
+ * Find the end of a doctype declaration, including its internal subset
+ * @param {string} content - Document content
+ * @param {number} start - Index of '<!DOCTYPE'
+ * @returns {number} Index just after the closing '>'
+ */
+function skipDoctype (content, start) {
+  let i = start + 2
+  let depth = 0
+  let quote = null
+
+  while (i < content.length) {
+    const char = content[i]
+
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (content.startsWith('<!--', i)) {
+      // Comments inside the internal subset may contain any character
+      const end = content.indexOf('-->', i + 4)
+      i = end === -1 ? content.length : end + 3
+      continue
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '[') {
+      depth++
+    } else if (char === ']') {
+      depth--
+    } else if (char === '>' && depth <= 0) {
+      return i + 1
+    }
+
+    i++
+  }
+
+  return content.length
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} content - Document content
+ * @param {number} start - Index just after the tag name
+ * @returns {Object} Attributes and the index of the closing '>' or '/>'
+ */
+function parseStartTagAttributes (content, start) {
+  const attributes = []
+  let i = start
+
+  while (i < content.length) {
+    while (i < content.length && /\s/.test(content[i])) i++
+
+    if (content[i] === '>' || content.startsWith('/>', i)) {
+      return { attributes, tagEnd: i, selfClosing: content[i] === '/' }
+    }
+
+    const nameStart = i
+    while (i < content.length && !/[\s=/>]/.test(content[i])) i++
+    const name = content.slice(nameStart, i)
+
+    while (i < content.length && /\s/.test(content[i])) i++
+
+    if (content[i] !== '=') {
+      // Attribute without a value (not well-formed XML, but tolerated)
+      if (name) {
+        attributes.push({ name, value: null, start: nameStart, end: nameStart + name.length, valueStart: null, valueEnd: null, quote: null })
+      } else {
+        i++
+      }
+      continue
+    }
+
+    i++
+    while (i < content.length && /\s/.test(content[i])) i++
+
+    const quote = content[i] === '"' || content[i] === "'" ? content[i] : null
+    let valueStart
+    let valueEnd
+
+    if (quote) {
+      valueStart = i + 1
+      valueEnd = content.indexOf(quote, valueStart)
+      if (valueEnd === -1) valueEnd = content.length
+      i = valueEnd + 1
+    } else {
+      valueStart = i
+      while (i < content.length && !/[\s>]/.test(content[i]) && !content.startsWith('/>', i)) i++
+      valueEnd = i
+    }
+
+    attributes.push({
+      name,
+      value: content.slice(valueStart, valueEnd),
+      start: nameStart,
+      end: quote ? valueEnd + 1 : valueEnd,
+      valueStart,
+      valueEnd,
+      quote
+    })
+  }
+
+  return { attributes, tagEnd: content.length, selfClosing: false }
+}
+
+/**
+ * Locate the start tag of the outermost <svg> element
+ * @param {string} content - SVG document content
+ * @returns {Object|null} Tag position, name and attributes, or null if there is no <svg> element
+ */
+function findRootSVGElement (content) {
+  let i = 0
+
+  while (i < content.length) {
+    const open = content.indexOf('<', i)
+    if (open === -1) return null
+
+    if (content.startsWith('<?', open)) {
+      const end = content.indexOf('?>', open + 2)
+      i = end === -1 ? content.length : end + 2
+    } else if (content.startsWith('<!--', open)) {
+      const end = content.indexOf('-->', open + 4)
+      i = end === -1 ? content.length : end + 3
+    } else if (content.startsWith('<![CDATA[', open)) {
+      const end = content.indexOf(']]>', open + 9)
+      i = end === -1 ? content.length : end + 3
+    } else if (content.startsWith('<!', open)) {
+      i = skipDoctype(content, open)
+    } else if (content.startsWith('</', open)) {
+      const end = content.indexOf('>', open + 2)
+      i = end === -1 ? content.length : end + 1
+    } else {
+      let nameEnd = open + 1
+      while (nameEnd < content.length && !/[\s/>]/.test(content[nameEnd])) nameEnd++
+      const tagName = content.slice(open + 1, nameEnd)
+      const { attributes, tagEnd, selfClosing } = parseStartTagAttributes(content, nameEnd)
+
+      // The first <svg> start tag in document order is the outermost one
+      if (tagName === 'svg' || tagName.endsWith(':svg')) {
+        return {
+          tagName,
+          start: open,
+          nameEnd,
+          tagEnd,
+          end: Math.min(content.length, tagEnd + (selfClosing ? 2 : 1)),
+          selfClosing,
+          attributes
+        }
+      }
+
+      i = tagEnd + 1
+    }
+  }
+
+  return null
+}
+
+/**
+ * Escape a value for use inside a quoted attribute
+ * @param {string} value - Attribute value
+ * @param {string} quote - Quote character used in the document
+ * @returns {string} Escaped value
+ */
+function escapeAttributeValue (value, quote) {
+  const escaped = String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+  return quote === "'" ? escaped.replace(/'/g, '&apos;') : escaped.replace(/"/g, '&quot;')
+}
+
+/**
+ * Find the root <svg> element or throw
+ */
+function requireRootSVGElement (content) {
+  const root = findRootSVGElement(content)
+  if (!root) {
+    throw new Error('No <svg> root element found')
+  }
+  return root
+}
+
+/**
+ * Read an attribute of the outermost <svg> element
+ * @param {string} content - SVG document content
+ * @param {string} name - Attribute name (case-sensitive)
+ * @returns {string|null} Raw attribute value or null if absent
+ */
+function getRootAttribute (content, name) {
+  const root = findRootSVGElement(content)
+  const attribute = root && root.attributes.find(attr => attr.name === name)
+  return attribute ? attribute.value : null
+}
+
+/**
+ * Set an attribute on the outermost <svg> element
+ * An existing value is replaced in place, keeping its quote style; a missing
+ * attribute is inserted after the last attribute of the start tag.
+ * @param {string} content - SVG document content
+ * @param {string} name - Attribute name (case-sensitive)
+ * @param {string} value - New attribute value
+ * @returns {string} Updated content
+ */
+function setRootAttribute (content, name, value) {
+  const root = requireRootSVGElement(content)
+  const attribute = root.attributes.find(attr => attr.name === name)
+
+  if (attribute && attribute.quote) {
+    return content.slice(0, attribute.valueStart) +
+      escapeAttributeValue(value, attribute.quote) +
+      content.slice(attribute.valueEnd)
+  }
+
+  if (attribute) {
+    // Unquoted or valueless attribute - rewrite it as a quoted attribute
+    return content.slice(0, attribute.start) +
+      `${name}="${escapeAttributeValue(value, '"')}"` +
+      content.slice(attribute.end)
+  }
+
+  const lastAttribute = root.attributes[root.attributes.length - 1]
+  const insertAt = lastAttribute ? lastAttribute.end : root.nameEnd
+
+  return content.slice(0, insertAt) +
+    ` ${name}="${escapeAttributeValue(value, '"')}"` +
+    content.slice(insertAt)
+}
+
+/**
+ * Remove an attribute from the outermost <svg> element
+ * @param {string} content - SVG document content
+ * @param {string} name - Attribute name (case-sensitive)
+ * @returns {string} Updated content (unchanged if the attribute is absent)
+ */
+function removeRootAttribute (content, name) {
+  const root = requireRootSVGElement(content)
+  const attribute = root.attributes.find(attr => attr.name === name)
+
+  if (!attribute) {
+    return content
+  }
+
+  // Remove the whitespace that separated the attribute from the previous token
+  let start = attribute.start
+  while (start > root.nameEnd && /\s/.test(content[start - 1])) start--
+
+  return content.slice(0, start) + content.slice(attribute.end)
+}
+
+/**
+ * Append markup as the last children of the outermost <svg> element
+ * A self-closing root is expanded into a start and end tag.
+ * @param {string} content - SVG document content
+ * @param {string} markup - Markup to insert
+ * @returns {string} Updated content
+ */
+function appendToRoot (content, markup) {
+  const root = requireRootSVGElement(content)
+
+  if (root.selfClosing) {
+    return content.slice(0, root.tagEnd) + `>${markup}</${root.tagName}>` + content.slice(root.end)
+  }
+
+  // The outermost element closes last, so its end tag is the last one with its name
+  const closeTag = content.lastIndexOf(`</${root.tagName}`)
+  if (closeTag < root.end) {
+    throw new Error('No closing tag found for the <svg> root element')
+  }
+
+  return content.slice(0, closeTag) + markup + content.slice(closeTag)
+}
+
+/**
+ * Write an optimization result into SVG content
+ * Sets the new viewBox and, when the size mode changed them, width/height.
+ * Everything outside those attributes is left exactly as it was.
+ * @param {string} content - SVG document content
+ * @param {Object} result - Result from calculateOptimization
+ * @returns {string} Updated content
+ */
+function applyOptimization (content, result) {
+  let updated = setRootAttribute(content, 'viewBox', result.optimized.viewBox)
+
+  // Only touch width/height when the size mode changed them
+  const { original, optimized } = result.dimensions
+  for (const attribute of ['width', 'height']) {
+    if (optimized[attribute] === original[attribute]) continue
+
+    updated = optimized[attribute] === null
+      ? removeRootAttribute(updated, attribute)
+      : setRootAttribute(updated, attribute, optimized[attribute])
+  }
+
+  return updated
+}
+
+module.exports = {
+  findRootSVGElement,
+  getRootAttribute,
+  setRootAttribute,
+  removeRootAttribute,
+  appendToRoot,
+  applyOptimization
+}
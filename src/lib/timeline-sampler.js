@@ -0,0 +1,233 @@
+/**
+ * Timeline Sampler
+ *
+ * Measures animated content by pausing the document at instants over the
+ * animation and reading the rendered geometry, for interactions the analytic
+ * animation combiner does not model: nested animated groups, accumulate="sum"
+ * across repeats, paced calcMode on paths and similar.
+ *
+ * Instants are `samples` evenly spaced times over the longest active duration
+ * plus the keyTimes of every SMIL animation, in each repeat when it accumulates
+ * and in the first one otherwise. At every instant the getBBox() of each
+ * rendered element is mapped to root user space through its current CTM, and
+ * the union over all instants is added to the analytic bounds. Node only - the
+ * page functions run through page.evaluate().
+ */
+
+const { seekAnimations } = require('./page-renderer')
+
+const DEFAULT_TIMELINE_SAMPLES = 32
+
+// Repeats sampled of an animation with accumulate="sum"
+const MAX_SAMPLED_REPEATS = 10
+
+const EDGES = ['minX', 'minY', 'maxX', 'maxY']
+
+/**
+ * Instants to sample over the active durations of all animations (runs in the page)
+ * Animations that have not started (event-based begin) are not sampled. Only
+ * the first repeat is sampled unless the animation accumulates, and then at
+ * most `maxRepeats` repeats. Clock values are parsed by the bundled
+ * animation analyzer.
+ * @param {number} samples - Number of evenly spaced instants
+ * @param {number} maxRepeats - Repeats per animation to sample keyTimes in
+ * @returns {Object} { instants: times in seconds, end }
+ */
+function getSampleInstants (samples, maxRepeats) {
+  const root = document.querySelector('svg')
+  const keyInstants = [0]
+  let end = 0
+
+  root.querySelectorAll('animate, animateTransform, animateMotion, animateColor, set').forEach(animation => {
+    let start
+    let simple
+    try {
+      start = animation.getStartTime()
+    } catch (error) {
+      return // No current interval
+    }
+    try {
+      simple = animation.getSimpleDuration()
+    } catch (error) {
+      simple = null // Indefinite
+    }
+
+    if (!(simple > 0)) {
+      keyInstants.push(start)
+      end = Math.max(end, start)
+      return
+    }
+
+    // Active duration: the shorter of repeatCount and repeatDur, one simple duration without either
+    const repeatCount = animation.getAttribute('repeatCount')
+    const repeatDur = animation.getAttribute('repeatDur')
+    const byCount = repeatCount === 'indefinite' ? Infinity : (parseFloat(repeatCount) > 0 ? parseFloat(repeatCount) * simple : null)
+    const byDur = repeatDur === 'indefinite' ? Infinity : window.parseClockValue(repeatDur)
+    const durations = [byCount, byDur].filter(duration => duration !== null)
+    const accumulates = animation.getAttribute('accumulate') === 'sum'
+    let active = durations.length > 0 ? Math.min(...durations) : simple
+
+    // Repeats only differ when they accumulate; the analysis warns about indefinite ones
+    if (!accumulates) {
+      active = Math.min(active, simple)
+    } else if (active > maxRepeats * simple) {
+      active = maxRepeats * simple
+    }
+
+    const values = animation.getAttribute('values')
+    const keyTimes = animation.getAttribute('keyTimes')
+    const count = values ? values.split(';').filter(value => value.trim()).length : 2
+    const offsets = keyTimes
+      ? keyTimes.split(';').map(parseFloat).filter(offset => offset >= 0 && offset <= 1)
+      : Array.from({ length: count }, (_, index) => count > 1 ? index / (count - 1) : 0)
+
+    for (let repeat = 0; repeat * simple < active; repeat++) {
+      offsets.forEach(offset => {
+        const time = (repeat + offset) * simple
+        // The value at the end of a repeat is shown just before the next one starts
+        if (time <= active) keyInstants.push(start + Math.max(0, time - (offset === 1 ? 0.001 : 0)))
+      })
+    }
+
+    keyInstants.push(start + active - 0.001)
+    end = Math.max(end, start + active)
+  })
+
+  if (document.getAnimations) {
+    document.getAnimations().forEach(animation => {
+      const timing = animation.effect.getComputedTiming()
+      const active = isFinite(timing.activeDuration) ? timing.activeDuration : timing.duration
+      if (isFinite(active)) {
+        end = Math.max(end, (timing.delay + active) / 1000)
+      }
+    })
+  }
+
+  const evenly = end > 0 && samples > 1
+    ? Array.from({ length: samples }, (_, index) => Math.min(index * end / (samples - 1), end - 0.001))
+    : [0]
+
+  const instants = Array.from(new Set([...evenly, ...keyInstants]
+    .filter(time => time >= 0 && isFinite(time))
+    .map(time => Math.round(time * 1e6) / 1e6)))
+    .sort((a, b) => a - b)
+
+  return { instants, end }
+}
+
+/**
+ * Union of the rendered element bounds at the current instant (runs in the page)
+ * Elements inside resources (defs, symbols, masks, ...), hidden elements and
+ * unselected <switch> children are skipped. Bounds follow getBBox(), the fill
+ * geometry, mapped to root user space through the element's current CTM.
+ * @returns {Object|null} Per edge { value, element }, or null without rendered content
+ */
+function measureInstant () {
+  const root = document.querySelector('svg')
+  const rootMatrix = root.getScreenCTM()
+  if (!rootMatrix) return null
+  const toRoot = rootMatrix.inverse()
+
+  const activeSwitchChildren = window.SwitchEvaluator ? window.SwitchEvaluator.getActiveElementsFromSwitches(root) : []
+  const isSelected = element => !window.SwitchEvaluator ||
+    window.SwitchEvaluator.shouldIncludeElement(element) ||
+    activeSwitchChildren.some(child => child === element || child.contains(element))
+
+  const isRendered = element => {
+    for (let node = element; node && node !== root; node = node.parentElement) {
+      const style = window.getComputedStyle(node)
+      if (style.display === 'none' || parseFloat(style.opacity) === 0) return false
+    }
+    return window.getComputedStyle(element).visibility !== 'hidden'
+  }
+
+  let edges = null
+
+  root.querySelectorAll('rect, circle, ellipse, line, polyline, polygon, path, text, image, use, foreignObject').forEach(element => {
+    if (element.closest('defs, symbol, mask, clipPath, pattern, marker, filter') ||
+        !isSelected(element) || !isRendered(element)) {
+      return
+    }
+
+    let box
+    let matrix
+    try {
+      box = element.getBBox()
+      matrix = element.getScreenCTM()
+    } catch (error) {
+      return
+    }
+    if (!matrix || (box.width === 0 && box.height === 0)) return
+
+    const toRootMatrix = toRoot.multiply(matrix)
+    const corners = [[box.x, box.y], [box.x + box.width, box.y], [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]]
+      .map(([x, y]) => new window.DOMPoint(x, y).matrixTransform(toRootMatrix))
+    const bounds = {
+      minX: Math.min(...corners.map(point => point.x)),
+      minY: Math.min(...corners.map(point => point.y)),
+      maxX: Math.max(...corners.map(point => point.x)),
+      maxY: Math.max(...corners.map(point => point.y))
+    }
+    const path = typeof window.describeElementPath === 'function' ? window.describeElementPath(element, root) : element.tagName
+
+    edges = edges || {}
+    Object.keys(bounds).forEach(edge => {
+      const value = bounds[edge]
+      const grows = !edges[edge] || (edge.startsWith('min') ? value < edges[edge].value : value > edges[edge].value)
+      if (grows) edges[edge] = { value, element: path }
+    })
+  })
+
+  return edges
+}
+
+/**
+ * Add the bounds sampled over the animation timeline to the analytic bounds
+ * The page must hold the analyzed SVG; its animations are left paused.
+ * @param {Object} page - Puppeteer page holding the analyzed SVG
+ * @param {Object} analysis - Bounds analysis from the browser modules or the geometry engine
+ * @param {Object} options - { samples } evenly spaced instants (default 32)
+ * @returns {Promise<Object>} Analysis with combined global bounds and extremes, and `timeline`
+ */
+async function sampleTimeline (page, analysis, options = {}) {
+  const samples = Math.max(1, parseInt(options.samples) || DEFAULT_TIMELINE_SAMPLES)
+  const { instants, end } = await page.evaluate(getSampleInstants, samples, MAX_SAMPLED_REPEATS)
+  const combined = {
+    minX: analysis.globalMinX,
+    minY: analysis.globalMinY,
+    maxX: analysis.globalMaxX,
+    maxY: analysis.globalMaxY
+  }
+  const extremes = { ...analysis.extremes }
+
+  for (const time of instants) {
+    await page.evaluate(seekAnimations, time)
+    const edges = await page.evaluate(measureInstant)
+    if (!edges) continue
+
+    EDGES.forEach(edge => {
+      const { value, element } = edges[edge]
+      const grows = edge.startsWith('min') ? !(value >= combined[edge]) : !(value <= combined[edge])
+      if (grows) {
+        combined[edge] = value
+        extremes[edge] = { value, element, reason: `sampled at t=${Number(time.toFixed(3))}s` }
+      }
+    })
+  }
+
+  return {
+    ...analysis,
+    globalMinX: combined.minX,
+    globalMinY: combined.minY,
+    globalMaxX: combined.maxX,
+    globalMaxY: combined.maxY,
+    extremes,
+    timeline: { samples: instants.length, end }
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMELINE_SAMPLES,
+  measureInstant,
+  sampleTimeline
+}
@@ -229,6 +229,10 @@ function getElementTransform (element) {
       const computed = getComputedStyle(element)
       hasCSSAnimations = computed.animationName && computed.animationName !== 'none'
     }
+    // Animations started by scripts with element.animate()
+    if (typeof element.getAnimations === 'function' && element.getAnimations().length > 0) {
+      hasCSSAnimations = true
+    }
   } catch (error) {
     // Ignore errors accessing computed styles
   }
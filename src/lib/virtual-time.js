@@ -0,0 +1,179 @@
+/**
+ * Virtual Time
+ *
+ * Runs the scripts of a page on Chrome's virtual clock instead of waiting in
+ * real time. Timers, requestAnimationFrame and animations only advance when
+ * the clock is given a budget (Emulation.setVirtualTimePolicy), so a script
+ * delay takes as long as the work it triggers, and content moved by scripts
+ * holds still while it is measured. Virtual time stops while network fetches
+ * are pending, so resources loaded by scripts arrive before time moves on.
+ *
+ * The clock is paused before the content loads and advanced to each sample
+ * timestamp in turn, where the rendered geometry is measured as for timeline
+ * sampling, then to the end of the budget, where the page is analyzed. Node
+ * only - the page functions run through page.evaluate().
+ */
+
+const { measureInstant } = require('./timeline-sampler')
+
+// Real time allowed for one budget to run out, in milliseconds
+const VIRTUAL_TIME_TIMEOUT = 30000
+
+const EDGES = ['minX', 'minY', 'maxX', 'maxY']
+
+/**
+ * Validate virtual time options
+ * @param {number} budget - Virtual milliseconds to run the page for
+ * @param {number[]} samples - Virtual timestamps to measure at, in milliseconds
+ * @throws {Error} If the budget is not positive or a sample lies outside it
+ */
+function validateVirtualTime (budget, samples = []) {
+  if (budget === undefined) {
+    throw new Error('Virtual time samples need a virtual time budget')
+  }
+  if (!(budget > 0)) {
+    throw new Error(`Virtual time budget must be a positive number of milliseconds, got ${budget}`)
+  }
+
+  const outside = samples.filter(time => !(time >= 0 && time <= budget))
+  if (outside.length > 0) {
+    throw new Error(`Virtual time samples must lie between 0 and the ${budget}ms budget, got ${outside.join(', ')}`)
+  }
+}
+
+/**
+ * Parse a comma-separated list of virtual timestamps, such as "500,1000"
+ * @param {string} value - Timestamps in milliseconds, or undefined
+ * @returns {number[]} Timestamps; entries that are not numbers become NaN, which validateVirtualTime rejects
+ */
+function parseVirtualTimeSamples (value) {
+  return value === undefined || value === '' ? [] : String(value).split(',').map(time => time.trim() === '' ? NaN : Number(time))
+}
+
+/**
+ * Pause the virtual clock of a page, before its content loads
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<Object>} CDP session that holds the clock; virtual time ends when it is detached
+ */
+async function pauseVirtualTime (page) {
+  const session = await page.createCDPSession()
+  await session.send('Emulation.setVirtualTimePolicy', { policy: 'pause' })
+  return session
+}
+
+/**
+ * Let the virtual clock run for a budget, then pause it
+ * @param {Object} session - CDP session from pauseVirtualTime
+ * @param {number} budget - Virtual milliseconds to advance
+ * @returns {Promise} Resolves once the budget is exhausted
+ */
+function advanceVirtualTime (session, budget) {
+  return new Promise((resolve, reject) => {
+    const settle = error => {
+      clearTimeout(timer)
+      session.off('Emulation.virtualTimeBudgetExpired', expired)
+      if (error) {
+        reject(error)
+      } else {
+        resolve()
+      }
+    }
+    const expired = () => settle()
+    const timer = setTimeout(() => {
+      settle(new Error(`Virtual time did not advance ${budget}ms within ${VIRTUAL_TIME_TIMEOUT / 1000} seconds; a script may be busy or a network fetch stalled`))
+    }, VIRTUAL_TIME_TIMEOUT)
+
+    session.on('Emulation.virtualTimeBudgetExpired', expired)
+    session.send('Emulation.setVirtualTimePolicy', { policy: 'pauseIfNetworkFetchesPending', budget }).catch(settle)
+  })
+}
+
+/**
+ * Advance the virtual clock to each sample timestamp and on to the end of the budget
+ * The page is left paused at the end of the budget.
+ * @param {Object} page - Puppeteer page whose clock was paused with pauseVirtualTime
+ * @param {Object} session - CDP session from pauseVirtualTime
+ * @param {Object} options - { budget, samples } in virtual milliseconds, debug, logger (default: console)
+ * @returns {Promise<Object>} { budget, samples: [{ time, edges }] } with the edges measured at each sample
+ */
+async function runVirtualTime (page, session, options) {
+  const timestamps = Array.from(new Set(options.samples || [])).sort((a, b) => a - b)
+  const samples = []
+  let elapsed = 0
+
+  for (const time of timestamps) {
+    if (time > elapsed) {
+      await advanceVirtualTime(session, time - elapsed)
+      elapsed = time
+    }
+    samples.push({ time, edges: await page.evaluate(measureInstant) })
+
+    if (options.debug) {
+      (options.logger || console).log(`Measured content at virtual time ${time}ms`)
+    }
+  }
+
+  if (options.budget > elapsed) {
+    await advanceVirtualTime(session, options.budget - elapsed)
+  }
+
+  return { budget: options.budget, samples }
+}
+
+/**
+ * Let the virtual clock follow real time again and release it
+ * Rendering that waits for animation frames, such as --verify, needs a running clock.
+ * @param {Object} session - CDP session from pauseVirtualTime
+ */
+async function resumeVirtualTime (session) {
+  await session.send('Emulation.setVirtualTimePolicy', { policy: 'advance' })
+  await session.detach()
+}
+
+/**
+ * Add the bounds measured at virtual time samples to the analysis at the end of the budget
+ * @param {Object} analysis - Bounds analysis from the browser modules
+ * @param {Object} virtualTime - Result of runVirtualTime
+ * @returns {Object} Analysis with combined global bounds and extremes, and `virtualTime: { budget, samples }`
+ */
+function addVirtualTimeSamples (analysis, virtualTime) {
+  const combined = {
+    minX: analysis.globalMinX,
+    minY: analysis.globalMinY,
+    maxX: analysis.globalMaxX,
+    maxY: analysis.globalMaxY
+  }
+  const extremes = { ...analysis.extremes }
+
+  virtualTime.samples.forEach(({ time, edges }) => {
+    if (!edges) return
+
+    EDGES.forEach(edge => {
+      const { value, element } = edges[edge]
+      const grows = edge.startsWith('min') ? !(value >= combined[edge]) : !(value <= combined[edge])
+      if (grows) {
+        combined[edge] = value
+        extremes[edge] = { value, element, reason: `measured at virtual time ${time}ms` }
+      }
+    })
+  })
+
+  return {
+    ...analysis,
+    globalMinX: combined.minX,
+    globalMinY: combined.minY,
+    globalMaxX: combined.maxX,
+    globalMaxY: combined.maxY,
+    extremes,
+    virtualTime: { budget: virtualTime.budget, samples: virtualTime.samples.length }
+  }
+}
+
+module.exports = {
+  validateVirtualTime,
+  parseVirtualTimeSamples,
+  pauseVirtualTime,
+  runVirtualTime,
+  resumeVirtualTime,
+  addVirtualTimeSamples
+}
@@ -0,0 +1,140 @@
+const { execSync } = require('child_process')
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const { calculateBatchOptimization } = require('../viewbox-calculator')
+const { resolveInputs, globToRegExp, isGlobPattern } = require('../src/lib/input-resolver')
+
+describe('Batch processing', () => {
+  const cli = path.join(__dirname, '..', 'index.js')
+  const fixturesDir = path.join(__dirname, 'fixtures')
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-batch-'))
+    fs.mkdirSync(path.join(tempDir, 'icons', 'nested'), { recursive: true })
+    fs.copyFileSync(path.join(fixturesDir, 'simple-rect.svg'), path.join(tempDir, 'icons', 'a.svg'))
+    fs.copyFileSync(path.join(fixturesDir, 'animated-rect.svg'), path.join(tempDir, 'icons', 'b.svg'))
+    fs.copyFileSync(path.join(fixturesDir, 'simple-rect.svg'), path.join(tempDir, 'icons', 'nested', 'c.svg'))
+    fs.writeFileSync(path.join(tempDir, 'icons', 'notes.txt'), 'not an svg')
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  describe('Input resolution', () => {
+    it('should detect glob patterns', () => {
+      expect(isGlobPattern('icons/*.svg')).toBe(true)
+      expect(isGlobPattern('icons/**/icon-?.svg')).toBe(true)
+      expect(isGlobPattern('icons/icon.svg')).toBe(false)
+    })
+
+    it('should convert globs to regular expressions', () => {
+      expect(globToRegExp('*.svg').test('a.svg')).toBe(true)
+      expect(globToRegExp('*.svg').test('nested/a.svg')).toBe(false)
+      expect(globToRegExp('**/*.svg').test('a.svg')).toBe(true)
+      expect(globToRegExp('**/*.svg').test('deep/nested/a.svg')).toBe(true)
+      expect(globToRegExp('icon-?.{svg,xml}').test('icon-1.xml')).toBe(true)
+      expect(globToRegExp('icon-[ab].svg').test('icon-c.svg')).toBe(false)
+    })
+
+    it('should expand directories recursively to SVG files only', async () => {
+      const { files, missing } = await resolveInputs([path.join(tempDir, 'icons')])
+
+      expect(missing).toHaveLength(0)
+      expect(files.map(file => path.basename(file))).toEqual(['a.svg', 'b.svg', 'c.svg'])
+    })
+
+    it('should expand glob patterns', async () => {
+      const pattern = `${tempDir.split(path.sep).join('/')}/icons/*.svg`
+      const { files } = await resolveInputs([pattern])
+
+      expect(files.map(file => path.basename(file))).toEqual(['a.svg', 'b.svg'])
+    })
+
+    it('should skip previous optimizer output and de-duplicate inputs', async () => {
+      const first = path.join(tempDir, 'icons', 'a.svg')
+      fs.copyFileSync(first, path.join(tempDir, 'icons', 'a_optimized.svg'))
+
+      const { files } = await resolveInputs([first, path.join(tempDir, 'icons')])
+
+      expect(files.map(file => path.basename(file))).toEqual(['a.svg', 'b.svg', 'c.svg'])
+    })
+
+    it('should report inputs that match nothing', async () => {
+      const { files, missing } = await resolveInputs(['non-existent.svg', path.join(tempDir, 'icons', '*.png')])
+
+      expect(files).toHaveLength(0)
+      expect(missing).toHaveLength(2)
+    })
+  })
+
+  describe('Shared browser optimization', () => {
+    it('should optimize all files and keep input order', async () => {
+      const files = [
+        path.join(tempDir, 'icons', 'a.svg'),
+        path.join(tempDir, 'icons', 'b.svg'),
+        path.join(tempDir, 'icons', 'nested', 'c.svg')
+      ]
+      const seen = []
+
+      const results = await calculateBatchOptimization(files, {
+        buffer: 10,
+        concurrency: 2,
+        onResult: entry => seen.push(entry.file)
+      })
+
+      expect(results.map(entry => entry.file)).toEqual(files)
+      expect(results.every(entry => entry.error === null)).toBe(true)
+      expect(results[0].result.optimized.viewBox).toBe(results[2].result.optimized.viewBox)
+      expect(seen.sort()).toEqual([...files].sort())
+    })
+
+    it('should report failures without stopping the batch', async () => {
+      const broken = path.join(tempDir, 'broken.svg')
+      fs.writeFileSync(broken, '<svg xmlns="http://www.w3.org/2000/svg"></svg>')
+
+      const results = await calculateBatchOptimization([broken, path.join(tempDir, 'icons', 'a.svg')], {
+        concurrency: 1
+      })
+
+      expect(results[0].error).toBeInstanceOf(Error)
+      expect(results[0].result).toBeNull()
+      expect(results[1].error).toBeNull()
+      expect(results[1].result.elements.count).toBe(1)
+    })
+  })
+
+  describe('CLI', () => {
+    it('should optimize a directory and print a summary', () => {
+      const result = execSync(`node ${cli} ${path.join(tempDir, 'icons')} --dry-run -c 2`, { encoding: 'utf8' })
+
+      expect(result).toContain('Batch summary:')
+      expect(result).toContain('Optimized: 3/3 files')
+      expect(fs.existsSync(path.join(tempDir, 'icons', 'a_optimized.svg'))).toBe(false)
+    })
+
+    it('should write one output per input file', () => {
+      execSync(`node ${cli} ${path.join(tempDir, 'icons', 'a.svg')} ${path.join(tempDir, 'icons', 'b.svg')}`, { encoding: 'utf8' })
+
+      expect(fs.existsSync(path.join(tempDir, 'icons', 'a_optimized.svg'))).toBe(true)
+      expect(fs.existsSync(path.join(tempDir, 'icons', 'b_optimized.svg'))).toBe(true)
+    })
+
+    it('should exit non-zero if any file fails', () => {
+      const broken = path.join(tempDir, 'broken.svg')
+      fs.writeFileSync(broken, '<svg xmlns="http://www.w3.org/2000/svg"></svg>')
+
+      expect(() => {
+        execSync(`node ${cli} ${broken} ${path.join(tempDir, 'icons', 'a.svg')} --dry-run`, { stdio: 'pipe' })
+      }).toThrow()
+    })
+
+    it('should reject --output with multiple inputs', () => {
+      expect(() => {
+        execSync(`node ${cli} ${path.join(tempDir, 'icons')} -o out.svg`, { stdio: 'pipe' })
+      }).toThrow()
+    })
+  })
+})
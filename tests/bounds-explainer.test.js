@@ -0,0 +1,118 @@
+const path = require('path')
+const { execSync } = require('child_process')
+const { DOMParser } = require('linkedom')
+const { calculateOptimization, optimizeString } = require('../viewbox-calculator')
+const { describeElementPath, transformEdgeReasons, describeEffectEdges, createExtremesTracker } = require('../src/lib/bounds-explainer')
+const { combineOverlappingAnimations } = require('../src/lib/animation-combiner')
+const { Matrix2D } = require('../src/lib/transform-parser')
+
+function parse (content) {
+  return new DOMParser().parseFromString(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">${content}</svg>`, 'image/svg+xml').querySelector('svg')
+}
+
+describe('Bounds explanation', () => {
+  describe('Element paths', () => {
+    it('should prefer ids and fall back to a path from the root', () => {
+      const svg = parse('<g id="layer"><rect/><g><rect/><rect/></g></g><circle/>')
+
+      expect(describeElementPath(svg.querySelector('#layer > rect'), svg)).toBe('#layer > rect')
+      expect(describeElementPath(svg.querySelectorAll('g > g > rect')[1], svg)).toBe('#layer > g > rect:nth-of-type(2)')
+      expect(describeElementPath(svg.querySelector('circle'), svg)).toBe('svg > circle')
+    })
+  })
+
+  describe('Edge reasons', () => {
+    const reasons = { minX: 'left', minY: 'top', maxX: 'right', maxY: 'bottom' }
+
+    it('should keep reasons through translations and swap them through flips and quarter turns', () => {
+      expect(transformEdgeReasons(reasons, Matrix2D.translate(10, 20))).toEqual(reasons)
+      expect(transformEdgeReasons(reasons, Matrix2D.scale(-1, 1))).toEqual({ minX: 'right', minY: 'top', maxX: 'left', maxY: 'bottom' })
+      expect(transformEdgeReasons(reasons, new Matrix2D(0, 1, -1, 0, 0, 0))).toEqual({ minX: 'bottom', minY: 'left', maxX: 'top', maxY: 'right' })
+    })
+
+    it('should combine reasons through other rotations', () => {
+      const rotated = transformEdgeReasons(reasons, Matrix2D.rotate(45))
+
+      expect(rotated.minX).toBe('left / bottom')
+      expect(transformEdgeReasons('geometry', Matrix2D.rotate(45))).toBe('geometry')
+    })
+
+    it('should only attribute the edges a filter moves to the filter', () => {
+      const expansion = { x: 0, y: 0, width: 5, height: 5, isPixelBased: true, sources: ['feOffset'] }
+
+      expect(describeEffectEdges(expansion, 'geometry')).toEqual({
+        minX: 'geometry',
+        minY: 'geometry',
+        maxX: 'feOffset expansion',
+        maxY: 'feOffset expansion'
+      })
+      expect(describeEffectEdges({ ...expansion, x: 5, width: 10 }, 'animate x keyframe 2').minX).toBe('feOffset expansion of animate x keyframe 2')
+    })
+
+    it('should report which keyframe produced each edge of combined animation bounds', () => {
+      const reasons = {}
+      combineOverlappingAnimations([{
+        type: 'animateMotion',
+        values: '0,0; -40,10; 60,-5',
+        motionBounds: { minX: -40, minY: -5, maxX: 60, maxY: 10 }
+      }], { x: 0, y: 0, width: 10, height: 10 }, false, { reasons })
+
+      expect(reasons).toEqual({
+        minX: 'animateMotion keyframe 2',
+        minY: 'animateMotion keyframe 3',
+        maxX: 'animateMotion keyframe 3',
+        maxY: 'animateMotion keyframe 2'
+      })
+    })
+  })
+
+  describe('Extremes tracker', () => {
+    it('should keep the first contributor unless a descendant ties with its container', () => {
+      const svg = parse('<g><rect id="a"/></g><rect id="b"/>')
+      const tracker = createExtremesTracker(svg)
+
+      tracker.update({ x: 0, y: 0, width: 10, height: 10 }, svg.querySelector('g'), 'geometry')
+      tracker.update({ x: 0, y: 0, width: 10, height: 10 }, svg.querySelector('#a'), 'geometry')
+      tracker.update({ x: 0, y: 0, width: 20, height: 10 }, svg.querySelector('#b'), { maxX: 'animate width keyframe 2' })
+
+      expect(tracker.getExtremes()).toEqual({
+        minX: { value: 0, element: '#a', reason: 'geometry' },
+        minY: { value: 0, element: '#a', reason: 'geometry' },
+        maxX: { value: 20, element: '#b', reason: 'animate width keyframe 2' },
+        maxY: { value: 10, element: '#a', reason: 'geometry' }
+      })
+    })
+
+    it('should report no extremes without content', () => {
+      expect(createExtremesTracker(parse('')).getExtremes()).toEqual({ minX: null, minY: null, maxX: null, maxY: null })
+    })
+  })
+
+  describe('Optimization', () => {
+    it('should report extremes from the geometry engine', async () => {
+      const { result } = await optimizeString(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">
+        <defs><filter id="blur"><feGaussianBlur stdDeviation="2"/></filter></defs>
+        <rect id="box" x="10" y="10" width="50" height="50" filter="url(#blur)"/>
+        <circle id="dot" r="5"><animateMotion values="100,100; 300,150"/></circle>
+      </svg>`, { engine: 'geometry', engineFallback: false })
+
+      expect(result.extremes.minX).toEqual({ value: 4, element: '#box', reason: 'feGaussianBlur expansion' })
+      expect(result.extremes.maxX).toEqual({ value: 305, element: '#dot', reason: 'animateMotion keyframe 2' })
+      expect(result.extremes.maxY.reason).toBe('animateMotion keyframe 2')
+    })
+
+    it('should report extremes from the browser engine', async () => {
+      const result = await calculateOptimization(path.join(__dirname, 'fixtures', 'animated-rect.svg'))
+
+      expect(result.extremes.minX.reason).toBe('geometry')
+      expect(result.extremes.maxX.reason).toBe('animateTransform translate keyframe 2')
+    })
+
+    it('should print the edges with --explain', () => {
+      const output = execSync(`node ${path.join(__dirname, '..', 'index.js')} ${path.join(__dirname, 'fixtures', 'animated-rect.svg')} --engine geometry --explain --dry-run`, { encoding: 'utf8' })
+
+      expect(output).toContain('Content edges:')
+      expect(output).toMatch(/right\s+200\.00 {2}svg > rect: animateTransform translate keyframe 2/)
+    })
+  })
+})
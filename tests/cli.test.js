@@ -99,12 +99,13 @@ describe('CLI Interface', () => {
   })
 
   describe('Error handling', () => {
-    it('should handle SVG without viewBox', () => {
+    it('should derive a viewBox for SVG without one', () => {
       const input = path.join(fixturesDir, 'no-viewbox.svg')
+      const result = execSync(`node ${cli} ${input} --dry-run -b 0`, { encoding: 'utf8' })
 
-      expect(() => {
-        execSync(`node ${cli} ${input} --dry-run`, { stdio: 'pipe' })
-      }).toThrow()
+      expect(result).toContain('Original viewBox: 0 0 200 200 (derived from width/height)')
+      expect(result).toContain('New viewBox: 10.00 10.00 180.00 180.00')
+      expect(result).toContain('New size: width="180", height="180" (size mode: scale)')
     })
 
     it('should handle empty SVG', async () => {
@@ -3,6 +3,17 @@ const path = require('path')
 const { calculateOptimization } = require('../viewbox-calculator')
 
 describe('CSS Animation Support', () => {
+  async function analyze (testSvg, name) {
+    const tempFile = path.join(__dirname, `temp-css-${name}.svg`)
+    fs.writeFileSync(tempFile, testSvg)
+
+    try {
+      return await calculateOptimization(tempFile, { buffer: 0 })
+    } finally {
+      fs.unlinkSync(tempFile)
+    }
+  }
+
   describe('Transform-based CSS animations', () => {
     it('should expand bounds for CSS translate animations', async () => {
       const testSvg = `<?xml version="1.0" encoding="UTF-8"?>
@@ -379,4 +390,189 @@ describe('CSS Animation Support', () => {
       }
     })
   })
+
+  describe('Individual transform properties and offset-path', () => {
+    it('should expand bounds for the translate property', async () => {
+      const result = await analyze(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes slide {
+      to { translate: 50px 30px; }
+    }
+    .sliding { animation: slide 1s infinite; }
+  </style>
+  <rect x="100" y="100" width="50" height="40" class="sliding"/>
+</svg>`, 'translate-property')
+
+      expect(result.content.maxX).toBeCloseTo(200, 1)
+      expect(result.content.maxY).toBeCloseTo(170, 1)
+    })
+
+    it('should apply rotate before translate', async () => {
+      const result = await analyze(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes turn {
+      to { translate: 100px 0; rotate: 90deg; }
+    }
+    .turning { animation: turn 1s infinite; transform-origin: center; }
+  </style>
+  <rect x="100" y="100" width="50" height="50" class="turning"/>
+</svg>`, 'rotate-translate')
+
+      // The square turns in place around its center, then moves right
+      expect(result.content.maxX).toBeCloseTo(250, 1)
+      expect(result.content.maxY).toBeCloseTo(150, 1)
+    })
+
+    it('should bound the offset-path with the element extent', async () => {
+      const result = await analyze(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes travel {
+      from { offset-distance: 0%; }
+      to { offset-distance: 100%; }
+    }
+    .traveling { animation: travel 2s infinite; offset-path: path('M 50 50 L 250 50 L 250 150'); offset-rotate: 0deg; }
+  </style>
+  <rect x="0" y="0" width="20" height="10" class="traveling"/>
+</svg>`, 'offset-path')
+
+      // The anchor defaults to the view box origin, so the rect's top-left corner follows the path
+      expect(result.content.maxX).toBeCloseTo(270, 1)
+      expect(result.content.maxY).toBeCloseTo(160, 1)
+    })
+
+    it('should only bound the part of the offset-path the keyframes reach', async () => {
+      const result = await analyze(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes halfway {
+      from { offset-distance: 0%; }
+      to { offset-distance: 50%; }
+    }
+    .traveling { animation: halfway 2s infinite; offset-path: path('M 50 50 L 250 50 L 250 150'); offset-rotate: 0deg; }
+  </style>
+  <rect x="0" y="0" width="20" height="10" class="traveling"/>
+</svg>`, 'offset-distance-partial')
+
+      // Half of the 300 long path ends at (200, 50), before the corner
+      expect(result.content.maxX).toBeCloseTo(220, 1)
+      expect(result.content.maxY).toBeCloseTo(60, 1)
+    })
+
+    it('should turn the element around its anchor with offset-rotate: auto', async () => {
+      const result = await analyze(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes travel {
+      to { offset-distance: 100%; }
+    }
+    .traveling { animation: travel 2s infinite; offset-path: url(#track); transform-box: fill-box; transform-origin: center; }
+  </style>
+  <path id="track" d="M 50 50 L 250 50" fill="none"/>
+  <rect x="0" y="0" width="20" height="10" class="traveling"/>
+</svg>`, 'offset-rotate-auto')
+
+      // Any direction of the 20x10 rect around its center fits in a circle of radius hypot(10, 5)
+      expect(result.content.maxX).toBeCloseTo(250 + Math.hypot(10, 5), 1)
+      expect(result.content.maxY).toBeCloseTo(50 + Math.hypot(10, 5), 1)
+    })
+  })
+
+  describe('Geometry property animations', () => {
+    it('should expand bounds for r and cx keyframes', async () => {
+      const result = await analyze(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes pulse {
+      0%, 100% { r: 10px; cx: 50px; }
+      50% { r: 30px; cx: 150px; }
+    }
+    .pulsing { animation: pulse 1s infinite; }
+  </style>
+  <circle cx="50" cy="50" r="10" class="pulsing"/>
+</svg>`, 'radius')
+
+      // Centers between 50 and 150 with radii up to 30
+      expect(result.content.minX).toBeCloseTo(20, 1)
+      expect(result.content.minY).toBeCloseTo(20, 1)
+      expect(result.content.maxX).toBeCloseTo(180, 1)
+      expect(result.content.maxY).toBeCloseTo(80, 1)
+    })
+
+    it('should resolve percentages against the viewBox', async () => {
+      const result = await analyze(`<svg viewBox="0 0 300 200" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes widen {
+      from { width: 20px; }
+      to { width: 50%; }
+    }
+    .widening { animation: widen 1s infinite; }
+  </style>
+  <rect x="10" y="10" width="20" height="20" class="widening"/>
+</svg>`, 'percent-width')
+
+      expect(result.content.maxX).toBeCloseTo(160, 1)
+    })
+
+    it('should bound d: path() morphing', async () => {
+      const result = await analyze(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes morph {
+      from { d: path('M 10 10 L 20 20'); }
+      to { d: path('M 0 0 Q 100 200 200 0'); }
+    }
+    .morphing { animation: morph 1s infinite alternate; }
+  </style>
+  <path d="M 10 10 L 20 20" stroke="black" class="morphing"/>
+</svg>`, 'morph')
+
+      // The quadratic curve peaks at half its control point height
+      expect(result.content.minX).toBeCloseTo(0, 1)
+      expect(result.content.maxX).toBeCloseTo(200, 1)
+      expect(result.content.maxY).toBeCloseTo(100, 1)
+    })
+  })
+
+  describe('Overshooting easing', () => {
+    function slide (easing, name) {
+      return analyze(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes slide {
+      from { transform: translate(0px, 0px); }
+      to { transform: translate(100px, 0px); }
+    }
+    .sliding { animation: slide 1s ${easing} infinite; }
+  </style>
+  <rect x="100" y="100" width="50" height="50" class="sliding"/>
+</svg>`, name)
+    }
+
+    it('should include the overshoot of back easing', async () => {
+      const result = await slide('cubic-bezier(0.68, -0.6, 0.32, 1.6)', 'back-easing')
+
+      // The easing reaches progress -0.105 and 1.105
+      expect(result.content.minX).toBeCloseTo(89.53, 1)
+      expect(result.content.maxX).toBeCloseTo(260.47, 1)
+    })
+
+    it('should stay within the keyframes for steps()', async () => {
+      const result = await slide('steps(4, jump-none)', 'steps-easing')
+
+      expect(result.content.minX).toBeCloseTo(100, 1)
+      expect(result.content.maxX).toBeCloseTo(250, 1)
+    })
+
+    it('should use the easing of each keyframe for geometry properties', async () => {
+      const result = await analyze(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    @keyframes grow {
+      from { r: 10px; animation-timing-function: linear(0, 1.5 50%, 1); }
+      to { r: 20px; }
+    }
+    .growing { animation: grow 1s infinite; }
+  </style>
+  <circle cx="100" cy="100" r="10" class="growing"/>
+</svg>`, 'linear-easing')
+
+      // Half-way the radius reaches 10 + 1.5 * 10
+      expect(result.content.minX).toBeCloseTo(75, 1)
+      expect(result.content.maxX).toBeCloseTo(125, 1)
+    })
+  })
 })
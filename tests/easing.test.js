@@ -0,0 +1,61 @@
+const {
+  parseEasing,
+  parseKeySpline,
+  getProgressRange,
+  getEasingOvershoots
+} = require('../src/lib/easing')
+
+describe('Easing', () => {
+  describe('Parsing', () => {
+    it('should expand keywords', () => {
+      expect(parseEasing('ease-out')).toEqual({ type: 'cubic-bezier', x1: 0, y1: 0, x2: 0.58, y2: 1 })
+      expect(parseEasing('step-end')).toEqual({ type: 'steps', count: 1 })
+    })
+
+    it('should parse keySplines with commas or spaces', () => {
+      expect(parseKeySpline('0.5, 0 ,0.5 1')).toEqual({ type: 'cubic-bezier', x1: 0.5, y1: 0, x2: 0.5, y2: 1 })
+      expect(parseKeySpline('0.5 0 0.5')).toBeNull()
+    })
+
+    it('should spread the inputs of linear() evenly where they are left out', () => {
+      expect(parseEasing('linear(0, 0.25, 1 75%, 1)').points).toEqual([
+        { input: 0, output: 0 },
+        { input: 0.375, output: 0.25 },
+        { input: 0.75, output: 1 },
+        { input: 1, output: 1 }
+      ])
+    })
+
+    it('should reject invalid easing functions', () => {
+      expect(parseEasing('cubic-bezier(1.5, 0, 0.5, 1)')).toBeNull()
+      expect(parseEasing('steps(0)')).toBeNull()
+      expect(parseEasing('bounce')).toBeNull()
+    })
+  })
+
+  describe('Progress range', () => {
+    it('should stay within [0, 1] for standard easing', () => {
+      expect(getProgressRange(parseEasing('ease-in-out'))).toEqual({ min: 0, max: 1, minAt: 0, maxAt: 1 })
+      expect(getEasingOvershoots(parseEasing('steps(3, jump-both)'))).toEqual([])
+    })
+
+    it('should find the overshoot of back easing', () => {
+      const [under, over] = getEasingOvershoots(parseEasing('cubic-bezier(0.68, -0.6, 0.32, 1.6)'))
+
+      expect(under.progress).toBeCloseTo(-0.1047, 4)
+      expect(under.at).toBeCloseTo(0.2063, 4)
+      expect(over.progress).toBeCloseTo(1.1047, 4)
+    })
+
+    it('should find the overshoot of curves with a linear derivative', () => {
+      // y2 = y1 + 1/3 leaves no quadratic term in y'(t)
+      const [over] = getEasingOvershoots(parseEasing('cubic-bezier(0.3, 1, 0.7, 1.3333333333333333)'))
+
+      expect(over.progress).toBeCloseTo(1.125, 6)
+    })
+
+    it('should reach the outputs of linear()', () => {
+      expect(getEasingOvershoots(parseEasing('linear(0, 1.2 60%, 0.9, 1)'))).toEqual([{ progress: 1.2, at: 0.6 }])
+    })
+  })
+})
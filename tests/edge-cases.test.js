@@ -32,8 +32,11 @@ describe('Edge Cases and Error Handling', () => {
 
     it('should handle SVG without viewBox', async () => {
       const noViewboxInput = path.join(fixturesDir, 'no-viewbox.svg')
+      const result = await calculateOptimization(noViewboxInput, { buffer: 10 })
 
-      await expect(calculateOptimization(noViewboxInput, { buffer: 10 })).rejects.toThrow()
+      expect(result.original.viewBox).toBe('0 0 200 200')
+      expect(result.original.synthesized).toBe(true)
+      expect(result.optimized.viewBox).toBe('0.00 0.00 200.00 200.00')
     })
 
     it('should handle completely invalid file', async () => {
@@ -0,0 +1,76 @@
+const path = require('path')
+const { execSync } = require('child_process')
+const { optimizeString } = require('../viewbox-calculator')
+
+// A button that grows when clicked, a flyout shown once the press ends, and a
+// slider whose second animation follows a timed one or a click
+const content = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">
+  <rect id="button" width="20" height="20">
+    <animateTransform id="press" attributeName="transform" type="scale" from="1" to="1.5" dur="0.2s" begin="click" fill="freeze"/>
+  </rect>
+  <rect id="flyout" x="300" y="0" width="50" height="50" visibility="hidden">
+    <set attributeName="visibility" to="visible" begin="press.end"/>
+  </rect>
+  <rect id="slider" x="0" y="100" width="10" height="10">
+    <animate id="slide" attributeName="x" from="0" to="100" dur="1s"/>
+    <animate attributeName="y" from="100" to="150" dur="1s" begin="slide.end; click"/>
+  </rect>
+</svg>`
+
+const expected = {
+  include: { x: 0, y: 0, width: 350, height: 160 },
+  'only-initial': { x: 0, y: 0, width: 110, height: 160 },
+  exclude: { x: 0, y: 100, width: 110, height: 60 }
+}
+
+describe('Event-triggered animation policy', () => {
+  describe.each(['browser', 'geometry'])('%s engine', engine => {
+    it('should include event-triggered animations and their syncbase chains by default', async () => {
+      const { result } = await optimizeString(content, { buffer: 0, engine })
+
+      expect(result.contentBounds).toEqual(expected.include)
+    })
+
+    it('should measure the content before any interaction with only-initial', async () => {
+      const { result } = await optimizeString(content, { buffer: 0, engine, eventAnimations: 'only-initial' })
+
+      // The button keeps its size, the flyout stays hidden, the slider still moves down after the slide
+      expect(result.contentBounds).toEqual(expected['only-initial'])
+      expect(result.elements.animationCount).toBe(2)
+    })
+
+    it('should leave out content animated on interaction with exclude', async () => {
+      const { result } = await optimizeString(content, { buffer: 0, engine, eventAnimations: 'exclude' })
+
+      expect(result.contentBounds).toEqual(expected.exclude)
+      expect(result.elements.count).toBe(1)
+    })
+  })
+
+  it('should treat animations waiting on a syncbase cycle as event-triggered', async () => {
+    const { result } = await optimizeString(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">
+      <rect width="10" height="10">
+        <animate id="a" attributeName="x" from="0" to="100" dur="1s" begin="b.end"/>
+        <animate id="b" attributeName="y" from="0" to="100" dur="1s" begin="a.end+1s"/>
+      </rect>
+    </svg>`, { buffer: 0, engine: 'geometry', eventAnimations: 'only-initial' })
+
+    expect(result.contentBounds).toEqual({ x: 0, y: 0, width: 10, height: 10 })
+  })
+
+  it('should reject an unknown policy', async () => {
+    await expect(optimizeString(content, { engine: 'geometry', eventAnimations: 'never' }))
+      .rejects.toThrow('Unknown event animation policy "never". Use one of: include, exclude, only-initial')
+  })
+
+  describe('CLI', () => {
+    const cli = path.join(__dirname, '..', 'index.js')
+    const fixture = path.join(__dirname, 'fixtures', 'simple-rect.svg')
+
+    it('should reject an unknown policy', () => {
+      expect(() => {
+        execSync(`node ${cli} ${fixture} --event-animations never --dry-run`, { stdio: 'pipe' })
+      }).toThrow(/--event-animations must be one of: include, exclude, only-initial/)
+    })
+  })
+})
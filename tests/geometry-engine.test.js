@@ -0,0 +1,324 @@
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const { execSync } = require('child_process')
+const { calculateOptimization, optimizeString } = require('../viewbox-calculator')
+const { analyzeGeometry } = require('../src/lib/geometry-engine')
+
+function svg (content, attributes = 'viewBox="0 0 400 400"') {
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ${attributes}>${content}</svg>`
+}
+
+function boundsOf (content, options) {
+  const { unsupported, bounds } = analyzeGeometry(svg(content), options)
+  expect(unsupported).toEqual([])
+  return {
+    x: bounds.globalMinX,
+    y: bounds.globalMinY,
+    width: bounds.globalMaxX - bounds.globalMinX,
+    height: bounds.globalMaxY - bounds.globalMinY
+  }
+}
+
+describe('Geometry engine', () => {
+  describe('Bounds', () => {
+    it('should measure basic shapes', () => {
+      expect(boundsOf('<rect x="10" y="20" width="30" height="40"/>')).toEqual({ x: 10, y: 20, width: 30, height: 40 })
+      expect(boundsOf('<circle cx="50" cy="50" r="10"/><ellipse cx="100" cy="50" rx="20" ry="5"/>'))
+        .toEqual({ x: 40, y: 40, width: 80, height: 20 })
+      expect(boundsOf('<polygon points="0,0 10,30 -20,5"/>')).toEqual({ x: -20, y: 0, width: 30, height: 30 })
+      expect(boundsOf('<path d="M 10 10 L 50 10 L 50 60 Z"/>')).toEqual({ x: 10, y: 10, width: 40, height: 50 })
+    })
+
+    it('should measure arcs written with compact flags', () => {
+      // svgo writes the large-arc and sweep flags without separators
+      expect(boundsOf('<path d="M2 2h10a2 2 0 012 2v10"/>')).toEqual({ x: 2, y: 2, width: 12, height: 12 })
+    })
+
+    it('should apply transforms of the element and its ancestors', () => {
+      expect(boundsOf('<g transform="translate(100, 50)"><rect x="0" y="0" width="20" height="10" transform="scale(2)"/></g>'))
+        .toEqual({ x: 100, y: 50, width: 40, height: 20 })
+    })
+
+    it('should map nested svg viewports', () => {
+      const bounds = boundsOf('<svg x="100" y="100" width="100" height="100" viewBox="0 0 50 50"><rect x="0" y="0" width="25" height="25"/></svg>')
+
+      expect(bounds).toEqual({ x: 100, y: 100, width: 50, height: 50 })
+    })
+
+    it('should place <use> references and symbols', () => {
+      const bounds = boundsOf(`
+        <defs><symbol id="icon" viewBox="0 0 10 10"><rect width="10" height="10"/></symbol></defs>
+        <use href="#icon" x="200" y="100" width="40" height="40"/>`)
+
+      expect(bounds).toEqual({ x: 200, y: 100, width: 40, height: 40 })
+    })
+
+    it('should not follow <use> reference cycles', () => {
+      const bounds = boundsOf(`
+        <g id="a"><rect width="10" height="10"/><use href="#b"/></g>
+        <g id="b"><use href="#a" x="5"/></g>`)
+
+      expect(bounds.width).toBeGreaterThanOrEqual(10)
+    })
+
+    it('should skip hidden and non-rendered elements', () => {
+      const bounds = boundsOf(`
+        <rect x="10" y="10" width="10" height="10"/>
+        <rect x="300" y="300" width="10" height="10" display="none"/>
+        <rect x="300" y="300" width="10" height="10" style="opacity: 0"/>
+        <defs><rect x="-100" y="-100" width="10" height="10"/></defs>`)
+
+      expect(bounds).toEqual({ x: 10, y: 10, width: 10, height: 10 })
+    })
+
+    it('should include the range of transform animations', () => {
+      const bounds = boundsOf(`
+        <rect x="0" y="0" width="10" height="10">
+          <animateTransform attributeName="transform" type="translate" values="0,0; 100,0" dur="1s"/>
+        </rect>`)
+
+      expect(bounds).toEqual({ x: 0, y: 0, width: 110, height: 10 })
+    })
+
+    it('should accumulate animations over finite repeats', () => {
+      expect(boundsOf(`
+        <rect x="0" y="0" width="10" height="10">
+          <animateTransform attributeName="transform" type="translate" from="0 0" to="20 0" dur="1s" repeatCount="5" accumulate="sum"/>
+        </rect>`)).toEqual({ x: 0, y: 0, width: 110, height: 10 })
+
+      // repeatDur ends at the middle keyframe of the third repeat
+      expect(boundsOf(`
+        <rect x="0" y="0" width="10" height="10">
+          <animate attributeName="y" values="0;20;5" dur="1s" repeatDur="2500ms" accumulate="sum"/>
+        </rect>`)).toEqual({ x: 0, y: 0, width: 10, height: 40 })
+    })
+
+    it('should name the repeat that reaches an edge', () => {
+      const { bounds } = analyzeGeometry(svg(`
+        <rect id="r" width="10" height="10">
+          <animateTransform attributeName="transform" type="translate" values="0 0; 20 0" dur="1s" repeatCount="3" accumulate="sum"/>
+        </rect>`))
+
+      expect(bounds.extremes.maxX).toEqual({ value: 70, element: '#r', reason: 'animateTransform translate keyframe 2 of repeat 3' })
+    })
+
+    it('should only include the active part of animations', () => {
+      // end stops the animation half-way, min is ignored when it exceeds max
+      expect(boundsOf(`
+        <rect x="0" y="0" width="10" height="10">
+          <animate attributeName="x" values="0;100;500" dur="4s" end="1s" min="3s" max="2s" fill="freeze"/>
+          <animate attributeName="y" from="0" to="100" dur="1s" begin="2s" end="1s"/>
+        </rect>`)).toEqual({ x: 0, y: 0, width: 60, height: 10 })
+
+      const { bounds } = analyzeGeometry(svg(`
+        <rect id="r" width="10" height="10">
+          <animate attributeName="width" values="10;30;90" calcMode="discrete" dur="3s" repeatCount="0.5"/>
+        </rect>`))
+      expect(bounds.extremes.maxX).toEqual({ value: 30, element: '#r', reason: 'animate width keyframe 2' })
+    })
+
+    it('should sweep the element box along motion paths', () => {
+      const motion = animation => boundsOf(`
+        <defs><path id="track" d="M 50 50 L 250 50 L 250 150"/></defs>
+        <rect x="-10" y="-5" width="20" height="10">${animation}</rect>`)
+
+      expect(motion('<animateMotion path="M 50 50 L 250 50 L 250 150" dur="2s"/>'))
+        .toEqual({ x: 40, y: 45, width: 220, height: 110 })
+
+      // Turned along the path, the box is 10 wide on the vertical leg
+      expect(motion('<animateMotion dur="2s" rotate="auto"><mpath href="#track"/></animateMotion>'))
+        .toEqual({ x: 40, y: 40, width: 220, height: 120 })
+
+      // keyPoints only travel the second half of the line
+      const half = motion('<animateMotion path="M 0 0 L 300 0" keyPoints="0.5;1" keyTimes="0;1" dur="2s"/>')
+      expect(half.x).toBeCloseTo(140, 6)
+      expect(half.width).toBeCloseTo(170, 6)
+
+      const tilted = motion('<animateMotion path="M 50 50 L 250 50" rotate="45" dur="2s"/>')
+      expect(tilted.x).toBeCloseTo(50 - 7.5 * Math.SQRT2, 6)
+      expect(tilted.height).toBeCloseTo(15 * Math.SQRT2, 6)
+    })
+
+    it('should include the shapes an animated path morphs through', () => {
+      const morph = attributes => analyzeGeometry(svg(`
+        <path id="p" d="M 0 0 A 50 50 0 1 1 100 0">
+          <animate attributeName="d" values="M 0 0 A 50 50 0 1 1 100 0; M 0 0 ${attributes}/>
+        </path>`)).bounds
+
+      // Half-way the large arc spans a shorter chord, so it bulges past both keyframes
+      const bounds = morph('A 50 50 0 1 1 0 100" dur="1s"')
+      expect(bounds.globalMinY).toBeLessThan(-67)
+      expect(bounds.extremes.minY.reason).toBe('animate d between keyframe 1 and keyframe 2')
+
+      // Discrete animations and paths with other commands jump between the keyframes
+      expect(morph('A 50 50 0 1 1 0 100" dur="1s" calcMode="discrete"').globalMinY).toBeCloseTo(-50, 6)
+      expect(morph('L 0 100" dur="1s"').globalMinY).toBeCloseTo(-50, 6)
+    })
+
+    it('should include values that keySplines overshoot to', () => {
+      const { bounds } = analyzeGeometry(svg(`
+        <rect id="r" width="10" height="10">
+          <animate attributeName="x" values="0;100" keyTimes="0;1" calcMode="spline" keySplines="0.68 -0.6 0.32 1.6" dur="1s"/>
+        </rect>`))
+
+      expect(bounds.globalMinX).toBeCloseTo(-10.474, 3)
+      expect(bounds.globalMaxX).toBeCloseTo(120.474, 3)
+      expect(bounds.extremes.maxX.reason).toBe('animate x overshooting keyframe 2')
+    })
+
+    it('should warn about, or reject, accumulation over indefinite repeats', () => {
+      const content = svg(`
+        <rect id="r" width="10" height="10">
+          <animate attributeName="x" from="0" to="5" dur="1s" repeatCount="indefinite" accumulate="sum"/>
+        </rect>
+        <rect id="spinner" width="10" height="10">
+          <animateTransform attributeName="transform" type="rotate" from="0" to="90" dur="1s" repeatCount="indefinite" accumulate="sum"/>
+        </rect>`)
+
+      expect(analyzeGeometry(content).bounds.warnings).toEqual([
+        '#r > animate accumulates over indefinite repeats, so the content grows without bound; the viewBox covers the first repeat only'
+      ])
+      expect(() => analyzeGeometry(content, { failOnUnbounded: true }))
+        .toThrow('Unbounded content: #r > animate accumulates over indefinite repeats')
+    })
+
+    it('should expand the bounds for filters', () => {
+      const bounds = boundsOf(`
+        <defs><filter id="blur"><feGaussianBlur stdDeviation="5"/></filter></defs>
+        <rect x="100" y="100" width="100" height="100" filter="url(#blur)"/>`)
+
+      expect(bounds.x).toBeLessThan(100)
+      expect(bounds.width).toBeGreaterThan(100)
+    })
+
+    it('should include strokes with visual bounds', () => {
+      const content = '<rect x="10" y="10" width="100" height="100" stroke="black" stroke-width="10"/>'
+
+      expect(boundsOf(content)).toEqual({ x: 10, y: 10, width: 100, height: 100 })
+      expect(boundsOf(content, { visualBounds: true })).toEqual({ x: 5, y: 5, width: 110, height: 110 })
+    })
+
+    it('should report elements in the browser layout', () => {
+      const { bounds } = analyzeGeometry(svg('<rect width="10" height="10"/>'))
+
+      expect(bounds.originalViewBox).toBe('0 0 400 400')
+      expect(bounds.elementCount).toBe(1)
+      expect(bounds.elements[0].type).toBe('rect')
+      expect(bounds.warnings).toEqual([])
+    })
+
+    it('should synthesize the viewBox from absolute width/height', () => {
+      const { bounds } = analyzeGeometry(svg('<rect width="10" height="10"/>', 'width="1in" height="48"'))
+
+      expect(bounds.viewBoxSynthesized).toBe(true)
+      expect(bounds.originalViewBox).toBe('0 0 96 48')
+    })
+
+    it('should reject content without an SVG element', () => {
+      expect(() => analyzeGeometry('<html></html>')).toThrow('No SVG found')
+    })
+  })
+
+  describe('Unsupported features', () => {
+    it('should list features that need the browser engine', () => {
+      const { unsupported, bounds } = analyzeGeometry(svg(`
+        <text x="10" y="10">Hello</text>
+        <foreignObject width="10" height="10"/>
+        <script>document.title = 'x'</script>`))
+
+      expect(bounds).toBeNull()
+      expect(unsupported).toEqual([
+        'text (needs font metrics)',
+        'foreignObject (needs HTML layout)',
+        'scripts (content can change at runtime)'
+      ])
+    })
+
+    it('should flag stylesheets that change geometry but not ones that only paint', () => {
+      expect(analyzeGeometry(svg('<style>rect { fill: red }</style><rect width="1" height="1"/>')).unsupported).toEqual([])
+      expect(analyzeGeometry(svg('<style>rect { transform: scale(2) }</style><rect width="1" height="1"/>')).unsupported)
+        .toEqual(['stylesheets that set geometry or animations'])
+    })
+
+    it('should flag markers, event handlers and external references', () => {
+      const { unsupported } = analyzeGeometry(svg(`
+        <path d="M0 0 L10 10" marker-end="url(#m)"/>
+        <rect width="1" height="1" onclick="grow()"/>
+        <use href="other.svg#icon"/>`))
+
+      expect(unsupported).toEqual(expect.arrayContaining([
+        'markers',
+        'scripts (content can change at runtime)',
+        '<use> references to external files'
+      ]))
+    })
+  })
+
+  describe('Optimization', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-geometry-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should optimize without a browser', async () => {
+      const result = await calculateOptimization(path.join(__dirname, 'fixtures', 'simple-rect.svg'), { engine: 'geometry', engineFallback: false })
+
+      expect(result.engine).toBe('geometry')
+      expect(result.optimized.width).toBeLessThan(result.original.width)
+    })
+
+    it('should keep compact arcs inside the written viewBox', async () => {
+      const { result } = await optimizeString('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M2 2h10a2 2 0 012 2v10"/></svg>', { engine: 'geometry', buffer: 0 })
+
+      expect(result.contentBounds).toEqual({ x: 2, y: 2, width: 12, height: 12 })
+    })
+
+    it('should rewrite strings without a browser', async () => {
+      const { svg: output, result } = await optimizeString(svg('<rect x="50" y="50" width="100" height="100"/>'), { buffer: 0, engine: 'geometry' })
+
+      expect(result.engine).toBe('geometry')
+      expect(output).toContain('viewBox="50.00 50.00 100.00 100.00"')
+    })
+
+    it('should fail for unsupported features when fallback is disabled', async () => {
+      await expect(optimizeString(svg('<text>Hi</text>'), { engine: 'geometry', engineFallback: false }))
+        .rejects.toThrow('The geometry engine cannot analyze this SVG: text (needs font metrics)')
+    })
+
+    it('should reject unknown engines', async () => {
+      await expect(optimizeString(svg('<rect width="1" height="1"/>'), { engine: 'webgl' })).rejects.toThrow('Unknown engine "webgl"')
+    })
+
+    it('should run from the CLI', () => {
+      const input = path.join(tempDir, 'icon.svg')
+      const output = path.join(tempDir, 'out.svg')
+      fs.writeFileSync(input, svg('<rect x="50" y="50" width="100" height="100"/>'))
+
+      const report = JSON.parse(execSync(`node ${path.join(__dirname, '..', 'index.js')} ${input} -b 0 --engine geometry --no-engine-fallback --json -o ${output}`, { encoding: 'utf8' }))
+
+      expect(report.files[0].result.engine).toBe('geometry')
+      expect(fs.readFileSync(output, 'utf8')).toContain('viewBox="50.00 50.00 100.00 100.00"')
+    })
+
+    it('should reject unbounded content from the CLI with --fail-on-unbounded', () => {
+      const input = path.join(tempDir, 'drift.svg')
+      fs.writeFileSync(input, svg('<rect width="10" height="10"><animate attributeName="x" by="5" dur="1s" repeatCount="indefinite" accumulate="sum"/></rect>'))
+
+      expect(() => {
+        execSync(`node ${path.join(__dirname, '..', 'index.js')} ${input} --engine geometry --fail-on-unbounded --dry-run`, { stdio: 'pipe' })
+      }).toThrow(/Unbounded content: svg > rect > animate accumulates over indefinite repeats/)
+    })
+
+    it('should reject an unknown engine from the CLI', () => {
+      expect(() => {
+        execSync(`node ${path.join(__dirname, '..', 'index.js')} ${path.join(__dirname, 'fixtures', 'simple-rect.svg')} --engine webgl --dry-run`, { stdio: 'pipe' })
+      }).toThrow()
+    })
+  })
+})
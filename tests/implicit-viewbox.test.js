@@ -0,0 +1,98 @@
+const fs = require('fs')
+const path = require('path')
+const { execSync } = require('child_process')
+const { calculateOptimization } = require('../viewbox-calculator')
+const { parseLength, lengthToUserUnits, scaleLength } = require('../src/lib/svg-units')
+
+describe('Implicit viewBox from width/height', () => {
+  describe('Length units', () => {
+    it('should parse lengths with and without units', () => {
+      expect(parseLength('200')).toEqual({ value: 200, unit: '' })
+      expect(parseLength(' 210mm ')).toEqual({ value: 210, unit: 'mm' })
+      expect(parseLength('12.5PT')).toEqual({ value: 12.5, unit: 'pt' })
+      expect(parseLength('100%')).toEqual({ value: 100, unit: '%' })
+      expect(parseLength('1e2px')).toEqual({ value: 100, unit: 'px' })
+      expect(parseLength('auto')).toBeNull()
+      expect(parseLength(null)).toBeNull()
+    })
+
+    it('should convert absolute units to user units at 96 px per inch', () => {
+      expect(lengthToUserUnits('1in')).toBe(96)
+      expect(lengthToUserUnits('25.4mm')).toBeCloseTo(96)
+      expect(lengthToUserUnits('2.54cm')).toBeCloseTo(96)
+      expect(lengthToUserUnits('72pt')).toBeCloseTo(96)
+      expect(lengthToUserUnits('6pc')).toBe(96)
+      expect(lengthToUserUnits('200')).toBe(200)
+    })
+
+    it('should need a reference size for relative units', () => {
+      expect(lengthToUserUnits('50%')).toBeNull()
+      expect(lengthToUserUnits('50%', { percentBase: 300 })).toBe(150)
+      expect(lengthToUserUnits('2em', { fontSize: 10 })).toBe(20)
+    })
+
+    it('should scale lengths and keep their unit', () => {
+      expect(scaleLength('210mm', 0.5)).toBe('105mm')
+      expect(scaleLength('200', 0.9)).toBe('180')
+      expect(scaleLength('100%', 1 / 3)).toBe('33.333%')
+      expect(scaleLength('auto', 2)).toBeNull()
+    })
+  })
+
+  describe('Optimization', () => {
+    const tempFile = path.join(__dirname, 'temp-implicit-viewbox.svg')
+    const outputFile = path.join(__dirname, 'temp-implicit-viewbox_optimized.svg')
+
+    afterEach(() => {
+      [tempFile, outputFile].forEach(file => {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file)
+        }
+      })
+    })
+
+    it('should convert mm sizes to user units and scale them with the viewBox', async () => {
+      // 100mm = 377.95 user units; the content covers the middle half
+      fs.writeFileSync(tempFile, `<svg xmlns="http://www.w3.org/2000/svg" width="100mm" height="50mm">
+        <rect x="94.488" y="47.244" width="188.976" height="94.488" fill="blue"/>
+      </svg>`)
+
+      const result = await calculateOptimization(tempFile, { buffer: 0 })
+
+      expect(result.original.synthesized).toBe(true)
+      expect(result.original.width).toBeCloseTo(377.9528, 3)
+      expect(result.original.height).toBeCloseTo(188.9764, 3)
+      expect(result.dimensions.original).toEqual({ width: '100mm', height: '50mm' })
+      expect(result.dimensions.optimized).toEqual({ width: '50mm', height: '25mm' })
+    })
+
+    it('should use the rendered size for percentage sizes', async () => {
+      fs.writeFileSync(tempFile, `<svg xmlns="http://www.w3.org/2000/svg" width="100%" height="120">
+        <rect x="10" y="10" width="50" height="50"/>
+      </svg>`)
+
+      const result = await calculateOptimization(tempFile, { buffer: 0 })
+
+      expect(result.original.synthesized).toBe(true)
+      expect(result.original.width).toBeGreaterThan(0)
+      expect(result.original.height).toBe(120)
+      expect(result.dimensions.optimized.height).toBe('50')
+    })
+
+    it('should not change width/height of SVGs that have a viewBox', async () => {
+      const result = await calculateOptimization(path.join(__dirname, 'fixtures', 'simple-rect.svg'), { buffer: 0 })
+
+      expect(result.original.synthesized).toBe(false)
+      expect(result.dimensions.optimized).toEqual(result.dimensions.original)
+    })
+
+    it('should write the new viewBox and adjusted size', () => {
+      fs.writeFileSync(tempFile, '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="200pt" height="200pt"><rect x="20" y="20" width="100" height="100"/></svg>\n')
+
+      execSync(`node ${path.join(__dirname, '..', 'index.js')} ${tempFile} -b 0`, { encoding: 'utf8' })
+
+      const output = fs.readFileSync(outputFile, 'utf8')
+      expect(output).toBe('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="75pt" height="75pt" viewBox="20.00 20.00 100.00 100.00"><rect x="20" y="20" width="100" height="100"/></svg>\n')
+    })
+  })
+})
@@ -0,0 +1,94 @@
+const fs = require('fs')
+const path = require('path')
+const { execSync } = require('child_process')
+const { optimizeString } = require('../viewbox-calculator')
+
+function svg (style, content = '<rect class="icon" x="100" y="100" width="50" height="50"/>') {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 300">
+  <style>
+    .icon { transform-origin: center; }
+    ${style}
+  </style>
+  ${content}
+</svg>`
+}
+
+describe('Interactive states', () => {
+  const grow = svg('.icon:hover { transform: scale(2); }')
+
+  it('should ignore state rules unless requested', async () => {
+    const { result } = await optimizeString(grow, { buffer: 0 })
+
+    expect(result.contentBounds).toEqual({ x: 100, y: 100, width: 50, height: 50 })
+  })
+
+  it('should include the transform set on :hover', async () => {
+    const { result } = await optimizeString(grow, { buffer: 0, interactiveStates: true })
+
+    // 2x scale from the center expands 25 in each direction
+    expect(result.contentBounds.x).toBeCloseTo(75, 1)
+    expect(result.contentBounds.width).toBeCloseTo(100, 1)
+    expect(result.extremes.maxX.reason).toBe('CSS :hover state')
+  })
+
+  it('should find state rules in @media and selector lists', async () => {
+    const { result } = await optimizeString(svg(`
+      @media (min-width: 1px) {
+        .other:focus, g:focus-within > .icon { transform: translate(50px, 0); }
+      }`, '<g tabindex="0"><rect class="icon" x="100" y="100" width="50" height="50"/></g>'), { buffer: 0, interactiveStates: true })
+
+    expect(result.contentBounds.x + result.contentBounds.width).toBeCloseTo(200, 1)
+  })
+
+  it('should include classes toggled by scripts', async () => {
+    const content = svg('.menu.is-open .icon { transform: translate(0, 60px); }',
+      '<g class="menu"><rect class="icon" x="100" y="100" width="50" height="50"/></g>')
+
+    const { result: without } = await optimizeString(content, { buffer: 0, interactiveStates: true })
+    const { result } = await optimizeString(content, { buffer: 0, stateClasses: ['is-open'] })
+
+    expect(without.contentBounds.height).toBeCloseTo(50, 1)
+    expect(result.contentBounds.y + result.contentBounds.height).toBeCloseTo(210, 1)
+  })
+
+  it('should include the frames of a transition from no transform', async () => {
+    const turn = '.icon:hover { transform: rotate(90deg); }'
+    const { result: jump } = await optimizeString(svg(turn), { buffer: 0, interactiveStates: true })
+    const { result } = await optimizeString(svg(`.icon { transition: transform 0.3s; } ${turn}`), { buffer: 0, interactiveStates: true })
+
+    // A quarter turn ends on the resting square, but reaches its diagonal half-way
+    expect(jump.contentBounds.width).toBeCloseTo(50, 1)
+    expect(result.contentBounds.width).toBeCloseTo(50 * Math.SQRT2, 1)
+  })
+
+  it('should include the frames of a transition between two rotations', async () => {
+    const bar = '<rect class="icon" x="100" y="145" width="100" height="10"/>'
+    const turn = '.icon { transform: rotate(45deg); } .icon:hover { transform: rotate(135deg); }'
+    const { result: jump } = await optimizeString(svg(turn, bar), { buffer: 0, interactiveStates: true })
+    const { result } = await optimizeString(svg(`.icon { transition: transform 0.3s; } ${turn}`, bar), { buffer: 0, interactiveStates: true })
+
+    // Both ends lie diagonally; the bar stands upright half-way
+    expect(jump.contentBounds.height).toBeCloseTo(110 * Math.SQRT1_2, 1)
+    expect(result.contentBounds.height).toBeCloseTo(100, 1)
+  })
+
+  describe('CLI', () => {
+    const cli = path.join(__dirname, '..', 'index.js')
+
+    it('should accept state classes with a leading dot', () => {
+      const tempFile = path.join(__dirname, 'temp-state-classes.svg')
+      fs.writeFileSync(tempFile, svg(
+        '.menu.is-open .icon { transform: translate(0, 60px); }',
+        '<g class="menu"><rect class="icon" x="100" y="100" width="50" height="50"/></g>'))
+
+      try {
+        const report = JSON.parse(execSync(`node ${cli} ${tempFile} -b 0 --state-classes .is-open,expanded --json --dry-run`, { encoding: 'utf8' }))
+        const bounds = report.files[0].result.contentBounds
+
+        expect(bounds.y + bounds.height).toBeCloseTo(210, 1)
+      } finally {
+        fs.unlinkSync(tempFile)
+      }
+    })
+  })
+})
@@ -0,0 +1,125 @@
+const { execSync } = require('child_process')
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const {
+  SCHEMA_VERSION,
+  createFileReport,
+  createReport,
+  formatNDJSONLine
+} = require('../src/lib/json-reporter')
+
+describe('JSON output', () => {
+  const cli = path.join(__dirname, '..', 'index.js')
+  const fixturesDir = path.join(__dirname, 'fixtures')
+
+  describe('Report builder', () => {
+    const result = {
+      original: { viewBox: '0 0 200 200', width: 200, height: 200, area: 40000 },
+      optimized: { viewBox: '40.00 40.00 120.00 120.00', width: 120, height: 120, area: 14400 },
+      buffer: 10,
+      newViewBox: { x: 40, y: 40, width: 120, height: 120 },
+      content: { minX: 50, minY: 50, maxX: 150, maxY: 150, width: 100, height: 100 },
+      contentBounds: { x: 50, y: 50, width: 100, height: 100 },
+      savings: { percentage: 64, unitsSquared: 25600 },
+      spaceSavings: 64,
+      elements: { count: 1, animationCount: 0, effectsCount: 0, details: [] },
+      warnings: ['Could not load stylesheet missing.css: not found']
+    }
+
+    it('should include documented result fields, paths, timing and warnings', () => {
+      const report = createFileReport({ file: 'in.svg', output: 'in_optimized.svg', result, error: null, duration: 42 })
+
+      expect(report.status).toBe('ok')
+      expect(report.file).toBe('in.svg')
+      expect(report.output).toBe('in_optimized.svg')
+      expect(report.duration).toBe(42)
+      expect(report.warnings).toEqual(result.warnings)
+      expect(report.result.contentBounds).toEqual(result.contentBounds)
+      expect(report.result).not.toHaveProperty('content')
+      expect(report.result).not.toHaveProperty('spaceSavings')
+    })
+
+    it('should report errors without a result', () => {
+      const report = createFileReport({ file: 'broken.svg', error: new Error('No SVG found') })
+
+      expect(report.status).toBe('error')
+      expect(report.error).toEqual({ message: 'No SVG found' })
+      expect(report.result).toBeNull()
+    })
+
+    it('should summarize a run under the schema version', () => {
+      const reports = [
+        createFileReport({ file: 'a.svg', output: 'a_optimized.svg', result, duration: 10 }),
+        createFileReport({ file: 'b.svg', error: new Error('failed') })
+      ]
+      const report = createReport(reports, 25)
+
+      expect(report.schemaVersion).toBe(SCHEMA_VERSION)
+      expect(report.generator.name).toBe('svg-viewbox-optimizer')
+      expect(report.summary).toEqual({ type: 'summary', total: 2, optimized: 1, failed: 1, written: 1, duration: 25 })
+    })
+
+    it('should format NDJSON records as single lines', () => {
+      const line = formatNDJSONLine(createFileReport({ file: 'a.svg', result, duration: 10 }))
+
+      expect(line).not.toContain('\n')
+      expect(JSON.parse(line).schemaVersion).toBe(SCHEMA_VERSION)
+    })
+  })
+
+  describe('CLI', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-json-'))
+      fs.copyFileSync(path.join(fixturesDir, 'simple-rect.svg'), path.join(tempDir, 'a.svg'))
+      fs.copyFileSync(path.join(fixturesDir, 'animated-rect.svg'), path.join(tempDir, 'b.svg'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should print a single JSON document for --json', () => {
+      const stdout = execSync(`node ${cli} ${path.join(tempDir, 'a.svg')} --json --dry-run`, { encoding: 'utf8' })
+      const report = JSON.parse(stdout)
+
+      expect(report.schemaVersion).toBe(SCHEMA_VERSION)
+      expect(report.files).toHaveLength(1)
+      expect(report.files[0].result.contentBounds).toEqual({ x: 50, y: 50, width: 100, height: 100 })
+      expect(report.files[0].output).toBeNull()
+      expect(report.summary.optimized).toBe(1)
+    })
+
+    it('should keep human-readable logs off stdout', () => {
+      const stdout = execSync(`node ${cli} ${path.join(tempDir, 'a.svg')} --json --dry-run --debug`, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] })
+
+      expect(() => JSON.parse(stdout)).not.toThrow()
+    })
+
+    it('should print one line per file and a summary for --ndjson', () => {
+      const stdout = execSync(`node ${cli} ${tempDir} --ndjson`, { encoding: 'utf8' })
+      const records = stdout.trim().split('\n').map(line => JSON.parse(line))
+
+      expect(records).toHaveLength(3)
+      expect(records.slice(0, 2).map(record => path.basename(record.file)).sort()).toEqual(['a.svg', 'b.svg'])
+      expect(records[2].type).toBe('summary')
+      expect(records[2].written).toBe(2)
+      expect(fs.existsSync(path.join(tempDir, 'a_optimized.svg'))).toBe(true)
+    })
+
+    it('should exit non-zero and report missing inputs', () => {
+      let stdout = ''
+      try {
+        execSync(`node ${cli} ${path.join(tempDir, 'missing.svg')} --json`, { encoding: 'utf8', stdio: 'pipe' })
+      } catch (error) {
+        stdout = error.stdout
+      }
+
+      const report = JSON.parse(stdout)
+      expect(report.files[0].status).toBe('error')
+      expect(report.summary.failed).toBe(1)
+    })
+  })
+})
@@ -0,0 +1,118 @@
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const { execSync } = require('child_process')
+const { DOMParser } = require('linkedom')
+const { optimizeString } = require('../viewbox-calculator')
+const { OVERLAY_ID, collectOverlayBoxes, createOverlay } = require('../src/lib/overlay-writer')
+
+const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">
+  <g transform="translate(10, 0)">
+    <rect id="box" x="40" y="50" width="50" height="50"/>
+  </g>
+  <circle r="10" cx="200" cy="200">
+    <animateTransform attributeName="transform" type="translate" values="0,0; 100,0" dur="1s"/>
+    <animate attributeName="r" values="10; 30" dur="1s"/>
+  </circle>
+</svg>`
+
+function overlayRects (content) {
+  const document = new DOMParser().parseFromString(content, 'image/svg+xml')
+  return Array.from(document.querySelectorAll(`#${OVERLAY_ID} > rect`)).map(rect => ({
+    kind: rect.getAttribute('class').replace('overlay-', ''),
+    label: rect.querySelector('title').textContent,
+    box: ['x', 'y', 'width', 'height'].map(name => parseFloat(rect.getAttribute(name)))
+  }))
+}
+
+describe('Debug overlay', () => {
+  const cli = path.join(__dirname, '..', 'index.js')
+  let result
+
+  beforeAll(async () => {
+    ({ result } = await optimizeString(svg, { buffer: 10, engine: 'geometry', engineFallback: false }))
+  })
+
+  it('should report element paths, bounds and animation envelopes in root user space', () => {
+    const [group, box, circle] = result.elements.details
+
+    expect(group).toMatchObject({ path: 'svg > g', bounds: { x: 50, y: 50, width: 50, height: 50 } })
+    expect(box).toMatchObject({ path: '#box', bounds: { x: 50, y: 50, width: 50, height: 50 }, animationEnvelopes: [] })
+    expect(circle.path).toBe('svg > circle')
+    expect(circle.animationEnvelopes).toEqual([
+      { animation: 'animateTransform translate', bounds: { x: 190, y: 190, width: 120, height: 20 } },
+      { animation: 'animate r', bounds: { x: 170, y: 170, width: 60, height: 60 } }
+    ])
+  })
+
+  it('should draw every box with a label', () => {
+    const rects = overlayRects(createOverlay(svg, result))
+
+    expect(rects).toEqual([
+      { kind: 'element', label: 'svg > g', box: [50, 50, 50, 50] },
+      { kind: 'element', label: '#box', box: [50, 50, 50, 50] },
+      { kind: 'element', label: 'svg > circle', box: [190, 190, 20, 20] },
+      { kind: 'animation', label: 'svg > circle: animateTransform translate', box: [190, 190, 120, 20] },
+      { kind: 'animation', label: 'svg > circle: animate r', box: [170, 170, 60, 60] },
+      { kind: 'original', label: 'original viewBox 0 0 400 400', box: [0, 0, 400, 400] },
+      { kind: 'content', label: 'content bounds', box: [50, 50, 260, 180] },
+      { kind: 'optimized', label: `optimized viewBox ${result.optimized.viewBox}`, box: [40, 40, 280, 200] }
+    ])
+  })
+
+  it('should keep the artwork and widen the viewBox to show every box', () => {
+    const overlay = createOverlay(svg, result)
+
+    expect(overlay.startsWith(svg.slice(0, svg.indexOf('viewBox')))).toBe(true)
+    expect(overlay).toContain(svg.slice(svg.indexOf('<g'), svg.lastIndexOf('</svg>')))
+    expect(overlay).toContain('viewBox="-8 -8 416 416"')
+  })
+
+  it('should skip boxes without finite bounds', () => {
+    const boxes = collectOverlayBoxes({
+      ...result,
+      elements: { details: [{ id: 'rect', bounds: { x: NaN, y: 0, width: 1, height: 1 } }] }
+    })
+
+    expect(boxes.map(entry => entry.kind)).toEqual(['original', 'content', 'optimized'])
+  })
+
+  describe('CLI', () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-overlay-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should write the overlay next to the optimized SVG', () => {
+      const input = path.join(tempDir, 'icon.svg')
+      const overlay = path.join(tempDir, 'overlay.svg')
+      fs.writeFileSync(input, svg)
+
+      execSync(`node ${cli} ${input} --engine geometry --overlay ${overlay}`, { stdio: 'pipe' })
+
+      expect(overlayRects(fs.readFileSync(overlay, 'utf8'))).toHaveLength(8)
+      expect(fs.existsSync(path.join(tempDir, 'icon_optimized.svg'))).toBe(true)
+    })
+
+    it('should write the overlay to stdout for stdin input with --dry-run', () => {
+      const output = execSync(`node ${cli} - --engine geometry --dry-run --overlay -`, { input: svg, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] })
+
+      expect(output.startsWith('<svg')).toBe(true)
+      expect(output).toContain(OVERLAY_ID)
+    })
+
+    it('should reject --overlay with several inputs', () => {
+      fs.writeFileSync(path.join(tempDir, 'a.svg'), svg)
+      fs.writeFileSync(path.join(tempDir, 'b.svg'), svg)
+
+      expect(() => {
+        execSync(`node ${cli} ${tempDir} --engine geometry --dry-run --overlay ${path.join(tempDir, 'overlay.svg')}`, { stdio: 'pipe' })
+      }).toThrow(/--overlay can only be used with a single input file/)
+    })
+  })
+})
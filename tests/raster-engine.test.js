@@ -0,0 +1,94 @@
+const path = require('path')
+const { execSync } = require('child_process')
+const { optimizeString } = require('../viewbox-calculator')
+
+function svg (content) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">${content}</svg>`
+}
+
+const turbulence = `
+  <defs>
+    <filter id="noise"><feTurbulence baseFrequency="0.05"/><feComposite in2="SourceGraphic" operator="in"/></filter>
+  </defs>`
+
+describe('Raster engines', () => {
+  const cli = path.join(__dirname, '..', 'index.js')
+
+  describe('Raster', () => {
+    it('should measure the painted pixels of hard-to-model filters', async () => {
+      const { result } = await optimizeString(svg(`${turbulence}
+        <rect x="100" y="100" width="100" height="100" fill="red" filter="url(#noise)"/>`), { buffer: 0, engine: 'raster' })
+
+      expect(result.engine).toBe('raster')
+      expect(result.raster).toEqual({ scale: 4, frames: 1, elements: null })
+      // The composite keeps the noise inside the rect
+      expect(result.contentBounds.x).toBeCloseTo(100, 0)
+      expect(result.contentBounds.width).toBeCloseTo(100, 0)
+    })
+
+    it('should sweep animations and report when each edge was reached', async () => {
+      const { result } = await optimizeString(svg(`
+        <rect x="0" y="0" width="10" height="10">
+          <animateTransform attributeName="transform" type="translate" values="0,0; 200,50" dur="2s" fill="freeze"/>
+        </rect>`), { buffer: 0, engine: 'raster', rasterFrames: 5 })
+
+      expect(result.contentBounds.x).toBeCloseTo(0, 0)
+      expect(result.contentBounds.width).toBeGreaterThan(205)
+      expect(result.extremes.minX).toEqual({ value: expect.any(Number), element: null, reason: 'rendered pixels at t=0s' })
+      expect(result.extremes.maxX.reason).toMatch(/^rendered pixels at t=1\.99\ds$/)
+    })
+
+    it('should include content outside the original viewBox', async () => {
+      const { result } = await optimizeString(svg('<circle cx="450" cy="200" r="20"/>'), { buffer: 0, engine: 'raster' })
+
+      expect(result.contentBounds.x).toBeCloseTo(430, 0)
+      expect(result.contentBounds.width).toBeCloseTo(40, 0)
+    })
+  })
+
+  describe('Hybrid', () => {
+    it('should add rendered bounds of hard-to-model elements to the analytic bounds', async () => {
+      const { result } = await optimizeString(svg(`${turbulence}
+        <rect x="10" y="10" width="20" height="20" stroke="black" stroke-width="10"/>
+        <g filter="url(#noise)"><rect id="noisy" x="300" y="300" width="50" height="50"/></g>`), { buffer: 0, engine: 'hybrid' })
+
+      expect(result.engine).toBe('hybrid')
+      expect(result.raster.elements).toEqual([{
+        element: 'svg > g',
+        reasons: ['feTurbulence'],
+        bounds: expect.objectContaining({ x: expect.any(Number) })
+      }])
+      // The stroked rect keeps its analytic (fill) bounds
+      expect(result.contentBounds.x).toBe(10)
+      expect(result.contentBounds.x + result.contentBounds.width).toBeCloseTo(350, 0)
+    })
+
+    it('should match the browser engine without hard-to-model effects', async () => {
+      const content = svg('<rect x="50" y="60" width="70" height="80"/>')
+      const { result: hybrid } = await optimizeString(content, { engine: 'hybrid' })
+      const { result: browser } = await optimizeString(content, { engine: 'browser' })
+
+      expect(hybrid.contentBounds).toEqual(browser.contentBounds)
+      expect(hybrid.raster).toEqual({ scale: null, frames: 0, elements: [] })
+    })
+  })
+
+  describe('CLI', () => {
+    const fixture = path.join(__dirname, 'fixtures', 'test-filters.svg')
+
+    it('should print the rendered bounds', () => {
+      const output = execSync(`node ${cli} ${fixture} --engine raster --raster-scale 2 --raster-frames 2 --dry-run`, { encoding: 'utf8' })
+
+      expect(output).toContain('Rendered bounds: 2 px per unit over')
+    })
+
+    it('should reject invalid raster options', () => {
+      expect(() => {
+        execSync(`node ${cli} ${fixture} --engine raster --raster-scale 0 --dry-run`, { stdio: 'pipe' })
+      }).toThrow(/--raster-scale must be a positive number/)
+      expect(() => {
+        execSync(`node ${cli} ${fixture} --engine raster --raster-frames many --dry-run`, { stdio: 'pipe' })
+      }).toThrow(/--raster-frames must be a positive integer/)
+    })
+  })
+})
@@ -0,0 +1,126 @@
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const { execSync } = require('child_process')
+const { calculateOptimization } = require('../viewbox-calculator')
+const { calculateDimensions, parseSize } = require('../src/lib/size-mode')
+
+describe('Size modes', () => {
+  const original = { width: 200, height: 200 }
+  const optimized = { width: 120, height: 60 }
+  const attributes = { width: '400', height: '400', preserveAspectRatio: null }
+
+  describe('Dimension calculation', () => {
+    it('should keep width/height by default when the SVG has a viewBox', () => {
+      const dimensions = calculateDimensions(attributes, {}, original, optimized)
+
+      expect(dimensions.mode).toBe('keep')
+      expect(dimensions.optimized).toEqual({ width: '400', height: '400' })
+    })
+
+    it('should scale width/height to keep the rendered size', () => {
+      const dimensions = calculateDimensions(attributes, { mode: 'scale' }, original, optimized)
+
+      expect(dimensions.optimized).toEqual({ width: '240', height: '120' })
+    })
+
+    it('should keep units when scaling', () => {
+      const dimensions = calculateDimensions({ width: '100mm', height: '100mm' }, { mode: 'scale' }, original, optimized)
+
+      expect(dimensions.optimized).toEqual({ width: '60mm', height: '30mm' })
+    })
+
+    it('should use the uniform meet scale when the viewport and viewBox aspect ratios differ', () => {
+      // A 200x200 viewBox drawn into 400x200 renders at scale 1 (meet), centered
+      const dimensions = calculateDimensions({ width: '400', height: '200' }, { mode: 'scale' }, original, optimized)
+
+      expect(dimensions.optimized).toEqual({ width: '120', height: '60' })
+    })
+
+    it('should scale each side on its own for preserveAspectRatio="none"', () => {
+      const dimensions = calculateDimensions(
+        { width: '400', height: '200', preserveAspectRatio: 'none' },
+        { mode: 'scale' },
+        original,
+        optimized
+      )
+
+      expect(dimensions.optimized).toEqual({ width: '240', height: '60' })
+    })
+
+    it('should scale percentages per axis and leave missing sizes absent', () => {
+      const dimensions = calculateDimensions({ width: '100%', height: null }, { mode: 'scale' }, original, optimized)
+
+      expect(dimensions.optimized).toEqual({ width: '60%', height: null })
+    })
+
+    it('should remove width/height', () => {
+      const dimensions = calculateDimensions(attributes, { mode: 'remove' }, original, optimized)
+
+      expect(dimensions.optimized).toEqual({ width: null, height: null })
+    })
+
+    it('should set an explicit size and derive a missing side from the aspect ratio', () => {
+      expect(calculateDimensions(attributes, { mode: 'explicit', size: '64x32' }, original, optimized).optimized)
+        .toEqual({ width: '64', height: '32' })
+      expect(calculateDimensions(attributes, { mode: 'explicit', size: '10cm' }, original, optimized).optimized)
+        .toEqual({ width: '10cm', height: '5cm' })
+      expect(calculateDimensions(attributes, { mode: 'explicit', size: 'x30' }, original, optimized).optimized)
+        .toEqual({ width: '60', height: '30' })
+    })
+
+    it('should reject invalid modes and sizes', () => {
+      expect(() => calculateDimensions(attributes, { mode: 'stretch' }, original, optimized)).toThrow('Unknown size mode')
+      expect(() => calculateDimensions(attributes, { mode: 'explicit' }, original, optimized)).toThrow('requires a target size')
+      expect(() => parseSize('big')).toThrow('Invalid size')
+      expect(parseSize('100mm x 50mm')).toEqual({ width: '100mm', height: '50mm' })
+    })
+  })
+
+  describe('Optimization', () => {
+    let tempDir
+    let input
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-size-'))
+      input = path.join(tempDir, 'sized.svg')
+      fs.writeFileSync(input, '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200" width="400" height="400"><rect x="50" y="50" width="100" height="100"/></svg>')
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should report the dimensions in the result', async () => {
+      const result = await calculateOptimization(input, { buffer: 0, sizeMode: 'scale' })
+
+      expect(result.dimensions).toEqual({
+        mode: 'scale',
+        original: { width: '400', height: '400' },
+        optimized: { width: '200', height: '200' }
+      })
+    })
+
+    it('should write the scaled size from the CLI', () => {
+      const output = path.join(tempDir, 'out.svg')
+      execSync(`node ${path.join(__dirname, '..', 'index.js')} ${input} -b 0 --size-mode scale -o ${output}`, { encoding: 'utf8' })
+
+      expect(fs.readFileSync(output, 'utf8')).toBe('<svg xmlns="http://www.w3.org/2000/svg" viewBox="50.00 50.00 100.00 100.00" width="200" height="200"><rect x="50" y="50" width="100" height="100"/></svg>')
+    })
+
+    it('should remove width/height from the CLI', () => {
+      const output = path.join(tempDir, 'out.svg')
+      execSync(`node ${path.join(__dirname, '..', 'index.js')} ${input} --size-mode remove -o ${output}`, { encoding: 'utf8' })
+
+      const written = fs.readFileSync(output, 'utf8')
+      expect(written).not.toContain('width="400"')
+      expect(written).not.toContain('height="400"')
+    })
+
+    it('should reject explicit mode without a size', () => {
+      expect(() => {
+        execSync(`node ${path.join(__dirname, '..', 'index.js')} ${input} --size-mode explicit`, { stdio: 'pipe' })
+      }).toThrow()
+    })
+  })
+})
@@ -1,6 +1,6 @@
 const fs = require('fs')
 const path = require('path')
-const { calculateOptimization } = require('../viewbox-calculator')
+const { calculateOptimization, optimizeString } = require('../viewbox-calculator')
 
 describe('SMIL Phase 3 Advanced Animation Support', () => {
   describe('fill="freeze" attribute support', () => {
@@ -284,6 +284,29 @@ describe('SMIL Phase 3 Advanced Animation Support', () => {
         fs.unlinkSync(tempFile)
       }
     })
+
+    it('should include the displacement accumulated over all repeats', async () => {
+      const { result } = await optimizeString(`<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <rect x="0" y="0" width="10" height="10">
+    <animateTransform attributeName="transform" type="translate" from="0 0" to="20 0" dur="1s" repeatCount="5" accumulate="sum"/>
+  </rect>
+</svg>`, { buffer: 0 })
+
+      expect(result.contentBounds).toEqual({ x: 0, y: 0, width: 110, height: 10 })
+    })
+
+    it('should reject accumulation over indefinite repeats with failOnUnbounded', async () => {
+      const content = `<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <rect x="0" y="0" width="10" height="10">
+    <animate attributeName="x" from="0" to="50" dur="1s" repeatCount="indefinite" accumulate="sum"/>
+  </rect>
+</svg>`
+
+      const { result } = await optimizeString(content, { buffer: 0 })
+      expect(result.warnings).toContainEqual(expect.stringContaining('accumulates over indefinite repeats, so the content grows without bound'))
+
+      await expect(optimizeString(content, { failOnUnbounded: true })).rejects.toThrow('Unbounded content: svg > rect > animate')
+    })
   })
 
   describe('Complex Phase 3 scenarios', () => {
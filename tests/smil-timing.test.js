@@ -0,0 +1,106 @@
+const { optimizeString } = require('../viewbox-calculator')
+
+function svg (content) {
+  return `<svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
+  <rect x="0" y="0" width="10" height="10">
+    ${content}
+  </rect>
+</svg>`
+}
+
+async function contentBounds (content) {
+  const { result } = await optimizeString(svg(content), { buffer: 0 })
+  return result.contentBounds
+}
+
+describe('SMIL active duration', () => {
+  describe('end attribute support', () => {
+    it('should stop at the value reached when end cuts the animation short', async () => {
+      // 1s of a 2s animation reaches x=50
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="2s" end="1s" fill="freeze"/>'))
+        .toEqual({ x: 0, y: 0, width: 60, height: 10 })
+    })
+
+    it('should skip keyframes after the end', async () => {
+      expect(await contentBounds('<animate attributeName="x" values="0;50;500" dur="2s" end="1s"/>'))
+        .toEqual({ x: 0, y: 0, width: 60, height: 10 })
+    })
+
+    it('should ignore animations that end before they begin', async () => {
+      const { result } = await optimizeString(svg('<animateTransform attributeName="transform" type="translate" from="0 0" to="200 0" dur="1s" begin="2s" end="1s"/>'), { buffer: 0 })
+
+      expect(result.contentBounds).toEqual({ x: 0, y: 0, width: 10, height: 10 })
+      expect(result.elements.animationCount).toBe(0)
+    })
+
+    it('should read durations in ms and min units', async () => {
+      // Half of each duration reaches x=100 and x=50
+      expect(await contentBounds('<animate attributeName="x" values="0;100;200" dur="1000ms" end="0.5s"/>'))
+        .toEqual({ x: 0, y: 0, width: 110, height: 10 })
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="1min" end="30s" fill="freeze"/>'))
+        .toEqual({ x: 0, y: 0, width: 60, height: 10 })
+    })
+
+    it('should keep the whole animation when it ends on an event', async () => {
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="2s" end="click"/>'))
+        .toEqual({ x: 0, y: 0, width: 110, height: 10 })
+    })
+  })
+
+  describe('repeatCount and repeatDur support', () => {
+    it('should stop part-way through a fractional repeatCount', async () => {
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="1s" repeatCount="0.25" fill="freeze"/>'))
+        .toEqual({ x: 0, y: 0, width: 35, height: 10 })
+    })
+
+    it('should stop accumulating at the end', async () => {
+      // Two and a half repeats of 20 each
+      expect(await contentBounds('<animateTransform attributeName="transform" type="translate" from="0 0" to="20 0" dur="1s" repeatCount="indefinite" end="2.5s" accumulate="sum"/>'))
+        .toEqual({ x: 0, y: 0, width: 60, height: 10 })
+    })
+  })
+
+  describe('min and max attribute support', () => {
+    it('should extend an active duration cut short by end up to min', async () => {
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="2s" end="1s" min="3s"/>'))
+        .toEqual({ x: 0, y: 0, width: 110, height: 10 })
+    })
+
+    it('should cut the active duration at max', async () => {
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="2s" max="0.5s"/>'))
+        .toEqual({ x: 0, y: 0, width: 35, height: 10 })
+    })
+  })
+
+  describe('begin and restart attribute support', () => {
+    it('should only show the frozen value of an animation that began before the document', async () => {
+      expect(await contentBounds('<animate attributeName="x" from="200" to="100" dur="2s" begin="-5s" fill="freeze"/>'))
+        .toEqual({ x: 0, y: 0, width: 110, height: 10 })
+    })
+
+    it('should use the longest interval of a begin list', async () => {
+      // Intervals 0s-1s and 3s-5s
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="4s" begin="0s; 3s" end="1s; 5s"/>'))
+        .toEqual({ x: 0, y: 0, width: 60, height: 10 })
+    })
+
+    it('should only create the first interval with restart="never"', async () => {
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="4s" begin="0s; 3s" end="1s; 5s" restart="never"/>'))
+        .toEqual({ x: 0, y: 0, width: 35, height: 10 })
+    })
+
+    it('should cut an interval short when restart="always" begins it again', async () => {
+      // The 0s interval restarts at 1s, which in turn ends at 2s
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="4s" begin="0s; 1s" end="2s; 10s" restart="always"/>'))
+        .toEqual({ x: 0, y: 0, width: 35, height: 10 })
+      expect(await contentBounds('<animate attributeName="x" from="0" to="100" dur="4s" begin="0s; 1s" end="2s; 10s" restart="whenNotActive"/>'))
+        .toEqual({ x: 0, y: 0, width: 60, height: 10 })
+    })
+  })
+
+  it('should explain edges reached at the end of the active duration', async () => {
+    const { result } = await optimizeString(svg('<animate attributeName="x" from="0" to="100" dur="2s" end="1s"/>'), { buffer: 0 })
+
+    expect(result.extremes.maxX).toMatchObject({ value: 60, reason: 'animate x at the end of its active duration' })
+  })
+})
@@ -0,0 +1,67 @@
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const { execSync } = require('child_process')
+const { optimizeString, optimizeBuffer } = require('../viewbox-calculator')
+
+describe('In-memory API and stdin/stdout', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200"><rect x="50" y="50" width="100" height="100"/></svg>'
+  const cli = path.join(__dirname, '..', 'index.js')
+
+  it('should optimize a string and return the rewritten SVG with the result', async () => {
+    const { svg: optimized, result } = await optimizeString(svg, { buffer: 0 })
+
+    expect(result.optimized.viewBox).toBe('50.00 50.00 100.00 100.00')
+    expect(optimized).toBe(svg.replace('0 0 200 200', '50.00 50.00 100.00 100.00'))
+  })
+
+  it('should optimize a Buffer and keep its bytes outside the root attributes', async () => {
+    const input = Buffer.concat([
+      Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?>\n'),
+      Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200"><title>caf'),
+      Buffer.from([0xe9]),
+      Buffer.from('</title><rect x="50" y="50" width="100" height="100"/></svg>\n')
+    ])
+
+    const { svg: optimized, result } = await optimizeBuffer(input, { buffer: 0 })
+
+    expect(Buffer.isBuffer(optimized)).toBe(true)
+    expect(result.optimized.viewBox).toBe('50.00 50.00 100.00 100.00')
+    expect(optimized.equals(Buffer.from(input.toString('latin1').replace('0 0 200 200', '50.00 50.00 100.00 100.00'), 'latin1'))).toBe(true)
+  })
+
+  it('should resolve relative stylesheets against baseDir', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-string-'))
+
+    try {
+      // The stylesheet moves the rect with a transform
+      fs.writeFileSync(path.join(tempDir, 'shift.css'), 'rect { transform: translate(20px, 0) }')
+      const styled = svg.replace('<rect', '<link xmlns="http://www.w3.org/1999/xhtml" rel="stylesheet" href="shift.css"/><rect')
+
+      const { result } = await optimizeString(styled, { buffer: 0, baseDir: tempDir })
+
+      expect(result.optimized.viewBox).toBe('70.00 50.00 100.00 100.00')
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    }
+  })
+
+  it('should read stdin and write the SVG to stdout', () => {
+    const output = execSync(`node ${cli} - -b 0`, { input: svg, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] })
+
+    expect(output).toBe(svg.replace('0 0 200 200', '50.00 50.00 100.00 100.00'))
+  })
+
+  it('should write a file to stdout with -o -', () => {
+    const output = execSync(`node ${cli} ${path.join(__dirname, 'fixtures', 'simple-rect.svg')} -o -`, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] })
+
+    expect(output).toContain('viewBox="40.00 40.00 120.00 120.00"')
+    expect(output).not.toContain('Optimization Results')
+  })
+
+  it('should reject stdin combined with other inputs', () => {
+    expect(() => {
+      execSync(`node ${cli} - ${path.join(__dirname, 'fixtures', 'simple-rect.svg')}`, { input: svg, stdio: 'pipe' })
+    }).toThrow()
+  })
+})
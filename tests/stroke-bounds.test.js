@@ -0,0 +1,140 @@
+const fs = require('fs')
+const path = require('path')
+const { calculateOptimization } = require('../viewbox-calculator')
+const {
+  getPathStrokeFeatures,
+  getPolylineStrokeFeatures,
+  calculateStrokeOutset
+} = require('../src/lib/stroke-analyzer')
+
+describe('Stroke-aware bounds', () => {
+  describe('Stroke outset calculation', () => {
+    const square = { x: 0, y: 0, width: 100, height: 100 }
+
+    it('should add half the stroke width on every side', () => {
+      const outset = calculateStrokeOutset(square, { width: 10, linecap: 'butt', linejoin: 'round' })
+
+      expect(outset).toEqual({ left: 5, top: 5, right: 5, bottom: 5 })
+    })
+
+    it('should extend square caps along the line direction', () => {
+      const features = getPolylineStrokeFeatures([[0, 0], [100, 0]], false)
+      const outset = calculateStrokeOutset({ x: 0, y: 0, width: 100, height: 0 }, { width: 10, linecap: 'square' }, features)
+
+      expect(features.caps).toHaveLength(2)
+      expect(outset.left).toBeCloseTo(5)
+      expect(outset.right).toBeCloseTo(5)
+      expect(outset.top).toBeCloseTo(5)
+    })
+
+    it('should reach diagonally further with square caps on diagonal lines', () => {
+      const features = getPolylineStrokeFeatures([[0, 0], [100, 100]], false)
+      const outset = calculateStrokeOutset({ x: 0, y: 0, width: 100, height: 100 }, { width: 10, linecap: 'square' }, features)
+
+      // The cap corners sit at (-5√2, 0) and (0, -5√2) from the start point
+      expect(outset.left).toBeCloseTo(5 * Math.SQRT2)
+      expect(outset.top).toBeCloseTo(5 * Math.SQRT2)
+    })
+
+    it('should include miter tips within the miter limit', () => {
+      // A sharp spike: the 22.6° angle at the top has a miter ratio of about 5.1
+      const spike = getPolylineStrokeFeatures([[30, 100], [50, 0], [70, 100]], false)
+      const bounds = { x: 30, y: 0, width: 40, height: 100 }
+      const halfAngle = Math.atan2(20, 100)
+      const miterRatio = 1 / Math.sin(halfAngle)
+
+      const mitered = calculateStrokeOutset(bounds, { width: 10, linejoin: 'miter', miterlimit: 10 }, spike)
+      expect(mitered.top).toBeCloseTo(miterRatio * 5)
+
+      // Above the miter limit the join falls back to bevel
+      const beveled = calculateStrokeOutset(bounds, { width: 10, linejoin: 'miter', miterlimit: 4 }, spike)
+      expect(beveled.top).toBeCloseTo(5)
+
+      const rounded = calculateStrokeOutset(bounds, { width: 10, linejoin: 'round', miterlimit: 10 }, spike)
+      expect(rounded.top).toBeCloseTo(5)
+    })
+
+    it('should find joins at closing points of closed subpaths', () => {
+      const features = getPathStrokeFeatures('M 0 0 L 100 0 L 50 20 Z')
+
+      expect(features.joins).toHaveLength(3)
+      expect(features.caps).toHaveLength(0)
+    })
+
+    it('should use curve tangents for joins between curves', () => {
+      const features = getPathStrokeFeatures('M 0 0 C 0 -50 100 -50 100 0 Q 50 50 0 0')
+
+      expect(features.joins).toHaveLength(1)
+      expect(features.joins[0].inAngle).toBeCloseTo(Math.PI / 2)
+      expect(features.joins[0].outAngle).toBeCloseTo(Math.atan2(50, -50))
+    })
+
+    it('should ignore zero-length segments', () => {
+      const features = getPathStrokeFeatures('M 0 0 L 0 0 L 100 0')
+
+      expect(features.joins).toHaveLength(0)
+      expect(features.caps).toHaveLength(2)
+    })
+  })
+
+  describe('Visual bounds mode', () => {
+    const tempFile = path.join(__dirname, 'temp-stroke.svg')
+
+    afterEach(() => {
+      if (fs.existsSync(tempFile)) {
+        fs.unlinkSync(tempFile)
+      }
+    })
+
+    it('should include stroke width only when visual bounds are requested', async () => {
+      fs.writeFileSync(tempFile, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">
+        <rect x="50" y="50" width="100" height="100" fill="none" stroke="black" stroke-width="20"/>
+      </svg>`)
+
+      const geometric = await calculateOptimization(tempFile, { buffer: 0 })
+      expect(geometric.contentBounds).toEqual({ x: 50, y: 50, width: 100, height: 100 })
+
+      const visual = await calculateOptimization(tempFile, { buffer: 0, visualBounds: true })
+      expect(visual.contentBounds).toEqual({ x: 40, y: 40, width: 120, height: 120 })
+    })
+
+    it('should include horizontal lines that have no fill area', async () => {
+      fs.writeFileSync(tempFile, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">
+        <line x1="20" y1="100" x2="180" y2="100" stroke="black" stroke-width="10" stroke-linecap="round"/>
+      </svg>`)
+
+      const result = await calculateOptimization(tempFile, { buffer: 0, visualBounds: true })
+
+      expect(result.contentBounds.x).toBeCloseTo(15)
+      expect(result.contentBounds.y).toBeCloseTo(95)
+      expect(result.contentBounds.width).toBeCloseTo(170)
+      expect(result.contentBounds.height).toBeCloseTo(10)
+    })
+
+    it('should convert non-scaling strokes to user units', async () => {
+      // The 100 unit viewBox is rendered at 200px, so a 10px stroke covers 5 units
+      fs.writeFileSync(tempFile, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100" width="200" height="200">
+        <rect x="25" y="25" width="50" height="50" fill="none" stroke="black" stroke-width="10" vector-effect="non-scaling-stroke"/>
+      </svg>`)
+
+      const result = await calculateOptimization(tempFile, { buffer: 0, visualBounds: true })
+
+      expect(result.contentBounds.x).toBeCloseTo(22.5)
+      expect(result.contentBounds.width).toBeCloseTo(55)
+    })
+
+    it('should apply joins and caps to animated stroke widths', async () => {
+      fs.writeFileSync(tempFile, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">
+        <polyline points="50,150 100,50 150,150" fill="none" stroke="black" stroke-width="2" stroke-miterlimit="10">
+          <animate attributeName="stroke-width" values="2;20;2" dur="2s" repeatCount="indefinite"/>
+        </polyline>
+      </svg>`)
+
+      const result = await calculateOptimization(tempFile, { buffer: 0, visualBounds: true })
+      const miterRatio = 1 / Math.sin(Math.atan2(50, 100))
+
+      // The top miter tip of the widest stroke reaches well beyond half its width
+      expect(result.contentBounds.y).toBeCloseTo(50 - miterRatio * 10, 1)
+    })
+  })
+})
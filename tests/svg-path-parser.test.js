@@ -1,8 +1,13 @@
 const {
   parsePath,
   calculatePathBounds,
+  normalizePathCommands,
+  arcToCenterParameterization,
   calculateMotionValuesBounds,
-  parseMotionValues
+  parseMotionValues,
+  samplePath,
+  interpolatePathData,
+  calculatePathMorphBounds
 } = require('../src/lib/svg-path-parser')
 
 describe('SVG Path Parser', () => {
@@ -40,6 +45,19 @@ describe('SVG Path Parser', () => {
       expect(commands[3]).toEqual({ type: 'L', args: [30, 30] })
     })
 
+    it('should read compact arc flags', () => {
+      const commands = parsePath('M2 2h10a2 2 0 012 2v10')
+      expect(commands).toHaveLength(4)
+      expect(commands[2]).toEqual({ type: 'a', args: [2, 2, 0, 0, 1, 2, 2] })
+      expect(commands[3]).toEqual({ type: 'v', args: [10] })
+    })
+
+    it('should read numbers without separators', () => {
+      const commands = parsePath('M-1.5.5L10-5e1')
+      expect(commands[0]).toEqual({ type: 'M', args: [-1.5, 0.5] })
+      expect(commands[1]).toEqual({ type: 'L', args: [10, -50] })
+    })
+
     it('should handle close path command', () => {
       const commands = parsePath('M 0,0 L 100,0 L 100,100 Z')
       expect(commands).toHaveLength(4)
@@ -56,6 +74,12 @@ describe('SVG Path Parser', () => {
       expect(bounds.maxY).toBe(60)
     })
 
+    it('should find the extremum of symmetric cubic curves', () => {
+      // The derivative has no quadratic term when the control points mirror each other
+      const bounds = calculatePathBounds('M 0,0 C 0,-100 100,-100 100,0')
+      expect(bounds.minY).toBe(-75)
+    })
+
     it('should calculate bounds for quadratic curve', () => {
       const bounds = calculatePathBounds('M 50,200 Q 150,50 250,200')
       expect(bounds.minX).toBe(50)
@@ -87,6 +111,126 @@ describe('SVG Path Parser', () => {
     })
   })
 
+  describe('Path normalization', () => {
+    it('should convert relative and shorthand commands to absolute M, L, C, Q, A and Z', () => {
+      const commands = normalizePathCommands('m 10 10 h 20 v 20 s 10 10 20 0 t 20 0 a 5 5 0 0 1 10 0 z')
+
+      expect(commands).toEqual([
+        { type: 'M', args: [10, 10] },
+        { type: 'L', args: [30, 10] },
+        { type: 'L', args: [30, 30] },
+        { type: 'C', args: [30, 30, 40, 40, 50, 30] },
+        { type: 'Q', args: [50, 30, 70, 30] },
+        { type: 'A', args: [5, 5, 0, 0, 1, 80, 30] },
+        { type: 'Z', args: [] }
+      ])
+    })
+
+    it('should reflect control points of smooth curves', () => {
+      const commands = normalizePathCommands('M 0 0 C 10 -10 20 -10 30 0 S 50 10 60 0 Q 70 -10 80 0 T 100 0')
+
+      expect(commands[2]).toEqual({ type: 'C', args: [40, 10, 50, 10, 60, 0] })
+      expect(commands[4]).toEqual({ type: 'Q', args: [90, 10, 100, 0] })
+    })
+  })
+
+  describe('Elliptical arc bounds', () => {
+    it('should calculate exact bounds for a semicircle', () => {
+      // Upper half of a circle centered at (50,50) with radius 50 (sweep=1 goes through y=0)
+      const bounds = calculatePathBounds('M 0,50 A 50,50 0 0 1 100,50')
+      expect(bounds.minX).toBeCloseTo(0)
+      expect(bounds.maxX).toBeCloseTo(100)
+      expect(bounds.minY).toBeCloseTo(0)
+      expect(bounds.maxY).toBeCloseTo(50)
+    })
+
+    it('should respect the sweep flag', () => {
+      // Same endpoints, opposite sweep: lower half of the circle
+      const bounds = calculatePathBounds('M 0,50 A 50,50 0 0 0 100,50')
+      expect(bounds.minY).toBeCloseTo(50)
+      expect(bounds.maxY).toBeCloseTo(100)
+    })
+
+    it('should not include extrema outside a quarter arc', () => {
+      const bounds = calculatePathBounds('M 100,50 A 50,50 0 0 1 50,100')
+      expect(bounds.minX).toBeCloseTo(50)
+      expect(bounds.maxX).toBeCloseTo(100)
+      expect(bounds.minY).toBeCloseTo(50)
+      expect(bounds.maxY).toBeCloseTo(100)
+    })
+
+    it('should respect the large-arc flag', () => {
+      // Three quarters of the circle centered at (50,50)
+      const bounds = calculatePathBounds('M 100,50 A 50,50 0 1 0 50,100')
+      expect(bounds.minX).toBeCloseTo(0)
+      expect(bounds.maxX).toBeCloseTo(100)
+      expect(bounds.minY).toBeCloseTo(0)
+      expect(bounds.maxY).toBeCloseTo(100)
+    })
+
+    it('should scale up radii that are too small to reach the endpoint', () => {
+      // rx=ry=10 cannot span 100 units, so the radii are corrected to 50
+      const arc = arcToCenterParameterization(0, 50, 10, 10, 0, 0, 1, 100, 50)
+      expect(arc.rx).toBeCloseTo(50)
+      expect(arc.ry).toBeCloseTo(50)
+      expect(arc.cx).toBeCloseTo(50)
+      expect(arc.cy).toBeCloseTo(50)
+
+      const bounds = calculatePathBounds('M 0,50 A 10,10 0 0 1 100,50')
+      expect(bounds.minY).toBeCloseTo(0)
+    })
+
+    it('should handle x-axis rotation', () => {
+      // Half of an ellipse (rx=50, ry=25) rotated by 90 degrees behaves like rx=25, ry=50
+      const bounds = calculatePathBounds('M 50,0 A 50,25 90 0 1 50,100')
+      expect(bounds.minX).toBeCloseTo(50)
+      expect(bounds.maxX).toBeCloseTo(75)
+      expect(bounds.minY).toBeCloseTo(0)
+      expect(bounds.maxY).toBeCloseTo(100)
+    })
+
+    it('should handle rotated ellipse extrema', () => {
+      // Full-ish ellipse rotated by 45 degrees: half-extent is sqrt((rx²+ry²)/2)
+      const bounds = calculatePathBounds('M 0,0 A 40,20 45 1 1 0.001,0.001 Z')
+      const arc = arcToCenterParameterization(0, 0, 40, 20, 45, 1, 1, 0.001, 0.001)
+      const halfExtent = Math.sqrt((40 * 40 + 20 * 20) / 2)
+      expect(bounds.maxX - bounds.minX).toBeCloseTo(halfExtent * 2, 1)
+      expect(bounds.maxY - bounds.minY).toBeCloseTo(halfExtent * 2, 1)
+      expect(bounds.minX).toBeCloseTo(arc.cx - halfExtent, 1)
+    })
+
+    it('should handle relative arcs', () => {
+      const bounds = calculatePathBounds('M 10,60 a 50,50 0 0 1 100,0')
+      expect(bounds.minX).toBeCloseTo(10)
+      expect(bounds.maxX).toBeCloseTo(110)
+      expect(bounds.minY).toBeCloseTo(10)
+      expect(bounds.maxY).toBeCloseTo(60)
+    })
+
+    it('should handle arcs with compact flags', () => {
+      const bounds = calculatePathBounds('M0 10a10 10 0 0110 10')
+      expect(bounds.minX).toBeCloseTo(0)
+      expect(bounds.maxX).toBeCloseTo(10)
+      expect(bounds.minY).toBeCloseTo(10)
+      expect(bounds.maxY).toBeCloseTo(20)
+    })
+
+    it('should treat zero radii as a straight line', () => {
+      expect(arcToCenterParameterization(0, 0, 0, 10, 0, 0, 1, 100, 100)).toBeNull()
+
+      const bounds = calculatePathBounds('M 0,0 A 0,10 0 0 1 100,100')
+      expect(bounds).toEqual({ minX: 0, maxX: 100, minY: 0, maxY: 100 })
+    })
+
+    it('should be tighter than the previous conservative estimate', () => {
+      // A shallow arc bulging only 10 units above its chord
+      const bounds = calculatePathBounds('M 0,100 A 130,130 0 0 1 100,100')
+      expect(bounds.minY).toBeGreaterThan(85)
+      expect(bounds.minY).toBeLessThan(95)
+      expect(bounds.maxY).toBeCloseTo(100)
+    })
+  })
+
   describe('Motion values parsing', () => {
     it('should parse coordinate pairs', () => {
       const coords = parseMotionValues('10,20; 30,40; 50,60')
@@ -116,6 +260,44 @@ describe('SVG Path Parser', () => {
     })
   })
 
+  describe('Path sampling', () => {
+    it('should sample both directions at the corners of lines', () => {
+      const samples = samplePath('M 0,0 L 100,0 L 100,50')
+      expect(samples).toEqual([
+        { x: 0, y: 0, angle: 0, distance: 0 },
+        { x: 100, y: 0, angle: 0, distance: 100 },
+        { x: 100, y: 0, angle: 90, distance: 100 },
+        { x: 100, y: 50, angle: 90, distance: 150 }
+      ])
+    })
+
+    it('should follow the tangent of arcs', () => {
+      const samples = samplePath('M 0,50 A 50,50 0 0 1 100,50', 4)
+      expect(samples).toHaveLength(5)
+      expect(samples[2].x).toBeCloseTo(50)
+      expect(samples[2].y).toBeCloseTo(0)
+      expect(samples[2].angle).toBeCloseTo(0)
+      expect(samples[4].angle).toBeCloseTo(90, 1)
+    })
+  })
+
+  describe('Path morphing', () => {
+    it('should interpolate paths with the same commands', () => {
+      expect(interpolatePathData('M 0,0 Q 50,0 100,0', 'm 0,0 q 50,100 100,0', 0.5)).toBe('M 0 0 Q 50 50 100 0')
+      expect(interpolatePathData('M 0,0 A 50,50 0 0 1 100,0', 'M 0,0 A 50,50 0 1 0 100,0', 0.25)).toBe('M 0 0 A 50 50 0 0 1 100 0')
+    })
+
+    it('should not interpolate paths with different commands', () => {
+      expect(interpolatePathData('M 0,0 L 100,0', 'M 0,0 Q 50,100 100,0', 0.5)).toBeNull()
+      expect(calculatePathMorphBounds('M 0,0 L 100,0', 'M 0,0 L 100,0 Z')).toBeNull()
+    })
+
+    it('should bound curves by their keyframes', () => {
+      const bounds = calculatePathMorphBounds('M 0,0 Q 50,-100 100,0', 'M 0,100 Q 50,200 100,100')
+      expect(bounds).toEqual({ minX: 0, maxX: 100, minY: -50, maxY: 150 })
+    })
+  })
+
   describe('Edge cases', () => {
     it('should handle malformed path data gracefully', () => {
       const bounds = calculatePathBounds('M invalid data L')
@@ -0,0 +1,132 @@
+const {
+  findRootSVGElement,
+  getRootAttribute,
+  setRootAttribute,
+  removeRootAttribute,
+  appendToRoot,
+  applyOptimization
+} = require('../src/lib/svg-writer')
+
+describe('SVG Writer', () => {
+  describe('Root element detection', () => {
+    it('should skip the prolog, comments and doctype internal subset', () => {
+      const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd" [
+  <!ENTITY icon "<svg viewBox='9 9 9 9'>">
+  <!-- ]> <svg viewBox="8 8 8 8"> -->
+]>
+<!-- <svg viewBox="7 7 7 7"> -->
+<svg xmlns="http://www.w3.org/2000/svg" width="100"><rect/></svg>`
+
+      const root = findRootSVGElement(svg)
+
+      expect(root.tagName).toBe('svg')
+      expect(root.attributes.map(attr => attr.name)).toEqual(['xmlns', 'width'])
+      expect(svg.slice(root.start, root.end)).toBe('<svg xmlns="http://www.w3.org/2000/svg" width="100">')
+    })
+
+    it('should accept a namespace prefix and quoted ">" in attribute values', () => {
+      const svg = '<svg:svg xmlns:svg="http://www.w3.org/2000/svg" data-note="a > b" viewBox="0 0 10 10"/>'
+      const root = findRootSVGElement(svg)
+
+      expect(root.tagName).toBe('svg:svg')
+      expect(root.selfClosing).toBe(true)
+      expect(getRootAttribute(svg, 'viewBox')).toBe('0 0 10 10')
+    })
+
+    it('should return null when there is no svg element', () => {
+      expect(findRootSVGElement('<html><body></body></html>')).toBeNull()
+      expect(() => setRootAttribute('<html/>', 'viewBox', '0 0 1 1')).toThrow('No <svg> root element found')
+    })
+  })
+
+  describe('Attribute updates', () => {
+    it('should only replace the root viewBox, not earlier or nested ones', () => {
+      const svg = `<!-- viewBox="1 1 1 1" -->
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">
+  <symbol id="s" viewBox="0 0 10 10"><rect width="10" height="10"/></symbol>
+  <svg viewBox="0 0 50 50"/>
+</svg>`
+
+      const updated = setRootAttribute(svg, 'viewBox', '40 40 120 120')
+
+      expect(updated).toBe(svg.replace('viewBox="0 0 200 200"', 'viewBox="40 40 120 120"'))
+    })
+
+    it('should keep single quotes', () => {
+      const svg = "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 200 200'></svg>"
+
+      expect(setRootAttribute(svg, 'viewBox', '1 2 3 4')).toBe("<svg xmlns='http://www.w3.org/2000/svg' viewBox='1 2 3 4'></svg>")
+    })
+
+    it('should insert a missing viewBox on the root instead of a child', () => {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg"
+     width="200" height="200">
+  <symbol id="s" viewBox="0 0 10 10"/>
+</svg>`
+
+      const updated = setRootAttribute(svg, 'viewBox', '0 0 200 200')
+
+      expect(updated).toContain('height="200" viewBox="0 0 200 200">')
+      expect(updated).toContain('<symbol id="s" viewBox="0 0 10 10"/>')
+    })
+
+    it('should insert into a root element without attributes', () => {
+      expect(setRootAttribute('<svg><g/></svg>', 'viewBox', '0 0 1 1')).toBe('<svg viewBox="0 0 1 1"><g/></svg>')
+      expect(setRootAttribute('<svg/>', 'viewBox', '0 0 1 1')).toBe('<svg viewBox="0 0 1 1"/>')
+    })
+
+    it('should escape attribute values', () => {
+      expect(setRootAttribute('<svg data-x="a"/>', 'data-x', 'say "hi" & <bye>')).toBe('<svg data-x="say &quot;hi&quot; &amp; &lt;bye>"/>')
+    })
+
+    it('should remove attributes together with their leading whitespace', () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg"\n     width="200"\n     height="200" viewBox="0 0 200 200"/>'
+
+      expect(removeRootAttribute(svg, 'width')).toBe('<svg xmlns="http://www.w3.org/2000/svg"\n     height="200" viewBox="0 0 200 200"/>')
+      expect(removeRootAttribute(svg, 'missing')).toBe(svg)
+    })
+
+    it('should preserve CDATA, entities and non-ASCII bytes exactly', () => {
+      const original = Buffer.concat([
+        Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?>\n<!DOCTYPE svg [<!ENTITY e "&#233;">]>\n'),
+        Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><title>caf'),
+        Buffer.from([0xe9]),
+        Buffer.from('&e;</title><style><![CDATA[ svg > rect { fill: red } ]]></style></svg>\n')
+      ])
+
+      const updated = Buffer.from(setRootAttribute(original.toString('latin1'), 'viewBox', '1 1 8 8'), 'latin1')
+
+      expect(updated.equals(Buffer.from(original.toString('latin1').replace('0 0 10 10', '1 1 8 8'), 'latin1'))).toBe(true)
+      expect(updated.includes(Buffer.from([0xe9]))).toBe(true)
+    })
+  })
+
+  describe('Appending content', () => {
+    it('should insert before the root end tag, past nested svg elements', () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg"><svg><rect/></svg></svg>\n<!-- end -->\n'
+
+      expect(appendToRoot(svg, '<g/>')).toBe('<svg xmlns="http://www.w3.org/2000/svg"><svg><rect/></svg><g/></svg>\n<!-- end -->\n')
+    })
+
+    it('should expand a self-closing root', () => {
+      expect(appendToRoot('<svg:svg xmlns:svg="http://www.w3.org/2000/svg" />', '<svg:g/>'))
+        .toBe('<svg:svg xmlns:svg="http://www.w3.org/2000/svg" ><svg:g/></svg:svg>')
+    })
+  })
+
+  describe('Applying results', () => {
+    it('should write the viewBox and only the changed width/height', () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200" width="400" height="400"/>'
+      const result = {
+        optimized: { viewBox: '50.00 50.00 100.00 100.00' },
+        dimensions: {
+          original: { width: '400', height: '400' },
+          optimized: { width: '200', height: null }
+        }
+      }
+
+      expect(applyOptimization(svg, result)).toBe('<svg xmlns="http://www.w3.org/2000/svg" viewBox="50.00 50.00 100.00 100.00" width="200"/>')
+    })
+  })
+})
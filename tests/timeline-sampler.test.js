@@ -0,0 +1,81 @@
+const path = require('path')
+const { execSync } = require('child_process')
+const { optimizeString } = require('../viewbox-calculator')
+
+function svg (content) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">${content}</svg>`
+}
+
+describe('Timeline sampling', () => {
+  const cli = path.join(__dirname, '..', 'index.js')
+
+  it('should include nested animated groups', async () => {
+    const { result } = await optimizeString(svg(`
+      <g>
+        <animateTransform attributeName="transform" type="translate" from="0 0" to="100 0" dur="2s" fill="freeze"/>
+        <rect x="0" y="0" width="10" height="10">
+          <animate attributeName="x" from="0" to="50" dur="2s" fill="freeze"/>
+        </rect>
+      </g>`), { buffer: 0, sampleTimeline: true })
+
+    expect(result.contentBounds.x).toBeCloseTo(0)
+    expect(result.contentBounds.x + result.contentBounds.width).toBeGreaterThan(159.5)
+    expect(result.extremes.maxX.reason).toMatch(/^sampled at t=1\.99\d*s$/)
+    expect(result.timeline.end).toBeCloseTo(2)
+  })
+
+  it('should follow accumulate="sum" across repeats', async () => {
+    const { result } = await optimizeString(svg(`
+      <rect x="0" y="0" width="10" height="10">
+        <animateTransform attributeName="transform" type="translate" from="0 0" to="20 0" dur="1s" repeatCount="3" accumulate="sum" fill="freeze"/>
+      </rect>`), { buffer: 0, sampleTimeline: true, timelineSamples: 4 })
+
+    expect(result.contentBounds.x + result.contentBounds.width).toBeGreaterThan(69.5)
+    expect(result.timeline.end).toBeCloseTo(3)
+    // Evenly spaced instants plus the start and end of each repeat
+    expect(result.timeline.samples).toBeGreaterThan(4)
+  })
+
+  it('should warn about accumulating animations without an end', async () => {
+    const { result } = await optimizeString(svg(`
+      <rect x="0" y="0" width="10" height="10">
+        <animate attributeName="x" from="0" to="5" dur="1s" repeatCount="indefinite" accumulate="sum"/>
+      </rect>`), { buffer: 0, sampleTimeline: true, timelineSamples: 2 })
+
+    // Reported once, by the analysis, not again by the sampler
+    expect(result.warnings.filter(warning => /accumulates over indefinite repeats/.test(warning))).toHaveLength(1)
+    expect(result.contentBounds.x + result.contentBounds.width).toBeGreaterThan(59)
+  })
+
+  it('should sample geometry engine results in the browser', async () => {
+    const { result } = await optimizeString(svg(`
+      <rect x="10" y="10" width="10" height="10">
+        <animate attributeName="y" values="10;200;10" dur="1s"/>
+      </rect>`), { buffer: 0, engine: 'geometry', sampleTimeline: true })
+
+    expect(result.engine).toBe('geometry')
+    expect(result.contentBounds.y + result.contentBounds.height).toBeCloseTo(210)
+  })
+
+  it('should leave results without timeline sampling unless requested', async () => {
+    const { result } = await optimizeString(svg('<rect width="5" height="5"/>'), { engine: 'geometry' })
+
+    expect(result.timeline).toBeNull()
+  })
+
+  describe('CLI', () => {
+    const fixture = path.join(__dirname, 'fixtures', 'animated-rect.svg')
+
+    it('should report the sampled instants', () => {
+      const output = execSync(`node ${cli} ${fixture} --sample-timeline --timeline-samples 3 --dry-run`, { encoding: 'utf8' })
+
+      expect(output).toMatch(/Timeline: sampled \d+ instants over 2s/)
+    })
+
+    it('should reject an invalid number of samples', () => {
+      expect(() => {
+        execSync(`node ${cli} ${fixture} --sample-timeline --timeline-samples 0 --dry-run`, { stdio: 'pipe' })
+      }).toThrow(/--timeline-samples must be a positive integer/)
+    })
+  })
+})
@@ -0,0 +1,84 @@
+const path = require('path')
+const { execSync } = require('child_process')
+const { calculateOptimization, optimizeString } = require('../viewbox-calculator')
+const { verifyRendering } = require('../src/lib/render-verifier')
+
+describe('Render verification', () => {
+  const cli = path.join(__dirname, '..', 'index.js')
+  const fixture = path.join(__dirname, 'fixtures', 'animated-rect.svg')
+
+  it('should pass when the optimized viewBox shows all content', async () => {
+    const result = await calculateOptimization(fixture, { verify: true })
+
+    expect(result.verification.passed).toBe(true)
+    expect(result.verification.times).toHaveLength(8)
+    expect(result.verification.clipped).toEqual([])
+  })
+
+  it('should sample the animation timeline', async () => {
+    const result = await calculateOptimization(fixture, { verify: true, verifyFrames: 3 })
+
+    // The fixture's animation runs for 2s
+    expect(result.verification.times[0]).toBe(0)
+    expect(result.verification.times[1]).toBeCloseTo(1)
+    expect(result.verification.times[2]).toBeCloseTo(2, 1)
+  })
+
+  it('should report clipped pixels with their region', async () => {
+    const { result } = await optimizeString(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">
+      <rect x="50" y="50" width="100" height="100"/>
+    </svg>`, { buffer: -10, verify: true, verifyFrames: 1 })
+
+    expect(result.verification.passed).toBe(false)
+    expect(result.verification.clipped).toHaveLength(1)
+
+    const { time, pixels, region } = result.verification.clipped[0]
+    expect(time).toBe(0)
+    expect(pixels).toBeGreaterThan(0)
+    expect(region.x).toBeCloseTo(50, 0)
+    expect(region.y).toBeCloseTo(50, 0)
+    expect(region.width).toBeCloseTo(100, 0)
+    expect(region.height).toBeCloseTo(100, 0)
+  })
+
+  it('should verify geometry engine results in the browser', async () => {
+    const result = await calculateOptimization(fixture, { engine: 'geometry', verify: true })
+
+    expect(result.engine).toBe('geometry')
+    expect(result.verification.passed).toBe(true)
+  })
+
+  it('should skip rendering when there is nothing to compare', async () => {
+    const verification = await verifyRendering(null, { x: 0, y: 0, width: 100, height: 100 }, { x: 10, y: 10, width: 0, height: 20 })
+
+    expect(verification).toEqual({ passed: true, scale: null, times: [], clipped: [] })
+  })
+
+  it('should leave results without verification unless requested', async () => {
+    const { result } = await optimizeString('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="5" height="5"/></svg>', { engine: 'geometry' })
+
+    expect(result.verification).toBeNull()
+  })
+
+  describe('CLI', () => {
+    it('should exit non-zero and list clipped regions', () => {
+      let error = null
+      try {
+        execSync(`node ${cli} ${fixture} --buffer=-20 --verify --verify-frames 2 --dry-run`, { encoding: 'utf8', stdio: 'pipe' })
+      } catch (caught) {
+        error = caught
+      }
+
+      expect(error).not.toBeNull()
+      expect(error.status).toBe(1)
+      expect(error.stdout).toContain('Clipped:')
+      expect(error.stdout).toMatch(/t=0\.000s: \d+ px in /)
+    })
+
+    it('should reject an invalid number of frames', () => {
+      expect(() => {
+        execSync(`node ${cli} ${fixture} --verify --verify-frames 0 --dry-run`, { stdio: 'pipe' })
+      }).toThrow(/--verify-frames must be a positive integer/)
+    })
+  })
+})
@@ -0,0 +1,91 @@
+const path = require('path')
+const { execSync } = require('child_process')
+const { optimizeString } = require('../viewbox-calculator')
+
+function svg (script) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1000 300">
+  <rect id="box" x="0" y="100" width="50" height="50"/>
+  <script type="text/javascript">
+    <![CDATA[
+      ${script}
+    ]]>
+  </script>
+</svg>`
+}
+
+// Moves the box 10 units right every 100ms
+const stepping = svg(`
+  let x = 0
+  setInterval(() => {
+    x += 10
+    document.getElementById('box').setAttribute('x', x)
+  }, 100)`)
+
+describe('Virtual time', () => {
+  const cli = path.join(__dirname, '..', 'index.js')
+
+  it('should measure timers after the budget', async () => {
+    const { result } = await optimizeString(stepping, { buffer: 0, virtualTime: 950 })
+
+    expect(result.contentBounds.x).toBeCloseTo(90, 1)
+    expect(result.virtualTime).toEqual({ budget: 950, samples: 0 })
+  })
+
+  it('should give the same bounds on every run', async () => {
+    const { result: first } = await optimizeString(stepping, { buffer: 0, virtualTime: 450 })
+    const { result: second } = await optimizeString(stepping, { buffer: 0, virtualTime: 450 })
+
+    expect(first.contentBounds).toEqual(second.contentBounds)
+    expect(first.contentBounds.x).toBeCloseTo(40, 1)
+  })
+
+  it('should add the content measured at sample timestamps', async () => {
+    const { result } = await optimizeString(svg(`
+      const box = document.getElementById('box')
+      const start = performance.now()
+      requestAnimationFrame(function frame (now) {
+        // Out and back over one second
+        const t = Math.min(Math.max(now - start, 0) / 1000, 1)
+        box.setAttribute('x', 400 * Math.sin(Math.PI * t))
+        if (t < 1) requestAnimationFrame(frame)
+      })`), { buffer: 0, virtualTime: 2000, virtualTimeSamples: [250, 500, 750] })
+
+    expect(result.contentBounds.x).toBeCloseTo(0, 0)
+    expect(result.contentBounds.x + result.contentBounds.width).toBeGreaterThan(440)
+    expect(result.extremes.maxX.reason).toBe('measured at virtual time 500ms')
+    expect(result.virtualTime).toEqual({ budget: 2000, samples: 3 })
+  })
+
+  it('should reject samples outside the budget', async () => {
+    await expect(optimizeString(stepping, { virtualTime: 500, virtualTimeSamples: [600] }))
+      .rejects.toThrow('Virtual time samples must lie between 0 and the 500ms budget, got 600')
+  })
+
+  it('should leave results without virtual time unless requested', async () => {
+    const { result } = await optimizeString('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="5" height="5"/></svg>', { engine: 'geometry' })
+
+    expect(result.virtualTime).toBeNull()
+  })
+
+  describe('CLI', () => {
+    const fixture = path.join(__dirname, 'fixtures', 'simple-rect.svg')
+
+    it('should require a budget for samples', () => {
+      expect(() => {
+        execSync(`node ${cli} ${fixture} --virtual-time-samples 100 --dry-run`, { stdio: 'pipe' })
+      }).toThrow(/Virtual time samples need a virtual time budget/)
+    })
+
+    it('should reject samples past the budget', () => {
+      expect(() => {
+        execSync(`node ${cli} ${fixture} --virtual-time 100 --virtual-time-samples 50,200 --dry-run`, { stdio: 'pipe' })
+      }).toThrow(/Virtual time samples must lie between 0 and the 100ms budget, got 200/)
+    })
+
+    it('should reject a budget that is not positive', () => {
+      expect(() => {
+        execSync(`node ${cli} ${fixture} --virtual-time 0 --dry-run`, { stdio: 'pipe' })
+      }).toThrow(/Virtual time budget must be a positive number of milliseconds, got 0/)
+    })
+  })
+})
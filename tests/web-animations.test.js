@@ -0,0 +1,58 @@
+const { optimizeString } = require('../viewbox-calculator')
+
+function svg (script, content = '<rect id="icon" x="100" y="100" width="50" height="50"/>') {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 300">
+  ${content}
+  <script type="text/javascript">
+    <![CDATA[
+      ${script}
+    ]]>
+  </script>
+</svg>`
+}
+
+describe('Web Animations', () => {
+  it('should include keyframes of element.animate()', async () => {
+    const { result } = await optimizeString(svg(`
+      const animation = document.getElementById('icon').animate(
+        [{ transform: 'translate(0px, 0px)' }, { transform: 'translate(100px, 0px)' }],
+        { duration: 1000, iterations: Infinity })
+      animation.id = 'slide'`), { buffer: 0 })
+
+    expect(result.contentBounds.x).toBeCloseTo(100, 1)
+    expect(result.contentBounds.width).toBeCloseTo(150, 1)
+    expect(result.extremes.maxX.reason).toBe('Web animation slide')
+  })
+
+  it('should find animations started after the script delay', async () => {
+    const content = svg(`
+      setTimeout(() => document.getElementById('icon').animate(
+        { transform: ['translate(0px, 0px)', 'translate(0px, 100px)'] },
+        { duration: 1000, iterations: Infinity }), 100)`)
+
+    const { result } = await optimizeString(content, { buffer: 0, scriptDelay: 300 })
+
+    expect(result.contentBounds.y + result.contentBounds.height).toBeCloseTo(250, 1)
+  })
+
+  it('should include the values an overshooting effect easing reaches', async () => {
+    const { result } = await optimizeString(svg(`
+      document.getElementById('icon').animate(
+        [{ transform: 'translateX(0px)' }, { transform: 'translateX(100px)' }],
+        { duration: 1000, iterations: Infinity, easing: 'cubic-bezier(0.3, 0, 0.7, 1.5)' })`), { buffer: 0 })
+
+    // The easing reaches about 1.102 of the way, 10 past the last keyframe
+    expect(result.contentBounds.x + result.contentBounds.width).toBeGreaterThan(258)
+  })
+
+  it('should add geometry properties that composite with add to the attribute', async () => {
+    const { result } = await optimizeString(svg(`
+      document.getElementById('dot').animate(
+        [{ r: '0px' }, { r: '40px' }],
+        { duration: 1000, iterations: Infinity, composite: 'add' })`,
+    '<circle id="dot" cx="150" cy="150" r="10"/>'), { buffer: 0 })
+
+    expect(result.contentBounds.x).toBeCloseTo(100, 1)
+    expect(result.contentBounds.width).toBeCloseTo(100, 1)
+  })
+})
@@ -1,11 +1,42 @@
 const fs = require('fs')
 const path = require('path')
-const puppeteer = require('puppeteer')
 // Transform parser - not directly used in main calculator but available to browser modules
 const { BrowserBundle } = require('./src/browser-bundle')
 const { StylesheetProcessor } = require('./src/lib/stylesheet-processor')
+const { getRootAttribute, applyOptimization } = require('./src/lib/svg-writer')
+const { calculateDimensions } = require('./src/lib/size-mode')
+const { analyzeGeometry } = require('./src/lib/geometry-engine')
+const { verifyRendering } = require('./src/lib/render-verifier')
+const { rasterizeBounds, rasterizeElements } = require('./src/lib/raster-engine')
+const { sampleTimeline } = require('./src/lib/timeline-sampler')
+const { validateVirtualTime, pauseVirtualTime, runVirtualTime, resumeVirtualTime, addVirtualTimeSamples } = require('./src/lib/virtual-time')
+const { parseViewBox } = require('./src/lib/svg-units')
+const { EVENT_ANIMATION_POLICIES } = require('./src/lib/animation-analyzer')
+
+const ENGINES = ['browser', 'geometry', 'raster', 'hybrid']
+
+// Engines that render the SVG after the browser analysis
+const RASTER_ENGINES = {
+  raster: rasterizeBounds,
+  hybrid: rasterizeElements
+}
+
+/**
+ * Load puppeteer on first use, so the geometry engine works without it installed
+ */
+function loadPuppeteer () {
+  try {
+    return require('puppeteer')
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error('The browser engine needs puppeteer, which is not installed. Install it with "npm install puppeteer" or use the geometry engine (--engine geometry)')
+    }
+    throw error
+  }
+}
 
 async function instantiateBrowser () {
+  const puppeteer = loadPuppeteer()
   let browser
 
   // Launch headless browser
@@ -22,185 +53,540 @@ async function instantiateBrowser () {
   return browser
 }
 
-async function calculateOptimization (inputFile, options = {}) {
-  const fontTimeout = options.fontTimeout || 5000 // Default 5 second font loading timeout
-  const failOnFontTimeout = options.failOnFontTimeout !== false // Default to true (fail on timeout)
-  const scriptDelay = options.scriptDelay || 0 // Default 0ms - no additional wait for script-generated content
-  const browser = await instantiateBrowser()
+// Shared across calls so batch runs read the browser modules from disk only once
+const browserBundle = new BrowserBundle()
+
+/**
+ * Open a new page, forwarding browser console output in debug mode
+ * @param {Object} browser - Puppeteer browser instance
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Object>} Puppeteer page
+ */
+async function openPage (browser, options = {}) {
+  const page = await browser.newPage()
+
+  // Capture console output
+  if (options.debug) {
+    const logger = options.logger || console
+    page.on('console', msg => logger.log('Browser console:', msg.text()))
+  }
+
+  return page
+}
+
+/**
+ * Run a callback with a page
+ *
+ * By default a browser is launched and closed for the call. Batch callers can
+ * pass `options.browser` (a page is opened and closed on it), `options.page`
+ * (used as-is and left open) or `options.getPage` (called for a page that is
+ * left open) to share one browser between many files.
+ * @param {Object} options - Optimization options
+ * @param {Function} callback - Called with the page
+ * @returns {Promise<*>} The callback's result
+ */
+async function withPage (options, callback) {
+  const sharedPage = options.page || (options.getPage ? await options.getPage() : null)
+  const ownsBrowser = !sharedPage && !options.browser
+  const browser = sharedPage ? null : (options.browser || await instantiateBrowser())
+  let page = sharedPage
 
   try {
-    let svgContent = fs.readFileSync(inputFile, 'utf8')
-    const buffer = options.buffer !== undefined ? parseInt(options.buffer) : 10
+    if (!page) {
+      page = await openPage(browser, options)
+    }
+
+    return await callback(page)
+  } finally {
+    if (ownsBrowser) {
+      await browser.close()
+    } else if (!sharedPage && page) {
+      await page.close()
+    }
+  }
+}
+
+/**
+ * Load SVG content into a page with the browser modules
+ * Scripts get `options.scriptDelay` milliseconds of real time to change the
+ * content. With `options.virtualTime` they run for that many milliseconds of
+ * the page's virtual clock instead, measured at `options.virtualTimeSamples`
+ * on the way, and the page is left paused at the end; pass the returned run
+ * to resumeVirtualTime() once the page has been analyzed.
+ * @param {Object} page - Puppeteer page
+ * @param {string} svgContent - SVG markup with external stylesheets inlined
+ * @param {string} baseDir - Directory that relative resource URLs resolve against
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Object|null>} Virtual time run { session, budget, samples }, null without options.virtualTime
+ */
+async function loadContent (page, svgContent, baseDir, options = {}) {
+  const scriptDelay = options.scriptDelay || 0 // Default 0ms - no additional wait for script-generated content
+  const logger = options.logger || console
+
+  // Use browser bundle builder to create clean HTML with all modules
+  const html = await browserBundle.buildHTML(svgContent, { baseDir })
 
-    // Process external stylesheets
-    const stylesheetProcessor = new StylesheetProcessor(path.dirname(inputFile))
-    svgContent = await stylesheetProcessor.processStylesheets(svgContent)
+  // The clock stops before any script runs, so timers and animation frames only fire within the budget
+  const session = options.virtualTime ? await pauseVirtualTime(page) : null
 
-    const page = await browser.newPage()
+  await page.setContent(html, {
+    waitUntil: 'networkidle0', // Wait for network requests to finish
+    timeout: 10000 // 10 second timeout for content loading
+  })
 
-    // Capture console output
+  if (session) {
     if (options.debug) {
-      page.on('console', msg => console.log('Browser console:', msg.text()))
+      logger.log(`Running scripts for ${options.virtualTime}ms of virtual time...`)
     }
 
-    // Use browser bundle builder to create clean HTML with all modules
-    const browserBundle = new BrowserBundle()
-    const html = await browserBundle.buildHTML(svgContent)
-
-    await page.setContent(html, {
-      waitUntil: 'networkidle0', // Wait for network requests to finish
-      timeout: 10000 // 10 second timeout for content loading
-    })
+    try {
+      const run = await runVirtualTime(page, session, { budget: options.virtualTime, samples: options.virtualTimeSamples, debug: options.debug, logger })
+      return { session, ...run }
+    } catch (error) {
+      await resumeVirtualTime(session)
+      throw error
+    }
+  }
 
-    // Wait for script-generated content if configured
-    if (scriptDelay > 0) {
-      if (options.debug) {
-        console.log(`Waiting ${scriptDelay}ms for script-generated content...`)
-      }
-      await page.evaluate((delay) => {
-        return new Promise(resolve => setTimeout(resolve, delay))
-      }, scriptDelay)
+  // Wait for script-generated content if configured
+  if (scriptDelay > 0) {
+    if (options.debug) {
+      logger.log(`Waiting ${scriptDelay}ms for script-generated content...`)
     }
+    await page.evaluate((delay) => {
+      return new Promise(resolve => setTimeout(resolve, delay))
+    }, scriptDelay)
+  }
+
+  return null
+}
+
+/**
+ * Measure the content bounds in headless Chrome
+ * Pages are shared as described for withPage().
+ * @param {string} svgContent - SVG markup with external stylesheets inlined
+ * @param {string} baseDir - Directory that relative resource URLs resolve against
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Object>} Bounds analysis from the browser modules
+ */
+async function analyzeInBrowser (svgContent, baseDir, options = {}) {
+  const fontTimeout = options.fontTimeout || 5000 // Default 5 second font loading timeout
+  const failOnFontTimeout = options.failOnFontTimeout !== false // Default to true (fail on timeout)
+  const analysisOptions = {
+    visualBounds: options.visualBounds === true, // Default false - bounds follow getBBox() fill geometry
+    failOnUnbounded: options.failOnUnbounded === true, // Default false - warn about content that grows without bound
+    eventAnimations: options.eventAnimations || 'include', // Default include - animations started on user interaction count
+    interactiveStates: options.interactiveStates === true || (options.stateClasses || []).length > 0, // Default false - :hover and friends don't count
+    stateClasses: options.stateClasses || []
+  }
+
+  return withPage(options, async page => {
+    const virtualTime = await loadContent(page, svgContent, baseDir, options)
 
     // Calculate bounds using the new modular architecture
-    const bounds = await page.evaluate(async (debugMode, fontTimeoutMs, failOnTimeout) => {
-      const debug = debugMode
+    let analysis
+    try {
+      analysis = await page.evaluate(async (debugMode, fontTimeoutMs, failOnTimeout, analyzerOptions) => {
+        const debug = debugMode
+        const warnings = []
 
-      // Wait for fonts to load before calculating bounds
-      try {
-        if (document.fonts && document.fonts.ready) {
-          if (debug) {
-            console.log('Waiting for fonts to load...')
-          }
+        // Wait for fonts to load before calculating bounds
+        try {
+          if (document.fonts && document.fonts.ready) {
+            if (debug) {
+              console.log('Waiting for fonts to load...')
+            }
 
-          // Add a timeout to prevent hanging on slow font loads
-          const fontLoadPromise = document.fonts.ready
-          const timeoutPromise = new Promise((resolve, reject) => {
-            setTimeout(() => {
-              if (failOnTimeout) {
-                reject(new Error(`Font loading timeout: Web fonts took longer than ${fontTimeoutMs / 1000} seconds to load. This could result in inaccurate text bounds.`))
-              } else {
-                if (debug) {
-                  console.log('Font loading timeout reached, proceeding with fallback fonts')
+            // Add a timeout to prevent hanging on slow font loads
+            const fontLoadPromise = document.fonts.ready
+            const timeoutPromise = new Promise((resolve, reject) => {
+              setTimeout(() => {
+                if (failOnTimeout) {
+                  reject(new Error(`Font loading timeout: Web fonts took longer than ${fontTimeoutMs / 1000} seconds to load. This could result in inaccurate text bounds.`))
+                } else {
+                  if (debug) {
+                    console.log('Font loading timeout reached, proceeding with fallback fonts')
+                  }
+                  warnings.push(`Font loading timed out after ${fontTimeoutMs / 1000} seconds, text bounds use fallback fonts`)
+                  resolve()
                 }
-                resolve()
-              }
-            }, fontTimeoutMs)
-          })
+              }, fontTimeoutMs)
+            })
 
-          await Promise.race([fontLoadPromise, timeoutPromise])
+            await Promise.race([fontLoadPromise, timeoutPromise])
+            if (debug) {
+              console.log('Fonts loaded successfully')
+            }
+          } else if (debug) {
+            console.log('Font loading API not available, proceeding without font synchronization')
+          }
+        } catch (fontError) {
           if (debug) {
-            console.log('Fonts loaded successfully')
+            console.log('Font loading failed, proceeding with fallback fonts:', fontError.message)
           }
-        } else if (debug) {
-          console.log('Font loading API not available, proceeding without font synchronization')
+          // Continue with analysis even if font loading fails
         }
-      } catch (fontError) {
-        if (debug) {
-          console.log('Font loading failed, proceeding with fallback fonts:', fontError.message)
+
+        // Use the modular SVG analyzer
+        if (typeof window.SVGAnalyzer === 'undefined') {
+          throw new Error('Modular SVG analyzer not loaded')
         }
-        // Continue with analysis even if font loading fails
+
+        const result = window.SVGAnalyzer.analyzeSVG(debug, analyzerOptions)
+        if (result.error) {
+          return result
+        }
+
+        // Convert to the expected format
+        return {
+          originalViewBox: result.originalViewBox,
+          viewBoxSynthesized: result.viewBoxSynthesized,
+          origWidth: result.origWidth,
+          origHeight: result.origHeight,
+          globalMinX: result.globalMinX,
+          globalMinY: result.globalMinY,
+          globalMaxX: result.globalMaxX,
+          globalMaxY: result.globalMaxY,
+          elementCount: result.elementCount,
+          animationCount: result.animationCount,
+          effectsCount: result.effectsCount,
+          elements: result.elements,
+          extremes: result.extremes,
+          warnings: [...warnings, ...result.warnings]
+        }
+      }, options.debug, fontTimeout, failOnFontTimeout, analysisOptions)
+    } finally {
+      if (virtualTime) await resumeVirtualTime(virtualTime.session)
+    }
+
+    // Add the content where scripts had moved it at the sample timestamps
+    return virtualTime && !analysis.error ? addVirtualTimeSamples(analysis, virtualTime) : analysis
+  })
+}
+
+/**
+ * Content bounds plus the buffer on every side
+ * @param {Object} bounds - Bounds analysis with globalMinX/Y and globalMaxX/Y
+ * @param {number} buffer - Padding in user units
+ * @returns {Object} ViewBox {x, y, width, height}
+ */
+function getBufferedViewBox (bounds, buffer) {
+  return {
+    x: bounds.globalMinX - buffer,
+    y: bounds.globalMinY - buffer,
+    width: (bounds.globalMaxX - bounds.globalMinX) + (buffer * 2),
+    height: (bounds.globalMaxY - bounds.globalMinY) + (buffer * 2)
+  }
+}
+
+/**
+ * Calculate the optimized viewBox for SVG content
+ * Browser engines also accept the page sharing options of withPage().
+ * @param {string} originalContent - SVG markup
+ * @param {Object} options - Optimization options
+ * @param {number} options.buffer - Padding around the content in user units (default: 10)
+ * @param {string} options.baseDir - Directory that stylesheets and relative resource URLs resolve against (default: current directory)
+ * @param {string} options.engine - 'browser' (default), 'geometry' for pure Node, 'raster' for painted pixels, or 'hybrid' to add the pixels of hard-to-model effects
+ * @param {boolean} options.engineFallback - Let the geometry engine fall back to the browser for features it cannot evaluate (default: true)
+ * @param {number} options.rasterScale - Raster and hybrid engines: pixels per user unit
+ * @param {number} options.rasterFrames - Raster and hybrid engines: timestamps rendered over the animation
+ * @param {boolean} options.sampleTimeline - Add the bounds measured at instants over the animation timeline
+ * @param {number} options.timelineSamples - Instants sampled with `sampleTimeline`
+ * @param {boolean} options.verify - Render the original and optimized viewBoxes and report clipped pixels
+ * @param {number} options.verifyFrames - Timestamps rendered with `verify`
+ * @param {string} options.eventAnimations - Animations started by user interaction: 'include' (default), 'only-initial' or 'exclude'
+ * @param {boolean} options.interactiveStates - Add the transforms :hover, :focus and :active rules set, and the transitions to them
+ * @param {string[]} options.stateClasses - Classes toggled by scripts that count as states; implies `interactiveStates`
+ * @param {number} options.scriptDelay - Real milliseconds to wait for script-generated content
+ * @param {number} options.virtualTime - Virtual milliseconds to run scripts for instead of `scriptDelay`
+ * @param {number[]} options.virtualTimeSamples - Virtual milliseconds to also measure the content at
+ * @param {number} options.fontTimeout - Milliseconds to wait for web fonts (default: 5000)
+ * @param {boolean} options.failOnFontTimeout - Throw when web fonts time out instead of warning (default: true)
+ * @param {boolean} options.visualBounds - Include painted strokes in the bounds
+ * @param {boolean} options.failOnUnbounded - Throw for content that grows without bound instead of warning
+ * @param {string} options.sizeMode - How to update the root width/height: 'keep' (default), 'scale' (default for a viewBox derived from width/height), 'remove' or 'explicit'
+ * @param {string} options.size - Width and height for the 'explicit' size mode, such as '64x64'
+ * @param {boolean} options.debug - Log calculation details
+ * @param {Object} options.logger - Console that debug details are logged to (default: console)
+ * @returns {Promise<Object>} Optimization result
+ */
+async function analyzeContent (originalContent, options = {}) {
+  const engine = options.engine || 'browser'
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}". Use one of: ${ENGINES.join(', ')}`)
+  }
+  if (options.eventAnimations !== undefined && !EVENT_ANIMATION_POLICIES.includes(options.eventAnimations)) {
+    throw new Error(`Unknown event animation policy "${options.eventAnimations}". Use one of: ${EVENT_ANIMATION_POLICIES.join(', ')}`)
+  }
+  if (options.virtualTime || (options.virtualTimeSamples || []).length > 0) {
+    validateVirtualTime(options.virtualTime, options.virtualTimeSamples)
+  }
+
+  const baseDir = options.baseDir || process.cwd()
+  const buffer = options.buffer !== undefined ? parseInt(options.buffer) : 10
+
+  // Process external stylesheets
+  const stylesheetProcessor = new StylesheetProcessor(baseDir, { debug: options.debug, logger: options.logger })
+  const svgContent = await stylesheetProcessor.processStylesheets(originalContent)
+
+  const engineWarnings = []
+  let usedEngine = engine
+  let bounds = null
+
+  if (engine === 'geometry') {
+    const analysis = analyzeGeometry(svgContent, {
+      debug: options.debug,
+      logger: options.logger,
+      visualBounds: options.visualBounds === true,
+      failOnUnbounded: options.failOnUnbounded === true,
+      eventAnimations: options.eventAnimations
+    })
+
+    if (analysis.unsupported.length === 0) {
+      bounds = analysis.bounds
+    } else if (options.engineFallback === false) {
+      throw new Error(`The geometry engine cannot analyze this SVG: ${analysis.unsupported.join(', ')}`)
+    } else {
+      const warning = `The geometry engine does not support ${analysis.unsupported.join(', ')}; used the browser engine`
+      engineWarnings.push(warning)
+      usedEngine = 'browser'
+    }
+  }
+
+  let verification = null
+
+  if (options.verify || options.sampleTimeline || RASTER_ENGINES[engine]) {
+    await withPage(options, async page => {
+      if (bounds) {
+        const virtualTime = await loadContent(page, svgContent, baseDir, options)
+        if (virtualTime) await resumeVirtualTime(virtualTime.session)
+      } else {
+        bounds = await analyzeInBrowser(svgContent, baseDir, { ...options, page })
       }
 
-      // Use the modular SVG analyzer
-      if (typeof window.SVGAnalyzer === 'undefined') {
-        throw new Error('Modular SVG analyzer not loaded')
+      if (bounds.error) return
+
+      if (options.sampleTimeline) {
+        bounds = await sampleTimeline(page, bounds, { samples: options.timelineSamples })
       }
 
-      const result = window.SVGAnalyzer.analyzeSVG(debug)
-      if (result.error) {
-        return result
+      if (RASTER_ENGINES[engine]) {
+        bounds = await RASTER_ENGINES[engine](page, bounds, { scale: options.rasterScale, frames: options.rasterFrames })
       }
 
-      // Convert to the expected format
-      return {
-        originalViewBox: result.originalViewBox,
-        origWidth: result.origWidth,
-        origHeight: result.origHeight,
-        globalMinX: result.globalMinX,
-        globalMinY: result.globalMinY,
-        globalMaxX: result.globalMaxX,
-        globalMaxY: result.globalMaxY,
-        elementCount: result.elementCount,
-        animationCount: result.animationCount,
-        effectsCount: result.effectsCount,
-        elements: result.elements
+      if (options.verify) {
+        verification = await verifyRendering(page, parseViewBox(bounds.originalViewBox), getBufferedViewBox(bounds, buffer), {
+          frames: options.verifyFrames
+        })
       }
-    }, options.debug, fontTimeout, failOnFontTimeout)
+    })
+  } else if (!bounds) {
+    bounds = await analyzeInBrowser(svgContent, baseDir, options)
+  }
 
-    await browser.close()
+  // Check for errors
+  if (bounds.error) {
+    throw new Error(bounds.error)
+  }
 
-    // Check for errors
-    if (bounds.error) {
-      throw new Error(bounds.error)
-    }
+  // Calculate new viewBox
+  const { x: newX, y: newY, width: newWidth, height: newHeight } = getBufferedViewBox(bounds, buffer)
 
-    // Calculate new viewBox
-    const newX = bounds.globalMinX - buffer
-    const newY = bounds.globalMinY - buffer
-    const newWidth = (bounds.globalMaxX - bounds.globalMinX) + (buffer * 2)
-    const newHeight = (bounds.globalMaxY - bounds.globalMinY) + (buffer * 2)
-
-    // Parse original viewBox for compatibility
-    const [, , origWidth, origHeight] = bounds.originalViewBox.split(' ').map(Number)
-    const originalArea = origWidth * origHeight
-    const newArea = newWidth * newHeight
-    const spaceSavings = originalArea > 0 ? ((originalArea - newArea) / originalArea) * 100 : 0
-
-    return {
-      // Legacy format for CLI compatibility
-      original: {
-        viewBox: bounds.originalViewBox,
-        width: origWidth,
-        height: origHeight,
-        area: originalArea
-      },
-      // CLI format
-      optimized: {
-        viewBox: `${newX.toFixed(2)} ${newY.toFixed(2)} ${newWidth.toFixed(2)} ${newHeight.toFixed(2)}`,
-        width: newWidth,
-        height: newHeight,
-        area: newArea
-      },
-      buffer,
-      newViewBox: { x: newX, y: newY, width: newWidth, height: newHeight },
-      // Legacy test format
-      content: {
-        minX: bounds.globalMinX,
-        minY: bounds.globalMinY,
-        maxX: bounds.globalMaxX,
-        maxY: bounds.globalMaxY,
-        width: bounds.globalMaxX - bounds.globalMinX,
-        height: bounds.globalMaxY - bounds.globalMinY
-      },
-      // New format
-      contentBounds: {
-        x: bounds.globalMinX,
-        y: bounds.globalMinY,
-        width: bounds.globalMaxX - bounds.globalMinX,
-        height: bounds.globalMaxY - bounds.globalMinY
-      },
-      savings: {
-        percentage: spaceSavings,
-        unitsSquared: originalArea - newArea
+  // Parse original viewBox for compatibility
+  const [, , origWidth, origHeight] = bounds.originalViewBox.trim().split(/[\s,]+/).map(Number)
+  const originalArea = origWidth * origHeight
+  const newArea = newWidth * newHeight
+  const spaceSavings = originalArea > 0 ? ((originalArea - newArea) / originalArea) * 100 : 0
+
+  return {
+    // Legacy format for CLI compatibility
+    original: {
+      viewBox: bounds.originalViewBox,
+      width: origWidth,
+      height: origHeight,
+      area: originalArea,
+      synthesized: bounds.viewBoxSynthesized === true
+    },
+    // CLI format
+    optimized: {
+      viewBox: `${newX.toFixed(2)} ${newY.toFixed(2)} ${newWidth.toFixed(2)} ${newHeight.toFixed(2)}`,
+      width: newWidth,
+      height: newHeight,
+      area: newArea
+    },
+    buffer,
+    newViewBox: { x: newX, y: newY, width: newWidth, height: newHeight },
+    // Root width/height attributes before and after optimization
+    dimensions: calculateDimensions(
+      {
+        width: getRootAttribute(originalContent, 'width'),
+        height: getRootAttribute(originalContent, 'height'),
+        preserveAspectRatio: getRootAttribute(originalContent, 'preserveAspectRatio')
       },
-      spaceSavings,
-      elements: {
-        count: bounds.elementCount,
-        animationCount: bounds.animationCount,
-        effectsCount: bounds.effectsCount,
-        details: bounds.elements.map(el => ({
-          id: el.type || 'unknown',
-          animations: el.animations ? el.animations.length : 0,
-          hasAnimations: el.animations && el.animations.length > 0,
-          hasEffects: el.hasEffects || false
-        }))
+      { mode: options.sizeMode, size: options.size, synthesized: bounds.viewBoxSynthesized === true },
+      { width: origWidth, height: origHeight },
+      { width: newWidth, height: newHeight }
+    ),
+    // Legacy test format
+    content: {
+      minX: bounds.globalMinX,
+      minY: bounds.globalMinY,
+      maxX: bounds.globalMaxX,
+      maxY: bounds.globalMaxY,
+      width: bounds.globalMaxX - bounds.globalMinX,
+      height: bounds.globalMaxY - bounds.globalMinY
+    },
+    // New format
+    contentBounds: {
+      x: bounds.globalMinX,
+      y: bounds.globalMinY,
+      width: bounds.globalMaxX - bounds.globalMinX,
+      height: bounds.globalMaxY - bounds.globalMinY
+    },
+    savings: {
+      percentage: spaceSavings,
+      unitsSquared: originalArea - newArea
+    },
+    spaceSavings,
+    elements: {
+      count: bounds.elementCount,
+      animationCount: bounds.animationCount,
+      effectsCount: bounds.effectsCount,
+      details: bounds.elements.map(el => ({
+        id: el.type || 'unknown',
+        path: el.path || null,
+        bounds: el.bounds,
+        animations: el.animations ? el.animations.length : 0,
+        hasAnimations: el.animations && el.animations.length > 0,
+        animationEnvelopes: el.animationEnvelopes || [],
+        hasEffects: el.hasEffects || false
+      }))
+    },
+    // Element, animation or effect that produced each edge of the content bounds
+    extremes: bounds.extremes || null,
+    // Engine that measured the bounds
+    engine: usedEngine,
+    // Raster engines: { scale, frames, elements } (elements: rendered bounds per element for hybrid)
+    raster: bounds.raster || null,
+    // Timeline sampling: { samples, end }, null without options.sampleTimeline
+    timeline: bounds.timeline || null,
+    // Virtual time: { budget, samples } in virtual milliseconds, null without options.virtualTime
+    virtualTime: bounds.virtualTime || null,
+    // Pixel comparison of the original and optimized renders, null without options.verify
+    verification,
+    warnings: [...stylesheetProcessor.warnings, ...engineWarnings, ...bounds.warnings]
+  }
+}
+
+/**
+ * Calculate the optimized viewBox for a single SVG file
+ * Relative resources resolve against the file's directory unless `options.baseDir` is set.
+ * @param {string} inputFile - SVG file to optimize
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Object>} Optimization result
+ */
+async function calculateOptimization (inputFile, options = {}) {
+  const content = fs.readFileSync(inputFile, 'utf8')
+  return analyzeContent(content, { ...options, baseDir: options.baseDir || path.dirname(inputFile) })
+}
+
+/**
+ * Optimize SVG markup held in memory
+ * @param {string} svg - SVG markup
+ * @param {Object} options - Optimization options; `baseDir` sets where relative resources resolve (default: current directory)
+ * @returns {Promise<Object>} { svg, result } with the rewritten markup and the optimization result
+ */
+async function optimizeString (svg, options = {}) {
+  const result = await analyzeContent(svg, options)
+  return { svg: applyOptimization(svg, result), result }
+}
+
+/**
+ * Optimize an SVG held in a Buffer
+ * The content is analyzed as UTF-8 and rewritten byte-for-byte (through
+ * latin1), so bytes outside the updated attributes are kept in any encoding.
+ * @param {Buffer} buffer - SVG file content
+ * @param {Object} options - Optimization options; `baseDir` sets where relative resources resolve (default: current directory)
+ * @returns {Promise<Object>} { svg, result } with the rewritten Buffer and the optimization result
+ */
+async function optimizeBuffer (buffer, options = {}) {
+  const result = await analyzeContent(buffer.toString('utf8'), options)
+  const svg = Buffer.from(applyOptimization(buffer.toString('latin1'), result), 'latin1')
+  return { svg, result }
+}
+
+/**
+ * Optimize many SVG files with a single shared browser
+ *
+ * Files are processed by a pool of pages, one per worker. A failing file does
+ * not stop the batch: its entry carries the error instead of a result.
+ * @param {string[]} inputFiles - SVG files to optimize
+ * @param {Object} options - Optimization options plus `concurrency` and `onResult`
+ * @returns {Promise<Object[]>} Entries of { file, result, error, duration } in input order
+ */
+async function calculateBatchOptimization (inputFiles, options = {}) {
+  const concurrency = Math.max(1, parseInt(options.concurrency) || 4)
+  const { onResult, ...calcOptions } = options
+  const results = new Array(inputFiles.length)
+  let nextIndex = 0
+
+  if (inputFiles.length === 0) {
+    return results
+  }
+
+  // Launched on first use so geometry-engine batches never start Chrome
+  let browserPromise = null
+  const getBrowser = () => browserPromise || (browserPromise = instantiateBrowser())
+
+  async function worker () {
+    let page = null
+    const getPage = async () => page || (page = await openPage(await getBrowser(), calcOptions))
+
+    try {
+      while (nextIndex < inputFiles.length) {
+        const index = nextIndex++
+        const file = inputFiles[index]
+        const startTime = Date.now()
+        let entry
+
+        try {
+          const result = await calculateOptimization(file, { ...calcOptions, getPage })
+          entry = { file, result, error: null, duration: Date.now() - startTime }
+        } catch (error) {
+          entry = { file, result: null, error, duration: Date.now() - startTime }
+
+          // A failed file can leave the page in a bad state (timeouts, crashes) - start fresh
+          if (page) {
+            await page.close().catch(() => {})
+            page = null
+          }
+        }
+
+        results[index] = entry
+        if (onResult) {
+          await onResult(entry, index)
+        }
+      }
+    } finally {
+      if (page) {
+        await page.close().catch(() => {})
       }
     }
-  } catch (error) {
-    await browser.close()
-    throw error
   }
+
+  try {
+    const workerCount = Math.min(concurrency, inputFiles.length)
+    await Promise.all(Array.from({ length: workerCount }, () => worker()))
+  } finally {
+    if (browserPromise) {
+      const browser = await browserPromise.catch(() => null)
+      if (browser) {
+        await browser.close()
+      }
+    }
+  }
+
+  return results
 }
 
-module.exports = { calculateOptimization }
+module.exports = { ENGINES, calculateOptimization, calculateBatchOptimization, optimizeString, optimizeBuffer }